@@ -0,0 +1,416 @@
+// ═══════════════════════════════════════════════════════════════════
+// TRADING AGENT — feed → SignalEngine → notifications, tracker, MT5
+//
+// src/index.js runs one live (health server, shutdown hooks); src/replay.js
+// runs one over a recorded feed. Everything time-dependent — cooldowns,
+// intrabar alerts, tracker fills and expiry, the daily report — reads the
+// agent's clock, and feed events are handled strictly one after another,
+// so a recording replays to the same signals and resolutions.
+// ═══════════════════════════════════════════════════════════════════
+
+import { MarketDataService } from './services/MarketDataService.js';
+import { SignalEngine } from './engine/SignalEngine.js';
+import { StrategyConfig, watchStrategy, DEFAULT_STRATEGY_FILE } from './engine/StrategyConfig.js';
+import { InstrumentRegistry, DEFAULT_INSTRUMENTS_FILE } from './engine/InstrumentRegistry.js';
+import { normalizeTimeframe } from './engine/TimeframeStack.js';
+import { gateValue, CONFIDENCE_GATES, DEFAULT_CALIBRATION_FILE } from './engine/ConfidenceCalibration.js';
+import { netExposure } from './engine/ExposureGuard.js';
+import { IntrabarConfirmation, EVALUATION_MODES } from './engine/IntrabarConfirmation.js';
+import { DEFAULT_LEVELS_FILE } from './engine/LevelBook.js';
+import { systemClock, EventClock } from './engine/Clock.js';
+import { TelegramService } from './services/TelegramService.js';
+import { MT5Bridge } from './services/MT5Bridge.js';
+import { WinRateTracker } from './services/WinRateTracker.js';
+import { FeedRecorder } from './services/FeedRecording.js';
+
+// ── SETTINGS FROM THE ENVIRONMENT (recorded with the feed, reused by a replay) ──
+export function agentSettings(env = process.env) {
+  return {
+    watchlist: (env.WATCHLIST || '').split(',').map(s => s.trim()).filter(Boolean),
+    minConfidence: parseInt(env.MIN_CONFIDENCE) || 60,
+    minConfluence: parseInt(env.MIN_CONFLUENCE) || 3,
+    confidenceGate: env.CONFIDENCE_GATE || 'raw',
+    evaluationMode: env.EVALUATION_MODE || 'closed',
+    signalCooldown: parseInt(env.SIGNAL_COOLDOWN_MINS) || 15,
+    indicatorMode: env.INDICATOR_MODE || 'stream',
+    mt5Enabled: env.MT5_ENABLED === 'true'
+  };
+}
+
+export function formatUptime(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return `${h}h ${m}m`;
+}
+
+export class TradingAgent {
+  // Live: new TradingAgent() — wall clock, env settings, Twelve Data, Telegram/Discord.
+  // Replay (src/replay.js): a ReplayClock, the recorded settings and strategy,
+  // a ReplayFeed for market data, a muted notifier, its own tracker and level book files.
+  constructor({ clock = systemClock, settings = agentSettings(), strategy = null, marketData = null, notifier = null, trackerFile, levelsFile = process.env.LEVELS_FILE || DEFAULT_LEVELS_FILE, recordFile = null, watchStrategy = true } = {}) {
+    this.clock = new EventClock(clock);
+    this.settings = settings;
+    this.watchlist = settings.watchlist;
+    if (this.watchlist.length === 0) throw new Error('WATCHLIST is empty — list the symbols to watch, e.g. XAU/USD,EUR/USD');
+    this.minConfidence = settings.minConfidence;
+    this.minConfluence = settings.minConfluence;
+    // 'raw' compares MIN_CONFIDENCE to signal.confidence, 'calibrated' to the calibrated win %
+    this.confidenceGate = settings.confidenceGate;
+    if (!CONFIDENCE_GATES.includes(this.confidenceGate)) throw new Error(`CONFIDENCE_GATE must be one of ${CONFIDENCE_GATES.join(', ')}`);
+    // 'closed' analyzes completed candles only, 'intrabar' alerts early and confirms at the close
+    this.evaluationMode = settings.evaluationMode;
+    if (!EVALUATION_MODES.includes(this.evaluationMode)) throw new Error(`EVALUATION_MODE must be one of ${EVALUATION_MODES.join(', ')}`);
+    this.intrabar = new IntrabarConfirmation();
+    this.mt5Enabled = settings.mt5Enabled;
+    this.watchStrategy = watchStrategy;
+
+    this.strategyFile = process.env.STRATEGY_FILE || DEFAULT_STRATEGY_FILE;
+    // Every watchlist symbol needs a profile — adding one is config only
+    this.instruments = InstrumentRegistry.load(process.env.INSTRUMENTS_FILE || DEFAULT_INSTRUMENTS_FILE);
+    this.instruments.assertKnown(this.watchlist);
+
+    this.signalEngine = new SignalEngine({
+      clock: this.clock,
+      minConfluence: this.minConfluence,
+      strategy: strategy || StrategyConfig.load(this.strategyFile),
+      instruments: this.instruments,
+      sessionsFile: process.env.SESSIONS_FILE,
+      holidaysFile: process.env.HOLIDAYS_FILE,
+      indicatorMode: settings.indicatorMode,
+      calibrationFile: process.env.CALIBRATION_FILE,
+      economicCalendarFile: process.env.ECONOMIC_CALENDAR_FILE,
+      // S/R level lifecycle persists across restarts (LevelBook)
+      levelsFile,
+      // Portfolio view for exposure_guard — the tracker knows what is open across the watchlist
+      exposureSource: (symbol) => this.tracker.openPositions(symbol)
+    });
+    const calibration = this.signalEngine.calibrator;
+    const news = this.signalEngine.economicCalendar?.summary();
+    if (news) console.log(`📰 Economic calendar: ${news.events} events${news.until ? ` until ${news.until.slice(0, 10)}` : ''} (${news.source})`);
+    if (calibration) console.log(`🎚️ Confidence calibration: ${calibration.summary().method}, ${calibration.summary().samples} outcomes (${calibration.source})`);
+    else if (this.confidenceGate === 'calibrated') {
+      throw new Error(`CONFIDENCE_GATE=calibrated needs a calibration file — run node src/calibrate.js (writes ${process.env.CALIBRATION_FILE || DEFAULT_CALIBRATION_FILE})`);
+    }
+
+    // Entry timeframe + trend layers come from the strategy's timeframe stack
+    const stack = this.signalEngine.timeframes;
+    this.timeframe = stack.entry;
+    if (process.env.TIMEFRAME && normalizeTimeframe(process.env.TIMEFRAME) !== stack.entry) {
+      console.warn(`⚠️ TIMEFRAME=${process.env.TIMEFRAME} ignored — the strategy's timeframe stack sets the entry timeframe (${stack.entry})`);
+    }
+    console.log(`⏱ Timeframe stack: ${stack.describe()}`);
+    this.marketData = marketData || new MarketDataService(this.watchlist, this.timeframe, stack.layers, { clock });
+    this.telegram = notifier || new TelegramService(this.instruments);
+    this.mt5 = new MT5Bridge(this.instruments);
+    this.tracker = new WinRateTracker(this.telegram, this.instruments, { clock: this.clock, dataFile: trackerFile });
+    // Feed events + settings as JSON lines for src/replay.js (RECORD_FILE)
+    this.recorder = recordFile ? new FeedRecorder(recordFile, this.clock) : null;
+
+    this.lastSignals = new Map();
+    this.signalCooldown = settings.signalCooldown;
+
+    // Feed events are handled one at a time, in arrival order, each at the
+    // time it started — a replay awaits each one the same way
+    this.queue = Promise.resolve();
+
+    this.stats = { signalsToday: [], totalAnalyses: 0, startTime: clock.now() };
+  }
+
+  // Handle one feed event after every event queued before it; recorded (data
+  // null: not recorded) with the time it is handled — the "now" of everything it does
+  handle(type, data, fn) {
+    this.queue = this.queue
+      .then(() => this.clock.run(() => {
+        if (data) this.recorder?.write(type, data);
+        return fn();
+      }))
+      .catch((err) => {
+        console.error(`❌ ${type} processing error:`, err);
+        this.telegram.sendError(`${type} processing error: ${err.message}`).catch(() => {});
+      });
+    return this.queue;
+  }
+
+  async start() {
+    console.log('🚀 Agent starting...\n');
+
+    this.tracker.printReport();
+
+    await this.telegram.sendMessage(`
+🤖 *Trading Agent v4 Started*
+
+📊 Watching: ${this.watchlist.join(', ')}
+⏱ Timeframes: ${this.signalEngine.timeframes.describe()}
+🎯 Min Confidence: ${this.minConfidence}%
+🔗 Min Confluence: ${this.minConfluence} signals
+🕯 Evaluation: ${this.evaluationMode === 'intrabar' ? 'intrabar alerts, confirmed at the close' : 'closed candles only'}
+🧪 Strategy: v${this.signalEngine.strategy.version} ${this.signalEngine.strategy.name}
+
+*v4 Features:*
+${this.signalEngine.timeframes.layers.map(l => `• ✅ ${l.label} trend filter (${l.evaluator}, gate: ${l.policy.gate})`).join('\n')}
+• SR Detector v2 (clustered swing levels)
+• Win Rate Tracker (auto SL/TP hit detection)
+
+📊 Tracker: ${this.tracker.getStats().total} closed signals | ${this.tracker.getStats().winRate}% win rate
+    `);
+
+    // ── FETCH HISTORICAL DATA (entry + every timeframe layer) ──
+    await this.marketData.fetchHistoricalData();
+
+    // ── LOAD ENTRY TIMEFRAME INTO ENGINE ──
+    for (const symbol of this.watchlist) {
+      const historicalCandles = this.marketData.getCandles(symbol);
+      if (historicalCandles.length > 0) {
+        this.signalEngine.loadHistoricalCandles(symbol, historicalCandles);
+      }
+    }
+
+    // ── LOAD EACH LAYER INTO ITS ENGINE BUFFER ──
+    for (const layer of this.signalEngine.timeframes.layers) {
+      for (const symbol of this.watchlist) {
+        const candles = this.marketData.getLayerCandles(layer.id, symbol);
+        if (candles.length > 0) {
+          this.signalEngine.loadLayerCandles(layer.id, symbol, candles);
+        } else {
+          console.warn(`⚠️ No ${layer.timeframe} candles for ${symbol} — ${layer.label} filter stays NEUTRAL until data arrives`);
+        }
+      }
+    }
+
+    console.log(`📊 Indicators warmed up (${this.signalEngine.timeframes.describe()})\n`);
+    this.recorder?.start(this);
+
+    // ── WIRE LIVE CANDLE EVENTS ──
+
+    // Entry candles → live prices (+ intrabar alerts); completed candles → signal analysis
+    this.marketData.on('candle', (candle) => this.handle('candle', { candle }, () => this.processCandleUpdate(candle)));
+    this.marketData.on('candleClose', (candle) => this.handle('candleClose', { candle }, () => this.processCandleClose(candle)));
+
+    // Layer candles → that layer's trend buffer
+    this.marketData.on('layerCandle', (layerId, candle) => {
+      this.handle('layerCandle', { layer: layerId, candle }, () => this.signalEngine.addLayerCandle(layerId, candle));
+    });
+
+    this.marketData.on('error', (err) => {
+      console.error('❌ Market data error:', err.message);
+      this.telegram.sendError(`Market data error: ${err.message}`).catch(() => {});
+    });
+    this.marketData.on('dailyLimitReached', () => {
+      this.telegram.sendMessage('⚠️ *API daily limit reached.* Agent paused until midnight UTC.').catch(() => {});
+    });
+    this.marketData.on('unhealthy', (errors) => {
+      this.telegram.sendError(`🚨 Service unhealthy: ${errors} consecutive errors`).catch(() => {});
+    });
+
+    await this.marketData.startPolling();
+    console.log('✅ Agent running - waiting for high-confluence signals...\n');
+
+    this.scheduleDailyReport();
+    if (this.watchStrategy) this.watchStrategyFile();
+  }
+
+  // ── STRATEGY HOT RELOAD: edits to the strategy file apply without a restart ──
+  // An invalid file is reported and the running strategy stays in place.
+  // Applied between feed events, so a recording replays it at the same point.
+  watchStrategyFile() {
+    this.unwatchStrategy = watchStrategy(this.strategyFile, {
+      onReload: (strategy) => this.handle('strategy', null, () => {
+        const previous = this.signalEngine.strategy.version;
+        try {
+          this.signalEngine.setStrategy(strategy);
+        } catch (err) {
+          console.error(`❌ Strategy reload rejected: ${err.message}`);
+          this.telegram.sendError(`Strategy reload rejected (keeping v${previous}): ${err.message}`).catch(() => {});
+          return;
+        }
+        this.recorder?.write('strategy', { strategy });
+        console.log(`🔄 Strategy reloaded: v${previous} → v${strategy.version} ${strategy.name}`);
+        this.telegram.sendMessage(`🔄 *Strategy reloaded:* v${previous} → v${strategy.version} ${strategy.name}`).catch(() => {});
+      }),
+      onError: (err) => {
+        console.error(`❌ Strategy reload failed: ${err.message}`);
+        this.telegram.sendError(`Strategy reload failed (keeping v${this.signalEngine.strategy.version}): ${err.message}`).catch(() => {});
+      }
+    });
+    console.log(`👀 Watching strategy file ${this.strategyFile} for changes`);
+  }
+
+  // ── EVERY POLL: the forming (or a new) entry candle ──
+  // The tracker follows live prices; intrabar mode also analyzes the forming
+  // candle and sends its first qualifying signal as an unconfirmed alert
+  async processCandleUpdate(candle) {
+    this.tracker.updatePrice(candle.symbol, candle.close, candle.high, candle.low, candle.timestamp);
+    const calendar = this.signalEngine.economicCalendar;
+    if (calendar) {
+      const now = this.clock.now();
+      this.tracker.flagEventRisk(candle.symbol, calendar.upcoming(candle.symbol, now, this.signalEngine.strategy.forSymbol(candle.symbol).news), now);
+    }
+
+    if (this.evaluationMode !== 'intrabar') return;
+
+    this.signalEngine.addCandle(candle);
+    const signal = this.analyzeCandle(candle, 'intrabar');
+    if (!this.verdict(signal).qualifies || this.inCooldown(signal)) return;
+    if (!this.intrabar.hold(candle.symbol, candle.timestamp, signal, this.clock.now())) return;
+
+    signal.intrabar = { status: 'PROVISIONAL', barTime: candle.timestamp };
+    console.log(`\n⏳ INTRABAR: ${signal.action} ${candle.symbol} @ ${candle.close} (${signal.confidence}%) — confirmed or withdrawn at the close`);
+    await this.telegram.sendSignal(signal);
+  }
+
+  // ── COMPLETED CANDLE: the signal that counts ──
+  // Settles the candle's intrabar alert; a confirmed one is tracked and
+  // executed without a second signal card
+  async processCandleClose(candle) {
+    this.signalEngine.addCandle(candle);
+    const signal = this.analyzeCandle(candle, 'close');
+    const verdict = this.verdict(signal);
+
+    const settled = this.intrabar.settle(candle.symbol, candle.timestamp, signal, verdict);
+    if (settled) {
+      console.log(`${settled.status === 'CONFIRMED' ? '✅' : '↩️'} Intrabar ${settled.signal.action} ${candle.symbol} ${settled.status.toLowerCase()}${settled.reason ? ` (${settled.reason})` : ''}`);
+      await this.telegram.sendIntrabarUpdate(settled);
+      if (settled.status === 'CONFIRMED') {
+        await this.publishSignal(signal, candle, { announce: false });
+        return;
+      }
+    }
+
+    if (!verdict.qualifies || this.inCooldown(signal)) return;
+    await this.publishSignal(signal, candle);
+  }
+
+  analyzeCandle(candle, stage) {
+    const signal = this.signalEngine.analyze(candle.symbol);
+    this.stats.totalAnalyses++;
+    if (!signal || process.env.DEBUG_MODE !== 'true') return signal;
+
+    const ctx = signal.context || {};
+    const mom = signal.momentum || {};
+    const verdict = this.verdict(signal);
+    console.log(`\n📊 [${candle.symbol}] Analysis #${this.stats.totalAnalyses} (${stage === 'close' ? 'closed candle' : 'intrabar'}):`);
+    console.log(`   Price: ${candle.close} | Action: ${signal.action} | Confidence: ${signal.confidence}%`);
+    console.log(`   Events: ${signal.eventCount || 0} | States: ${signal.stateCount || 0} | Total: ${signal.confluenceCount} (need ${this.minConfluence})`);
+    console.log(`   Context: ${ctx.trend} trend (ADX:${ctx.trendStrength?.toFixed(0) || '?'}) | ${ctx.regime}${ctx.playbook ? ` (${ctx.playbook})` : ''} | ${ctx.session} | Vol: ${ctx.volatility}`);
+    console.log(`   RSI: ${signal.indicators.rsi} | Stoch: ${signal.indicators.stochK}/${signal.indicators.stochD} | MACD: ${signal.indicators.macd}`);
+    console.log(`   Momentum: ${mom.bullishCandles || 0}🟢/${mom.bearishCandles || 0}🔴 candles | Structure: ${mom.priceStructure || 'N/A'}${mom.swings ? ` (${mom.swings})` : ''}`);
+    if (signal.action !== 'HOLD') {
+      console.log(`   S/R Supports: ${ctx.supportLevels || 'N/A'}`);
+      console.log(`   S/R Resistances: ${ctx.resistanceLevels || 'N/A'}`);
+    }
+    if (signal.reasons.length > 0) console.log(`   ✅ Reasons: ${signal.reasons.slice(0, 6).join(' | ')}`);
+    if (signal.warnings?.length > 0) console.log(`   ⚠️ ${signal.warnings.join(' | ')}`);
+    if (signal.action === 'HOLD') console.log(`   ⏸️  HOLD`);
+    else if (!verdict.qualifies) console.log(`   ❌ Rejected: ${verdict.reason}`);
+    else console.log(`   🎯 SIGNAL QUALIFIES! → ${signal.action} @ ${signal.confidence}%`);
+    return signal;
+  }
+
+  // Past HOLD and the confidence gate? → { qualifies, reason }
+  verdict(signal) {
+    if (!signal) return { qualifies: false, reason: 'not enough candles' };
+    if (signal.action === 'HOLD') return { qualifies: false, reason: signal.warnings?.[0] || 'no setup' };
+    const value = gateValue(signal, this.confidenceGate);
+    if (value < this.minConfidence) return { qualifies: false, reason: `${this.confidenceGate} confidence ${value}% < ${this.minConfidence}%` };
+    return { qualifies: true, reason: null };
+  }
+
+  inCooldown(signal) {
+    const lastSignal = this.lastSignals.get(signal.symbol);
+    if (!lastSignal) return false;
+    const timeDiff = this.clock.now() - lastSignal.timestamp;
+    const cooldownMs = this.signalCooldown * 60 * 1000;
+    if (timeDiff < cooldownMs && lastSignal.action === signal.action) {
+      if (process.env.DEBUG_MODE === 'true')
+        console.log(`   🔇 Cooldown active (${Math.round((cooldownMs - timeDiff) / 60000)}min remaining)`);
+      return true;
+    }
+    return false;
+  }
+
+  // announce: false when an intrabar alert already sent the signal card
+  async publishSignal(signal, candle, { announce = true } = {}) {
+    console.log(`\n${'═'.repeat(60)}`);
+    console.log(`🎯 SIGNAL: ${signal.pending ? 'LIMIT ' : ''}${signal.action} ${candle.symbol} @ ${signal.pending ? `${this.instruments.formatPrice(signal.symbol, signal.price)} (${signal.pending.anchor.source} pullback, market ${candle.close})` : candle.close}`);
+    console.log(`   Confidence: ${signal.confidence}%${signal.calibration ? ` (calibrated ${signal.calibration.probability}% win, E[R] ${signal.calibration.expectedR}R)` : ''} | Confluence: ${signal.confluenceCount}`);
+    console.log(`   SL: ${this.instruments.formatPrice(signal.symbol, signal.stopLoss)} | TP: ${this.instruments.formatPrice(signal.symbol, signal.takeProfit)}`);
+    console.log(`   Reasons: ${signal.reasons.join(', ')}`);
+    console.log(`${'═'.repeat(60)}\n`);
+
+    // A newer signal replaces limit entries still waiting for their pullback
+    this.tracker.cancelPending(candle.symbol, 'superseded');
+
+    if (announce) await this.telegram.sendSignal(signal);
+    this.tracker.logSignal(signal);
+
+    if (this.mt5Enabled) await this.mt5.executeSignal(signal);
+
+    this.lastSignals.set(candle.symbol, { action: signal.action, timestamp: this.clock.now() });
+
+    this.stats.signalsToday.push({
+      symbol: signal.symbol, action: signal.action,
+      confidence: signal.confidence, time: new Date(this.clock.now()).toISOString()
+    });
+  }
+
+  scheduleDailyReport() {
+    const now = new Date(this.clock.now());
+    const reportTime = new Date(now);
+    reportTime.setUTCHours(23, 55, 0, 0);
+    if (reportTime <= now) reportTime.setUTCDate(reportTime.getUTCDate() + 1);
+
+    this.clock.setTimeout(async () => {
+      await this.sendDailyReport();
+      this.stats.signalsToday = [];
+      this.scheduleDailyReport();
+    }, reportTime.getTime() - now.getTime());
+
+    console.log(`📅 Daily report scheduled in ${((reportTime.getTime() - now.getTime()) / 3600000).toFixed(1)} hours`);
+  }
+
+  async sendDailyReport() {
+    const signals = this.stats.signalsToday;
+    const health = this.marketData.getHealthStatus();
+    const trackerStats = this.tracker.getStats();
+
+    const report = {
+      totalSignals: signals.length,
+      buySignals: signals.filter(s => s.action === 'BUY').length,
+      sellSignals: signals.filter(s => s.action === 'SELL').length,
+      avgConfidence: signals.length > 0
+        ? Math.round(signals.reduce((sum, s) => sum + s.confidence, 0) / signals.length) : 0,
+      apiCreditsUsed: health.apiCreditsUsedToday,
+      apiDailyLimit: 800,
+      uptime: formatUptime(process.uptime()),
+      winRate: trackerStats.winRate,
+      totalR: trackerStats.totalR,
+      profitFactor: trackerStats.profitFactor
+    };
+
+    console.log('\n📊 Sending daily report...');
+    await this.telegram.sendDailyReport(report);
+    this.tracker.printReport();
+  }
+
+  getHealthStatus() {
+    const dataHealth = this.marketData.getHealthStatus();
+    const trackerStats = this.tracker.getStats();
+    return {
+      signals: { todayCount: this.stats.signalsToday.length, totalAnalyses: this.stats.totalAnalyses },
+      tracker: trackerStats,
+      exposure: netExposure(this.tracker.openPositions()),   // net R per currency, open + pending
+      marketData: dataHealth,
+      strategy: this.signalEngine.strategy.summary(),
+      config: {
+        minConfidence: this.minConfidence, confidenceGate: this.confidenceGate, minConfluence: this.minConfluence,
+        calibration: this.signalEngine.calibrator?.summary() || null,
+        cooldownMins: this.signalCooldown, timeframe: this.timeframe,
+        evaluationMode: this.evaluationMode,
+        intrabarPending: this.intrabar.pending(),
+        watchlist: this.watchlist,
+        timeframes: this.signalEngine.timeframes.layers.map(l => ({ id: l.id, timeframe: l.timeframe, evaluator: l.evaluator, gate: l.policy.gate })),
+        indicatorMode: this.signalEngine.indicatorMode
+      }
+    };
+  }
+}
@@ -1,16 +1,38 @@
 // ═══════════════════════════════════════════════════════════════════
-// BACKTEST.JS v3 — With MTF 15min + 1h Macro Trend Filter
+// BACKTEST.JS v3 — Replays the strategy's timeframe stack (default: 5min + 15min MTF + 1h Macro)
 //
 // Usage:
 //   node src/backtest.js --symbol XAU/USD --days 90
 //   node src/backtest.js --symbol XAU/USD --days 90 --confidence 55
 //   node src/backtest.js --symbol EUR/USD --days 60
+//   node src/backtest.js --symbol XAU/USD --days 90 --strategy ./config/strategy.tight.json
+//   node src/backtest.js --symbol EUR/USD --days 90 --indicators batch
+//   node src/backtest.js --symbol EUR/USD --days 90 --verify-indicators
+//   node src/backtest.js --symbol EUR/USD --days 90 --holidays ./config/holidays.json
+//   node src/backtest.js --symbol EUR/USD --days 90 --calibration ./data/calibration.json --gate calibrated
+//   node src/backtest.js --symbol EUR/USD --days 90 --calendar ./data/calendar_2026q1.csv
+//   node src/backtest.js --symbol EUR/USD --days 90 --stop-mode swing
 //
 // What's new in v3:
-//   - Fetches 1h candles for macro trend filter
-//   - Feeds 1h candles into SignalEngine macroCandles store
-//   - Macro filter blocks counter-trend signals (data-proven fix)
-//   - Block reasons show macro blocks with 🏔️ marker
+//   - Entry timeframe + trend layers come from the strategy's `timeframes`
+//     section; each layer's candles are fetched and fed with no lookahead
+//   - Layer filters block counter-trend signals per their policy (data-proven fix)
+//   - Block reasons mark the highest layer with 🏔️, lower layers with 📈
+//   - Per-layer impact and block reasons read from signal.trace (DecisionTrace)
+//   - Outcomes scored under the signal's trade plan (TP1/TP2/TP3 partials,
+//     breakeven, trailing) — pnlR is the size-weighted R of every fill
+//   - Limit entries (params.entry.limit) wait for their pullback; only
+//     filled ones are scored, unfilled ones are counted by cancel reason
+//   - --calibration attaches calibrated win % / expected R to every signal
+//     (off by default: a model fitted on this same backtest is in-sample);
+//     --gate calibrated makes --confidence a calibrated win % threshold
+//   - News blackouts replay from --calendar (default config/economic_calendar.csv)
+//     and show up as news_blackout in the block reasons
+//   - The engine runs on a ReplayClock set to each candle's time — sessions,
+//     news windows and signal timestamps are candle time, not wall time
+//   - --stop-mode (atr | swing | zone | volatility) overrides the strategy's
+//     stop.mode for every symbol; results break down by the stop method
+//     that actually placed each stop (StopPlacement)
 // ═══════════════════════════════════════════════════════════════════
 
 import dotenv from 'dotenv';
@@ -19,6 +41,16 @@ dotenv.config();
 import fs from 'fs';
 import axios from 'axios';
 import { SignalEngine } from './engine/SignalEngine.js';
+import { ReplayClock } from './engine/Clock.js';
+import { StrategyConfig, DEFAULT_STRATEGY_FILE } from './engine/StrategyConfig.js';
+import { InstrumentRegistry, DEFAULT_INSTRUMENTS_FILE } from './engine/InstrumentRegistry.js';
+import { blockingEntries, findEntry, modifierImpact, countedRules } from './engine/DecisionTrace.js';
+import { diffIndicators } from './engine/StreamingIndicators.js';
+import { timeframeMinutes, normalizeTimeframe } from './engine/TimeframeStack.js';
+import { createPlanState, stepTradePlan, closeTradePlan, planOutcome } from './engine/TradePlan.js';
+import { createPendingState, stepPendingEntry, cancelPendingEntry, fillBar } from './engine/PendingEntry.js';
+import { ConfidenceCalibrator, gateValue, CONFIDENCE_GATES } from './engine/ConfidenceCalibration.js';
+import { STOP_MODES } from './engine/StopPlacement.js';
 
 // ── CLI ARGS ──
 const args = process.argv.slice(2);
@@ -31,11 +63,29 @@ const SYMBOL = getArg('symbol', 'XAU/USD');
 const DAYS = parseInt(getArg('days', '30'));
 const MIN_CONFIDENCE = parseInt(getArg('confidence', '60'));
 const MIN_CONFLUENCE = parseInt(getArg('confluence', '3'));
-const TIMEFRAME = getArg('timeframe', '5min');
+const CALIBRATION_FILE = getArg('calibration', undefined);
+// raw: --confidence vs signal.confidence | calibrated: vs the calibrated win %
+const CONFIDENCE_GATE = getArg('gate', 'raw');
+// Entry timeframe is the strategy's timeframes.entry; --timeframe only double-checks it
+const TIMEFRAME_ARG = getArg('timeframe', undefined);
+let TIMEFRAME;
+const STRATEGY_FILE = getArg('strategy', DEFAULT_STRATEGY_FILE);
+const INSTRUMENTS_FILE = getArg('instruments', DEFAULT_INSTRUMENTS_FILE);
+const SESSIONS_FILE = getArg('sessions', undefined);
+const HOLIDAYS_FILE = getArg('holidays', undefined);
+const CALENDAR_FILE = getArg('calendar', undefined);
+const INDICATOR_MODE = getArg('indicators', 'stream');
+const STOP_MODE = getArg('stop-mode', undefined);
+// Periodically compare the streaming indicators to calcIndicators over the engine's candle window
+const VERIFY_INDICATORS = args.includes('--verify-indicators');
+const VERIFY_EVERY = 250;
 const OUTPUT_FILE = getArg('output', `./data/backtest_${SYMBOL.replace('/', '')}_${DAYS}d.json`);
 
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
+// Candles to request for DAYS of a timeframe (+1/day slack for gaps), capped per feed
+const outputSizeFor = (timeframe, cap) => Math.min(DAYS * (Math.ceil(1440 / timeframeMinutes(timeframe)) + 1), cap);
+
 // ── FETCH HISTORICAL DATA (with caching) ──
 async function fetchHistorical(symbol, timeframe, outputSize) {
   const cacheFile = `./data/historical/${symbol.replace('/', '')}_${timeframe}_${outputSize}.json`;
@@ -86,44 +136,54 @@ async function fetchHistorical(symbol, timeframe, outputSize) {
   return candles;
 }
 
-// ── SIMULATE SIGNAL OUTCOME ──
-function simulateOutcome(signal, candles, signalIndex) {
+// ── SIMULATE SIGNAL OUTCOME under its trade plan (partials, breakeven, trailing) ──
+// signalIndex = the entry candle. A limit entry filled inside that candle
+// (`filled`) first sees only its stop side (PendingEntry.fillBar).
+function simulateOutcome(signal, candles, signalIndex, filled = false) {
   if (signal.action === 'HOLD') return null;
 
+  const { plan } = signal;
+  const state = createPlanState(plan);
   const futureCandles = candles.slice(signalIndex + 1, signalIndex + 48);
+  const result = (candlesHeld) => ({
+    outcome: planOutcome(state), exitPrice: state.exitPrice, exitReason: state.exitReason,
+    candlesHeld, pnlR: state.pnlR, targetsHit: state.targetsHit, fills: state.fills
+  });
+
+  if (filled) {
+    stepTradePlan(plan, state, fillBar(signal.pending, candles[signalIndex]));
+    if (state.closed) return result(0);
+  }
 
   for (let i = 0; i < futureCandles.length; i++) {
-    const candle = futureCandles[i];
-
-    if (signal.action === 'BUY') {
-      if (candle.high >= signal.takeProfit) return { outcome: 'WIN', exitPrice: signal.takeProfit, candlesHeld: i + 1 };
-      if (candle.low <= signal.stopLoss) return { outcome: 'LOSS', exitPrice: signal.stopLoss, candlesHeld: i + 1 };
-    } else {
-      if (candle.low <= signal.takeProfit) return { outcome: 'WIN', exitPrice: signal.takeProfit, candlesHeld: i + 1 };
-      if (candle.high >= signal.stopLoss) return { outcome: 'LOSS', exitPrice: signal.stopLoss, candlesHeld: i + 1 };
-    }
+    stepTradePlan(plan, state, futureCandles[i]);
+    if (state.closed) return result(i + 1);
   }
 
   const lastClose = futureCandles[futureCandles.length - 1]?.close || signal.price;
-  const risk = Math.abs(signal.price - signal.stopLoss);
-  const pnl = (signal.action === 'BUY' ? lastClose - signal.price : signal.price - lastClose) / risk;
-
-  return { outcome: 'EXPIRED', exitPrice: lastClose, candlesHeld: futureCandles.length, pnlR: parseFloat(pnl.toFixed(2)) };
+  closeTradePlan(plan, state, lastClose, 'expired');
+  return result(futureCandles.length);
 }
 
 // ── PRINT RESULTS ──
-function printResults(results, allSignals, label = '') {
+function printResults(results, allSignals, layers, label = '') {
   console.log('\n' + '═'.repeat(70));
   console.log(`📊 BACKTEST RESULTS ${label}`);
   console.log('═'.repeat(70));
   console.log(`Symbol: ${SYMBOL} | Timeframe: ${TIMEFRAME} | Days: ${DAYS}`);
-  console.log(`Min Confidence: ${MIN_CONFIDENCE}% | Min Confluence: ${MIN_CONFLUENCE}`);
+  console.log(`Min Confidence: ${MIN_CONFIDENCE}% (${CONFIDENCE_GATE}) | Min Confluence: ${MIN_CONFLUENCE}`);
   console.log(`Total candles: ${allSignals.totalCandles} | Signals generated: ${allSignals.totalSignals}`);
-  console.log(`Qualified (>= ${MIN_CONFIDENCE}%): ${results.length}`);
+  console.log(`Qualified (>= ${MIN_CONFIDENCE}%): ${results.length}${allSignals.limit.placed > 0 ? ' filled' : ''}`);
+  if (allSignals.limit.placed > 0) {
+    const { placed, filled, unfilled } = allSignals.limit;
+    const why = Object.entries(unfilled).map(([k, n]) => `${k} ${n}`).join(', ');
+    console.log(`📥 Limit entries: ${placed} placed | ${filled} filled (${((filled / placed) * 100).toFixed(0)}%)${why ? ` | unfilled: ${why}` : ''}`);
+  }
   console.log('─'.repeat(70));
 
   const wins = results.filter(r => r.outcome === 'WIN');
   const losses = results.filter(r => r.outcome === 'LOSS');
+  const breakeven = results.filter(r => r.outcome === 'BREAKEVEN');
   const expired = results.filter(r => r.outcome === 'EXPIRED');
 
   const totalR = results.reduce((s, r) => s + (r.pnlR || 0), 0);
@@ -132,11 +192,12 @@ function printResults(results, allSignals, label = '') {
   const avgLoss = losses.length > 0 ? Math.abs(losses.reduce((s, r) => s + r.pnlR, 0) / losses.length).toFixed(2) : 0;
   const profitFactor = avgLoss > 0 ? ((avgWin * wins.length) / (avgLoss * losses.length)).toFixed(2) : '∞';
   const avgDuration = results.length > 0
-    ? Math.round(results.reduce((s, r) => s + (r.candlesHeld * 5), 0) / results.length)
+    ? Math.round(results.reduce((s, r) => s + (r.candlesHeld * timeframeMinutes(TIMEFRAME)), 0) / results.length)
     : 0;
 
   console.log(`\n✅ WINS:    ${wins.length}`);
   console.log(`❌ LOSSES:  ${losses.length}`);
+  console.log(`➖ BREAKEVEN: ${breakeven.length}`);
   console.log(`⏰ EXPIRED: ${expired.length}`);
   console.log(`\n📈 Win Rate:      ${winRate}%`);
   console.log(`💰 Total P&L:     ${totalR > 0 ? '+' : ''}${totalR.toFixed(2)}R`);
@@ -156,6 +217,17 @@ function printResults(results, allSignals, label = '') {
     console.log(`📊 SELL signals: ${sells.length} | Win Rate: ${((sellWins / sells.length) * 100).toFixed(0)}%`);
   }
 
+  // Trade plan: how far signals ran and how the last part was closed
+  if (results.length > 0) {
+    const maxTargets = Math.max(...results.map(r => r.targets?.length || 0));
+    const reached = Array.from({ length: maxTargets }, (_, i) => results.filter(r => r.targetsHit > i).length);
+    const exits = {};
+    for (const r of results) exits[r.exitReason] = (exits[r.exitReason] || 0) + 1;
+    console.log('\n🎯 Trade Plan:');
+    console.log(`  Targets reached: ${reached.map((n, i) => `TP${i + 1} ${n}/${results.length}`).join(' | ')}`);
+    console.log(`  Final exit:      ${Object.entries(exits).map(([k, n]) => `${k} ${n}`).join(' | ')}`);
+  }
+
   console.log('\n📊 Performance by Confidence:');
   const bands = [
     { label: '80%+',   filter: r => r.confidence >= 80 },
@@ -171,114 +243,175 @@ function printResults(results, allSignals, label = '') {
     console.log(`  ${band.label}: ${bSignals.length} signals | ${((bWins / bSignals.length) * 100).toFixed(0)}% WR | ${bR > 0 ? '+' : ''}${bR.toFixed(2)}R`);
   }
 
-  // Macro breakdown
-  const macroBoosted = results.filter(r => r.macroAction === 'BOOSTED');
-  const macroPenalized = results.filter(r => r.macroAction === 'PENALIZED');
-  const macroNeutral = results.filter(r => r.macroAction === 'NEUTRAL');
-  console.log('\n📊 1h Macro Filter Impact:');
-  if (macroBoosted.length) {
-    const bw = macroBoosted.filter(r => r.outcome === 'WIN').length;
-    console.log(`  ✅ Macro Aligned (boosted):   ${macroBoosted.length} signals | ${((bw / macroBoosted.length) * 100).toFixed(0)}% WR`);
+  // Predicted (calibrated) vs realised win rate and R
+  const calibrated = results.filter(r => r.calibration);
+  if (calibrated.length) {
+    const brier = calibrated.reduce((s, r) => s + ((r.calibration.probability / 100) - (r.outcome === 'WIN' ? 1 : 0)) ** 2, 0) / calibrated.length;
+    console.log(`\n🎚️ Calibration (Brier ${brier.toFixed(3)}):`);
+    for (const [lo, hi] of [[0, 40], [40, 50], [50, 60], [60, 101]]) {
+      const cs = calibrated.filter(r => r.calibration.probability >= lo && r.calibration.probability < hi);
+      if (cs.length === 0) continue;
+      const avg = (f) => cs.reduce((s, r) => s + f(r), 0) / cs.length;
+      const label = hi > 100 ? `${lo}%+` : `${lo}-${hi - 1}%`;
+      console.log(`  ${label.padEnd(7)} ${cs.length} signals | predicted ${avg(r => r.calibration.probability).toFixed(0)}% → ${(avg(r => (r.outcome === 'WIN' ? 100 : 0))).toFixed(0)}% WR | E[R] ${avg(r => r.calibration.expectedR).toFixed(2)} → ${avg(r => r.pnlR || 0).toFixed(2)}R`);
+    }
   }
-  if (macroNeutral.length) {
-    const nw = macroNeutral.filter(r => r.outcome === 'WIN').length;
-    console.log(`  ➡️  Macro Neutral:             ${macroNeutral.length} signals | ${((nw / macroNeutral.length) * 100).toFixed(0)}% WR`);
+
+  // Regime / playbook the signal was generated under (RegimeClassifier)
+  const byRegime = {};
+  for (const r of results) {
+    const key = r.context?.regime || 'N/A';
+    if (!byRegime[key]) byRegime[key] = [];
+    byRegime[key].push(r);
   }
-  if (macroPenalized.length) {
-    const pw = macroPenalized.filter(r => r.outcome === 'WIN').length;
-    console.log(`  ⚠️  Macro Counter (penalized): ${macroPenalized.length} signals | ${((pw / macroPenalized.length) * 100).toFixed(0)}% WR`);
+  if (results.length) {
+    console.log('\n📊 Performance by Regime:');
+    for (const [regime, rs] of Object.entries(byRegime)) {
+      const rw = rs.filter(r => r.outcome === 'WIN').length;
+      const rR = rs.reduce((s, r) => s + (r.pnlR || 0), 0);
+      console.log(`  ${regime.padEnd(9)} (${rs[0].context?.playbook || 'n/a'}): ${rs.length} signals | ${((rw / rs.length) * 100).toFixed(0)}% WR | ${rR > 0 ? '+' : ''}${rR.toFixed(2)}R`);
+    }
   }
 
-  // MTF breakdown
-  const mtfBoosted = results.filter(r => r.mtfAction === 'BOOSTED');
-  const mtfPenalized = results.filter(r => r.mtfAction === 'PENALIZED');
-  const mtfNeutral = results.filter(r => r.mtfAction === 'NEUTRAL');
-  if (mtfBoosted.length || mtfPenalized.length) {
-    console.log('\n📊 15min MTF Filter Impact:');
-    if (mtfBoosted.length) {
-      const bw = mtfBoosted.filter(r => r.outcome === 'WIN').length;
-      console.log(`  ✅ MTF Aligned (boosted):   ${mtfBoosted.length} signals | ${((bw / mtfBoosted.length) * 100).toFixed(0)}% WR`);
+  // Per-layer breakdown (highest timeframe first)
+  for (const layer of layers) {
+    const byAction = (action) => results.filter(r => r.layers[layer.id]?.action === action);
+    const boosted = byAction('BOOSTED'), neutral = byAction('NEUTRAL'), penalized = byAction('PENALIZED');
+    if (!boosted.length && !penalized.length && layer !== layers[0]) continue;
+    const wr = (rs) => ((rs.filter(r => r.outcome === 'WIN').length / rs.length) * 100).toFixed(0);
+    console.log(`\n📊 ${layer.label} Filter Impact:`);
+    if (boosted.length) console.log(`  ✅ Aligned (boosted):   ${boosted.length} signals | ${wr(boosted)}% WR`);
+    if (neutral.length) console.log(`  ➡️  Neutral:             ${neutral.length} signals | ${wr(neutral)}% WR`);
+    if (penalized.length) console.log(`  ⚠️  Counter (penalized): ${penalized.length} signals | ${wr(penalized)}% WR`);
+  }
+
+  // Rule breakdown (rules that voted for the traded side, from the trace)
+  const byRule = {};
+  for (const r of results) {
+    for (const id of r.rules || []) {
+      if (!byRule[id]) byRule[id] = [];
+      byRule[id].push(r);
     }
-    if (mtfNeutral.length) {
-      const nw = mtfNeutral.filter(r => r.outcome === 'WIN').length;
-      console.log(`  ➡️  MTF Neutral:             ${mtfNeutral.length} signals | ${((nw / mtfNeutral.length) * 100).toFixed(0)}% WR`);
+  }
+  const ruleRows = Object.entries(byRule).sort((a, b) => b[1].length - a[1].length);
+  if (ruleRows.length) {
+    console.log('\n📊 Performance by Rule:');
+    for (const [id, rs] of ruleRows) {
+      const rw = rs.filter(r => r.outcome === 'WIN').length;
+      const rR = rs.reduce((s, r) => s + (r.pnlR || 0), 0);
+      console.log(`  ${id.padEnd(20)} ${rs.length} signals | ${((rw / rs.length) * 100).toFixed(0)}% WR | ${rR > 0 ? '+' : ''}${rR.toFixed(2)}R`);
     }
-    if (mtfPenalized.length) {
-      const pw = mtfPenalized.filter(r => r.outcome === 'WIN').length;
-      console.log(`  ⚠️  MTF Counter (penalized): ${mtfPenalized.length} signals | ${((pw / mtfPenalized.length) * 100).toFixed(0)}% WR`);
+  }
+
+  // Stop method that placed each stop (a structure mode can fall back to atr)
+  const byStop = {};
+  for (const r of results) {
+    const key = r.stop?.mode || 'atr';
+    if (!byStop[key]) byStop[key] = [];
+    byStop[key].push(r);
+  }
+  if (results.length) {
+    console.log('\n📊 Performance by Stop Method:');
+    for (const [mode, rs] of Object.entries(byStop)) {
+      const rw = rs.filter(r => r.outcome === 'WIN').length;
+      const rR = rs.reduce((s, r) => s + (r.pnlR || 0), 0);
+      const avgAtr = rs.reduce((s, r) => s + (r.stop?.distanceAtr || 0), 0) / rs.length;
+      const clamped = rs.filter(r => r.stop?.clamped).length;
+      console.log(`  ${mode.padEnd(10)} ${rs.length} signals | ${((rw / rs.length) * 100).toFixed(0)}% WR | ${rR > 0 ? '+' : ''}${rR.toFixed(2)}R | avg ${avgAtr.toFixed(2)} ATR${clamped ? ` | ${clamped} clamped` : ''}`);
     }
   }
 
   console.log('\n📋 Last 10 Signals:');
-  console.log('  Time                 | Action | Conf | Macro    | MTF      | Outcome | P&L');
-  console.log('  ---------------------|--------|------|----------|----------|---------|-----');
+  console.log(`  Time                 | Action | Conf | ${layers.map(l => l.id.slice(0, 8).padEnd(8)).join(' | ')} | Outcome | P&L`);
+  console.log(`  ---------------------|--------|------|${layers.map(() => '----------|').join('')}---------|-----`);
   results.slice(-10).forEach(r => {
     const time = new Date(r.timestamp).toISOString().slice(0, 16).replace('T', ' ');
     const outcome = r.outcome.padEnd(7);
     const pnl = r.pnlR >= 0 ? `+${r.pnlR}R` : `${r.pnlR}R`;
-    const macro = (r.macroTrend || 'N/A').padEnd(8);
-    const mtf = (r.mtfTrend || 'N/A').padEnd(8);
-    console.log(`  ${time} | ${r.action.padEnd(6)} | ${r.confidence}% | ${macro} | ${mtf} | ${outcome} | ${pnl}`);
+    const trends = layers.map(l => (r.layers[l.id]?.trend || 'N/A').padEnd(8));
+    console.log(`  ${time} | ${r.action.padEnd(6)} | ${r.confidence}% | ${trends.join(' | ')} | ${outcome} | ${pnl}`);
   });
 
   console.log('\n' + '═'.repeat(70));
   return { winRate: parseFloat(winRate), totalR: parseFloat(totalR.toFixed(2)), wins: wins.length, losses: losses.length, total: results.length };
 }
 
-// ── MAIN ──
-async function runBacktest() {
-  console.log(`\n🔬 BACKTEST ENGINE v3 (MTF 15min + 1h Macro)`);
-  console.log(`Symbol: ${SYMBOL} | Days: ${DAYS} | Min Confidence: ${MIN_CONFIDENCE}%\n`);
+// 'BULL✅' / 'BEAR⚠️' style label for a trend modifier that touched the signal
+function trendLabel(trace, rule) {
+  const impact = modifierImpact(trace, rule);
+  if (impact === 'NEUTRAL') return 'N/A';
+  const trend = findEntry(trace, rule).inputs.trend === 'BULLISH' ? 'BULL' : 'BEAR';
+  return `${trend}${impact === 'BOOSTED' ? '✅' : '⚠️'}`;
+}
 
-  // ── FETCH 5MIN CANDLES ──
-  const outputSize5m = Math.min(DAYS * 290, 5000);
-  let candles5m;
-  try {
-    candles5m = await fetchHistorical(SYMBOL, TIMEFRAME, outputSize5m);
-  } catch (err) {
-    console.error('❌ Failed to fetch 5min data:', err.message);
-    process.exit(1);
+// Same strategy with stop.mode forced for every symbol (--stop-mode)
+function withStopMode(strategy, mode) {
+  if (mode === undefined) return strategy;
+  if (!STOP_MODES.includes(mode)) throw new Error(`--stop-mode must be one of ${STOP_MODES.join(', ')}`);
+  const raw = JSON.parse(JSON.stringify(strategy.toJSON()));
+  raw.params.stop.mode = mode;
+  for (const overrides of Object.values(raw.symbols)) {
+    if (overrides.stop) delete overrides.stop.mode;
   }
+  return new StrategyConfig(raw, `${strategy.source} (--stop-mode ${mode})`);
+}
 
-  // ── FETCH 15MIN CANDLES ──
-  await sleep(2000);
-  const outputSize15m = Math.min(DAYS * 97, 5000);
-  let candles15m = [];
-  try {
-    candles15m = await fetchHistorical(SYMBOL, '15min', outputSize15m);
-    console.log(`✅ 15min candles: ${candles15m.length} loaded for MTF`);
-  } catch (err) {
-    console.warn('⚠️ Failed to fetch 15min data — MTF filter will be NEUTRAL:', err.message);
+// ── MAIN ──
+async function runBacktest() {
+  // Fail before spending API credits on a symbol without a profile
+  const instruments = InstrumentRegistry.load(INSTRUMENTS_FILE);
+  instruments.assertKnown([SYMBOL]);
+
+  const strategy = withStopMode(StrategyConfig.load(STRATEGY_FILE), STOP_MODE);
+  if (VERIFY_INDICATORS && INDICATOR_MODE !== 'stream') throw new Error('--verify-indicators needs --indicators stream');
+  if (!CONFIDENCE_GATES.includes(CONFIDENCE_GATE)) throw new Error(`--gate must be one of ${CONFIDENCE_GATES.join(', ')}`);
+  if (CONFIDENCE_GATE === 'calibrated' && !CALIBRATION_FILE) throw new Error('--gate calibrated needs --calibration <file>');
+  const calibrator = CALIBRATION_FILE ? ConfidenceCalibrator.load(CALIBRATION_FILE) : null;
+  const clock = new ReplayClock();
+  const engine = new SignalEngine({ minConfluence: MIN_CONFLUENCE, backtestMode: true, clock, strategy, instruments, sessionsFile: SESSIONS_FILE, holidaysFile: HOLIDAYS_FILE, indicatorMode: INDICATOR_MODE, calibrator, economicCalendarFile: CALENDAR_FILE });
+  const stack = engine.timeframes;
+  TIMEFRAME = stack.entry;
+  if (TIMEFRAME_ARG && normalizeTimeframe(TIMEFRAME_ARG) !== TIMEFRAME) {
+    throw new Error(`--timeframe ${TIMEFRAME_ARG} does not match the strategy's entry timeframe (${TIMEFRAME}) — edit timeframes.entry in ${STRATEGY_FILE}`);
   }
 
-  // ── FETCH 1H CANDLES ──
-  await sleep(2000);
-  const outputSize1h = Math.min(DAYS * 25, 500);
-  let candles1h = [];
+  console.log(`\n🔬 BACKTEST ENGINE v3 (${stack.describe()})`);
+  console.log(`Symbol: ${SYMBOL} | Days: ${DAYS} | Min Confidence: ${MIN_CONFIDENCE}% (${CONFIDENCE_GATE})\n`);
+
+  // ── FETCH ENTRY CANDLES ──
+  let entryCandles;
   try {
-    candles1h = await fetchHistorical(SYMBOL, '1h', outputSize1h);
-    console.log(`✅ 1h candles: ${candles1h.length} loaded for Macro trend\n`);
+    entryCandles = await fetchHistorical(SYMBOL, TIMEFRAME, outputSizeFor(TIMEFRAME, 5000));
   } catch (err) {
-    console.warn('⚠️ Failed to fetch 1h data — Macro filter will be NEUTRAL:', err.message);
+    console.error(`❌ Failed to fetch ${TIMEFRAME} data:`, err.message);
+    process.exit(1);
   }
 
-  console.log(`📊 Replaying ${candles5m.length} × 5min candles through SignalEngine + Macro + MTF...\n`);
+  // ── FETCH EACH TIMEFRAME LAYER ──
+  const layerCandles = {};
+  for (const layer of stack.layers) {
+    await sleep(2000);
+    layerCandles[layer.id] = [];
+    try {
+      layerCandles[layer.id] = await fetchHistorical(SYMBOL, layer.timeframe, outputSizeFor(layer.timeframe, layer.backtestCandles));
+      console.log(`✅ ${layer.timeframe} candles: ${layerCandles[layer.id].length} loaded for ${layer.label}`);
+    } catch (err) {
+      console.warn(`⚠️ Failed to fetch ${layer.timeframe} data — ${layer.label} filter will be NEUTRAL:`, err.message);
+    }
+  }
 
-  const engine = new SignalEngine({ minConfluence: MIN_CONFLUENCE, backtestMode: true });
+  console.log(`\n📊 Replaying ${entryCandles.length} × ${TIMEFRAME} candles through SignalEngine + ${stack.layers.map(l => l.label).join(' + ')}...\n`);
+  console.log(`🧪 Strategy: v${strategy.version} ${strategy.name} (${STRATEGY_FILE})`);
+  console.log(`📐 Indicators: ${INDICATOR_MODE}${VERIFY_INDICATORS ? ` (verifying every ${VERIFY_EVERY} candles)` : ''}`);
   const warmupCandles = 110;
 
   // ── PRE-LOAD INITIAL CANDLES UP TO WARMUP POINT ──
-  const warmupTime = candles5m[warmupCandles]?.timestamp || 0;
-
-  if (candles15m.length > 0) {
-    const initial15m = candles15m.filter(c => c.timestamp <= warmupTime);
-    if (initial15m.length > 0) engine.loadMTFCandles(SYMBOL, initial15m);
-  }
+  const warmupTime = entryCandles[warmupCandles]?.timestamp || 0;
 
-  // 1h macro: load all candles up to warmup time (no lookahead)
-  if (candles1h.length > 0) {
-    const initial1h = candles1h.filter(c => c.timestamp <= warmupTime);
-    if (initial1h.length > 0) engine.loadMacroCandles(SYMBOL, initial1h);
+  // Each layer: load all candles up to warmup time (no lookahead)
+  for (const layer of stack.layers) {
+    const initial = layerCandles[layer.id].filter(c => c.timestamp <= warmupTime);
+    if (initial.length > 0) engine.loadLayerCandles(layer.id, SYMBOL, initial);
   }
 
   let lastSignalTime = 0;
@@ -288,50 +421,112 @@ async function runBacktest() {
   const maxSameDirectionIn3h = 2;
 
   const results = [];
-  const allSignals = { totalCandles: 0, totalSignals: 0 };
+  const allSignals = { totalCandles: 0, totalSignals: 0, limit: { placed: 0, filled: 0, unfilled: {} } };
+  // Limit entries waiting for their pullback: { signal, state, timestamp, layers }
+  let pendingOrders = [];
+  const unfilled = (reason) => { allSignals.limit.unfilled[reason] = (allSignals.limit.unfilled[reason] || 0) + 1; };
+  const record = (signal, timestamp, outcome, layers, entry = {}) => results.push({
+    timestamp,
+    symbol: SYMBOL,
+    action: signal.action,
+    entryType: signal.entryType,
+    entryPrice: signal.price,
+    ...entry,
+    stopLoss: signal.stopLoss,
+    takeProfit: signal.takeProfit,
+    riskReward: signal.riskReward,
+    stop: signal.stop,
+    targets: signal.plan.targets,
+    confidence: signal.confidence,
+    calibration: signal.calibration,
+    confluenceCount: signal.confluenceCount,
+    strategyVersion: signal.strategyVersion,
+    reasons: signal.reasons,
+    rules: countedRules(signal.trace),
+    trace: signal.trace,
+    context: signal.context,
+    outcome: outcome.outcome,
+    exitPrice: outcome.exitPrice,
+    candlesHeld: outcome.candlesHeld,
+    exitReason: outcome.exitReason,
+    targetsHit: outcome.targetsHit,
+    fills: outcome.fills,
+    pnlR: outcome.pnlR,
+    layers
+  });
   let processed = 0;
+  // Trades still open at the current candle (exit known from the simulation,
+  // only "is it open now" is used) — pending limits are superseded by a new signal
+  const barMs = timeframeMinutes(TIMEFRAME) * 60000;
+  engine.exposureSource = () => results.filter(r => (r.filledAt ?? r.timestamp) + r.candlesHeld * barMs > clock.now());
 
   const blockReasons = {};
   let holdCount = 0;
-  let last15mIndex = 0;
-  let last1hIndex = 0;
+  // Next candle to feed per layer (everything before it is already loaded)
+  const layerIndex = Object.fromEntries(stack.layers.map(l => [l.id, layerCandles[l.id].filter(c => c.timestamp <= warmupTime).length]));
+  const indicatorChecks = { total: 0, mismatched: 0, examples: [] };
 
-  for (let i = 0; i < candles5m.length; i++) {
-    const candle = candles5m[i];
+  for (let i = 0; i < entryCandles.length; i++) {
+    const candle = entryCandles[i];
 
-    engine.currentCandleTime = candle.timestamp;
+    clock.set(candle.timestamp);
     engine.addCandle(candle);
     allSignals.totalCandles++;
 
-    // ── Feed 15min candles up to current time (no lookahead) ──
-    while (last15mIndex < candles15m.length && candles15m[last15mIndex].timestamp <= candle.timestamp) {
-      engine.addMTFCandle(candles15m[last15mIndex]);
-      last15mIndex++;
-    }
-
-    // ── Feed 1h candles up to current time (no lookahead) ──
-    while (last1hIndex < candles1h.length && candles1h[last1hIndex].timestamp <= candle.timestamp) {
-      engine.addMacroCandle(candles1h[last1hIndex]);
-      last1hIndex++;
+    // ── Feed layer candles up to current time (no lookahead) ──
+    for (const layer of stack.layers) {
+      const lc = layerCandles[layer.id];
+      while (layerIndex[layer.id] < lc.length && lc[layerIndex[layer.id]].timestamp <= candle.timestamp) {
+        engine.addLayerCandle(layer.id, lc[layerIndex[layer.id]]);
+        layerIndex[layer.id]++;
+      }
     }
 
     if (i < warmupCandles) continue;
 
+    // ── Pending limit entries: fill / cancel on this candle ──
+    pendingOrders = pendingOrders.filter(p => {
+      const ev = stepPendingEntry(p.signal.pending, p.state, candle);
+      if (!ev) return true;
+      if (ev.type === 'filled') {
+        allSignals.limit.filled++;
+        record(p.signal, p.timestamp, simulateOutcome(p.signal, entryCandles, i, true), p.layers, { filledAt: candle.timestamp, barsToFill: p.state.bars });
+      } else {
+        unfilled(ev.reason);
+      }
+      return false;
+    });
+
+    if (VERIFY_INDICATORS && i % VERIFY_EVERY === 0) {
+      // What batch mode computes at this candle: the store window, not the full history
+      const window = engine.candleStore.get(SYMBOL);
+      const closes = window.map(c => c.close), highs = window.map(c => c.high), lows = window.map(c => c.low);
+      const expected = engine.calcIndicators(closes, highs, lows, window.map(c => c.open), window);
+      const diffs = diffIndicators(expected, engine.indicatorStreams.get(SYMBOL).snapshot(closes, highs, lows));
+      indicatorChecks.total++;
+      if (diffs.length > 0) {
+        indicatorChecks.mismatched++;
+        if (indicatorChecks.examples.length < 5) indicatorChecks.examples.push({ candle: i, diffs: diffs.slice(0, 5) });
+      }
+    }
+
     const signal = engine.analyze(SYMBOL);
     if (!signal) continue;
 
-    if (signal.action === 'HOLD' && signal.warnings?.length > 0) {
-      holdCount++;
-      for (const w of signal.warnings) {
-        const key = w.replace(/[\d.]+/g, 'N').substring(0, 65);
-        blockReasons[key] = (blockReasons[key] || 0) + 1;
+    if (signal.action === 'HOLD') {
+      const blockers = blockingEntries(signal.trace);
+      if (blockers.length > 0) holdCount++;
+      for (const b of blockers) {
+        const key = b.category === 'conflict' ? `${b.rule} (${b.effect.blocked})` : b.rule;
+        if (!blockReasons[key]) blockReasons[key] = { count: 0, example: b.text };
+        blockReasons[key].count++;
       }
     }
 
     if (signal.action !== 'HOLD') {
       allSignals.totalSignals++;
 
-      if (signal.confidence >= MIN_CONFIDENCE) {
+      if (gateValue(signal, CONFIDENCE_GATE) >= MIN_CONFIDENCE) {
         const timeDiff = candle.timestamp - lastSignalTime;
         if (timeDiff < cooldownMs) continue;
 
@@ -341,99 +536,66 @@ async function runBacktest() {
         );
         if (recentSameDir.length >= maxSameDirectionIn3h) continue;
 
-        // ── Determine Macro action for logging ──
-        let macroAction = 'NEUTRAL';
-        let macroTrend = 'N/A';
-        const macroReason = signal.reasons?.find(r => r.includes('1h macro aligned'));
-        const macroWarning = signal.warnings?.find(w => w.includes('1h macro'));
-        if (macroReason) {
-          macroAction = 'BOOSTED';
-          macroTrend = macroReason.includes('bullish') ? 'BULL✅' : 'BEAR✅';
-        } else if (macroWarning) {
-          macroAction = 'PENALIZED';
-          macroTrend = macroWarning.includes('bullish') ? 'BULL⚠️' : 'BEAR⚠️';
-        }
-
-        // ── Determine MTF action for logging ──
-        let mtfAction = 'NEUTRAL';
-        let mtfTrend = 'N/A';
-        const mtfReason = signal.reasons?.find(r => r.includes('15min MTF'));
-        const mtfWarning = signal.warnings?.find(w => w.includes('15min MTF'));
-        if (mtfReason) {
-          mtfAction = 'BOOSTED';
-          mtfTrend = mtfReason.includes('bullish') ? 'BULL✅' : 'BEAR✅';
-        } else if (mtfWarning) {
-          mtfAction = 'PENALIZED';
-          mtfTrend = mtfWarning.includes('bullish') ? 'BULL⚠️' : 'BEAR⚠️';
-        }
-
-        const outcome = simulateOutcome(signal, candles5m, i);
-        if (outcome) {
-          const risk = Math.abs(signal.price - signal.stopLoss);
-          const pnlR = outcome.outcome === 'WIN'
-            ? parseFloat((Math.abs(outcome.exitPrice - signal.price) / risk).toFixed(2))
-            : outcome.outcome === 'LOSS'
-            ? parseFloat((-Math.abs(outcome.exitPrice - signal.price) / risk).toFixed(2))
-            : (outcome.pnlR || 0);
-
-          results.push({
-            timestamp: candle.timestamp,
-            symbol: SYMBOL,
-            action: signal.action,
-            entryPrice: signal.price,
-            stopLoss: signal.stopLoss,
-            takeProfit: signal.takeProfit,
-            riskReward: signal.riskReward,
-            confidence: signal.confidence,
-            confluenceCount: signal.confluenceCount,
-            reasons: signal.reasons,
-            context: signal.context,
-            outcome: outcome.outcome,
-            exitPrice: outcome.exitPrice,
-            candlesHeld: outcome.candlesHeld,
-            pnlR,
-            macroAction,
-            macroTrend,
-            mtfAction,
-            mtfTrend
-          });
-
-          recentSignals.push({ action: signal.action, timestamp: candle.timestamp });
-          lastSignalTime = candle.timestamp;
+        // ── Per-layer impact for logging (from the decision trace) ──
+        const layers = Object.fromEntries(stack.layers.map(l => [l.id, {
+          action: modifierImpact(signal.trace, `${l.id}_trend`),
+          trend: trendLabel(signal.trace, `${l.id}_trend`)
+        }]));
+
+        // A newer signal replaces limit entries still waiting for their pullback
+        for (const p of pendingOrders) unfilled(cancelPendingEntry(p.state, 'superseded', candle.timestamp).reason);
+        pendingOrders = [];
+
+        if (signal.pending) {
+          allSignals.limit.placed++;
+          pendingOrders.push({ signal, state: createPendingState(signal.pending), timestamp: candle.timestamp, layers });
+        } else {
+          record(signal, candle.timestamp, simulateOutcome(signal, entryCandles, i), layers);
         }
+        recentSignals.push({ action: signal.action, timestamp: candle.timestamp });
+        lastSignalTime = candle.timestamp;
       }
     }
 
     processed++;
     if (processed % 500 === 0) {
-      const pct = ((i / candles5m.length) * 100).toFixed(0);
-      process.stdout.write(`\r   Progress: ${pct}% | Signals: ${results.length} | 15m: ${last15mIndex} | 1h: ${last1hIndex}`);
+      const pct = ((i / entryCandles.length) * 100).toFixed(0);
+      process.stdout.write(`\r   Progress: ${pct}% | Signals: ${results.length} | ${stack.layers.map(l => `${l.timeframe}: ${layerIndex[l.id]}`).join(' | ')}`);
     }
   }
 
   process.stdout.write('\n');
+  for (const p of pendingOrders) unfilled(cancelPendingEntry(p.state, 'end_of_data').reason);
 
   // ── WHY SIGNALS WERE BLOCKED ──
   console.log(`\n🔍 WHY SIGNALS WERE BLOCKED (${holdCount} HOLDs with warnings):`);
-  const sorted = Object.entries(blockReasons).sort((a, b) => b[1] - a[1]).slice(0, 15);
-  sorted.forEach(([reason, count]) => {
-    const isMacro = reason.includes('macro') || reason.includes('1h');
-    const isMTF = reason.includes('MTF') || reason.includes('15min');
-    const icon = isMacro ? ' 🏔️' : isMTF ? ' 📈' : '  ';
-    console.log(`  ${count}x${icon} — ${reason}`);
+  const sorted = Object.entries(blockReasons).sort((a, b) => b[1].count - a[1].count).slice(0, 15);
+  sorted.forEach(([rule, { count, example }]) => {
+    const layerAt = stack.layers.findIndex(l => `${l.id}_trend` === rule);
+    const icon = layerAt === 0 ? ' 🏔️' : layerAt > 0 ? ' 📈' : '  ';
+    console.log(`  ${count}x${icon} — ${rule}: ${(example || '').substring(0, 65)}`);
   });
 
+  // ── STREAMING INDICATOR CHECK ──
+  if (VERIFY_INDICATORS) {
+    const { total, mismatched, examples } = indicatorChecks;
+    console.log(`\n📐 Indicator check: ${total - mismatched}/${total} snapshots identical to the batch window`);
+    for (const ex of examples) console.log(`  ❌ candle ${ex.candle}: ${ex.diffs.join(', ')}`);
+  }
+
   // Save results
   fs.mkdirSync('./data', { recursive: true });
   fs.writeFileSync(OUTPUT_FILE, JSON.stringify({
-    config: { SYMBOL, DAYS, MIN_CONFIDENCE, TIMEFRAME, mtfEnabled: candles15m.length > 0, macroEnabled: candles1h.length > 0 },
+    config: { SYMBOL, DAYS, MIN_CONFIDENCE, CONFIDENCE_GATE, calibrationFile: CALIBRATION_FILE || null, TIMEFRAME, strategyVersion: strategy.version, strategyFile: STRATEGY_FILE, stopMode: STOP_MODE || strategy.params.stop.mode, indicatorMode: INDICATOR_MODE, timeframes: stack.describe(), layersEnabled: Object.fromEntries(stack.layers.map(l => [l.id, layerCandles[l.id].length > 0])) },
     allSignals,
+    blockReasons,
+    ...(VERIFY_INDICATORS && { indicatorChecks }),
     results
   }, null, 2));
   console.log(`\n💾 Results saved to: ${OUTPUT_FILE}`);
 
-  const label = `(MTF: ${candles15m.length > 0 ? '✅' : '❌'} | Macro 1h: ${candles1h.length > 0 ? '✅' : '❌'})`;
-  printResults(results, allSignals, label);
+  const label = `(${stack.layers.map(l => `${l.label}: ${layerCandles[l.id].length > 0 ? '✅' : '❌'}`).join(' | ')})`;
+  printResults(results, allSignals, stack.layers, label);
 }
 
 runBacktest().catch(err => {
@@ -0,0 +1,87 @@
+// ═══════════════════════════════════════════════════════════════════
+// CALIBRATE.JS — fits confidence → win probability from past outcomes
+//
+// Usage:
+//   node src/calibrate.js
+//   node src/calibrate.js --inputs ./data/signals.json,./data/backtest_EURUSD_90d.json
+//   node src/calibrate.js --method binning --bin 10
+//   node src/calibrate.js --min-samples 30 --prior 15 --output ./data/calibration.json
+//
+// Default inputs: the tracker's data/signals.json plus every
+// data/backtest_*.json. Only scored outcomes (WIN / LOSS / BREAKEVEN)
+// count; the same signal in two files is used once. Writes the model
+// the engine loads at startup (see ConfidenceCalibration) and prints a
+// reliability table: raw confidence step → realised win rate and R.
+// ═══════════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+import { ConfidenceCalibrator, readOutcomes, dedupeSamples, DEFAULT_CALIBRATION_FILE } from './engine/ConfidenceCalibration.js';
+
+// ── CLI ARGS ──
+const args = process.argv.slice(2);
+const getArg = (name, def) => {
+  const idx = args.indexOf(`--${name}`);
+  return idx !== -1 ? args[idx + 1] : def;
+};
+
+const METHOD = getArg('method', 'isotonic');
+const BIN_WIDTH = parseInt(getArg('bin', '10'));
+const MIN_SAMPLES = parseInt(getArg('min-samples', '20'));
+const PRIOR_WEIGHT = parseFloat(getArg('prior', '10'));
+const OUTPUT_FILE = getArg('output', DEFAULT_CALIBRATION_FILE);
+
+function defaultInputs() {
+  const files = [];
+  if (fs.existsSync('./data/signals.json')) files.push('./data/signals.json');
+  if (fs.existsSync('./data')) {
+    for (const f of fs.readdirSync('./data').sort()) {
+      if (/^backtest_.*\.json$/.test(f)) files.push(path.join('./data', f));
+    }
+  }
+  return files;
+}
+
+function main() {
+  const inputs = getArg('inputs', null)?.split(',').map(s => s.trim()).filter(Boolean) || defaultInputs();
+  if (inputs.length === 0) throw new Error('No inputs — pass --inputs or run the agent / a backtest first');
+
+  const sources = [];
+  let samples = [];
+  for (const file of inputs) {
+    const rows = readOutcomes(file);
+    sources.push({ file, samples: rows.length });
+    samples.push(...rows);
+    console.log(`📂 ${file}: ${rows.length} scored outcomes`);
+  }
+  const before = samples.length;
+  samples = dedupeSamples(samples);
+  if (samples.length < before) console.log(`🔁 ${before - samples.length} duplicate outcomes dropped`);
+
+  const calibrator = ConfidenceCalibrator.fit(samples, { method: METHOD, binWidth: BIN_WIDTH, minSamples: MIN_SAMPLES, priorWeight: PRIOR_WEIGHT, sources });
+  const { groups } = calibrator.model;
+
+  console.log('\n' + '═'.repeat(70));
+  console.log(`🎚️ CONFIDENCE CALIBRATION — ${METHOD}${METHOD === 'binning' ? ` (${BIN_WIDTH}%)` : ''} | ${samples.length} outcomes`);
+  console.log('═'.repeat(70));
+  for (const [key, g] of Object.entries(groups)) {
+    console.log(`\n📊 ${key === '*' ? 'All signals' : key}: ${g.n} outcomes | ${(g.winRate * 100).toFixed(1)}% WR | ${g.avgR > 0 ? '+' : ''}${g.avgR.toFixed(2)}R avg`);
+    for (const s of g.steps) {
+      const range = s.from === s.to ? `${s.from}%` : `${s.from}-${s.to}%`;
+      console.log(`  ${range.padEnd(9)} ${String(s.n).padStart(4)} signals | ${((s.wins / s.n) * 100).toFixed(0).padStart(3)}% WR | ${s.sumR / s.n > 0 ? '+' : ''}${(s.sumR / s.n).toFixed(2)}R`);
+    }
+  }
+  const skipped = [...new Set(samples.flatMap(s => [s.symbol, `${s.symbol} ${s.action}`]))].filter(k => !groups[k]);
+  if (skipped.length) console.log(`\n⚠️ Under ${MIN_SAMPLES} outcomes, using the parent fit: ${skipped.join(', ')}`);
+
+  fs.mkdirSync(path.dirname(path.resolve(OUTPUT_FILE)), { recursive: true });
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(calibrator.model, null, 2));
+  console.log(`\n💾 Calibration saved to: ${OUTPUT_FILE}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('Calibration failed:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,96 @@
+// ═══════════════════════════════════════════════════════════════════
+// CANDLE PATTERNS — price-action setups on the last 1–3 candles
+//
+//   engulfing        body engulfs the previous opposite-colour body
+//   pin bar          hammer / shooting star: long nose wick, small body
+//                    closing away from it
+//   inside breakout  inside bar, then a close beyond the mother bar
+//   star             morning / evening star: big body, small middle
+//                    candle, close past the middle of the first body
+//   doji at level    indecision candle — only counts at an S/R level
+//
+// detectCandlePatterns() only looks at shape (+ a minimum range in ATR so
+// noise candles don't count). levelFor() tells whether a pattern formed
+// at an SRDetector level: a BUY pattern's low in or near a support zone,
+// a SELL pattern's high in or near a resistance zone. The candle_pattern event rule turns
+// both into weak/strong events — an optional rule, off until rules.enabled lists it.
+// ═══════════════════════════════════════════════════════════════════
+
+import { levelZone } from './SRDetector.js';
+
+const range = (c) => c.high - c.low;
+const body = (c) => Math.abs(c.close - c.open);
+const bullish = (c) => c.close > c.open;
+const bearish = (c) => c.close < c.open;
+
+// → [{ key, side, name, low, high }] — key matches the params.patterns weight
+export function detectCandlePatterns(candles, atr, p) {
+  if (!candles || candles.length < 3 || !(atr > 0)) return [];
+  const [pp, prev, c] = candles.slice(-3);
+  const minRange = p.minRangeAtr * atr;
+  const hits = [];
+  const hit = (key, side, name, bars) => hits.push({
+    key, side, name,
+    low: Math.min(...bars.map(b => b.low)),
+    high: Math.max(...bars.map(b => b.high))
+  });
+
+  // ── Engulfing ──
+  if (range(c) >= minRange && body(c) > body(prev)) {
+    if (bearish(prev) && bullish(c) && c.open <= prev.close && c.close >= prev.open)
+      hit('engulfing', 'BUY', 'Bullish engulfing', [prev, c]);
+    if (bullish(prev) && bearish(c) && c.open >= prev.close && c.close <= prev.open)
+      hit('engulfing', 'SELL', 'Bearish engulfing', [prev, c]);
+  }
+
+  // ── Pin bar (hammer / shooting star) ──
+  if (range(c) >= minRange && body(c) <= (p.pinBodyPct / 100) * range(c)) {
+    const lowerWick = Math.min(c.open, c.close) - c.low;
+    const upperWick = c.high - Math.max(c.open, c.close);
+    if (lowerWick >= (p.pinWickPct / 100) * range(c)) hit('pinBar', 'BUY', 'Hammer / bullish pin bar', [c]);
+    else if (upperWick >= (p.pinWickPct / 100) * range(c)) hit('pinBar', 'SELL', 'Shooting star / bearish pin bar', [c]);
+  }
+
+  // ── Inside bar breakout (pp = mother bar) ──
+  if (prev.high <= pp.high && prev.low >= pp.low && range(pp) >= minRange) {
+    if (c.close > pp.high) hit('insideBreakout', 'BUY', 'Inside bar breakout up', [pp, prev, c]);
+    else if (c.close < pp.low) hit('insideBreakout', 'SELL', 'Inside bar breakdown', [pp, prev, c]);
+  }
+
+  // ── Morning / evening star ──
+  const bigFirst = range(pp) >= minRange && body(pp) >= 0.5 * range(pp);
+  const smallMiddle = body(prev) <= (p.starBodyPct / 100) * body(pp);
+  if (bigFirst && smallMiddle) {
+    const mid = (pp.open + pp.close) / 2;
+    if (bearish(pp) && bullish(c) && c.close > mid) hit('star', 'BUY', 'Morning star', [pp, prev, c]);
+    if (bullish(pp) && bearish(c) && c.close < mid) hit('star', 'SELL', 'Evening star', [pp, prev, c]);
+  }
+
+  // ── Doji (side decided by the level it forms at) ──
+  if (range(c) >= minRange && body(c) <= (p.dojiBodyPct / 100) * range(c)) {
+    hit('dojiAtLevel', 'BUY', 'Doji at support', [c]);
+    hit('dojiAtLevel', 'SELL', 'Doji at resistance', [c]);
+  }
+
+  return hits;
+}
+
+// The S/R level a pattern formed at, or null
+export function levelFor(hit, sr, atr, p) {
+  if (!sr) return null;
+  const buy = hit.side === 'BUY';
+  const extreme = buy ? hit.low : hit.high;
+  const levels = [
+    ...((buy ? sr.supports : sr.resistances) || []),
+    { price: buy ? sr.support : sr.resistance, strength: null }
+  ].filter(l => l.price > 0 && (l.strength === null || l.strength >= p.levelStrength));
+
+  let best = null;
+  for (const l of levels) {
+    // Distance to the zone (0 when the wick ended inside it)
+    const { low, high } = levelZone(l);
+    const dist = Math.max(0, low - extreme, extreme - high);
+    if (dist <= p.levelAtr * atr && (!best || dist < best.dist)) best = { price: l.price, strength: l.strength, dist };
+  }
+  return best;
+}
@@ -0,0 +1,94 @@
+// ═══════════════════════════════════════════════════════════════════
+// CLOCK — where "now" comes from
+//
+// Anything that reads the time or schedules work takes a clock instead of
+// calling Date.now() / setTimeout itself:
+//   SignalEngine        session and news windows, signal timestamps
+//   WinRateTracker      fills, closes, the 4h expiry
+//   TradingAgent        cooldowns, intrabar alerts, the daily report
+//   MarketDataService   the daily API credit reset
+//
+//   systemClock   wall time and real timers (the live agent)
+//   ReplayClock   time only moves when set() / advance() is called, and
+//                 timers due on the way fire in due order. The backtest
+//                 sets it to each candle's time; src/replay.js to the time
+//                 each recorded feed event reached the live agent, so the
+//                 replay sees the same "now" the live run did.
+//   EventClock    wraps either and holds "now" still while the agent
+//                 handles one feed event — a read after an await (a
+//                 notification round-trip) still sees the event's time
+// ═══════════════════════════════════════════════════════════════════
+
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id)
+};
+
+export class ReplayClock {
+  constructor(start = 0) {
+    this.time = start;
+    this.timers = [];   // { id, at, fn }
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  // Move to `time`, firing timers due by then; time never runs backwards
+  set(time) {
+    if (!(time > this.time)) return;
+    for (;;) {
+      const due = this.timers.filter(t => t.at <= time).sort((a, b) => a.at - b.at || a.id - b.id)[0];
+      if (!due) break;
+      this.timers = this.timers.filter(t => t !== due);
+      this.time = Math.max(this.time, due.at);
+      due.fn();
+    }
+    this.time = time;
+  }
+
+  advance(ms) {
+    this.set(this.time + ms);
+  }
+
+  setTimeout(fn, ms) {
+    const id = this.nextId++;
+    this.timers.push({ id, at: this.time + Math.max(0, ms || 0), fn });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers = this.timers.filter(t => t.id !== id);
+  }
+}
+
+export class EventClock {
+  constructor(base = systemClock) {
+    this.base = base;
+    this.frozen = null;
+  }
+
+  now() {
+    return this.frozen ?? this.base.now();
+  }
+
+  // fn(now) runs with the time held at its start; one at a time (the agent's queue)
+  async run(fn) {
+    this.frozen = this.base.now();
+    try {
+      return await fn(this.frozen);
+    } finally {
+      this.frozen = null;
+    }
+  }
+
+  setTimeout(fn, ms) {
+    return this.base.setTimeout(fn, ms);
+  }
+
+  clearTimeout(id) {
+    this.base.clearTimeout(id);
+  }
+}
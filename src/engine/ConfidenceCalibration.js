@@ -0,0 +1,202 @@
+// ═══════════════════════════════════════════════════════════════════
+// CONFIDENCE CALIBRATION — raw confidence → realised win probability
+//
+// The engine's confidence is a heuristic score. This module maps it to
+// what actually happened to past signals, per symbol and direction:
+//
+//   samples   scored outcomes from data/signals.json (WinRateTracker) and
+//             backtest result files — WIN counts as a win, LOSS and
+//             BREAKEVEN don't; pnlR feeds expected R
+//   fit       isotonic regression (pool adjacent violators: win rate can
+//             only rise with confidence) or plain fixed-width bins
+//   groups    '*' (everything) → 'EUR/USD' → 'EUR/USD BUY'; a group is only
+//             fitted with minSamples outcomes, and at lookup its steps are
+//             shrunk towards the parent's estimate with priorWeight pseudo-
+//             samples, so a thin group can't swing far on a few trades
+//
+// Fitting runs offline (src/calibrate.js → data/calibration.json). The
+// engine loads the file if present and puts { probability, expectedR }
+// on every signal; MIN_CONFIDENCE can gate on it (CONFIDENCE_GATE).
+// ═══════════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_CALIBRATION_FILE = './data/calibration.json';
+export const CALIBRATION_METHODS = ['isotonic', 'binning'];
+export const CONFIDENCE_GATES = ['raw', 'calibrated'];
+
+const SCORED = ['WIN', 'LOSS', 'BREAKEVEN'];
+const GLOBAL = '*';
+const round = (v, dp) => parseFloat(v.toFixed(dp));
+
+// ── SAMPLES ──
+
+// Tracker entry (status) or backtest result (outcome) → sample, or null if unscored
+export function outcomeSample(rec) {
+  const status = rec?.status || rec?.outcome;
+  if (!SCORED.includes(status)) return null;
+  if (!rec.symbol || !['BUY', 'SELL'].includes(rec.action) || !Number.isFinite(rec.confidence)) return null;
+  return {
+    symbol: rec.symbol,
+    action: rec.action,
+    confidence: rec.confidence,
+    win: status === 'WIN' ? 1 : 0,
+    pnlR: Number.isFinite(rec.pnlR) ? rec.pnlR : 0,
+    timestamp: rec.timestamp ?? null
+  };
+}
+
+// A tracker file (array) or a backtest output ({ results }) → samples
+export function readOutcomes(file) {
+  const fullPath = path.resolve(file);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read outcomes file ${fullPath}: ${err.message}`);
+  }
+  const records = Array.isArray(raw) ? raw : raw?.results;
+  if (!Array.isArray(records)) throw new Error(`${fullPath}: expected a signal array or a backtest file with results[]`);
+  return records.map(outcomeSample).filter(Boolean);
+}
+
+// Same signal seen in two files (symbol + side + time) counts once
+export function dedupeSamples(samples) {
+  const seen = new Set();
+  return samples.filter(s => {
+    if (s.timestamp === null) return true;
+    const key = `${s.symbol}|${s.action}|${s.timestamp}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// ── FITS: samples → [{ from, to, n, wins, sumR }] steps by confidence ──
+
+// Pool adjacent violators: merge neighbouring blocks until win rate strictly rises
+export function isotonicSteps(samples) {
+  const byConf = new Map();
+  for (const s of samples) {
+    const b = byConf.get(s.confidence) || { from: s.confidence, to: s.confidence, n: 0, wins: 0, sumR: 0 };
+    b.n++; b.wins += s.win; b.sumR += s.pnlR;
+    byConf.set(s.confidence, b);
+  }
+  const blocks = [];
+  for (const b of [...byConf.values()].sort((a, b) => a.from - b.from)) {
+    blocks.push(b);
+    while (blocks.length > 1) {
+      const [prev, cur] = blocks.slice(-2);
+      if (prev.wins / prev.n < cur.wins / cur.n) break;
+      blocks.splice(-2, 2, { from: prev.from, to: cur.to, n: prev.n + cur.n, wins: prev.wins + cur.wins, sumR: prev.sumR + cur.sumR });
+    }
+  }
+  return blocks;
+}
+
+// Confidence is a whole percentage, so bin [60, 69] with width 10
+export function binSteps(samples, width) {
+  const bins = new Map();
+  for (const s of samples) {
+    const from = Math.floor(s.confidence / width) * width;
+    const b = bins.get(from) || { from, to: from + width - 1, n: 0, wins: 0, sumR: 0 };
+    b.n++; b.wins += s.win; b.sumR += s.pnlR;
+    bins.set(from, b);
+  }
+  return [...bins.values()].sort((a, b) => a.from - b.from);
+}
+
+export class ConfidenceCalibrator {
+  constructor(model, source = 'inline') {
+    const errors = ConfidenceCalibrator.validate(model);
+    if (errors.length > 0) {
+      throw new Error(`Invalid calibration (${source}):\n  - ${errors.join('\n  - ')}`);
+    }
+    this.source = source;
+    this.model = model;
+  }
+
+  // ── LOAD FROM DISK (optional: a missing file → null, no calibration) ──
+  static load(file = DEFAULT_CALIBRATION_FILE, { optional = false } = {}) {
+    const fullPath = path.resolve(file);
+    if (optional && !fs.existsSync(fullPath)) return null;
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Could not read calibration file ${fullPath}: ${err.message}`);
+    }
+    return new ConfidenceCalibrator(raw, fullPath);
+  }
+
+  static validate(model) {
+    const errors = [];
+    if (!model || typeof model !== 'object' || Array.isArray(model)) return ['calibration must be a JSON object'];
+    if (!CALIBRATION_METHODS.includes(model.method)) errors.push(`method: must be one of ${CALIBRATION_METHODS.join(', ')}`);
+    if (!(model.priorWeight >= 0)) errors.push('priorWeight: must be a number ≥ 0');
+    if (!model.groups?.[GLOBAL]) errors.push(`groups.${GLOBAL}: required (fit on every sample)`);
+    for (const [key, g] of Object.entries(model.groups || {})) {
+      if (!Array.isArray(g.steps) || g.steps.length === 0) errors.push(`groups.${key}.steps: must be a non-empty array`);
+      else if (!g.steps.every(s => Number.isFinite(s.from) && Number.isFinite(s.to) && s.n > 0 && s.wins >= 0 && Number.isFinite(s.sumR))) {
+        errors.push(`groups.${key}.steps: every step needs from, to, n > 0, wins, sumR`);
+      }
+    }
+    return errors;
+  }
+
+  // ── FIT: samples → calibrator ──
+  static fit(samples, { method = 'isotonic', binWidth = 10, minSamples = 20, priorWeight = 10, sources = [] } = {}) {
+    if (!CALIBRATION_METHODS.includes(method)) throw new Error(`Unknown calibration method: ${method}`);
+    if (samples.length === 0) throw new Error('No scored outcomes to calibrate on');
+
+    const stepsFor = (rows) => (method === 'isotonic' ? isotonicSteps(rows) : binSteps(rows, binWidth));
+    const groupOf = (rows) => ({
+      n: rows.length,
+      winRate: round(rows.reduce((s, r) => s + r.win, 0) / rows.length, 4),
+      avgR: round(rows.reduce((s, r) => s + r.pnlR, 0) / rows.length, 4),
+      steps: stepsFor(rows).map(s => ({ ...s, sumR: round(s.sumR, 4) }))
+    });
+
+    const groups = { [GLOBAL]: groupOf(samples) };
+    const keys = new Set(samples.flatMap(s => [s.symbol, `${s.symbol} ${s.action}`]));
+    for (const key of [...keys].sort()) {
+      const rows = samples.filter(s => s.symbol === key || `${s.symbol} ${s.action}` === key);
+      if (rows.length >= minSamples) groups[key] = groupOf(rows);
+    }
+
+    return new ConfidenceCalibrator({
+      version: 1, method, binWidth, minSamples, priorWeight,
+      fittedAt: new Date().toISOString(), samples: samples.length, sources, groups
+    });
+  }
+
+  // ── LOOKUP → { probability %, expectedR, group, samples } ──
+  calibrate(symbol, action, confidence) {
+    const chain = [GLOBAL, symbol, `${symbol} ${action}`].filter(k => this.model.groups[k]);
+    const k = this.model.priorWeight;
+    let p = null, r = null, group = null;
+    for (const key of chain) {
+      const g = this.model.groups[key];
+      const step = g.steps.find(s => confidence <= s.to) || g.steps[g.steps.length - 1];
+      // The global fit shrinks towards its own overall rate; groups towards their parent
+      const priorP = p ?? g.winRate, priorR = r ?? g.avgR;
+      p = (step.wins + k * priorP) / (step.n + k);
+      r = (step.sumR + k * priorR) / (step.n + k);
+      group = { key, samples: g.n, step: { from: step.from, to: step.to, n: step.n } };
+    }
+    return { probability: round(p * 100, 1), expectedR: round(r, 2), group: group.key, samples: group.samples, step: group.step };
+  }
+
+  summary() {
+    const { method, fittedAt, samples, groups } = this.model;
+    return { source: this.source, method, fittedAt, samples, groups: Object.keys(groups) };
+  }
+}
+
+// ── GATE: the number MIN_CONFIDENCE is compared against ──
+// 'calibrated' needs signal.calibration — without one the signal can't pass
+export function gateValue(signal, gate = 'raw') {
+  if (gate === 'calibrated') return signal.calibration?.probability ?? -Infinity;
+  return signal.confidence;
+}
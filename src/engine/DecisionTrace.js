@@ -0,0 +1,97 @@
+// ═══════════════════════════════════════════════════════════════════
+// DECISION TRACE — machine-readable record of one analyze() call
+//
+// Every rule that fired gets one entry, in evaluation order:
+//   {
+//     step,      ← 1-based evaluation order
+//     rule,      ← rule id ('confluence' = the vote, 'risk_reward' = R:R guard)
+//     category,  ← context | gate | strong | weak | state | conflict | decision | modifier
+//     side,      ← BUY | SELL | BOTH | null
+//     inputs,    ← values the rule looked at (from rule.inputs(r) or the result)
+//     text,      ← human-readable message
+//     tone,      ← 'reason' | 'warning' | null — where the text is rendered
+//     effect     ← what it did to the decision:
+//                    context           → { regime, playbook, raw, candidate, count }
+//                    strong/weak/state → { source, counted }
+//                    conflict          → { blocks, blocked }  blocked = side it stopped
+//                    decision          → { action, confidenceBefore, confidenceAfter }
+//                    modifier          → { confidenceBefore, confidenceAfter, factor }
+//                    any hold          → { hold: [warnings] }
+//   }
+//
+// signal.reasons / signal.warnings are rendered from the trace
+// (renderTrace), so the strings can never disagree with it.
+// ═══════════════════════════════════════════════════════════════════
+
+export class DecisionTrace {
+  constructor() {
+    this.entries = [];
+  }
+
+  add({ rule, category, side = null, inputs = {}, text = null, tone = null, effect = {} }) {
+    const entry = { step: this.entries.length + 1, rule, category, side, inputs, text, tone, effect };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  toJSON() {
+    return this.entries;
+  }
+}
+
+// ── RENDER reasons[] / warnings[] ──
+// A hold replaces everything with its own warnings; otherwise the counted
+// events (strong → weak → state) lead, followed by decision/modifier notes.
+export function renderTrace(trace) {
+  const held = holdCause(trace);
+  if (held) return { reasons: [], warnings: [...held.effect.hold] };
+
+  const reasons = [];
+  const warnings = [];
+  for (const category of ['strong', 'weak', 'state']) {
+    for (const e of trace) if (e.category === category && e.effect.counted) reasons.push(e.text);
+  }
+  for (const e of trace) {
+    if (e.category === 'conflict') {
+      if (e.effect.blocked) warnings.push(`BLOCKED ${e.effect.blocked}: ${e.text}`);
+    } else if (e.category === 'decision' || e.category === 'modifier') {
+      if (e.tone === 'reason') reasons.push(e.text);
+      else if (e.tone === 'warning') warnings.push(e.text);
+    }
+  }
+  return { reasons, warnings };
+}
+
+// ── QUERIES (backtest, tracker) ──
+
+export function findEntry(trace, rule) {
+  return (trace || []).find(e => e.rule === rule) || null;
+}
+
+// The gate/modifier/guard entry that turned the analysis into a HOLD, if any
+export function holdCause(trace) {
+  return (trace || []).find(e => e.effect?.hold) || null;
+}
+
+// Why a HOLD happened: the hold cause, else the conflicts that blocked, else the decision's own warning
+export function blockingEntries(trace) {
+  const held = holdCause(trace);
+  if (held) return [held];
+  const blocked = (trace || []).filter(e => e.category === 'conflict' && e.effect.blocked);
+  if (blocked.length > 0) return blocked;
+  return (trace || []).filter(e => e.category === 'decision' && e.tone === 'warning');
+}
+
+// Rules that voted for the side that was traded
+export function countedRules(trace) {
+  return (trace || []).filter(e => e.effect?.counted).map(e => e.rule);
+}
+
+// Confidence change applied by a modifier: 'BOOSTED' | 'PENALIZED' | 'NEUTRAL'
+export function modifierImpact(trace, rule) {
+  const e = findEntry(trace, rule);
+  if (!e || e.category !== 'modifier' || e.effect.hold) return 'NEUTRAL';
+  if (e.effect.confidenceAfter > e.effect.confidenceBefore) return 'BOOSTED';
+  if (e.effect.confidenceAfter < e.effect.confidenceBefore) return 'PENALIZED';
+  return 'NEUTRAL';
+}
@@ -0,0 +1,61 @@
+// ═══════════════════════════════════════════════════════════════════
+// DIVERGENCE — price swings vs RSI, MACD histogram and Stochastic %K
+//
+// Compares the last two confirmed swing lows (and highs) from
+// SRDetector.detectSwings with the oscillator at the same candles:
+//
+//   regular bullish   price lower low,   oscillator higher low   → reversal BUY
+//   regular bearish   price higher high, oscillator lower high   → reversal SELL
+//   hidden bullish    price higher low,  oscillator lower low    → continuation BUY
+//   hidden bearish    price lower high,  oscillator higher high  → continuation SELL
+//
+// Only fresh setups count: the second swing must have been confirmed within
+// recentBars candles, so a divergence fires for a few candles, not for as
+// long as the two swings stay in the window. Oscillator moves smaller than
+// the per-oscillator minimum (RSI / %K points, MACD in ATR) are noise.
+// ═══════════════════════════════════════════════════════════════════
+
+export const OSCILLATORS = [
+  { key: 'rsi', label: 'RSI', minDelta: (p) => p.rsiMinDelta },
+  { key: 'macdHist', label: 'MACD', minDelta: (p, atr) => p.macdMinAtr * atr },
+  { key: 'stochK', label: 'Stoch', minDelta: (p) => p.stochMinDelta }
+];
+
+// swings: SRDetector.detectSwings() over the same candles the series are
+// aligned to (index 0 = oldest); a swing without confirmedAt counts as
+// confirmed confirmBars candles later. → [{ kind, side, oscillators: [...], swings }]
+export function findDivergences({ swings, series, atr, p, confirmBars = 2 }) {
+  const length = series.rsi.length;
+  const found = [];
+
+  for (const [type, side] of [['SUPPORT', 'BUY'], ['RESISTANCE', 'SELL']]) {
+    const pts = swings.filter(s => s.type === type).sort((a, b) => a.index - b.index);
+    if (pts.length < 2) continue;
+    const [a, b] = pts.slice(-2);
+    const gap = b.index - a.index;
+    if (gap < p.minSwingBars || gap > p.maxSwingBars) continue;
+    if (length - 1 - (b.confirmedAt ?? b.index + confirmBars) > p.recentBars) continue;
+
+    // BUY compares lows, SELL highs; dir makes "higher" mean "in the trade's favour"
+    const dir = side === 'BUY' ? 1 : -1;
+    const priceMove = dir * (b.price - a.price);   // < 0: lower low / higher high
+    if (priceMove === 0) continue;
+    const kind = priceMove < 0 ? 'regular' : 'hidden';
+
+    const agreeing = [];
+    for (const osc of OSCILLATORS) {
+      if (!p[osc.key]) continue;
+      const va = series[osc.key][a.index], vb = series[osc.key][b.index];
+      if (!Number.isFinite(va) || !Number.isFinite(vb)) continue;
+      const oscMove = dir * (vb - va);
+      // Oscillator must move the opposite way to price, by more than noise
+      if (Math.sign(oscMove) === -Math.sign(priceMove) && Math.abs(oscMove) >= osc.minDelta(p, atr)) {
+        agreeing.push({ oscillator: osc.label, from: va, to: vb });
+      }
+    }
+    if (agreeing.length > 0) {
+      found.push({ kind, side, oscillators: agreeing, swings: [{ index: a.index, price: a.price }, { index: b.index, price: b.price }] });
+    }
+  }
+  return found;
+}
@@ -0,0 +1,121 @@
+// ═══════════════════════════════════════════════════════════════════
+// ECONOMIC CALENDAR — scheduled releases that move a currency
+//
+// Loaded from a local file (CSV or JSON, by extension):
+//
+//   time,currency,impact,title
+//   2026-03-06T13:30:00Z,USD,high,Non-Farm Payrolls
+//
+//   [{ "time": "2026-03-06T13:30:00Z", "currency": "USD", "impact": "high", "title": "Non-Farm Payrolls" }]
+//   (or { "events": [...] })
+//
+// time is ISO 8601; without an offset it is read as UTC. impact is
+// low / medium / high (or 1 / 2 / 3). A symbol is affected by events in
+// either of its currencies — XAU/USD by USD (and XAU) releases.
+//
+// The news_blackout modifier blocks or penalises signals inside
+// params.news.beforeMins / afterMins of an event at minImpact or above;
+// the agent flags open tracked signals warnAheadMins before one.
+// ═══════════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_ECONOMIC_CALENDAR_FILE = './config/economic_calendar.csv';
+
+export const IMPACT = { low: 1, medium: 2, high: 3 };
+const IMPACT_LABEL = { 1: 'Low', 2: 'Medium', 3: 'High' };
+
+// Symbol → the currencies whose releases move it
+export const symbolCurrencies = (symbol) => symbol.split('/');
+
+export class EconomicCalendar {
+  constructor(rows, source = 'inline') {
+    const errors = [];
+    this.events = rows.map((row, i) => parseEvent(row, i, errors)).filter(Boolean).sort((a, b) => a.time - b.time);
+    if (errors.length > 0) {
+      throw new Error(`Invalid economic calendar (${source}):\n  - ${errors.join('\n  - ')}`);
+    }
+    this.source = source;
+  }
+
+  // ── LOAD FROM DISK (optional: a missing file → null, no blackouts) ──
+  static load(file = DEFAULT_ECONOMIC_CALENDAR_FILE, { optional = false } = {}) {
+    const fullPath = path.resolve(file);
+    if (optional && !fs.existsSync(fullPath)) return null;
+    let text;
+    try {
+      text = fs.readFileSync(fullPath, 'utf8');
+    } catch (err) {
+      throw new Error(`Could not read economic calendar ${fullPath}: ${err.message}`);
+    }
+    let rows;
+    if (fullPath.endsWith('.csv')) rows = parseCsv(text);
+    else {
+      try {
+        const raw = JSON.parse(text);
+        rows = Array.isArray(raw) ? raw : raw?.events;
+      } catch (err) {
+        throw new Error(`Could not parse economic calendar ${fullPath}: ${err.message}`);
+      }
+      if (!Array.isArray(rows)) throw new Error(`${fullPath}: expected an event array or { "events": [...] }`);
+    }
+    return new EconomicCalendar(rows, fullPath);
+  }
+
+  // Events for the symbol's currencies with time in [from, to] and impact ≥ minImpact
+  between(symbol, from, to, minImpact = IMPACT.high) {
+    const currencies = symbolCurrencies(symbol);
+    return this.events.filter(e => e.time >= from && e.time <= to && e.impact >= minImpact && currencies.includes(e.currency));
+  }
+
+  // Blackout around `time`: beforeMins ahead of the release, afterMins past it
+  blackout(symbol, time, p) {
+    return this.between(symbol, time - p.afterMins * 60000, time + p.beforeMins * 60000, p.minImpact);
+  }
+
+  // Releases in the next p.warnAheadMins — event risk for open positions
+  upcoming(symbol, time, p) {
+    return this.between(symbol, time, time + p.warnAheadMins * 60000, p.minImpact);
+  }
+
+  summary() {
+    const last = this.events[this.events.length - 1];
+    return { source: this.source, events: this.events.length, until: last ? new Date(last.time).toISOString() : null };
+  }
+}
+
+// "USD High — Non-Farm Payrolls in 12min" / "… 5min ago"
+export function describeEvent(event, time) {
+  const mins = Math.round((event.time - time) / 60000);
+  const when = mins > 0 ? `in ${mins}min` : mins < 0 ? `${-mins}min ago` : 'now';
+  return `${event.currency} ${IMPACT_LABEL[event.impact]} — ${event.title} ${when}`;
+}
+
+// ── HELPERS ──
+
+function parseEvent(row, i, errors) {
+  const at = `event ${i + 1}`;
+  if (!row || typeof row !== 'object') { errors.push(`${at}: must be an object`); return null; }
+  const stamp = typeof row.time === 'string' && !/(Z|[+-]\d\d:?\d\d)$/.test(row.time.trim()) ? `${row.time.trim().replace(' ', 'T')}Z` : row.time;
+  const time = typeof stamp === 'number' ? stamp : Date.parse(stamp);
+  const impact = typeof row.impact === 'number' ? row.impact : IMPACT[String(row.impact || '').trim().toLowerCase()];
+  const currency = String(row.currency || '').trim().toUpperCase();
+  const before = errors.length;
+  if (!Number.isFinite(time)) errors.push(`${at}: time "${row.time}" is not an ISO 8601 date-time`);
+  if (!/^[A-Z]{3}$/.test(currency)) errors.push(`${at}: currency "${row.currency}" must be a 3-letter code`);
+  if (![1, 2, 3].includes(impact)) errors.push(`${at}: impact "${row.impact}" must be low, medium, high or 1-3`);
+  if (errors.length > before) return null;
+  return { time, currency, impact, title: String(row.title || row.event || '').trim() || 'Economic release' };
+}
+
+// Header row names the columns; quoted fields may contain commas
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() && !l.trim().startsWith('#'));
+  if (lines.length === 0) return [];
+  const split = (line) => [...line.matchAll(/("([^"]|"")*"|[^,]*)(,|$)/g)]
+    .slice(0, -1)
+    .map(m => m[1].trim().replace(/^"(.*)"$/, '$1').replace(/""/g, '"'));
+  const header = split(lines[0]).map(h => h.toLowerCase());
+  return lines.slice(1).map(line => Object.fromEntries(split(line).map((v, i) => [header[i], v])));
+}
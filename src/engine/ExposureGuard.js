@@ -0,0 +1,96 @@
+// ═══════════════════════════════════════════════════════════════════
+// EXPOSURE GUARD — portfolio view across symbols
+//
+// Every signal risks 1R. Two views of what a new signal adds to the
+// positions already open (or pending) across the watchlist:
+//
+//   currency legs   BUY EUR/USD = +1R EUR, −1R USD. BUY XAU/USD on top
+//                   makes USD −2R — the same dollar bet twice. A symbol
+//                   without a '/' is a single leg of its own.
+//   correlation     Pearson correlation of log returns over the last
+//                   corrBars candles (aligned by timestamp, from the
+//                   engine's candle buffers), signed by direction: BUY A
+//                   with BUY B at ρ 0.7 behaves like 1.7R of one trade.
+//                   The same symbol is ρ 1. Only ρ ≥ corrMin counts.
+//
+// assessExposure() reports which limits the new signal would push past;
+// the exposure_guard modifier blocks or down-weights it with the reason.
+// ═══════════════════════════════════════════════════════════════════
+
+const dir = (action) => (action === 'BUY' ? 1 : -1);
+const round = (v) => parseFloat(v.toFixed(2));
+
+// BUY EUR/USD → { EUR: 1, USD: -1 } (× risk)
+export function currencyLegs(symbol, action, risk = 1) {
+  const [base, quote] = symbol.split('/');
+  const d = dir(action) * risk;
+  return quote ? { [base]: d, [quote]: -d } : { [symbol]: d };
+}
+
+// Net R per currency over a set of positions
+export function netExposure(positions) {
+  const net = {};
+  for (const pos of positions) {
+    for (const [ccy, r] of Object.entries(currencyLegs(pos.symbol, pos.action))) net[ccy] = (net[ccy] || 0) + r;
+  }
+  return net;
+}
+
+// Log-return correlation of two candle series on shared timestamps, or null
+// with fewer than half of `bars` overlapping returns
+export function returnCorrelation(a, b, bars) {
+  if (!a?.length || !b?.length) return null;
+  const closeB = new Map(b.map(c => [c.timestamp, c.close]));
+  const xs = [], ys = [];
+  const recent = a.slice(-(bars + 1));
+  for (let i = 1; i < recent.length; i++) {
+    const b0 = closeB.get(recent[i - 1].timestamp), b1 = closeB.get(recent[i].timestamp);
+    if (!(b0 > 0 && b1 > 0 && recent[i - 1].close > 0)) continue;
+    xs.push(Math.log(recent[i].close / recent[i - 1].close));
+    ys.push(Math.log(b1 / b0));
+  }
+  if (xs.length < Math.max(3, bars / 2)) return null;
+  const mean = (v) => v.reduce((s, x) => s + x, 0) / v.length;
+  const mx = mean(xs), my = mean(ys);
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// positions: [{ symbol, action }] open or pending; candles: symbol → candle array
+// → { legs, breaches, correlated, correlatedR }
+export function assessExposure({ symbol, action, positions, candles, p }) {
+  const before = netExposure(positions);
+  const legs = netExposure([...positions, { symbol, action }]);
+
+  // A leg only breaches if this signal makes it bigger and past the limit
+  const breaches = Object.entries(legs)
+    .filter(([ccy, r]) => Math.abs(r) > p.maxCurrencyR && Math.abs(r) > Math.abs(before[ccy] || 0))
+    .map(([ccy, r]) => ({ currency: ccy, before: round(before[ccy] || 0), after: round(r), limit: p.maxCurrencyR }));
+
+  const correlated = [];
+  for (const pos of positions) {
+    const rho = pos.symbol === symbol ? 1 : returnCorrelation(candles.get(symbol), candles.get(pos.symbol), p.corrBars);
+    if (rho === null) continue;
+    const signed = rho * dir(action) * dir(pos.action);
+    if (signed >= p.corrMin) correlated.push({ symbol: pos.symbol, action: pos.action, rho: round(signed) });
+  }
+  const correlatedR = round(1 + correlated.reduce((s, c) => s + c.rho, 0));
+
+  return { legs: Object.fromEntries(Object.entries(legs).map(([k, v]) => [k, round(v)])), breaches, correlated, correlatedR };
+}
+
+// Human-readable reasons the signal is over its limits (empty = within limits)
+export function exposureReasons(assessment, p) {
+  const reasons = assessment.breaches.map(b =>
+    `${b.currency} exposure ${b.before > 0 ? '+' : ''}${b.before}R → ${b.after > 0 ? '+' : ''}${b.after}R (limit ±${b.limit}R)`);
+  if (assessment.correlatedR > p.maxCorrelatedR) {
+    const pairs = assessment.correlated.map(c => `${c.action} ${c.symbol} ρ${c.rho}`).join(', ');
+    reasons.push(`Correlated risk ${assessment.correlatedR}R > ${p.maxCorrelatedR}R (${pairs})`);
+  }
+  return reasons;
+}
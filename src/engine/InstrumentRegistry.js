@@ -0,0 +1,165 @@
+// ═══════════════════════════════════════════════════════════════════
+// INSTRUMENT REGISTRY — per-symbol profiles from config/instruments.json
+//
+// File layout:
+//   {
+//     "assetClasses": { "forex": { "pipSize", "precision", "contractSize", "minAtr", "session" } },
+//     "instruments":  { "GBP/JPY": { "assetClass": "forex", "pipSize": 0.01, "precision": 3, "brokerSymbol": "GBPJPY" } }
+//   }
+//
+// An instrument inherits every field from its asset class and overrides
+// what differs. `session` names a trading schedule in config/sessions.json
+// (SessionCalendar). Optional per-instrument fields:
+//   macdHistThreshold — absolute MACD histogram conflict threshold (price units);
+//                       without it the strategy's price × histThresholdPct is used
+//   roundStep         — spacing of round-number levels in price units (BTC/USD
+//                       1000); without it 1000 ticks at `precision` (ReferenceLevels)
+// ═══════════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_INSTRUMENTS_FILE = './config/instruments.json';
+
+// ── PROFILE FIELDS: key → check(value) → error text | null ──
+const FIELDS = {
+  pipSize: (v) => (typeof v === 'number' && v > 0 ? null : 'must be a positive number'),
+  precision: (v) => (Number.isInteger(v) && v >= 0 && v <= 10 ? null : 'must be an integer in [0, 10]'),
+  contractSize: (v) => (typeof v === 'number' && v > 0 ? null : 'must be a positive number'),
+  minAtr: (v) => (typeof v === 'number' && v >= 0 ? null : 'must be a number ≥ 0'),
+  macdHistThreshold: (v) => (typeof v === 'number' && v > 0 ? null : 'must be a positive number'),
+  roundStep: (v) => (typeof v === 'number' && v > 0 ? null : 'must be a positive number'),
+  session: (v) => (typeof v === 'string' && v ? null : 'must be a session schedule name'),
+  brokerSymbol: (v) => (typeof v === 'string' && v ? null : 'must be a non-empty string'),
+  assetClass: (v) => (typeof v === 'string' && v ? null : 'must be an asset class name')
+};
+const REQUIRED = ['pipSize', 'precision', 'contractSize', 'minAtr', 'session', 'brokerSymbol'];
+
+export class InstrumentRegistry {
+  constructor(raw, source = 'inline') {
+    const errors = InstrumentRegistry.validate(raw);
+    if (errors.length > 0) {
+      throw new Error(`Invalid instruments (${source}):\n  - ${errors.join('\n  - ')}`);
+    }
+    this.source = source;
+    this.profiles = new Map();
+    this.byBroker = new Map();
+    for (const symbol of Object.keys(raw.instruments)) {
+      const profile = resolve(raw, symbol);
+      this.profiles.set(symbol, deepFreeze(profile));
+      this.byBroker.set(profile.brokerSymbol, symbol);
+    }
+  }
+
+  // ── LOAD + VALIDATE FROM DISK ──
+  static load(file = DEFAULT_INSTRUMENTS_FILE) {
+    const fullPath = path.resolve(file);
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Could not read instruments file ${fullPath}: ${err.message}`);
+    }
+    return new InstrumentRegistry(raw, fullPath);
+  }
+
+  // Returns a list of human-readable errors (empty = valid)
+  static validate(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['instruments file must be a JSON object'];
+    for (const key of ['assetClasses', 'instruments']) {
+      if (!raw[key] || typeof raw[key] !== 'object' || Array.isArray(raw[key])) errors.push(`${key}: required object`);
+    }
+    if (errors.length > 0) return errors;
+
+    for (const [name, fields] of Object.entries(raw.assetClasses)) {
+      checkFields(fields, errors, `assetClasses.${name}`);
+    }
+
+    const brokers = new Map();
+    for (const [symbol, fields] of Object.entries(raw.instruments)) {
+      const p = `instruments.${symbol}`;
+      checkFields(fields, errors, p);
+      if (!raw.assetClasses[fields?.assetClass]) {
+        errors.push(`${p}.assetClass: unknown asset class ${JSON.stringify(fields?.assetClass)}`);
+        continue;
+      }
+      const profile = resolve(raw, symbol);
+      for (const key of REQUIRED) {
+        if (profile[key] === undefined) errors.push(`${p}.${key}: missing (not set on the instrument or its asset class)`);
+      }
+      if (brokers.has(profile.brokerSymbol)) errors.push(`${p}.brokerSymbol: ${profile.brokerSymbol} already used by ${brokers.get(profile.brokerSymbol)}`);
+      brokers.set(profile.brokerSymbol, symbol);
+    }
+    return errors;
+  }
+
+  has(symbol) {
+    return this.profiles.has(symbol);
+  }
+
+  get(symbol) {
+    const profile = this.profiles.get(symbol);
+    if (!profile) throw new Error(`Unknown instrument ${symbol} — add it to ${this.source}`);
+    return profile;
+  }
+
+  symbols() {
+    return [...this.profiles.keys()];
+  }
+
+  // Throws listing every symbol without a profile (startup check for the watchlist)
+  assertKnown(symbols) {
+    const missing = symbols.filter(s => !this.has(s));
+    if (missing.length > 0) throw new Error(`No instrument profile for ${missing.join(', ')} — add them to ${this.source}`);
+  }
+
+  // ── PRICE HELPERS ──
+
+  formatPrice(symbol, price) {
+    return price.toFixed(this.get(symbol).precision);
+  }
+
+  roundPrice(symbol, price) {
+    return parseFloat(price.toFixed(this.get(symbol).precision));
+  }
+
+  toPips(symbol, distance) {
+    return distance / this.get(symbol).pipSize;
+  }
+
+  // ── BROKER SYMBOL MAPPING ──
+
+  toBroker(symbol) {
+    return this.get(symbol).brokerSymbol;
+  }
+
+  fromBroker(brokerSymbol) {
+    return this.byBroker.get(brokerSymbol) || null;
+  }
+}
+
+// ── HELPERS ──
+
+// Asset-class defaults + instrument overrides
+function resolve(raw, symbol) {
+  const own = raw.instruments[symbol];
+  return { symbol, ...raw.assetClasses[own.assetClass], ...own };
+}
+
+function checkFields(fields, errors, prefix) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    errors.push(`${prefix}: must be an object`);
+    return;
+  }
+  for (const [key, value] of Object.entries(fields)) {
+    if (!FIELDS[key]) { errors.push(`${prefix}.${key}: unknown field`); continue; }
+    const err = FIELDS[key](value);
+    if (err) errors.push(`${prefix}.${key}: ${err}, got ${JSON.stringify(value)}`);
+  }
+}
+
+function deepFreeze(obj) {
+  for (const v of Object.values(obj)) if (v && typeof v === 'object') deepFreeze(v);
+  return Object.freeze(obj);
+}
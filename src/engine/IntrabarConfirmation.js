@@ -0,0 +1,57 @@
+// ═══════════════════════════════════════════════════════════════════
+// INTRABAR CONFIRMATION — when a signal on a forming candle counts
+//
+// The feed re-sends the forming entry candle on every poll. Two modes
+// (EVALUATION_MODE):
+//
+//   closed     only completed candles are analyzed — what the backtest
+//              does. A candle is complete once a later one shows up.
+//   intrabar   forming candles are analyzed too. The first qualifying
+//              signal on a candle goes out as an early alert and is held
+//              here; the closed candle then decides:
+//                CONFIRMED   the same action still qualifies at the close
+//                WITHDRAWN   HOLD, the other side, or under the threshold
+//              Only a confirmed signal is tracked and executed.
+//
+// One held alert per symbol. A close for a later candle than the alert's
+// (its own close never arrived) withdraws it.
+// ═══════════════════════════════════════════════════════════════════
+
+export const EVALUATION_MODES = ['closed', 'intrabar'];
+
+export class IntrabarConfirmation {
+  constructor() {
+    this.held = new Map(); // symbol → { barTime, signal, alertedAt }
+  }
+
+  // Hold the first qualifying alert of a candle → false if one is already held
+  hold(symbol, barTime, signal, now = Date.now()) {
+    const current = this.held.get(symbol);
+    if (current && current.barTime >= barTime) return false;
+    this.held.set(symbol, { barTime, signal, alertedAt: now });
+    return true;
+  }
+
+  // Candle closed: verdict = { qualifies, reason } for the closed-candle signal
+  // → null (nothing held) | { status, signal, final, barTime, reason }
+  settle(symbol, barTime, final, verdict) {
+    const current = this.held.get(symbol);
+    if (!current || current.barTime > barTime) return null;
+    this.held.delete(symbol);
+
+    const { signal } = current;
+    let reason = null;
+    if (current.barTime < barTime) reason = 'its candle closed without a verdict';
+    else if (!verdict.qualifies) reason = verdict.reason;
+    else if (final.action !== signal.action) reason = `flipped to ${final.action} at the close`;
+    return { status: reason ? 'WITHDRAWN' : 'CONFIRMED', signal, final, barTime: current.barTime, reason };
+  }
+
+  // Alerts waiting for their candle to close (health endpoint)
+  pending() {
+    return [...this.held.entries()].map(([symbol, h]) => ({
+      symbol, action: h.signal.action, confidence: h.signal.confidence,
+      barTime: new Date(h.barTime).toISOString(), alertedAt: new Date(h.alertedAt).toISOString()
+    }));
+  }
+}
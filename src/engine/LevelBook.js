@@ -0,0 +1,212 @@
+// ═══════════════════════════════════════════════════════════════════
+// LEVEL BOOK — S/R levels that live longer than one findSR scan
+//
+// findSR rebuilds its levels from the last 100 candles every time, so a
+// broken resistance drops out once its swings age out of the window. The
+// book keeps each level per symbol through its lifecycle:
+//   created   a scanned level (SRDetector allLevels) overlapping no level
+//             in the book. role = the side of the close it sits on
+//   retest    price left the zone by leaveAtr × the mean range or more,
+//             came back into it and closed without breaking it — the
+//             touch goes on level.touches
+//   broken    a close beyond the far edge by breakAtr × the mean range: the
+//             break goes on level.breaks and the role reverses (a broken
+//             resistance is support from then on), state 'broken'
+//   flipped   the first retest the level holds in its new role confirms the
+//             flip: state 'flipped', level.flips + 1, and a 'flip_retest'
+//             event — what the flip_retest rule reads. Broken back before
+//             that, the break failed: old role and state again
+//   retired   flipped more than maxFlips times — chop, not structure. Kept
+//             (so the scan doesn't recreate it) but no longer stepped
+// A level the scan sees again gets its zone, strength and origins
+// refreshed; one neither seen nor touched for maxAgeBars candles drops
+// out, and past maxLevels the longest idle go first.
+//
+// Like SmartMoneyTracker only closed candles are committed (stepped, then
+// the scan is synced in); the last candle is stepped on a copy, so its
+// events don't count twice under live re-analysis. Sizes use the mean
+// range (SmartMoney.meanRange), so stream and batch modes agree.
+//
+// With a file the book is saved after every commit and loaded at startup:
+// first-seen times, touch / break history and flip counts survive a
+// restart, and stepping resumes from the last committed candle.
+// ═══════════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+import { meanRange } from './SmartMoney.js';
+import { levelZone } from './SRDetector.js';
+
+export const DEFAULT_LEVELS_FILE = './data/levels.json';
+
+const HISTORY = 20; // touches / breaks kept per level
+
+const opposite = (role) => (role === 'SUPPORT' ? 'RESISTANCE' : 'SUPPORT');
+const overlaps = (a, b) => a.low <= b.high && a.high >= b.low;
+const snapshot = (level) => ({ ...level, zone: { ...level.zone }, origins: [...level.origins], touches: [...level.touches], breaks: [...level.breaks] });
+
+// ── ONE CANDLE AGAINST THE BOOK ──
+// Mutates book.levels; → events of this candle
+// [{ type: 'retest' | 'broken' | 'flip_retest', level }] — level as after the candle
+function stepBook(book, candles, i, p) {
+  const c = candles[i];
+  const range = meanRange(candles, i);
+  const events = [];
+
+  for (const level of book.levels) {
+    level.idle++;
+    if (level.state === 'retired') continue;
+    const dir = level.role === 'SUPPORT' ? 1 : -1;
+    const near = dir === 1 ? level.zone.high : level.zone.low;
+    const far = dir === 1 ? level.zone.low : level.zone.high;
+    const reach = dir === 1 ? c.low : c.high;
+    if (dir * (reach - near) > 0) {
+      if (dir * (reach - near) >= p.leaveAtr * range) level.away = true;
+      continue;
+    }
+
+    if (dir * (c.close - far) < -p.breakAtr * range) {
+      level.breaks = [...level.breaks, { time: c.timestamp, role: level.role }].slice(-HISTORY);
+      level.role = opposite(level.role);
+      // Broken back before any retest: a failed break, the level is what it was
+      if (level.state === 'broken') level.state = level.brokenFrom;
+      else { level.brokenFrom = level.state; level.state = 'broken'; }
+      level.away = false;
+      level.idle = 0;
+      events.push({ type: 'broken', level: snapshot(level) });
+      continue;
+    }
+    if (!level.away) continue;
+
+    level.touches = [...level.touches, { time: c.timestamp, role: level.role }].slice(-HISTORY);
+    level.away = false;
+    level.idle = 0;
+    if (level.state === 'broken') {
+      level.state = 'flipped';
+      level.flips++;
+      if (level.flips > p.maxFlips) { level.state = 'retired'; continue; }
+      events.push({ type: 'flip_retest', level: snapshot(level) });
+    } else {
+      events.push({ type: 'retest', level: snapshot(level) });
+    }
+  }
+  return events;
+}
+
+// ── SCAN → BOOK (after the closed candle c) ──
+// Each scanned level refreshes the first unmatched book level it overlaps or
+// is created; then stale levels drop out
+function syncBook(book, sr, c, p) {
+  const matched = new Set();
+  for (const scanned of sr?.allLevels || []) {
+    const zone = { ...levelZone(scanned) };
+    const level = book.levels.find(l => !matched.has(l) && overlaps(l.zone, zone));
+    if (level) {
+      Object.assign(level, { price: scanned.price, zone, strength: scanned.strength, origins: [...(scanned.origins || [])], lastSeen: c.timestamp, idle: 0 });
+      matched.add(level);
+      continue;
+    }
+    const created = {
+      id: book.nextId++,
+      price: scanned.price,
+      zone,
+      type: scanned.type,
+      role: zone.high < c.close ? 'SUPPORT' : zone.low > c.close ? 'RESISTANCE' : scanned.type,
+      state: 'active',
+      strength: scanned.strength,
+      origins: [...(scanned.origins || [])],
+      firstSeen: c.timestamp,
+      lastSeen: c.timestamp,
+      touches: [],
+      breaks: [],
+      flips: 0,
+      away: !overlaps(zone, { low: c.low, high: c.high }),
+      idle: 0
+    };
+    book.levels.push(created);
+    matched.add(created);
+  }
+
+  book.levels = book.levels.filter(l => l.idle <= p.maxAgeBars);
+  if (book.levels.length > p.maxLevels) {
+    book.levels = [...book.levels].sort((a, b) => a.idle - b.idle || b.strength - a.strength).slice(0, p.maxLevels);
+  }
+}
+
+const copyBook = (book) => ({ ...book, levels: book.levels.map(snapshot) });
+
+export class LevelBook {
+  // file: where the book persists (null = in memory only — the backtest)
+  constructor(file = null) {
+    this.file = file ? path.resolve(file) : null;
+    this.books = new Map(); // symbol → { lastTime, nextId, levels }
+    this.load();
+  }
+
+  // ── LOAD FROM DISK (a missing file = empty book) ──
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.books = new Map(Object.entries(raw.symbols || {}));
+      const levels = [...this.books.values()].reduce((s, b) => s + b.levels.length, 0);
+      console.log(`📏 LevelBook: Loaded ${levels} levels for ${this.books.size} symbol(s)`);
+    } catch (err) {
+      console.error('LevelBook load error:', err.message);
+      this.books = new Map();
+    }
+  }
+
+  // ── SAVE TO DISK ──
+  save() {
+    if (!this.file) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.toJSON(), null, 2));
+    } catch (err) {
+      console.error('LevelBook save error:', err.message);
+    }
+  }
+
+  toJSON() {
+    return { symbols: Object.fromEntries(this.books) };
+  }
+
+  // candles: the symbol's entry candle store, oldest first; sr: findSR of this analysis
+  // → { levels, events } as of the last candle
+  update(symbol, candles, sr, p) {
+    if (!candles || candles.length < 2) return { levels: [], events: [] };
+    let book = this.books.get(symbol);
+    if (!book) this.books.set(symbol, book = { lastTime: -Infinity, nextId: 1, levels: [] });
+
+    const last = candles.length - 1;
+    let committed = null;
+    for (let i = 0; i < last; i++) {
+      if (candles[i].timestamp <= book.lastTime) continue;
+      stepBook(book, candles, i, p);
+      book.lastTime = candles[i].timestamp;
+      committed = candles[i];
+    }
+    if (committed) {
+      syncBook(book, sr, committed, p);
+      this.save();
+    }
+
+    const view = copyBook(book);
+    const events = candles[last].timestamp > book.lastTime ? stepBook(view, candles, last, p) : [];
+    return { levels: view.levels, events };
+  }
+
+  reset(symbol = null) {
+    if (symbol) this.books.delete(symbol);
+    else this.books.clear();
+  }
+}
+
+// Flipped levels the last candle retested and held → [{ side, level }],
+// BUY off a resistance turned support, SELL off a support turned resistance
+export function flipRetests(levels) {
+  return (levels?.events || [])
+    .filter(e => e.type === 'flip_retest')
+    .map(e => ({ side: e.level.role === 'SUPPORT' ? 'BUY' : 'SELL', level: e.level }));
+}
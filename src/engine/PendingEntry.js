@@ -0,0 +1,122 @@
+// ═══════════════════════════════════════════════════════════════════
+// PENDING ENTRY — limit orders at S/R or EMA21 pullbacks instead of
+// chasing the close
+//
+// buildPendingEntry() picks the anchor the pullback should reach:
+//   BUY   nearest SRDetector support / EMA21 below the close
+//   SELL  nearest SRDetector resistance / EMA21 above the close
+//   either side: the nearest unmitigated order block / unfilled fair value
+//   gap of the trade's direction (SmartMoney), measured to its near edge
+//   Only anchors within entry.srPullbackAtr / emaPullbackAtr / obPullbackAtr /
+//   fvgPullbackAtr × ATR count (0 = that anchor is off). An anchor closer than
+//   entry.minPullbackAtr × ATR isn't worth waiting for → market entry.
+//   No anchor in range → market entry (entry.fallbackMarket) or HOLD.
+//
+// The order rests at the near edge of the zone — anchor ± zoneAtr × ATR,
+// or the order block / gap itself — and is cancelled when:
+//   expired       validBars candles passed without a fill
+//   runaway       price ran runawayR × risk past the limit first (0 = off)
+//   superseded    a newer signal for the symbol replaced it (caller)
+//
+// stepPendingEntry(pending, state, bar) advances a JSON-safe state by one
+// bar, like stepTradePlan. A bar that touches the limit fills it, even if
+// it also reached the runaway level. fillBar() clips the fill bar so the
+// trade plan only sees its stop side — within one bar we can't tell
+// whether the favourable extreme came after the fill.
+// ═══════════════════════════════════════════════════════════════════
+
+// → null (market entry) | { hold } | pending entry
+// stopDistance = entry → stop distance, so the runaway level is in R;
+// placedAt = timestamp of the signal candle (its range is history, not a fill),
+// barMs = entry candle length → expiresAt for brokers that want a wall-clock expiry,
+// smc = SmartMoneyTracker.update() view (order blocks + gaps still open)
+export function buildPendingEntry({ action, price, atr, sr, ema21, smc = null, stopDistance, placedAt = null, barMs = null, params }) {
+  const e = params.entry;
+  if (!e.limit || !(atr > 0)) return null;
+  const dir = action === 'BUY' ? 1 : -1;
+
+  const candidates = [
+    { source: dir === 1 ? 'support' : 'resistance', price: dir === 1 ? sr.support : sr.resistance, maxAtr: e.srPullbackAtr },
+    { source: 'ema21', price: ema21, maxAtr: e.emaPullbackAtr },
+    ...smcZones(smc?.orderBlocks, action, e.obPullbackAtr),
+    ...smcZones(smc?.fvgs, action, e.fvgPullbackAtr)
+  ].filter(c => c.maxAtr > 0 && c.price > 0 && dir * (price - c.price) > 0)
+    .map(c => ({ ...c, distanceAtr: (dir * (price - c.price)) / atr }))
+    .filter(c => c.distanceAtr <= c.maxAtr)
+    .sort((a, b) => a.distanceAtr - b.distanceAtr);
+
+  if (candidates.length === 0) {
+    return e.fallbackMarket ? null : { hold: `No S/R, EMA21 or order block / FVG pullback level within reach for a limit ${action}` };
+  }
+  const anchor = candidates[0];
+  if (anchor.distanceAtr < e.minPullbackAtr) return null;
+
+  const halfZone = e.zoneAtr * atr;
+  const zone = anchor.zone || { low: anchor.price - halfZone, high: anchor.price + halfZone };
+  const limit = dir === 1 ? zone.high : zone.low;
+  return {
+    action, placedAt,
+    anchor: { source: anchor.source, price: anchor.price, distanceAtr: parseFloat(anchor.distanceAtr.toFixed(2)) },
+    price: limit,
+    zone,
+    validBars: e.validBars,
+    expiresAt: placedAt !== null && barMs ? placedAt + (e.validBars + 1) * barMs : null,
+    cancelAt: e.runawayR > 0 ? limit + dir * e.runawayR * stopDistance : null
+  };
+}
+
+// Order blocks / gaps of the trade's side as anchors at their near edge
+function smcZones(zones, action, maxAtr) {
+  return (zones || []).filter(z => z.side === action).map(z => ({
+    source: z.kind, price: action === 'BUY' ? z.high : z.low, maxAtr, zone: { low: z.low, high: z.high }
+  }));
+}
+
+export function createPendingState(pending) {
+  return { bars: 0, barTime: pending.placedAt ?? null, status: 'PENDING', reason: null, filledAt: null, closedAt: null };
+}
+
+// ── ADVANCE BY ONE BAR ({ high, low, timestamp? }) ──
+// Same timestamp = the forming bar was updated.
+// Returns { type: 'filled', price } | { type: 'cancelled', reason } | null
+export function stepPendingEntry(pending, state, bar) {
+  if (state.status !== 'PENDING') return null;
+  const dir = pending.action === 'BUY' ? 1 : -1;
+  const limit = pending.price;
+
+  // Updates of the signal candle itself don't count
+  if (state.bars === 0 && bar.timestamp !== undefined && bar.timestamp === state.barTime) return null;
+  if (bar.timestamp === undefined || bar.timestamp !== state.barTime) {
+    state.bars++;
+    state.barTime = bar.timestamp ?? null;
+  }
+
+  const adverse = dir === 1 ? bar.low : bar.high;
+  if (dir * (adverse - limit) <= 0) {
+    state.status = 'FILLED';
+    state.filledAt = bar.timestamp ?? null;
+    return { type: 'filled', price: limit };
+  }
+
+  const favorable = dir === 1 ? bar.high : bar.low;
+  if (pending.cancelAt !== null && dir * (favorable - pending.cancelAt) >= 0) {
+    return cancelPendingEntry(state, 'runaway', bar.timestamp);
+  }
+  if (state.bars >= pending.validBars) return cancelPendingEntry(state, 'expired', bar.timestamp);
+  return null;
+}
+
+export function cancelPendingEntry(state, reason, timestamp) {
+  if (state.status !== 'PENDING') return null;
+  state.status = 'CANCELLED';
+  state.reason = reason;
+  state.closedAt = timestamp ?? null;
+  return { type: 'cancelled', reason };
+}
+
+// The fill bar as the trade plan should see it: favourable side clipped to the entry
+export function fillBar(pending, bar) {
+  return pending.action === 'BUY'
+    ? { ...bar, high: Math.min(bar.high, pending.price), close: Math.min(bar.close, pending.price) }
+    : { ...bar, low: Math.max(bar.low, pending.price), close: Math.max(bar.close, pending.price) };
+}
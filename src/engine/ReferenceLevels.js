@@ -0,0 +1,139 @@
+// ═══════════════════════════════════════════════════════════════════
+// REFERENCE LEVELS — the classic levels traders mark by hand
+//
+//   prior day / week   high, low and close of the last complete trading
+//                      day (PDH / PDL / PDC) and week (PWH / PWL / PWC).
+//                      A trading day starts at dayStartHour UTC (22 = the
+//                      17:00 New York rollover, so Sunday's open belongs to
+//                      Monday); weeks start Monday
+//   Asian range        high / low of the last finished ASIAN market session
+//                      (SessionCalendar), AsiaH / AsiaL
+//   pivots             from the prior day (DP, DR1, DS1 …) and, with
+//                      weeklyPivots, the prior week (WP, WR1 …):
+//                        standard      P = (H+L+C)/3, R1 = 2P−L, S1 = 2P−H,
+//                                      R2/S2 = P ± (H−L), R3 = H + 2(P−L), S3 = L − 2(H−P)
+//                        camarilla     R1–R4 / S1–S4 = C ± (H−L) × 1.1/12, /6, /4, /2
+//                        fibonacci     R1–R3 / S1–S3 = P ± (H−L) × 0.382, 0.618, 1
+//   round numbers      multiples of the instrument's roundStep (BTC/USD 1000:
+//                      97000), else of 1000 ticks at its precision (precision
+//                      5 → 0.01: 1.1800; precision 2 → 10: 5000.00); every
+//                      tenth one (1.2000, 5000.00, 100000) counts double
+//
+// Each level carries a weight in swing-touch equivalents (params.reference
+// prior / asian / pivotWeight / round, 0 = off). SRDetector.referenceLevels
+// scores them like a swing cluster of that many touches, and findSR merges
+// them with the swing levels — so they block, penalise and back trades,
+// and TradePlan can take them as targets. Only levels within rangeAtr ×
+// ATR of the price are kept.
+// ═══════════════════════════════════════════════════════════════════
+
+export const PIVOT_MODES = ['off', 'standard', 'camarilla', 'fibonacci'];
+
+const DAY_MS = 86400000;
+const HOUR_MS = 3600000;
+
+// Trading day number of ts (days since the epoch, shifted so dayStartHour UTC starts a day)
+export function tradingDay(ts, dayStartHour) {
+  return Math.floor((ts + (24 - dayStartHour) * HOUR_MS) / DAY_MS);
+}
+
+// Monday-based week of a trading day (day 0 = Thursday 1970-01-01)
+export function tradingWeek(day) {
+  return Math.floor((day + 3) / 7);
+}
+
+// High / low / close of the last complete period before `current` →
+// { high, low, close } or null. Complete = the candles reach back past its
+// start, so a buffer that begins mid-period doesn't yield a partial range.
+export function priorPeriod(candles, periodOf, current) {
+  let end = candles.length - 1;
+  while (end >= 0 && periodOf(candles[end]) >= current) end--;
+  if (end < 0) return null;
+  const period = periodOf(candles[end]);
+  let start = end;
+  while (start > 0 && periodOf(candles[start - 1]) === period) start--;
+  if (start === 0) return null;
+  const span = candles.slice(start, end + 1);
+  return { high: Math.max(...span.map(c => c.high)), low: Math.min(...span.map(c => c.low)), close: span[span.length - 1].close };
+}
+
+// High / low of the last finished run of candles inside the session.
+// inSession(ts); sessionOpen = the session is still running now (its
+// trailing candles are a range in the making, not a finished one)
+export function sessionRange(candles, inSession, sessionOpen) {
+  let end = candles.length - 1;
+  if (sessionOpen) while (end >= 0 && inSession(candles[end].timestamp)) end--;
+  while (end >= 0 && !inSession(candles[end].timestamp)) end--;
+  if (end < 0) return null;
+  let start = end;
+  while (start > 0 && inSession(candles[start - 1].timestamp)) start--;
+  if (start === 0) return null;
+  const span = candles.slice(start, end + 1);
+  return { high: Math.max(...span.map(c => c.high)), low: Math.min(...span.map(c => c.low)) };
+}
+
+// { high, low, close } → [{ name, price }] for a PIVOT_MODES name ('off' → none)
+export function pivotPoints({ high: h, low: l, close: c }, mode) {
+  const range = h - l;
+  const p = (h + l + c) / 3;
+  switch (mode) {
+    case 'standard':
+      return [
+        { name: 'P', price: p },
+        { name: 'R1', price: 2 * p - l }, { name: 'S1', price: 2 * p - h },
+        { name: 'R2', price: p + range }, { name: 'S2', price: p - range },
+        { name: 'R3', price: h + 2 * (p - l) }, { name: 'S3', price: l - 2 * (h - p) }
+      ];
+    case 'camarilla':
+      return [12, 6, 4, 2].flatMap((d, i) => [
+        { name: `R${i + 1}`, price: c + range * 1.1 / d },
+        { name: `S${i + 1}`, price: c - range * 1.1 / d }
+      ]);
+    case 'fibonacci':
+      return [
+        { name: 'P', price: p },
+        ...[0.382, 0.618, 1].flatMap((f, i) => [
+          { name: `R${i + 1}`, price: p + range * f },
+          { name: `S${i + 1}`, price: p - range * f }
+        ])
+      ];
+    default:
+      return [];
+  }
+}
+
+// Round numbers around price → [{ price, major }]; step = roundStep, else 1000 ticks at `precision`
+export function roundNumbers(price, precision, roundStep = null, count = 2) {
+  const step = roundStep || 10 ** (3 - precision);
+  const base = Math.floor(price / step);
+  const levels = [];
+  for (let k = base - count + 1; k <= base + count; k++) {
+    levels.push({ price: parseFloat((k * step).toFixed(precision)), major: k % 10 === 0 });
+  }
+  return levels;
+}
+
+// ── ALL REFERENCE LEVELS FOR ONE ANALYSIS ──
+// candles: closed candles of a ≤ 1h buffer reaching back past the prior week
+// if possible; asia: its sessionRange (null = none)
+// → [{ price, label, touches }] within p.rangeAtr × atr of price
+export function referenceLevels({ candles, now, price, atr, precision, roundStep = null, asia = null, p }) {
+  const refs = [];
+  const add = (label, level, touches) => { if (touches > 0 && Number.isFinite(level)) refs.push({ price: level, label, touches }); };
+  const day = (c) => tradingDay(c.timestamp, p.dayStartHour);
+  const today = tradingDay(now, p.dayStartHour);
+
+  const pd = priorPeriod(candles, day, today);
+  const pw = priorPeriod(candles, (c) => tradingWeek(day(c)), tradingWeek(today));
+  if (pd) { add('PDH', pd.high, p.prior); add('PDL', pd.low, p.prior); add('PDC', pd.close, p.prior); }
+  if (pw) { add('PWH', pw.high, p.prior); add('PWL', pw.low, p.prior); add('PWC', pw.close, p.prior); }
+
+  if (asia) { add('AsiaH', asia.high, p.asian); add('AsiaL', asia.low, p.asian); }
+
+  if (pd) for (const pv of pivotPoints(pd, p.pivots)) add(`D${pv.name}`, pv.price, p.pivotWeight);
+  if (pw && p.weeklyPivots) for (const pv of pivotPoints(pw, p.pivots)) add(`W${pv.name}`, pv.price, p.pivotWeight);
+
+  if (p.round > 0) for (const r of roundNumbers(price, precision, roundStep)) add('Round', r.price, r.major ? p.round * 2 : p.round);
+
+  return refs.filter(r => Math.abs(r.price - price) <= p.rangeAtr * atr);
+}
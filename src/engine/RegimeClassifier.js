@@ -0,0 +1,118 @@
+// ═══════════════════════════════════════════════════════════════════
+// REGIME CLASSIFIER — TRENDING / RANGING / BREAKOUT with hysteresis
+//
+// regimeFeatures() reads off the indicator bundle and recent swings:
+//   adx          trend strength
+//   bbWidthPct   percentile of the current Bollinger width in its window
+//   atrPct       percentile of the current ATR in its window
+//   structure    UP (higher highs + higher lows), DOWN, or MIXED swings
+//   outside      UP / DOWN when the close left the prior rangeBars range
+//
+// rawRegime() votes on them:
+//   BREAKOUT   close beyond the prior range, ADX ≥ breakoutAdx and ATR in
+//              its top percentiles — taken at once, no confirmation
+//   TRENDING   2 of: ADX ≥ trendingAdx, directional structure, wide bands
+//   RANGING    anything else
+//
+// Hysteresis, so the regime doesn't flip every few candles around one
+// ADX value: once TRENDING, ADX has to fall adxBand below trendingAdx to
+// lose its vote, and any other switch needs the new regime on confirmBars
+// consecutive candles. State advances once per candle (keyed by candle
+// time), so live re-analysis of a forming candle doesn't count twice.
+//
+// Each regime picks a playbook — the rule set the engine runs
+// (rule.regimes + strategy rules.regimes, see RuleRegistry).
+// ═══════════════════════════════════════════════════════════════════
+
+export const REGIMES = ['TRENDING', 'RANGING', 'BREAKOUT'];
+
+export const PLAYBOOKS = { TRENDING: 'trend-following', BREAKOUT: 'breakout', RANGING: 'mean-reversion' };
+
+// Share of the window at or below value, 0–100 (null without history)
+export function percentile(series, value) {
+  const vals = (series || []).filter(Number.isFinite);
+  if (!vals.length || !Number.isFinite(value)) return null;
+  return (vals.filter(v => v <= value).length / vals.length) * 100;
+}
+
+// UP / DOWN when the last two swing highs and lows both step the same way
+export function swingStructure(swings) {
+  const last2 = (type) => swings.filter(s => s.type === type).sort((a, b) => a.index - b.index).slice(-2);
+  const highs = last2('RESISTANCE'), lows = last2('SUPPORT');
+  if (highs.length < 2 || lows.length < 2) return 'MIXED';
+  if (highs[1].price > highs[0].price && lows[1].price > lows[0].price) return 'UP';
+  if (highs[1].price < highs[0].price && lows[1].price < lows[0].price) return 'DOWN';
+  return 'MIXED';
+}
+
+// swings: SRDetector.detectSwings() over the last p.structureBars candles
+export function regimeFeatures(ind, highs, lows, swings, p) {
+  const vs = ind.volatilitySeries || {};
+  const bbWidth = ind.bb ? (ind.bb.upper - ind.bb.lower) / ind.bb.middle : null;
+  const rH = Math.max(...highs.slice(-p.rangeBars - 1, -1));
+  const rL = Math.min(...lows.slice(-p.rangeBars - 1, -1));
+  return {
+    adx: ind.adx?.adx || 0,
+    bbWidthPct: percentile(vs.bbWidth, bbWidth),
+    atrPct: percentile(vs.atr, ind.atr),
+    structure: swingStructure(swings),
+    outside: ind.price > rH ? 'UP' : ind.price < rL ? 'DOWN' : null
+  };
+}
+
+// Unconfirmed read of one candle; `current` only moves the ADX threshold
+export function rawRegime(f, current, p) {
+  if (f.outside && f.adx >= p.breakoutAdx && f.atrPct !== null && f.atrPct >= p.breakoutAtrPct) return 'BREAKOUT';
+  const adxLevel = current === 'TRENDING' || current === 'BREAKOUT' ? p.trendingAdx - p.adxBand : p.trendingAdx;
+  const votes = (f.adx >= adxLevel ? 1 : 0)
+    + (f.structure !== 'MIXED' ? 1 : 0)
+    + (f.bbWidthPct !== null && f.bbWidthPct >= p.trendBbPct ? 1 : 0);
+  return votes >= 2 ? 'TRENDING' : 'RANGING';
+}
+
+export class RegimeClassifier {
+  constructor() {
+    this.state = new Map(); // symbol → { barTime, base, current }
+  }
+
+  // → { regime, playbook, raw, candidate, count, since, features }
+  classify(symbol, barTime, features, p) {
+    let st = this.state.get(symbol);
+    if (!st) this.state.set(symbol, st = { barTime: undefined, base: null, current: null });
+    // A new candle commits the last result for the previous one
+    if (barTime === undefined || barTime !== st.barTime) {
+      st.base = st.current;
+      st.barTime = barTime;
+    }
+
+    const prev = st.base;
+    const raw = rawRegime(features, prev?.regime, p);
+    let next;
+    if (!prev) next = { regime: raw, candidate: raw, count: 0, since: barTime ?? null };
+    else if (raw === prev.regime) next = { ...prev, candidate: raw, count: 0 };
+    else {
+      const count = raw === prev.candidate ? prev.count + 1 : 1;
+      next = raw === 'BREAKOUT' || count >= p.confirmBars
+        ? { regime: raw, candidate: raw, count: 0, since: barTime ?? null }
+        : { ...prev, candidate: raw, count };
+    }
+    st.current = next;
+    return { ...next, playbook: PLAYBOOKS[next.regime], raw, features };
+  }
+
+  reset(symbol = null) {
+    if (symbol) this.state.delete(symbol);
+    else this.state.clear();
+  }
+}
+
+// ── MEAN-REVERSION RANGE: nearest support → nearest resistance ──
+// → { support, resistance, width, pos } (pos 0 = support, 1 = resistance),
+// or null when either edge is missing or the box is narrower than minWidthAtr
+export function rangePosition(sr, price, atr, p) {
+  const s = sr?.nearestSupport, r = sr?.nearestResistance;
+  if (!s || !r || !(atr > 0)) return null;
+  const width = r.price - s.price;
+  if (width < p.minWidthAtr * atr) return null;
+  return { support: s, resistance: r, width, pos: (price - s.price) / width };
+}
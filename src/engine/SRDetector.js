@@ -8,29 +8,282 @@
 // 4. No recency bias — a level from 50 candles ago = same weight as recent
 //
 // This version:
-// 1. Proper swing high/low detection (5-candle confirmation)
+// 1. Proper swing high/low detection (5-candle confirmation by default)
 // 2. Clusters nearby levels within 0.5 ATR tolerance
 // 3. Scores levels by: touch count + recency + bounce strength
 // 4. Returns top 3 support and top 3 resistance levels with strength scores
+// 5. Each level is a zone: level.zone = { low, high } spans the wicks and
+//    bodies of its swings (a swing high runs from its body top to its wick,
+//    a swing low from its wick to its body bottom), at most zoneMaxAtr
+//    (strategy sr.zoneMaxAtr, 0 = single-price levels) thick on the wick
+//    side. level.price stays the average swing price.
+//
+// Proximity is measured to the zone's near edge (zoneProximity): a zone
+// below the close is support, above it resistance, and a zone the close
+// is inside keeps the side of its swings (insideZone) — inside a supply
+// zone is AT resistance however deep the close went.
+//
+// Higher timeframes: scanLevels() runs steps 1–3 on any candle series and
+// tags each level with its timeframe (level.timeframe, '5m' / '1h' /
+// 'daily' …). findSR merges the entry levels with the `higher` ones it is
+// given — strongest first, a weaker zone overlapping a zone from another
+// timeframe folds into it (the zone widens to cover both) and adds its
+// timeframe to level.origins. The weight multiplies a level's raw score
+// before the 0–100 clamp, so a 1h zone outranks a 5m zone with the same
+// touches. A higher-timeframe level's index / age count its own candles.
+//
+// Reference levels (ReferenceLevels: prior day / week, Asian range, pivots,
+// round numbers) come in as { price, label, touches }: referenceLevels()
+// scores each like a cluster of that many touches — bounces and breaches on
+// the entry candles, no recency bonus — tagged with its label ('PDH',
+// 'DR1', 'Round' …), and they merge like another timeframe's levels.
+//
+// Swings (step 1) come from one of SWING_MODES over the last `lookback`
+// candles (strategy params.swings, DEFAULT_SWINGS without):
+//   fractal          high / low beyond `order` candles on each side. With
+//                    adaptive, a candle whose 14-bar mean range runs above
+//                    the window's needs order × that ratio (up to maxOrder)
+//                    — news spikes need more confirmation. filterAtr > 0
+//                    drops swings that move less than filterAtr × range
+//                    from the previous opposite swing
+//   zigzag_atr       a high / low is confirmed once price reverses
+//   zigzag_pct       zigzagAtr × the mean range / zigzagPct % of the close
+// Each swing records confirmedAt, the candle that confirmed it.
+// swingSequence() turns them into alternating highs and lows labelled
+// HH / LH / HL / LL — findSR returns it as sr.swings for the structure
+// logic (analyzeMomentum with momentum.structure).
+//
+// Bounces and breaches (step 3) count candles of the whole window against
+// a tolerance of the current ATR, so they cannot be carried from one scan
+// to the next. A TouchIndex keeps the window's closed candles sorted by
+// low, high and consecutive-close range, updated as each candle closes:
+// a level's counts are then a few binary searches plus the candles near
+// it, with the same comparisons as _countBounces / _countBreaches. The
+// engine keeps one per symbol next to its candle store (findSR `touches`);
+// without one the counts scan the window.
+// ═══════════════════════════════════════════════════════════════════
+
+const DEFAULT_ZONE_MAX_ATR = 0.5;
+// Bounce / breach tolerance (× ATR) and the window candles bounces skip
+const BOUNCE_ATR = 0.3;
+const BREACH_ATR = 0.1;
+const BOUNCE_FROM = 5;
+
+export const SWING_MODES = ['fractal', 'zigzag_atr', 'zigzag_pct'];
+// The original detector: 2-candle fractals over the last 100 candles
+export const DEFAULT_SWINGS = { mode: 'fractal', order: 2, adaptive: false, maxOrder: 2, filterAtr: 0, zigzagAtr: 2, zigzagPct: 0.3, lookback: 100 };
+
+const RANGE_BARS = 14;
+
+// 14-bar mean true range at every candle (fewer bars at the start)
+function rangeSeries(highs, lows, closes) {
+  const tr = highs.map((h, i) => (i === 0 ? h - lows[i] : Math.max(h, closes[i - 1]) - Math.min(lows[i], closes[i - 1])));
+  let sum = 0;
+  return tr.map((v, i) => {
+    sum += v - (i >= RANGE_BARS ? tr[i - RANGE_BARS] : 0);
+    return sum / Math.min(i + 1, RANGE_BARS);
+  });
+}
+
+// Swings (any order) → alternating highs / lows, oldest first, each with
+// label HH / LH (vs the previous high) or HL / LL (vs the previous low),
+// null for the first of its type. Two highs in a row keep the higher one.
+export function swingSequence(swings) {
+  const seq = [];
+  for (const s of [...swings].sort((a, b) => a.index - b.index)) {
+    const last = seq[seq.length - 1];
+    if (last && last.type === s.type) {
+      const beyond = s.type === 'RESISTANCE' ? s.price > last.price : s.price < last.price;
+      if (beyond) seq[seq.length - 1] = s;
+      continue;
+    }
+    seq.push(s);
+  }
+  const prev = {};
+  return seq.map(s => {
+    const before = prev[s.type];
+    prev[s.type] = s;
+    const label = !before ? null
+      : s.type === 'RESISTANCE' ? (s.price > before.price ? 'HH' : 'LH')
+        : (s.price < before.price ? 'LL' : 'HL');
+    return { ...s, label };
+  });
+}
+
+// '1h' / '1h+5m' — the timeframe(s) a level came from, '' when untagged
+export function levelTag(level) {
+  return (level.origins || (level.timeframe ? [level.timeframe] : [])).join('+');
+}
+
+// A level's zone, or the level price itself for plain { price } levels
+export function levelZone(level) {
+  return level.zone || { low: level.price, high: level.price };
+}
+
+// Price vs a level's zone, seen from `role` ('SUPPORT' below / 'RESISTANCE' above):
+//   distance     to the near edge (≤ 0 once price reached or crossed it)
+//   inside       price within the zone
+//   depth        how far past the near edge (0 outside, price units)
+//   penetration  depth as a share of the zone (0–1, 1 = at the far edge)
+export function zoneProximity(price, level, role) {
+  const { low, high } = levelZone(level);
+  const distance = role === 'RESISTANCE' ? low - price : price - high;
+  const inside = price >= low && price <= high;
+  const depth = inside ? -distance : 0;
+  const width = high - low;
+  return { distance, inside, depth, penetration: inside && width > 0 ? depth / width : 0 };
+}
+
+// ── SORTED ARRAYS (ascending by key) ──
+// First index whose entry passes test (false … false true … true)
+function firstWhere(arr, test) {
+  let lo = 0, hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (test(arr[mid])) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+function sortedInsert(arr, entry, key) {
+  arr.splice(firstWhere(arr, e => e[key] >= entry[key]), 0, entry);
+}
+
+function sortedRemove(arr, entry, key) {
+  let i = firstWhere(arr, e => e[key] >= entry[key]);
+  while (arr[i] !== entry) i++;
+  arr.splice(i, 1);
+}
+
 // ═══════════════════════════════════════════════════════════════════
+// TOUCH INDEX — bounce / breach counts without rescanning the window
+//
+// Mirrors the closed candles of a window (everything but the forming
+// candle): push() the candle that just closed, shift() when the oldest
+// leaves. Candles at window position BOUNCE_FROM and later are kept by
+// low and by high (bounces); each consecutive pair of closes by its min
+// and by its max (breaches). A pair breaches [level ± tol] when its min
+// is below the band and its max above it, so
+//   breaches = #(min < lo) + #(max > hi) − #pairs + #(both closes in band)
+// — the band is narrow, the last term walks only the closes inside it.
+// ═══════════════════════════════════════════════════════════════════
+export class TouchIndex {
+  constructor() {
+    this.slots = [];     // per closed candle, oldest first: { candle, low, high, pair }
+    this.lows = [];      // { price: low, close } by price
+    this.highs = [];     // { price: high, close } by price
+    this.byMin = [];     // { min, max } of consecutive closes, by min
+    this.byMax = [];     // the same pairs, by max
+  }
+
+  static from(candles) {
+    const index = new TouchIndex();
+    for (const c of candles) index.push(c);
+    return index;
+  }
+
+  get length() {
+    return this.slots.length;
+  }
+
+  // A candle closed — it joins the window's newest end
+  push(candle) {
+    const prev = this.slots[this.slots.length - 1];
+    const slot = { candle, low: null, high: null, pair: null };
+    if (this.slots.length >= BOUNCE_FROM) {
+      slot.low = { price: candle.low, close: candle.close };
+      slot.high = { price: candle.high, close: candle.close };
+      sortedInsert(this.lows, slot.low, 'price');
+      sortedInsert(this.highs, slot.high, 'price');
+    }
+    if (prev) {
+      slot.pair = { min: Math.min(prev.candle.close, candle.close), max: Math.max(prev.candle.close, candle.close) };
+      sortedInsert(this.byMin, slot.pair, 'min');
+      sortedInsert(this.byMax, slot.pair, 'max');
+    }
+    this.slots.push(slot);
+  }
+
+  // The oldest candle left the window: its pair goes, and the candle at
+  // BOUNCE_FROM moves below it (positions only ever decrease)
+  shift() {
+    this.slots.shift();
+    const first = this.slots[0];
+    if (first?.pair) {
+      sortedRemove(this.byMin, first.pair, 'min');
+      sortedRemove(this.byMax, first.pair, 'max');
+      first.pair = null;
+    }
+    const leaving = this.slots[BOUNCE_FROM - 1];
+    if (leaving?.low) {
+      sortedRemove(this.lows, leaving.low, 'price');
+      sortedRemove(this.highs, leaving.high, 'price');
+      leaving.low = leaving.high = null;
+    }
+  }
+
+  // = _countBounces over the window (the forming candle never counts)
+  bounces(levelPrice, atr) {
+    const tolerance = atr * BOUNCE_ATR;
+    const lo = levelPrice - tolerance, hi = levelPrice + tolerance;
+    let bounces = 0;
+    for (let i = firstWhere(this.lows, e => e.price >= lo); i < this.lows.length && this.lows[i].price <= hi; i++) {
+      if (this.lows[i].close > levelPrice) bounces++;
+    }
+    for (let i = firstWhere(this.highs, e => e.price >= lo); i < this.highs.length && this.highs[i].price <= hi; i++) {
+      if (this.highs[i].close < levelPrice) bounces++;
+    }
+    return bounces;
+  }
+
+  // = _countBreaches over the window; close = the forming candle's close
+  breaches(levelPrice, atr, close) {
+    const tolerance = atr * BREACH_ATR;
+    const lo = levelPrice - tolerance, hi = levelPrice + tolerance;
+    if (!(lo <= hi)) return 0;
+    const below = firstWhere(this.byMin, e => e.min >= lo);
+    const above = this.byMax.length - firstWhere(this.byMax, e => e.max > hi);
+    let inside = 0;
+    for (let i = below; i < this.byMin.length && this.byMin[i].min <= hi; i++) {
+      if (this.byMin[i].max <= hi) inside++;
+    }
+    let breaches = below + above - (this.byMin.length - inside);
+    const last = this.slots[this.slots.length - 1]?.candle.close;
+    if ((last < lo && close > hi) || (last > hi && close < lo)) breaches++;
+    return breaches;
+  }
+}
 
 export class SRDetector {
 
     // ── MAIN ENTRY POINT ──
-    // Returns: { support, resistance, allLevels, nearestSupport, nearestResistance }
-    findSR(closes, highs, lows, atr) {
+    // Returns: { support, resistance, allLevels, nearestSupport, nearestResistance, insideZone, swings }
+    // opens (optional) place each swing's body edge; without them the close does.
+    // timeframe tags the entry levels; higher = level lists from scanLevels on
+    // higher timeframes, references = reference levels { price, label, touches },
+    // both merged in before the levels are split by side. swingParams = params.swings,
+    // touches = a TouchIndex of every candle but the last (else the window is scanned)
+    findSR(closes, highs, lows, atr, { opens = null, zoneMaxAtr = DEFAULT_ZONE_MAX_ATR, timeframe = null, higher = [], references = [], swingParams = DEFAULT_SWINGS, touches = null } = {}) {
       const price = closes[closes.length - 1];
-      const swings = this.detectSwings(highs, lows, closes);
-      const clustered = this.clusterLevels(swings, atr);
-      const scored = this.scoreLevels(clustered, closes, highs, lows, atr);
+      const swings = this.detectSwings(highs, lows, closes, opens, swingParams);
+      const own = this.scanLevels(closes, highs, lows, atr, { opens, zoneMaxAtr, timeframe, swings, touches });
+      const extra = [...higher.flat(), ...this.referenceLevels(references, closes, highs, lows, atr, touches)];
+      const scored = extra.length ? this.mergeLevels([...extra, ...own]) : own;
+      const role = (l) => {
+        const { low, high } = levelZone(l);
+        if (high < price) return 'SUPPORT';
+        if (low > price) return 'RESISTANCE';
+        return l.type;
+      };
   
       const supports = scored
-        .filter(l => l.price < price)
-        .sort((a, b) => b.price - a.price); // Nearest first
+        .filter(l => role(l) === 'SUPPORT')
+        .sort((a, b) => b.zone.high - a.zone.high); // Nearest edge first
   
       const resistances = scored
-        .filter(l => l.price > price)
-        .sort((a, b) => a.price - b.price); // Nearest first
+        .filter(l => role(l) === 'RESISTANCE')
+        .sort((a, b) => a.zone.low - b.zone.low); // Nearest edge first
   
       return {
         // Primary levels (for signal engine compatibility)
@@ -44,67 +297,184 @@ export class SRDetector {
         // Nearest strong levels with strength scores
         nearestSupport: supports[0] || null,
         nearestResistance: resistances[0] || null,
+
+        // Strongest zone the close is inside (scored is strongest first)
+        insideZone: scored.find(l => zoneProximity(price, l, role(l)).inside) || null,
   
         // All levels for debugging
-        allLevels: scored
+        allLevels: scored,
+
+        // Alternating swing highs / lows, labelled HH / LH / HL / LL
+        swings: swingSequence(swings)
       };
     }
+
+    // ── STEPS 1–3 ON ONE TIMEFRAME ──
+    // → scored levels, strongest first, tagged { timeframe, origins: [timeframe] }
+    // weight scales the raw score (higher timeframes > 1); swings = detectSwings
+    // output to reuse, else detected with swingParams; touches = see findSR
+    scanLevels(closes, highs, lows, atr, { opens = null, zoneMaxAtr = DEFAULT_ZONE_MAX_ATR, timeframe = null, weight = 1, swings = null, swingParams = DEFAULT_SWINGS, touches = null } = {}) {
+      if (!swings) swings = this.detectSwings(highs, lows, closes, opens, swingParams);
+      const clustered = this.clusterLevels(swings, atr, zoneMaxAtr);
+      return this.scoreLevels(clustered, closes, highs, lows, atr, weight, touches).map(l => {
+        l.timeframe = timeframe;
+        l.origins = timeframe ? [timeframe] : [];
+        return l;
+      });
+    }
+
+    // ── REFERENCE LEVELS → scored single-price levels ──
+    // type by side of the close; touches = weight in swing-touch equivalents
+    referenceLevels(references, closes, highs, lows, atr, touches = null) {
+      if (references.length === 0) return [];
+      const price = closes[closes.length - 1];
+      const clusters = references.map(r => ({
+        price: r.price,
+        zone: { low: r.price, high: r.price },
+        type: r.price >= price ? 'RESISTANCE' : 'SUPPORT',
+        touchCount: r.touches,
+        minAge: Infinity,
+        swings: [],
+        strength: 0,
+        timeframe: r.label,
+        origins: [r.label]
+      }));
+      return this.scoreLevels(clusters, closes, highs, lows, atr, 1, touches);
+    }
+
+    // ── MERGE ACROSS TIMEFRAMES ──
+    // Strongest first (ties keep input order — pass higher timeframes first).
+    // A level whose zone overlaps a kept level from another timeframe folds
+    // into it, widening the zone to cover both — the nearer edge still counts.
+    // Same-timeframe levels were already clustered and stay apart.
+    // Inputs are not mutated (the engine caches layer scans).
+    mergeLevels(levels) {
+      const kept = [];
+      for (const level of [...levels].sort((a, b) => b.strength - a.strength)) {
+        const { low, high } = levelZone(level);
+        const into = kept.find(k => k.timeframe !== level.timeframe && low <= k.zone.high && high >= k.zone.low);
+        if (into) {
+          into.zone.low = Math.min(into.zone.low, low);
+          into.zone.high = Math.max(into.zone.high, high);
+          for (const tf of level.origins || []) if (!into.origins.includes(tf)) into.origins.push(tf);
+        } else {
+          kept.push({ ...level, zone: { ...levelZone(level) }, origins: [...(level.origins || [])] });
+        }
+      }
+      // Origins in input order — highest timeframe first
+      const order = [...new Set(levels.map(l => l.timeframe))];
+      for (const k of kept) k.origins.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+      return kept;
+    }
   
     // ── STEP 1: SWING HIGH/LOW DETECTION ──
-    // A swing high = candle[i].high is highest of 5-candle window (2 left, 2 right)
-    // A swing low  = candle[i].low is lowest of 5-candle window
-    detectSwings(highs, lows, closes) {
-      const swings = [];
-      const lookback = Math.min(100, highs.length); // Look at last 100 candles
+    // p = params.swings (SWING_MODES). Fractal order 2: a swing high = candle[i].high
+    // is the highest of a 5-candle window (2 left, 2 right), a swing low the lowest.
+    // body = the swing candle's body edge on the wick side (close without opens)
+    // → [{ price, type, body, index, age, confirmedAt }]
+    detectSwings(highs, lows, closes, opens = null, p = DEFAULT_SWINGS) {
+      const lookback = Math.min(p.lookback, highs.length);
       const start = highs.length - lookback;
-      const confirmBars = 2; // How many bars each side must confirm
-  
-      for (let i = start + confirmBars; i < highs.length - confirmBars; i++) {
-        const isSwingHigh = this._isSwingHigh(highs, i, confirmBars);
-        const isSwingLow = this._isSwingLow(lows, i, confirmBars);
-  
-        if (isSwingHigh) {
-          swings.push({
-            price: highs[i],
-            type: 'RESISTANCE',
-            index: i,
-            age: highs.length - i, // How many candles ago
-            raw: true
-          });
+      const ranges = rangeSeries(highs, lows, closes);
+      const swing = (i, type, confirmedAt) => ({
+        price: type === 'RESISTANCE' ? highs[i] : lows[i],
+        type,
+        body: opens
+          ? (type === 'RESISTANCE' ? Math.max(opens[i], closes[i]) : Math.min(opens[i], closes[i]))
+          : closes[i],
+        index: i,
+        age: highs.length - i, // How many candles ago
+        confirmedAt
+      });
+
+      if (p.mode === 'fractal') {
+        const swings = this._fractals(highs, lows, start, ranges, p, swing);
+        return p.filterAtr > 0 ? this._filterSwings(swings, ranges, p.filterAtr) : swings;
+      }
+      const threshold = p.mode === 'zigzag_pct'
+        ? (i) => closes[i] * p.zigzagPct / 100
+        : (i) => ranges[i] * p.zigzagAtr;
+      return this._zigzag(highs, lows, start, threshold, swing);
+    }
+
+    _fractals(highs, lows, start, ranges, p, swing) {
+      const swings = [];
+      const window = ranges.slice(start);
+      const mean = window.reduce((a, b) => a + b, 0) / window.length;
+      const orderAt = (i) => (p.adaptive && mean > 0
+        ? Math.min(p.maxOrder, Math.max(p.order, Math.round(p.order * ranges[i] / mean)))
+        : p.order);
+
+      for (let i = start + p.order; i < highs.length - p.order; i++) {
+        const bars = orderAt(i);
+        if (i - bars < start || i + bars >= highs.length) continue;
+        if (this._isSwingHigh(highs, i, bars)) swings.push(swing(i, 'RESISTANCE', i + bars));
+        if (this._isSwingLow(lows, i, bars)) swings.push(swing(i, 'SUPPORT', i + bars));
+      }
+      return swings;
+    }
+
+    // ATR filter: walk the swings in order, a swing closer than minAtr × the
+    // mean range to the previous opposite swing is noise; two of a kind in a
+    // row keep the more extreme one
+    _filterSwings(swings, ranges, minAtr) {
+      const kept = [];
+      for (const s of swings) {
+        const last = kept[kept.length - 1];
+        if (last && last.type === s.type) {
+          if (s.type === 'RESISTANCE' ? s.price > last.price : s.price < last.price) kept[kept.length - 1] = s;
+          continue;
         }
-  
-        if (isSwingLow) {
-          swings.push({
-            price: lows[i],
-            type: 'SUPPORT',
-            index: i,
-            age: highs.length - i,
-            raw: true
-          });
+        if (last && Math.abs(s.price - last.price) < minAtr * ranges[s.index]) continue;
+        kept.push(s);
+      }
+      return kept;
+    }
+
+    // ZigZag: follow the running extreme of the current leg; a reversal of
+    // threshold(i) from it (on a later candle — one candle's order of high
+    // and low is unknown) confirms the extreme as a swing and starts the
+    // next leg. The leg still running has no swing yet.
+    _zigzag(highs, lows, start, threshold, swing) {
+      const swings = [];
+      let dir = 0, hi = start, lo = start;
+      for (let i = start; i < highs.length; i++) {
+        const thr = threshold(i);
+        if (dir >= 0 && highs[i] > highs[hi]) hi = i;
+        if (dir <= 0 && lows[i] < lows[lo]) lo = i;
+        if (dir === 0) {
+          if (highs[hi] - lows[lo] < thr) continue;
+          if (lo < hi) { swings.push(swing(lo, 'SUPPORT', i)); dir = 1; }
+          else { swings.push(swing(hi, 'RESISTANCE', i)); dir = -1; }
+        } else if (dir === 1 && hi !== i && highs[hi] - lows[i] >= thr) {
+          swings.push(swing(hi, 'RESISTANCE', i));
+          dir = -1; lo = i;
+        } else if (dir === -1 && lo !== i && highs[i] - lows[lo] >= thr) {
+          swings.push(swing(lo, 'SUPPORT', i));
+          dir = 1; hi = i;
         }
       }
-  
       return swings;
     }
-  
+
     _isSwingHigh(highs, i, bars) {
       for (let j = 1; j <= bars; j++) {
         if (highs[i] <= highs[i - j] || highs[i] <= highs[i + j]) return false;
       }
       return true;
     }
-  
+
     _isSwingLow(lows, i, bars) {
       for (let j = 1; j <= bars; j++) {
         if (lows[i] >= lows[i - j] || lows[i] >= lows[i + j]) return false;
       }
       return true;
     }
-  
+
     // ── STEP 2: CLUSTER NEARBY LEVELS ──
     // Group levels within 0.5 ATR of each other into a single zone
     // The zone price = weighted average of all levels in the cluster
-    clusterLevels(swings, atr) {
+    clusterLevels(swings, atr, zoneMaxAtr = DEFAULT_ZONE_MAX_ATR) {
       if (swings.length === 0) return [];
   
       const tolerance = atr * 0.5; // Cluster radius
@@ -124,20 +494,20 @@ export class SRDetector {
           currentCluster.push(swing);
         } else {
           // Save cluster, start new one
-          clusters.push(this._buildCluster(currentCluster));
+          clusters.push(this._buildCluster(currentCluster, atr, zoneMaxAtr));
           currentCluster = [swing];
         }
       }
   
       // Don't forget last cluster
       if (currentCluster.length > 0) {
-        clusters.push(this._buildCluster(currentCluster));
+        clusters.push(this._buildCluster(currentCluster, atr, zoneMaxAtr));
       }
   
       return clusters;
     }
   
-    _buildCluster(swings) {
+    _buildCluster(swings, atr, zoneMaxAtr) {
       const avgPrice = swings.reduce((s, c) => s + c.price, 0) / swings.length;
       const minAge = Math.min(...swings.map(s => s.age));
       const touchCount = swings.length;
@@ -145,9 +515,20 @@ export class SRDetector {
       // Type = whichever type appears more
       const resistanceCount = swings.filter(s => s.type === 'RESISTANCE').length;
       const type = resistanceCount >= swings.length / 2 ? 'RESISTANCE' : 'SUPPORT';
+
+      // Zone = wick-to-body extents of every swing, capped on the wick side
+      const edges = swings.flatMap(s => [s.price, s.body ?? s.price]);
+      let low = Math.min(...edges), high = Math.max(...edges);
+      const maxWidth = zoneMaxAtr * atr;
+      if (!(maxWidth > 0)) low = high = avgPrice;
+      else if (high - low > maxWidth) {
+        if (type === 'RESISTANCE') low = high - maxWidth;
+        else high = low + maxWidth;
+      }
   
       return {
         price: avgPrice,
+        zone: { low: Math.min(low, avgPrice), high: Math.max(high, avgPrice) },
         type,
         touchCount,
         minAge, // Most recent touch (in candles)
@@ -157,8 +538,9 @@ export class SRDetector {
     }
   
     // ── STEP 3: SCORE LEVELS ──
-    // Score = touchCount × recencyBonus × bounceStrength
-    scoreLevels(clusters, closes, highs, lows, atr) {
+    // Score = touchCount × recencyBonus × bounceStrength, × weight before the clamp
+    // touches: TouchIndex of closes[0 … n−2] — same counts, no window scan
+    scoreLevels(clusters, closes, highs, lows, atr, weight = 1, touches = null) {
       return clusters.map(cluster => {
         let score = 0;
   
@@ -172,15 +554,19 @@ export class SRDetector {
   
         // Bounce strength — did price respect this level?
         // Check if close bounced away from the level (not through it)
-        const bounces = this._countBounces(cluster.price, closes, highs, lows, atr);
+        const bounces = touches
+          ? touches.bounces(cluster.price, atr)
+          : this._countBounces(cluster.price, closes, highs, lows, atr);
         score += bounces * 8;
   
         // Penalty: if price has traded through this level recently, it's weaker
-        const breaches = this._countBreaches(cluster.price, closes, atr);
+        const breaches = touches
+          ? touches.breaches(cluster.price, atr, closes[closes.length - 1])
+          : this._countBreaches(cluster.price, closes, atr);
         score -= breaches * 5;
   
         // Normalize to 0-100
-        cluster.strength = Math.min(100, Math.max(0, score));
+        cluster.strength = Math.min(100, Math.max(0, score * weight));
         return cluster;
       }).sort((a, b) => b.strength - a.strength);
     }
@@ -188,9 +574,9 @@ export class SRDetector {
     // Count how many times price bounced off a level
     _countBounces(levelPrice, closes, highs, lows, atr) {
       let bounces = 0;
-      const tolerance = atr * 0.3;
+      const tolerance = atr * BOUNCE_ATR;
   
-      for (let i = 5; i < closes.length - 1; i++) {
+      for (let i = BOUNCE_FROM; i < closes.length - 1; i++) {
         const touchedFromAbove = lows[i] <= levelPrice + tolerance && lows[i] >= levelPrice - tolerance && closes[i] > levelPrice;
         const touchedFromBelow = highs[i] >= levelPrice - tolerance && highs[i] <= levelPrice + tolerance && closes[i] < levelPrice;
   
@@ -203,7 +589,7 @@ export class SRDetector {
     // Count how many times price closed through a level (weakens it)
     _countBreaches(levelPrice, closes, atr) {
       let breaches = 0;
-      const tolerance = atr * 0.1;
+      const tolerance = atr * BREACH_ATR;
   
       for (let i = 1; i < closes.length; i++) {
         const crossedUp = closes[i - 1] < levelPrice - tolerance && closes[i] > levelPrice + tolerance;
@@ -215,19 +601,26 @@ export class SRDetector {
     }
   
     // ── UTILITY: Check if price is near a level ──
-    // Returns: { near: bool, level: obj, distance: number, side: 'ABOVE'|'BELOW' }
+    // Distance is to the zone's near edge — 0 inside the zone
+    // Returns: { near: bool, level: obj, distance: number, side: 'ABOVE'|'BELOW'|'INSIDE', inside, penetration }
     isNearLevel(price, srResult, atr, multiplier = 1.0) {
       const threshold = atr * multiplier;
-      const allLevels = [...(srResult.supports || []), ...(srResult.resistances || [])];
-  
-      for (const level of allLevels) {
-        const dist = Math.abs(price - level.price);
+      const allLevels = [
+        ...(srResult.supports || []).map(level => ({ level, role: 'SUPPORT' })),
+        ...(srResult.resistances || []).map(level => ({ level, role: 'RESISTANCE' }))
+      ];
+  
+      for (const { level, role } of allLevels) {
+        const { distance, inside, penetration } = zoneProximity(price, level, role);
+        const dist = Math.max(0, distance);
         if (dist < threshold) {
           return {
             near: true,
             level,
             distance: dist,
-            side: price > level.price ? 'ABOVE' : 'BELOW'
+            side: inside ? 'INSIDE' : role === 'SUPPORT' ? 'ABOVE' : 'BELOW',
+            inside,
+            penetration
           };
         }
       }
@@ -236,8 +629,12 @@ export class SRDetector {
     }
   
     // ── FORMAT for Discord/logging ──
-    formatLevels(srResult) {
-      const fmt = (l) => `${l.price.toFixed(2)} (str:${l.strength.toFixed(0)} touches:${l.touchCount})`;
+    formatLevels(srResult, precision = 2) {
+      const fmt = (l) => {
+        const { low, high } = levelZone(l);
+        const tag = levelTag(l);
+        return `${tag ? `${tag} ` : ''}${low.toFixed(precision)}–${high.toFixed(precision)} (str:${l.strength.toFixed(0)} touches:${l.touchCount})`;
+      };
       return {
         supports: (srResult.supports || []).map(fmt).join(' | ') || 'None',
         resistances: (srResult.resistances || []).map(fmt).join(' | ') || 'None'
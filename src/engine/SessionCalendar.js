@@ -0,0 +1,198 @@
+// ═══════════════════════════════════════════════════════════════════
+// SESSION CALENDAR — trading schedules, market sessions and holidays
+//
+// config/sessions.json:
+//   markets:   { "LONDON": { "timezone": "Europe/London", "days": [1..5], "open": "08:00", "close": "17:00" } }
+//              → the LONDON / NEW_YORK / ASIAN labels on ctx.session
+//   overlaps:  { "OVERLAP": ["LONDON", "NEW_YORK"] } → label when all listed markets are open
+//   schedules: { "london_ny": { "label", "timezone", "days", "open", "close",
+//                               "exclude": [{ "day": 1, "before": "10:00" }] } }
+//              → when an instrument may signal (instrument profile `session`)
+//
+// config/holidays.json:
+//   { "holidays": [{ "date": "2026-12-25", "name", "markets": [...], "assetClasses": [...], "closeAt"? }] }
+//   markets      → that market session is closed (date in the market's timezone)
+//   assetClasses → schedules of instruments in that class are closed, or close
+//                  early at closeAt (date and time in the schedule's timezone)
+//
+// All hours are exchange-local and converted with Intl, so London/NY DST
+// shifts move the sessions with the real markets. Days: 0=Sun … 6=Sat.
+// ═══════════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_SESSIONS_FILE = './config/sessions.json';
+export const DEFAULT_HOLIDAYS_FILE = './config/holidays.json';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = new Map(); // timezone → Intl.DateTimeFormat (construction is the slow part)
+
+export class SessionCalendar {
+  constructor(raw, holidays = [], source = 'inline') {
+    const errors = SessionCalendar.validate(raw, holidays);
+    if (errors.length > 0) {
+      throw new Error(`Invalid session calendar (${source}):\n  - ${errors.join('\n  - ')}`);
+    }
+    this.source = source;
+    this.markets = raw.markets;
+    this.overlaps = raw.overlaps || {};
+    this.schedules = raw.schedules;
+    this.holidays = holidays;
+  }
+
+  // ── LOAD + VALIDATE FROM DISK (a missing holiday file means no holidays) ──
+  static load(sessionsFile = DEFAULT_SESSIONS_FILE, holidaysFile = DEFAULT_HOLIDAYS_FILE) {
+    const raw = readJson(sessionsFile, 'sessions');
+    const holidays = holidaysFile && fs.existsSync(path.resolve(holidaysFile))
+      ? readJson(holidaysFile, 'holidays').holidays
+      : [];
+    return new SessionCalendar(raw, holidays, path.resolve(sessionsFile));
+  }
+
+  // Returns a list of human-readable errors (empty = valid)
+  static validate(raw, holidays = []) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['sessions file must be a JSON object'];
+    for (const key of ['markets', 'schedules']) {
+      if (!raw[key] || typeof raw[key] !== 'object') errors.push(`${key}: required object`);
+    }
+    if (errors.length > 0) return errors;
+
+    for (const [group, entries] of [['markets', raw.markets], ['schedules', raw.schedules]]) {
+      for (const [name, s] of Object.entries(entries)) {
+        const p = `${group}.${name}`;
+        if (!isTimezone(s.timezone)) errors.push(`${p}.timezone: unknown timezone ${JSON.stringify(s.timezone)}`);
+        if (!Array.isArray(s.days) || !s.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) errors.push(`${p}.days: must be weekday numbers 0-6 (0=Sun)`);
+        if (toMinutes(s.open) === null || toMinutes(s.close) === null || toMinutes(s.open) >= toMinutes(s.close)) errors.push(`${p}: open/close must be "HH:MM" with open < close`);
+        for (const [i, ex] of (s.exclude || []).entries()) {
+          if (!Number.isInteger(ex.day) || (toMinutes(ex.before) === null && toMinutes(ex.from) === null)) errors.push(`${p}.exclude[${i}]: needs day and before or from ("HH:MM")`);
+        }
+      }
+    }
+    for (const [label, names] of Object.entries(raw.overlaps || {})) {
+      if (!Array.isArray(names) || names.some(n => !raw.markets[n])) errors.push(`overlaps.${label}: must list known markets`);
+    }
+
+    if (!Array.isArray(holidays)) return [...errors, 'holidays: must be an array'];
+    for (const [i, h] of holidays.entries()) {
+      const p = `holidays[${i}] ${h?.name || ''}`.trim();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(h?.date || '')) errors.push(`${p}.date: expected "YYYY-MM-DD"`);
+      if (h?.markets !== undefined && (!Array.isArray(h.markets) || h.markets.some(m => !raw.markets[m]))) errors.push(`${p}.markets: must list known markets`);
+      if (h?.assetClasses !== undefined && !Array.isArray(h.assetClasses)) errors.push(`${p}.assetClasses: must be an array`);
+      if (h?.closeAt !== undefined && toMinutes(h.closeAt) === null) errors.push(`${p}.closeAt: expected "HH:MM"`);
+    }
+    return errors;
+  }
+
+  // Throws if an instrument references a schedule that doesn't exist
+  assertSchedules(instruments) {
+    const missing = instruments.symbols().filter(s => !this.schedules[instruments.get(s).session]);
+    if (missing.length > 0) {
+      throw new Error(`Unknown session schedule for ${missing.map(s => `${s} (${instruments.get(s).session})`).join(', ')} — define it in ${this.source}`);
+    }
+  }
+
+  schedule(name) {
+    return this.schedules[name];
+  }
+
+  // ── TRADING STATUS for an instrument profile ──
+  // → { open, reason } — reason says why it's closed (for the HOLD warning)
+  tradingStatus(instrument, ts) {
+    const s = this.schedules[instrument.session];
+    const t = localTime(ts, s.timezone);
+
+    const holiday = this.holidays.find(h => h.date === t.date && (h.assetClasses || []).includes(instrument.assetClass));
+    if (holiday && holiday.closeAt === undefined) return { open: false, reason: `${holiday.name} — ${instrument.assetClass} closed` };
+    if (holiday && t.minutes >= toMinutes(holiday.closeAt)) return { open: false, reason: `${holiday.name} — early close ${holiday.closeAt} ${s.timezone}` };
+
+    if (!s.days.includes(t.day)) return { open: false, reason: `outside ${s.label} (${t.weekday})` };
+    for (const ex of s.exclude || []) {
+      if (ex.day !== t.day) continue;
+      if (ex.before !== undefined && t.minutes < toMinutes(ex.before)) return { open: false, reason: `outside ${s.label} (${t.weekday} before ${ex.before} ${s.timezone})` };
+      if (ex.from !== undefined && t.minutes >= toMinutes(ex.from)) return { open: false, reason: `outside ${s.label} (${t.weekday} from ${ex.from} ${s.timezone})` };
+    }
+    if (t.minutes < toMinutes(s.open) || t.minutes >= toMinutes(s.close)) {
+      return { open: false, reason: `outside ${s.label} (${s.open}–${s.close} ${s.timezone})` };
+    }
+    return { open: true, reason: null };
+  }
+
+  isTradingTime(instrument, ts) {
+    return this.tradingStatus(instrument, ts).open;
+  }
+
+  // ── MARKET SESSIONS open at ts (holidays respected) ──
+  openMarkets(ts) {
+    return Object.keys(this.markets).filter(name => this.marketOpen(name, ts));
+  }
+
+  // One market (false for a market the config doesn't have)
+  marketOpen(name, ts) {
+    const m = this.markets[name];
+    if (!m) return false;
+    const t = localTime(ts, m.timezone);
+    if (!m.days.includes(t.day)) return false;
+    if (t.minutes < toMinutes(m.open) || t.minutes >= toMinutes(m.close)) return false;
+    return !this.holidays.some(h => h.date === t.date && (h.markets || []).includes(name));
+  }
+
+  // ── ctx.session LABEL ──
+  // An overlap label if all its markets are open, else the first open market
+  // (config order). With no market open: OFF_HOURS, or QUIET when the
+  // instrument's own schedule is still open (e.g. crypto at the weekend).
+  sessionLabel(ts, instrument = null) {
+    const open = this.openMarkets(ts);
+    for (const [label, names] of Object.entries(this.overlaps)) {
+      if (names.every(n => open.includes(n))) return label;
+    }
+    if (open.length > 0) return open[0];
+    return instrument && this.isTradingTime(instrument, ts) ? 'QUIET' : 'OFF_HOURS';
+  }
+}
+
+// ── HELPERS ──
+
+// Wall-clock time of ts in a timezone: { date: 'YYYY-MM-DD', day, weekday, minutes }
+function localTime(ts, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timezone).formatToParts(new Date(ts))) parts[type] = value;
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: WEEKDAYS[parts.weekday],
+    weekday: parts.weekday,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+function toMinutes(hhmm) {
+  const m = /^(\d{2}):(\d{2})$/.exec(hhmm || '');
+  if (!m) return null;
+  const minutes = parseInt(m[1]) * 60 + parseInt(m[2]);
+  return minutes <= 24 * 60 && parseInt(m[2]) < 60 ? minutes : null;
+}
+
+function isTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return typeof tz === 'string';
+  } catch {
+    return false;
+  }
+}
+
+function readJson(file, what) {
+  const fullPath = path.resolve(file);
+  try {
+    return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read ${what} file ${fullPath}: ${err.message}`);
+  }
+}
@@ -1,158 +1,188 @@
 import { RSI, MACD, EMA, SMA, BollingerBands, ATR, Stochastic, ADX, CCI } from 'technicalindicators';
-import { SRDetector } from './SRDetector.js';
+import { SRDetector, TouchIndex } from './SRDetector.js';
+import { createDefaultRegistry } from './rules/index.js';
+import { StrategyConfig, DEFAULT_STRATEGY_FILE } from './StrategyConfig.js';
+import { InstrumentRegistry, DEFAULT_INSTRUMENTS_FILE } from './InstrumentRegistry.js';
+import { SessionCalendar, DEFAULT_SESSIONS_FILE, DEFAULT_HOLIDAYS_FILE } from './SessionCalendar.js';
+import { DecisionTrace, renderTrace } from './DecisionTrace.js';
+import { IndicatorStream, alignSeries, bbWidth, overlaySeries, overlayFields, VOLATILITY_WINDOW } from './StreamingIndicators.js';
+import { TimeframeStack, timeframeMinutes, timeframeTag } from './TimeframeStack.js';
+import { buildTradePlan } from './TradePlan.js';
+import { buildPendingEntry } from './PendingEntry.js';
+import { placeStop } from './StopPlacement.js';
+import { SmartMoneyTracker } from './SmartMoney.js';
+import { LevelBook } from './LevelBook.js';
+import { referenceLevels, sessionRange } from './ReferenceLevels.js';
+import { RegimeClassifier, regimeFeatures } from './RegimeClassifier.js';
+import { ConfidenceCalibrator, DEFAULT_CALIBRATION_FILE } from './ConfidenceCalibration.js';
+import { EconomicCalendar, DEFAULT_ECONOMIC_CALENDAR_FILE } from './EconomicCalendar.js';
+import { systemClock } from './Clock.js';
+
+// Candles kept per symbol — the window calcIndicators and the streams see
+const CANDLE_WINDOW = 300;
+
+// Rules may return one hit, an array of hits, or nothing
+const toHits = (res) => (res ? (Array.isArray(res) ? res : [res]) : []);
 
 export class SignalEngine {
   constructor(config = {}) {
     this.candleStore = new Map();
+    // "now" for sessions, news windows and signal timestamps — wall time live,
+    // a ReplayClock in the backtest and src/replay.js
+    this.clock = config.clock || systemClock;
     this.minConfluence = config.minConfluence || 3;
-    this.minRR = config.minRR || 1.5;
     this.srDetector = new SRDetector();
-    this.mtfCandles = new Map();   // 15min candle store for MTF
-    this.macroCandles = new Map(); // 1h candle store for macro trend
+    // Thresholds + rule config come from config/strategy.json (see StrategyConfig)
+    this.strategy = config.strategy || StrategyConfig.load(config.strategyFile || DEFAULT_STRATEGY_FILE);
+    // Entry timeframe + higher-timeframe trend layers, one buffer and modifier rule per layer
+    this.timeframes = new TimeframeStack(this.strategy.timeframes);
+    this.rules = createDefaultRegistry(this.strategy.rules, this.timeframes.ids()); // per-symbol enable/disable/order
+    // Pip size, precision, min ATR, session per symbol (config/instruments.json)
+    this.instruments = config.instruments || InstrumentRegistry.load(config.instrumentsFile || DEFAULT_INSTRUMENTS_FILE);
+    // Trading schedules, market sessions, holidays (config/sessions.json + holidays.json)
+    this.calendar = config.calendar || SessionCalendar.load(config.sessionsFile || DEFAULT_SESSIONS_FILE, config.holidaysFile || DEFAULT_HOLIDAYS_FILE);
+    this.calendar.assertSchedules(this.instruments);
+    // Scheduled releases for news_blackout — the default file is optional, a named one is not
+    this.economicCalendar = config.economicCalendar !== undefined
+      ? config.economicCalendar
+      : EconomicCalendar.load(config.economicCalendarFile || DEFAULT_ECONOMIC_CALENDAR_FILE, { optional: !config.economicCalendarFile });
+    // Raw confidence → realised win probability + expected R (data/calibration.json, if fitted)
+    this.calibrator = config.calibrator !== undefined
+      ? config.calibrator
+      : ConfidenceCalibrator.load(config.calibrationFile || DEFAULT_CALIBRATION_FILE, { optional: true });
+    // 'stream' (default) advances per-symbol state one candle at a time, seeded over the same window (StreamingIndicators);
+    // 'batch' recomputes everything over the 300-candle window (calcIndicators, the reference)
+    this.indicatorMode = config.indicatorMode || 'stream';
+    if (!['batch', 'stream'].includes(this.indicatorMode)) throw new Error(`Unknown indicator mode: ${this.indicatorMode}`);
+    this.indicatorStreams = new Map();
+    this.srCache = new Map();      // symbol → { key, sr } — skips S/R rescans while the candle is unchanged
+    this.srTouches = new Map();    // symbol → TouchIndex of the store's closed candles (S/R bounces / breaches)
+    this.layerSRCache = new Map(); // `${layerId}|${symbol}` → { key, levels } — rescans once a layer candle closes
+    this.asiaCache = new Map();    // symbol → { key, asia } — the Asian range moves once a source candle closes
+    this.regimes = new RegimeClassifier(); // per-symbol regime with hysteresis, advances once per candle
+    this.smartMoney = new SmartMoneyTracker(); // per-symbol open order blocks + fair value gaps
+    // Per-symbol S/R level lifecycle (created / retested / broken / flipped), saved to levelsFile if given
+    this.levelBook = config.levelBook || new LevelBook(config.levelsFile || null);
+    // (symbol) → [{ symbol, action }] open + pending positions across symbols (exposure_guard)
+    this.exposureSource = config.exposureSource || null;
   }
 
-  loadHistoricalCandles(symbol, candles) {
-    this.candleStore.set(symbol, [...candles]);
-    console.log(`   📊 SignalEngine: Loaded ${candles.length} historical candles for ${symbol}`);
+  // ── HOT RELOAD: swap in a new validated strategy ──
+  // Rule ids and the timeframe stack are checked before anything changes,
+  // so a bad file leaves the running strategy untouched. Layer policies,
+  // labels and evaluators reload live; adding, removing or re-timing a
+  // layer changes the data feeds and needs a restart.
+  setStrategy(strategy) {
+    const timeframes = new TimeframeStack(strategy.timeframes);
+    if (!timeframes.sameShape(this.timeframes)) {
+      throw new Error(`Strategy ${strategy.version}: timeframe stack changed from [${this.timeframes.describe()}] to [${timeframes.describe()}] — restart required`);
+    }
+    const rc = strategy.rules || {};
+    const ids = [
+      ...(rc.disabled || []), ...(rc.enabled || []), ...(rc.order || []),
+      ...Object.values(rc.regimes || {}).flatMap(pc => [...(pc.disabled || []), ...(pc.enabled || [])]),
+      ...Object.values(rc.symbols || {}).flatMap(sc => [...(sc.disabled || []), ...(sc.enabled || []), ...(sc.order || [])])
+    ];
+    const unknown = ids.filter(id => !this.rules.has(id));
+    if (unknown.length > 0) throw new Error(`Strategy ${strategy.version}: unknown rule(s) ${[...new Set(unknown)].join(', ')}`);
+
+    this.rules.reset().configure(rc);
+    this.timeframes = timeframes.adopt(this.timeframes);
+    this.strategy = strategy;
   }
 
-  // ── MTF: Load 15min historical candles ──
-  loadMTFCandles(symbol, candles15m) {
-    this.mtfCandles.set(symbol, [...candles15m]);
-    console.log(`   📊 MTF: Loaded ${candles15m.length} × 15min candles for ${symbol}`);
+  loadHistoricalCandles(symbol, candles) {
+    this.candleStore.set(symbol, candles.slice(-CANDLE_WINDOW));
+    this.srCache.delete(symbol);
+    this.srTouches.set(symbol, TouchIndex.from(this.candleStore.get(symbol).slice(0, -1)));
+    this.smartMoney.reset(symbol);
+    if (this.indicatorMode === 'stream') {
+      const stream = new IndicatorStream({ window: CANDLE_WINDOW });
+      for (const c of this.candleStore.get(symbol)) stream.update(c);
+      this.indicatorStreams.set(symbol, stream);
+    }
+    console.log(`   📊 SignalEngine: Loaded ${candles.length} historical candles for ${symbol}`);
   }
 
-  // ── MTF: Add/update a single 15min candle ──
-  addMTFCandle(candle) {
-    if (!this.mtfCandles.has(candle.symbol)) this.mtfCandles.set(candle.symbol, []);
-    const store = this.mtfCandles.get(candle.symbol);
-    const last = store[store.length - 1];
-    if (last && last.timestamp === candle.timestamp) store[store.length - 1] = candle;
-    else {
-      store.push(candle);
-      if (store.length > 300) store.shift();
-    }
+  // ── HIGHER-TIMEFRAME LAYERS (strategy `timeframes`, see TimeframeStack) ──
+  loadLayerCandles(layerId, symbol, candles) {
+    this.timeframes.load(layerId, symbol, candles);
+    const layer = this.timeframes.layer(layerId);
+    const kept = this.timeframes.candles(layerId, symbol).length;
+    console.log(`   📊 ${layer.label}: Loaded ${kept} × ${layer.timeframe} candles for ${symbol}${kept < candles.length ? ` (last ${kept} of ${candles.length})` : ''}`);
   }
 
-  // ── MACRO: 1h trend (data-proven: XAU SELL=0% WR in bull run) ──
-  loadMacroCandles(symbol, candles1h) {
-    this.macroCandles.set(symbol, [...candles1h]);
-    console.log(`   📊 Macro: Loaded ${candles1h.length} × 1h candles for ${symbol}`);
+  // Add/update a single layer candle (same timestamp replaces the forming one)
+  addLayerCandle(layerId, candle) {
+    this.timeframes.add(layerId, candle);
   }
 
-  addMacroCandle(candle) {
-    if (!this.macroCandles.has(candle.symbol)) this.macroCandles.set(candle.symbol, []);
-    const store = this.macroCandles.get(candle.symbol);
-    const last = store[store.length - 1];
-    if (last && last.timestamp === candle.timestamp) store[store.length - 1] = candle;
-    else { store.push(candle); if (store.length > 300) store.shift(); }
+  getLayerTrend(layerId, symbol) {
+    return this.timeframes.trend(layerId, symbol);
   }
 
   // ══════════════════════════════════════════════════════════════
   // SESSION FILTER — backtest-proven: WR 42% → 50.6% with RR 1.8
-  // Blocks: weekends, Monday <10 UTC, Friday ≥18 UTC, Asian session
-  // Allows: London open (07:00) through NY close (16:00) UTC only
+  // Schedule from the symbol's instrument profile (SessionCalendar):
+  // london_ny blocks weekends, Monday before 10:00, Friday from 18:00,
+  // holidays, and allows London open → NY close (07:00–16:00). Hours are
+  // London time: the UTC hours the filter was proven on in winter, moved
+  // with British Summer Time
   // ══════════════════════════════════════════════════════════════
-  isValidSession(ts) {
-    const d    = new Date(ts || Date.now());
-    const hour = d.getUTCHours();
-    const day  = d.getUTCDay(); // 0=Sun, 1=Mon ... 5=Fri, 6=Sat
-
-    if (day === 0 || day === 6) return false;   // no weekends
-    if (day === 1 && hour < 10) return false;   // Monday dead zone (market finding direction)
-    if (day === 5 && hour >= 18) return false;  // Friday illiquidity (pre-weekend)
-    return hour >= 7 && hour < 16;              // London open → NY close only
+  isValidSession(ts, symbol) {
+    return this.sessionStatus(ts, symbol).open;
   }
 
-  getMacroTrend(symbol) {
-    const candles = this.macroCandles.get(symbol);
-    if (!candles || candles.length < 55) {
-      return { trend: 'NEUTRAL', reason: 'Insufficient 1h data', strength: 'NONE' };
-    }
-    const closes = candles.map(c => c.close);
-    const ema21arr = EMA.calculate({ values: closes, period: 21 });
-    const ema50arr = EMA.calculate({ values: closes, period: 50 });
-    const ema100arr = EMA.calculate({ values: closes, period: Math.min(100, closes.length - 1) });
-    if (!ema21arr.length || !ema50arr.length) return { trend: 'NEUTRAL', reason: '1h EMA failed', strength: 'NONE' };
-    const e21 = ema21arr[ema21arr.length - 1];
-    const e50 = ema50arr[ema50arr.length - 1];
-    const e100 = ema100arr.length > 0 ? ema100arr[ema100arr.length - 1] : null;
-    const price = closes[closes.length - 1];
-    let bull = 0, bear = 0;
-    if (price > e21) bull++; else bear++;
-    if (price > e50) bull++; else bear++;
-    if (e21 > e50) bull++; else bear++;
-    if (e100 !== null) { if (price > e100) bull++; else bear++; }
-    const total = e100 !== null ? 4 : 3;
-    if (bull === total) return { trend: 'BULLISH', strength: 'STRONG', reason: `1h macro: ${bull}/${total} bullish` };
-    if (bear === total) return { trend: 'BEARISH', strength: 'STRONG', reason: `1h macro: ${bear}/${total} bearish` };
-    if (bull >= total - 1) return { trend: 'BULLISH', strength: 'MODERATE', reason: `1h macro: ${bull}/${total} bullish` };
-    if (bear >= total - 1) return { trend: 'BEARISH', strength: 'MODERATE', reason: `1h macro: ${bear}/${total} bearish` };
-    return { trend: 'NEUTRAL', strength: 'WEAK', reason: `1h macro mixed (Bull:${bull} Bear:${bear})` };
+  sessionStatus(ts, symbol) {
+    return this.calendar.tradingStatus(this.instruments.get(symbol), ts ?? this.now());
   }
 
-  getMTFTrend(symbol) {
-    const candles = this.mtfCandles.get(symbol);
-    if (!candles || candles.length < 55) {
-      return { trend: 'NEUTRAL', reason: 'Insufficient 15min data', strength: 'NONE' };
-    }
-
-    const closes = candles.map(c => c.close);
-    const ema9arr = EMA.calculate({ values: closes, period: 9 });
-    const ema21arr = EMA.calculate({ values: closes, period: 21 });
-    const ema50arr = EMA.calculate({ values: closes, period: 50 });
-
-    if (!ema9arr.length || !ema21arr.length || !ema50arr.length) {
-      return { trend: 'NEUTRAL', reason: 'EMA calculation failed', strength: 'NONE' };
-    }
-
-    const e9 = ema9arr[ema9arr.length - 1];
-    const e21 = ema21arr[ema21arr.length - 1];
-    const e50 = ema50arr[ema50arr.length - 1];
-    const price = closes[closes.length - 1];
-
-    let bullishCount = 0, bearishCount = 0;
-    if (e9 > e21) bullishCount++; else bearishCount++;
-    if (e21 > e50) bullishCount++; else bearishCount++;
-    if (price > e50) bullishCount++; else bearishCount++;
-    if (price > e21) bullishCount++; else bearishCount++;
-
-    if (bullishCount === 4) return { trend: 'BULLISH', strength: 'STRONG', reason: `15min: 4/4 bullish (EMA9>21>50, Price>EMA21>50)`, e9, e21, e50 };
-    if (bearishCount === 4) return { trend: 'BEARISH', strength: 'STRONG', reason: `15min: 4/4 bearish (EMA9<21<50, Price<EMA21<50)`, e9, e21, e50 };
-    if (bullishCount >= 3) return { trend: 'BULLISH', strength: 'MODERATE', reason: `15min: ${bullishCount}/4 bullish conditions`, e9, e21, e50 };
-    if (bearishCount >= 3) return { trend: 'BEARISH', strength: 'MODERATE', reason: `15min: ${bearishCount}/4 bearish conditions`, e9, e21, e50 };
-
-    return { trend: 'NEUTRAL', strength: 'WEAK', reason: `15min mixed (Bull:${bullishCount} Bear:${bearishCount})`, e9, e21, e50 };
+  now() {
+    return this.clock.now();
   }
 
   addCandle(candle) {
-    if (!this.candleStore.has(candle.symbol)) this.candleStore.set(candle.symbol, []);
+    if (!this.candleStore.has(candle.symbol)) {
+      this.candleStore.set(candle.symbol, []);
+      this.srTouches.set(candle.symbol, new TouchIndex());
+    }
     const store = this.candleStore.get(candle.symbol);
+    const touches = this.srTouches.get(candle.symbol);
     const last = store[store.length - 1];
     if (last && last.timestamp === candle.timestamp) store[store.length - 1] = candle;
-    else { store.push(candle); if (store.length > 300) store.shift(); }
+    else {
+      // The previous candle closed: it joins the S/R touch index
+      store.push(candle);
+      if (last) touches.push(last);
+      if (store.length > CANDLE_WINDOW) { store.shift(); touches.shift(); }
+    }
+
+    if (this.indicatorMode === 'stream') {
+      if (!this.indicatorStreams.has(candle.symbol)) this.indicatorStreams.set(candle.symbol, new IndicatorStream({ window: CANDLE_WINDOW }));
+      this.indicatorStreams.get(candle.symbol).update(candle);
+    }
   }
 
   analyze(symbol) {
     const candles = this.candleStore.get(symbol);
     if (!candles || candles.length < 110) return null;
 
-    if (!this.currentCandleTime) {
-      this.currentCandleTime = candles[candles.length - 1].timestamp;
-    }
-
     const closes = candles.map(c => c.close);
     const highs = candles.map(c => c.high);
     const lows = candles.map(c => c.low);
     const opens = candles.map(c => c.open);
-    const ind = this.calcIndicators(closes, highs, lows, opens);
+    const params = this.strategy.forSymbol(symbol);
+    const ind = this.indicatorMode === 'stream'
+      ? this.indicatorStreams.get(symbol)?.snapshot(closes, highs, lows)
+      : this.calcIndicators(closes, highs, lows, opens, candles);
     if (!ind) return null;
-    const ctx = this.getContext(ind, closes, highs, lows);
-    const momentum = this.analyzeMomentum(candles, ind);
-    return this.generateSignal(symbol, ind, ctx, momentum, closes[closes.length - 1]);
+    const ctx = this.getContext(ind, closes, highs, lows, params, symbol, opens);
+    const momentum = this.analyzeMomentum(candles, ind, params, ctx.sr.swings);
+    return this.generateSignal(symbol, ind, ctx, momentum, closes[closes.length - 1], params);
   }
 
-  calcIndicators(closes, highs, lows, opens) {
+  // candles: the window the series came from (the overlays need timestamps and volume)
+  calcIndicators(closes, highs, lows, opens, candles = []) {
     try {
       const rsi = RSI.calculate({ values: closes, period: 14 });
       const macd = MACD.calculate({ values: closes, fastPeriod: 12, slowPeriod: 26, signalPeriod: 9, SimpleMAOscillator: false, SimpleMASignal: false });
@@ -186,18 +216,27 @@ export class SignalEngine {
         stochHistory: stoch.slice(-6),
         adx: adx[adx.length - 1],
         cci: cci[cci.length - 1], cciPrev: cci.length > 1 ? cci[cci.length - 2] : null,
+        oscillators: {
+          rsi: alignSeries(rsi), macdHist: alignSeries(macd.map(m => m.histogram)), stochK: alignSeries(stoch.map(s => s.k))
+        },
+        volatilitySeries: { atr: alignSeries(atr, VOLATILITY_WINDOW), bbWidth: alignSeries(bb.map(bbWidth), VOLATILITY_WINDOW) },
+        ...overlayFields({ ...overlaySeries(candles), bb }),
         recentHighs: highs.slice(-30), recentLows: lows.slice(-30), recentCloses: closes.slice(-30),
         allHighs: highs, allLows: lows, allCloses: closes
       };
     } catch (err) { console.error('Indicator error:', err.message); return null; }
   }
 
-  analyzeMomentum(candles, ind) {
+  // swings: swingSequence of the entry window (sr.swings) — the HH / HL / LH / LL
+  // counts come from its last momentum.structurePoints swings with momentum.structure,
+  // from candle-to-candle highs / lows of the last 8 candles without
+  analyzeMomentum(candles, ind, params = this.strategy.params, swings = []) {
+    const { rsi, stoch, momentum: mp } = params;
     const recent = candles.slice(-8);
     const momentum = {
       bullishCandles: 0, bearishCandles: 0,
       higherHighs: 0, higherLows: 0, lowerHighs: 0, lowerLows: 0,
-      priceStructure: 'NONE',
+      priceStructure: 'NONE', swings: [],
       stochPersistence: 'NONE', rsiPersistence: 'NONE',
       moveSize: 0, isMomentumMove: false
     };
@@ -212,43 +251,50 @@ export class SignalEngine {
       }
     }
 
-    for (let i = 2; i < recent.length; i++) {
-      if (recent[i].high > recent[i-1].high) momentum.higherHighs++;
-      else if (recent[i].high < recent[i-1].high) momentum.lowerHighs++;
-      if (recent[i].low > recent[i-1].low) momentum.higherLows++;
-      else if (recent[i].low < recent[i-1].low) momentum.lowerLows++;
+    momentum.swings = swings.slice(-mp.structurePoints).map(s => s.label).filter(Boolean);
+    if (mp.structure) {
+      const counts = { HH: 'higherHighs', LH: 'lowerHighs', HL: 'higherLows', LL: 'lowerLows' };
+      for (const label of momentum.swings) momentum[counts[label]]++;
+    } else {
+      for (let i = 2; i < recent.length; i++) {
+        if (recent[i].high > recent[i-1].high) momentum.higherHighs++;
+        else if (recent[i].high < recent[i-1].high) momentum.lowerHighs++;
+        if (recent[i].low > recent[i-1].low) momentum.higherLows++;
+        else if (recent[i].low < recent[i-1].low) momentum.lowerLows++;
+      }
     }
 
-    if (momentum.higherHighs >= 3 && momentum.higherLows >= 3) momentum.priceStructure = 'BULLISH_STRUCTURE';
-    else if (momentum.lowerHighs >= 3 && momentum.lowerLows >= 3) momentum.priceStructure = 'BEARISH_STRUCTURE';
+    if (momentum.higherHighs >= mp.structureSwings && momentum.higherLows >= mp.structureSwings) momentum.priceStructure = 'BULLISH_STRUCTURE';
+    else if (momentum.lowerHighs >= mp.structureSwings && momentum.lowerLows >= mp.structureSwings) momentum.priceStructure = 'BEARISH_STRUCTURE';
 
     if (recent.length >= 2 && ind.atr) {
       const moveSize = Math.abs(recent[recent.length - 1].close - recent[0].open);
       const atrMultiple = moveSize / ind.atr;
       momentum.moveSize = atrMultiple;
-      if (atrMultiple > 3) momentum.isMomentumMove = true;
+      if (atrMultiple > mp.moveAtr) momentum.isMomentumMove = true;
     }
 
     if (ind.stochHistory && ind.stochHistory.length >= 4) {
       const lastFour = ind.stochHistory.slice(-4);
-      if (lastFour.every(s => s.k > 75)) momentum.stochPersistence = 'OVERBOUGHT_PERSISTENT';
-      if (lastFour.every(s => s.k < 25)) momentum.stochPersistence = 'OVERSOLD_PERSISTENT';
+      if (lastFour.every(s => s.k > stoch.persistHigh)) momentum.stochPersistence = 'OVERBOUGHT_PERSISTENT';
+      if (lastFour.every(s => s.k < stoch.persistLow)) momentum.stochPersistence = 'OVERSOLD_PERSISTENT';
     }
 
     if (ind.rsiHistory && ind.rsiHistory.length >= 4) {
       const lastFour = ind.rsiHistory.slice(-4);
-      if (lastFour.every(r => r > 60)) momentum.rsiPersistence = 'HIGH_PERSISTENT';
-      if (lastFour.every(r => r < 40)) momentum.rsiPersistence = 'LOW_PERSISTENT';
+      if (lastFour.every(r => r > rsi.persistHigh)) momentum.rsiPersistence = 'HIGH_PERSISTENT';
+      if (lastFour.every(r => r < rsi.persistLow)) momentum.rsiPersistence = 'LOW_PERSISTENT';
     }
 
     return momentum;
   }
 
-  getContext(ind, closes, highs, lows) {
+  getContext(ind, closes, highs, lows, params = this.strategy.params, symbol = null, opens = null) {
+    const p = params.context;
     const ctx = {
       trend: 'NEUTRAL', trendStrength: 0, volatility: 'NORMAL',
       session: 'OFF_HOURS', regime: 'RANGING',
-      sr: { support: 0, resistance: 0, supports: [], resistances: [], nearestSupport: null, nearestResistance: null }
+      sr: { support: 0, resistance: 0, supports: [], resistances: [], nearestSupport: null, nearestResistance: null, insideZone: null }
     };
 
     let ts = 0;
@@ -257,32 +303,142 @@ export class SignalEngine {
     if (ind.ema9 > ind.ema21) ts++;
     if (ind.ema21 > ind.ema50) ts++;
     const adxValue = ind.adx?.adx || 0;
-    if (adxValue >= 20) {
+    if (adxValue >= p.trendAdx) {
       if (ts >= 3) { ctx.trend = 'BULLISH'; ctx.trendStrength = adxValue; }
       else if (ts <= 1) { ctx.trend = 'BEARISH'; ctx.trendStrength = adxValue; }
     }
 
     if (ind.atr7 && ind.atrPrev) {
       const r = ind.atr7 / ind.atrPrev;
-      if (r > 1.5) ctx.volatility = 'HIGH';
-      else if (r < 0.7) ctx.volatility = 'LOW';
-    }
-    if (ind.bb) { const w = (ind.bb.upper - ind.bb.lower) / ind.bb.middle; if (w < 0.005) ctx.volatility = 'SQUEEZE'; }
+      if (r > p.highVolRatio) ctx.volatility = 'HIGH';
+      else if (r < p.lowVolRatio) ctx.volatility = 'LOW';
+    }
+    if (ind.bb) { const w = (ind.bb.upper - ind.bb.lower) / ind.bb.middle; if (w < p.squeezeWidth) ctx.volatility = 'SQUEEZE'; }
+
+    // OVERLAP / LONDON / NEW_YORK / ASIAN from exchange-local hours; QUIET / OFF_HOURS otherwise
+    ctx.session = this.calendar.sessionLabel(this.now(), symbol ? this.instruments.get(symbol) : null);
+
+    // Regime + playbook (RegimeClassifier): ADX, BB width / ATR percentiles, swing structure
+    const rp = params.regime;
+    const n = Math.min(rp.structureBars, highs.length);
+    const swings = this.srDetector.detectSwings(highs.slice(-n), lows.slice(-n), closes.slice(-n), null, params.swings);
+    const barTime = symbol ? this.candleStore.get(symbol)?.at(-1)?.timestamp : undefined;
+    ctx.regimeInfo = this.regimes.classify(symbol, barTime, regimeFeatures(ind, highs, lows, swings, rp), rp);
+    ctx.regime = ctx.regimeInfo.regime;
+
+    const higher = symbol && params.sr.layerLevels ? this.layerLevels(symbol, params) : [];
+    const references = symbol && ind.atr > 0 ? this.referenceLevels(symbol, closes.at(-1), ind.atr, params) : [];
+    ctx.sr = this.cachedSR(symbol, closes, highs, lows, ind.atr, {
+      opens, zoneMaxAtr: params.sr.zoneMaxAtr, timeframe: timeframeTag(this.timeframes.entry), higher, references, swingParams: params.swings
+    });
+    // Order blocks / gaps still open + what the last candle touched (SmartMoney)
+    ctx.smc = symbol ? this.smartMoney.update(symbol, this.candleStore.get(symbol), params.smc) : null;
+    // Levels kept across scans + what the last candle did to them (LevelBook)
+    ctx.levels = symbol ? this.levelBook.update(symbol, this.candleStore.get(symbol), ctx.sr, params.levels) : null;
 
-    const h = new Date(this.currentCandleTime || Date.now()).getUTCHours();
-    if (h >= 12 && h < 16) ctx.session = 'OVERLAP';
-    else if (h >= 7 && h < 16) ctx.session = 'LONDON';
-    else if (h >= 12 && h < 21) ctx.session = 'NEW_YORK';
-    else if (h >= 23 || h < 8) ctx.session = 'ASIAN';
+    return ctx;
+  }
 
-    if (adxValue >= 25) ctx.regime = 'TRENDING';
-    const rH = Math.max(...highs.slice(-20, -1));
-    const rL = Math.min(...lows.slice(-20, -1));
-    if ((ind.price > rH || ind.price < rL) && adxValue >= 20) ctx.regime = 'BREAKOUT';
+  // ── S/R: rescan only when the window or the forming candle changed ──
+  // Live polling re-analyzes the same candle many times between closes.
+  // The store only appends or replaces its last candle, so the window's
+  // length, first and last timestamps and the forming candle's high / low /
+  // close, plus ATR, the zone cap and the swing params, identify the scan
+  // input — opens only move zone edges, and a candle's open never changes.
+  // closes / highs / lows are the symbol's candle store (analyze).
+  // Higher-timeframe level lists are cached per layer, so their identity
+  // stands in for them in the key; reference levels go in by value.
+  // A rescan re-detects swings over the swing lookback only: bounces and
+  // breaches come from the symbol's TouchIndex, advanced in addCandle as
+  // each candle closes, instead of a pass over the whole window per level.
+  cachedSR(symbol, closes, highs, lows, atr, zones = {}) {
+    if (!symbol) return this.srDetector.findSR(closes, highs, lows, atr, zones);
+    const store = this.candleStore.get(symbol) || [];
+    const n = closes.length - 1;
+    const refs = (zones.references || []).map(r => `${r.label}:${r.price}:${r.touches}`).join(',');
+    const key = `${n}|${store[0]?.timestamp}|${store.at(-1)?.timestamp}|${highs[n]}|${lows[n]}|${closes[n]}|${atr}|${zones.zoneMaxAtr}|${Object.values(zones.swingParams || {})}|${refs}`;
+    const cached = this.srCache.get(symbol);
+    const higher = zones.higher || [];
+    if (cached && cached.key === key && cached.higher.length === higher.length && cached.higher.every((l, i) => l === higher[i])) return cached.sr;
+    const touches = this.srTouches.get(symbol);
+    const sr = this.srDetector.findSR(closes, highs, lows, atr, { ...zones, touches: touches?.length === n ? touches : null });
+    this.srCache.set(symbol, { key, higher, sr });
+    return sr;
+  }
 
-    ctx.sr = this.srDetector.findSR(closes, highs, lows, ind.atr);
+  // ── HIGHER-TIMEFRAME LEVELS ──
+  // Each layer's closed candles (timestamp + bar ≤ now — a forming 1h
+  // candle, or one the backtest fed early, would leak its final range)
+  // scanned with the layer's own ATR(14). Weight = 1 + sr.tfWeight × steps
+  // above the entry timeframe (layers are highest first).
+  // → [levels per layer], each list cached until a layer candle closes
+  layerLevels(symbol, params) {
+    const p = params.sr;
+    const now = this.now();
+    const lists = [];
+    this.timeframes.layers.forEach((layer, i) => {
+      const barMs = timeframeMinutes(layer.timeframe) * 60000;
+      const all = this.timeframes.candles(layer.id, symbol);
+      let end = all.length;
+      while (end > 0 && all[end - 1].timestamp + barMs > now) end--;
+      if (end <= 14) return;
+
+      const weight = 1 + p.tfWeight * (this.timeframes.layers.length - i);
+      const first = all[0], last = all[end - 1];
+      const key = `${end}|${first.timestamp}|${last.timestamp}|${last.high}|${last.low}|${last.close}|${p.zoneMaxAtr}|${weight}|${Object.values(params.swings)}`;
+      const cacheKey = `${layer.id}|${symbol}`;
+      const cached = this.layerSRCache.get(cacheKey);
+      if (cached?.key === key) { lists.push(cached.levels); return; }
+
+      const candles = all.slice(0, end);
+      const highs = candles.map(c => c.high), lows = candles.map(c => c.low), closes = candles.map(c => c.close);
+      const atr = ATR.calculate({ high: highs, low: lows, close: closes, period: 14 }).at(-1);
+      const levels = atr > 0
+        ? this.srDetector.scanLevels(closes, highs, lows, atr, { opens: candles.map(c => c.open), zoneMaxAtr: p.zoneMaxAtr, timeframe: timeframeTag(layer.timeframe), weight, swingParams: params.swings })
+        : [];
+      this.layerSRCache.set(cacheKey, { key, levels });
+      lists.push(levels);
+    });
+    return lists;
+  }
 
-    return ctx;
+  // ── REFERENCE LEVELS (ReferenceLevels) ──
+  // Prior day / week, Asian range, pivots and round numbers for price. The
+  // source is whichever ≤ 1h buffer (entry store or layer) reaches furthest
+  // back — the 1h layer by default, so the prior week is usually complete —
+  // closed candles only, as in layerLevels.
+  referenceLevels(symbol, price, atr, params) {
+    const p = params.reference;
+    const now = this.now();
+    const sources = [
+      { id: 'entry', timeframe: this.timeframes.entry, candles: this.candleStore.get(symbol) || [] },
+      ...this.timeframes.layers.map(l => ({ id: l.id, timeframe: l.timeframe, candles: this.timeframes.candles(l.id, symbol) }))
+    ].filter(src => timeframeMinutes(src.timeframe) <= 60 && src.candles.length > 0);
+    if (!sources.length) return [];
+    const source = sources.reduce((a, b) => (b.candles[0].timestamp < a.candles[0].timestamp ? b : a));
+
+    const barMs = timeframeMinutes(source.timeframe) * 60000;
+    let end = source.candles.length;
+    while (end > 0 && source.candles[end - 1].timestamp + barMs > now) end--;
+    if (end < 2) return [];
+    const candles = source.candles.slice(0, end);
+
+    // Asian range: one calendar lookup per candle, so cached until the source moves on
+    let asia = null;
+    if (p.asian > 0 && this.calendar.markets.ASIAN) {
+      const asiaOpen = this.calendar.marketOpen('ASIAN', now);
+      const last = candles[end - 1];
+      const key = `${source.id}|${end}|${candles[0].timestamp}|${last.timestamp}|${asiaOpen}`;
+      const cached = this.asiaCache.get(symbol);
+      if (cached?.key === key) asia = cached.asia;
+      else {
+        asia = sessionRange(candles, ts => this.calendar.marketOpen('ASIAN', ts), asiaOpen);
+        this.asiaCache.set(symbol, { key, asia });
+      }
+    }
+
+    const { precision, roundStep } = this.instruments.get(symbol);
+    return referenceLevels({ candles, now, price, atr, precision, roundStep, asia, p });
   }
 
   findSR(closes, highs, lows) {
@@ -300,269 +456,66 @@ export class SignalEngine {
     };
   }
 
-  generateSignal(symbol, ind, ctx, momentum, currentPrice) {
-    // ══════════════════════════════════════════════════════════════
-    // SESSION FILTER — first gate, zero cost if blocked
-    // Backtest proof: removes 183k Asian/weekend candles, WR +8.5%
-    // ══════════════════════════════════════════════════════════════
-    const candleTs = this.currentCandleTime || Date.now();
-    if (!this.isValidSession(candleTs)) {
-      if (process.env.DEBUG_MODE === 'true') {
-        const d = new Date(candleTs);
-        console.log(`   ⏰ Session blocked: ${d.toUTCString()} (day:${d.getUTCDay()} hour:${d.getUTCHours()})`);
+  // ══════════════════════════════════════════════════════════════
+  // SIGNAL GENERATION — rules live in ./rules (see RuleRegistry)
+  // gates → events → states → conflicts → decision → modifiers → SL/TP
+  // ══════════════════════════════════════════════════════════════
+  generateSignal(symbol, ind, ctx, momentum, currentPrice, params = this.strategy.forSymbol(symbol)) {
+    const atrValue = ind.atr || currentPrice * 0.01;
+    const sr = ctx.sr;
+
+    // Shared input for every rule; `sources` records which event families fired
+    const instrument = this.instruments.get(symbol);
+    const candles = this.candleStore.get(symbol) || [];
+    const r = { symbol, instrument, engine: this, params, ind, ctx, momentum, candles, price: currentPrice, atr: atrValue, sr, sources: new Set() };
+    const trace = new DecisionTrace();
+    const inputsOf = (rule, res) => res?.inputs || rule.inputs?.(r) || {};
+
+    // Regime picks the playbook: rules outside it are skipped at every stage
+    const regime = ctx.regimeInfo || null;
+    if (regime) {
+      trace.add({ rule: 'regime', category: 'context', inputs: regime.features, text: `Regime ${regime.regime} → ${regime.playbook} playbook`,
+        effect: { regime: regime.regime, playbook: regime.playbook, raw: regime.raw, candidate: regime.candidate, count: regime.count } });
+    }
+
+    for (const rule of this.rules.getRules('gate', symbol, ctx.regime)) {
+      const res = rule.check(r);
+      if (res?.hold) {
+        trace.add({ rule: rule.id, category: 'gate', inputs: inputsOf(rule, res), text: res.hold.join(' | '), tone: 'warning', effect: { hold: res.hold } });
+        return this.holdResult(symbol, currentPrice, ind, ctx, momentum, trace);
       }
-      return this.holdResult(symbol, currentPrice, ind, ctx, momentum,
-        [`Session filter: outside London/NY hours (${new Date(candleTs).toUTCString()})`]);
     }
 
     const buyStrong = [], sellStrong = [];
     const buyWeak = [], sellWeak = [];
     const buyState = [], sellState = [];
     const conflicts = [];
-    const eventSources = new Set();
-
-    // ─── STRONG EVENTS ───
-
-    if (ind.ema9 > ind.ema21 && ind.ema9Prev <= ind.ema21Prev) {
-      buyStrong.push('EMA 9/21 bullish crossover'); eventSources.add('ema');
-    } else if (ind.ema9 < ind.ema21 && ind.ema9Prev >= ind.ema21Prev) {
-      sellStrong.push('EMA 9/21 bearish crossover'); eventSources.add('ema');
-    }
-
-    if (ind.macd && ind.macdPrev) {
-      if (ind.macd.MACD > ind.macd.signal && ind.macdPrev.MACD <= ind.macdPrev.signal) {
-        buyStrong.push('MACD bullish crossover'); eventSources.add('macd');
-      } else if (ind.macd.MACD < ind.macd.signal && ind.macdPrev.MACD >= ind.macdPrev.signal) {
-        sellStrong.push('MACD bearish crossover'); eventSources.add('macd');
-      }
-    }
-
-    if (ind.stoch && ind.stochPrev) {
-      if (ind.stoch.k < 20 && ind.stoch.k > ind.stoch.d && ind.stochPrev.k <= ind.stochPrev.d) {
-        if (momentum.stochPersistence === 'OVERSOLD_PERSISTENT') {
-          buyWeak.push('Stoch bullish crossover (persistent oversold — downgraded)');
-        } else {
-          buyStrong.push('Stochastic bullish crossover (oversold)');
-        }
-        eventSources.add('stoch');
-      } else if (ind.stoch.k > 80 && ind.stoch.k < ind.stoch.d && ind.stochPrev.k >= ind.stochPrev.d) {
-        if (momentum.stochPersistence === 'OVERBOUGHT_PERSISTENT') {
-          sellWeak.push('Stoch bearish crossover (persistent overbought — downgraded)');
-        } else {
-          sellStrong.push('Stochastic bearish crossover (overbought)');
-        }
-        eventSources.add('stoch');
-      }
-    }
-
-    // ─── WEAK EVENTS ───
-
-    if (ind.cci !== undefined && ind.cciPrev !== undefined) {
-      if (ind.cci > -100 && ind.cciPrev <= -100) { buyWeak.push('CCI crossing above -100'); eventSources.add('cci'); }
-      else if (ind.cci < 100 && ind.cciPrev >= 100) { sellWeak.push('CCI crossing below 100'); eventSources.add('cci'); }
-    }
-
-    const rHigh = Math.max(...ind.recentHighs.slice(0, -1));
-    const rLow = Math.min(...ind.recentLows.slice(0, -1));
-    if (ind.price > rHigh && ind.adx && ind.adx.adx > 22) {
-      buyWeak.push('Breakout above recent high'); eventSources.add('breakout');
-    } else if (ind.price < rLow && ind.adx && ind.adx.adx > 22) {
-      sellWeak.push('Breakdown below recent low'); eventSources.add('breakout');
-    }
-
-    if (ind.rsi && ind.rsiPrev) {
-      if (ind.rsi > 30 && ind.rsiPrev <= 30) { buyWeak.push('RSI exiting oversold'); eventSources.add('rsi'); }
-      else if (ind.rsi < 70 && ind.rsiPrev >= 70) { sellWeak.push('RSI exiting overbought'); eventSources.add('rsi'); }
-    }
-
-    // ─── TRENDING PULLBACK BUY EVENTS (bull trend continuation) ───
-    // Fires when price dips and recovers in a confirmed bull trend.
-    // Fills the signal gap when initial crossovers have already fired days ago.
-
-    // 1) EMA21 Reclaim — price was below EMA21, now back above (pullback bounce)
-    if (!eventSources.has('ema_bounce') && ind.price > ind.ema21 && ind.prevPrice <= ind.ema21
-        && ind.ema9 > ind.ema21 && ind.ema21 > ind.ema50) {
-      buyWeak.push('Price reclaimed EMA21 (pullback bounce in bull trend)');
-      eventSources.add('ema_bounce');
-    }
-
-    // 2) RSI Pullback Recovery — RSI dipped into 42-58 zone (bull trend pullback) and is now rising
-    if (!eventSources.has('rsi_pullback') && ind.rsi > ind.rsiPrev
-        && ind.rsi >= 42 && ind.rsi <= 58 && ind.price > ind.ema50
-        && ind.ema9 > ind.ema50) {
-      buyWeak.push('RSI recovering from pullback zone (trend continuation)');
-      eventSources.add('rsi_pullback');
-    }
 
-    // 3) MACD Histogram Reversal — histogram was falling, now turning up while still positive
-    if (!eventSources.has('macd') && ind.macd && ind.macdPrev && ind.macdPrev2) {
-      const histNowRising = ind.macd.histogram > ind.macdPrev.histogram;
-      const histWasFalling = ind.macdPrev.histogram < ind.macdPrev2.histogram;
-      if (histNowRising && histWasFalling && ind.macd.histogram > 0 && ind.price > ind.ema21) {
-        buyWeak.push('MACD histogram turning up from pullback');
-        eventSources.add('macd_reversal');
-      }
-      // Mirror for SELL
-      const histNowFalling = ind.macd.histogram < ind.macdPrev.histogram;
-      const histWasRising = ind.macdPrev.histogram > ind.macdPrev2.histogram;
-      if (histNowFalling && histWasRising && ind.macd.histogram < 0 && ind.price < ind.ema21) {
-        sellWeak.push('MACD histogram turning down from bounce');
-        eventSources.add('macd_reversal');
+    // ─── EVENTS ───
+    for (const rule of this.rules.getRules('event', symbol, ctx.regime)) {
+      for (const hit of toHits(rule.evaluate(r))) {
+        const entry = trace.add({ rule: rule.id, category: hit.strength === 'strong' ? 'strong' : 'weak', side: hit.side, inputs: inputsOf(rule, hit), text: hit.reason, tone: 'reason', effect: { source: hit.source || null, counted: false } });
+        if (hit.strength === 'strong') (hit.side === 'BUY' ? buyStrong : sellStrong).push(entry);
+        else (hit.side === 'BUY' ? buyWeak : sellWeak).push(entry);
+        if (hit.source) r.sources.add(hit.source);
       }
     }
 
     // ─── STATE SIGNALS ───
-
-    if (!eventSources.has('ema')) {
-      if (ind.ema9 > ind.ema21 && ind.ema21 > ind.ema50) buyState.push('EMA bullish alignment (9>21>50)');
-      else if (ind.ema9 < ind.ema21 && ind.ema21 < ind.ema50) sellState.push('EMA bearish alignment (9<21<50)');
-    }
-
-    if (ind.price > ind.ema21 && ind.price > ind.ema50) buyState.push('Price above EMA 21 & 50');
-    else if (ind.price < ind.ema21 && ind.price < ind.ema50) sellState.push('Price below EMA 21 & 50');
-
-    if (!eventSources.has('macd') && ind.macd) {
-      if (ind.macd.MACD > ind.macd.signal && ind.macd.histogram > 0) buyState.push('MACD bullish');
-      else if (ind.macd.MACD < ind.macd.signal && ind.macd.histogram < 0) sellState.push('MACD bearish');
-    }
-
-    if (!eventSources.has('macd') && ind.macd && ind.macdPrev && ind.macdPrev2) {
-      if (ind.macd.histogram > ind.macdPrev.histogram && ind.macdPrev.histogram > ind.macdPrev2.histogram && ind.macd.histogram > 0)
-        buyState.push('MACD momentum building');
-      else if (ind.macd.histogram < ind.macdPrev.histogram && ind.macdPrev.histogram < ind.macdPrev2.histogram && ind.macd.histogram < 0)
-        sellState.push('MACD sell momentum');
-    }
-
-    if (ind.rsi < 35) buyState.push(`RSI oversold (${ind.rsi.toFixed(1)})`);
-    else if (ind.rsi > 65) sellState.push(`RSI overbought (${ind.rsi.toFixed(1)})`);
-
-    if (ind.rsiPrev) {
-      if (ind.rsi > ind.rsiPrev && ind.rsi < 40) buyState.push('RSI rising from low');
-      else if (ind.rsi < ind.rsiPrev && ind.rsi > 60) sellState.push('RSI falling from high');
-    }
-
-    if (!eventSources.has('stoch') && ind.stoch) {
-      if (ind.stoch.k < 25 && ind.stoch.d < 25) buyState.push('Stochastic oversold');
-      else if (ind.stoch.k > 75 && ind.stoch.d > 75) sellState.push('Stochastic overbought');
-    }
-
-    if (ind.bb) {
-      const pB = (ind.price - ind.bb.lower) / (ind.bb.upper - ind.bb.lower);
-      if (pB < 0.10) buyState.push('Price at lower Bollinger Band');
-      else if (pB > 0.90) sellState.push('Price at upper Bollinger Band');
-    }
-
-    if (ind.adx && ind.adx.adx > 22) {
-      if (ind.adx.pdi > ind.adx.mdi) buyState.push(`ADX bullish (${ind.adx.adx.toFixed(0)})`);
-      else sellState.push(`ADX bearish (${ind.adx.adx.toFixed(0)})`);
-    }
-
-    // ═══════════════════════════════════════════════════════════
-    // CONFLICT DETECTION
-    // ═══════════════════════════════════════════════════════════
-
-    const adxValue = ind.adx?.adx || 0;
-
-    if (ind.stoch) {
-      if (ind.stoch.k < 25) conflicts.push({ blocks: 'SELL', reason: `Stoch oversold (${ind.stoch.k.toFixed(0)})` });
-      // Only block BUY when stoch overbought in a WEAK/RANGING trend — in trending markets, overbought = momentum
-      if (ind.stoch.k > 75 && adxValue < 28) conflicts.push({ blocks: 'BUY', reason: `Stoch overbought (${ind.stoch.k.toFixed(0)}) in weak trend` });
-      // Still block BUY on extreme overbought (>88) regardless of trend
-      if (ind.stoch.k > 88) conflicts.push({ blocks: 'BUY', reason: `Stoch extreme overbought (${ind.stoch.k.toFixed(0)})` });
-    }
-
-    if (ind.rsi < 30) conflicts.push({ blocks: 'SELL', reason: `RSI oversold (${ind.rsi.toFixed(0)})` });
-    // Only block BUY when RSI overbought in a WEAK/RANGING trend — in trending bull markets RSI stays elevated
-    if (ind.rsi > 70 && adxValue < 28) conflicts.push({ blocks: 'BUY', reason: `RSI overbought (${ind.rsi.toFixed(0)}) in weak trend` });
-    // Still block BUY on extreme RSI (>80) regardless
-    if (ind.rsi > 80) conflicts.push({ blocks: 'BUY', reason: `RSI extreme overbought (${ind.rsi.toFixed(0)})` });
-
-    if (ind.macd && !eventSources.has('macd')) {
-      const histThreshold = currentPrice * 0.0001;
-      if (ind.macd.histogram > histThreshold) conflicts.push({ blocks: 'SELL', reason: `MACD histogram positive (+${ind.macd.histogram.toFixed(3)})` });
-      if (ind.macd.histogram < -histThreshold) conflicts.push({ blocks: 'BUY', reason: `MACD histogram negative (${ind.macd.histogram.toFixed(3)})` });
-    }
-
-    const rsiNeutral = ind.rsi >= 43 && ind.rsi <= 57;
-    const stochNeutral = ind.stoch && ind.stoch.k >= 40 && ind.stoch.k <= 60;
-    if (rsiNeutral && stochNeutral) {
-      conflicts.push({ blocks: 'BOTH', reason: `Neutral momentum (RSI:${ind.rsi.toFixed(0)} Stoch:${ind.stoch.k.toFixed(0)})` });
-    }
-
-    if (ind.bb) {
-      const pB = (ind.price - ind.bb.lower) / (ind.bb.upper - ind.bb.lower);
-      if (pB < 0.05) conflicts.push({ blocks: 'SELL', reason: 'Price at extreme lower BB' });
-      if (pB > 0.95) conflicts.push({ blocks: 'BUY', reason: 'Price at extreme upper BB' });
-    }
-
-    const atrValue = ind.atr || currentPrice * 0.01;
-    const sr = ctx.sr;
-    let srPenalty = { buy: 0, sell: 0, buyReason: '', sellReason: '' };
-
-    if (sr.nearestResistance) {
-      const distToR = sr.nearestResistance.price - currentPrice;
-      if (distToR >= 0) {
-        if (distToR < atrValue * 0.2 && sr.nearestResistance.strength >= 60) {
-          conflicts.push({ blocks: 'BUY', reason: `AT resistance ${sr.nearestResistance.price.toFixed(2)} (str:${sr.nearestResistance.strength.toFixed(0)})` });
-        } else if (distToR < atrValue * 1.0 && sr.nearestResistance.strength >= 50) {
-          srPenalty.buy = 0.85;
-          srPenalty.buyReason = `Near resistance ${sr.nearestResistance.price.toFixed(2)} (-15%)`;
-        }
+    for (const rule of this.rules.getRules('state', symbol, ctx.regime)) {
+      for (const hit of toHits(rule.evaluate(r))) {
+        const entry = trace.add({ rule: rule.id, category: 'state', side: hit.side, inputs: inputsOf(rule, hit), text: hit.reason, tone: 'reason', effect: { counted: false } });
+        (hit.side === 'BUY' ? buyState : sellState).push(entry);
       }
     }
 
-    if (sr.nearestSupport) {
-      const distToS = currentPrice - sr.nearestSupport.price;
-      if (distToS >= 0) {
-        if (distToS < atrValue * 0.2 && sr.nearestSupport.strength >= 60) {
-          conflicts.push({ blocks: 'SELL', reason: `AT support ${sr.nearestSupport.price.toFixed(2)} (str:${sr.nearestSupport.strength.toFixed(0)})` });
-        } else if (distToS < atrValue * 1.0 && sr.nearestSupport.strength >= 50) {
-          srPenalty.sell = 0.85;
-          srPenalty.sellReason = `Near support ${sr.nearestSupport.price.toFixed(2)} (-15%)`;
-        }
+    // ─── CONFLICT DETECTION ───
+    for (const rule of this.rules.getRules('conflict', symbol, ctx.regime)) {
+      for (const hit of toHits(rule.evaluate(r))) {
+        conflicts.push(trace.add({ rule: rule.id, category: 'conflict', side: hit.blocks, inputs: inputsOf(rule, hit), text: hit.reason, effect: { blocks: hit.blocks, blocked: null } }));
       }
     }
 
-    if (adxValue < 28) {
-      const hasExtremeRSI = ind.rsi < 30 || ind.rsi > 70;
-      const hasExtremeStoch = ind.stoch && (ind.stoch.k < 20 || ind.stoch.k > 80);
-      if (!hasExtremeRSI && !hasExtremeStoch) {
-        conflicts.push({ blocks: 'BOTH', reason: `Ranging market (ADX:${adxValue.toFixed(0)})` });
-      }
-    }
-
-    if (adxValue >= 22 && adxValue < 25) {
-      const distFromEma50 = Math.abs(ind.price - ind.ema50);
-      const atrPct = distFromEma50 / atrValue;
-      if (atrPct < 0.5) {
-        conflicts.push({ blocks: 'BOTH', reason: `Price too close to EMA50 in weak trend (ADX:${adxValue.toFixed(0)})` });
-      }
-    }
-
-    if (momentum.stochPersistence === 'OVERBOUGHT_PERSISTENT')
-      conflicts.push({ blocks: 'SELL', reason: `Stoch overbought 4+ candles — momentum move` });
-    if (momentum.stochPersistence === 'OVERSOLD_PERSISTENT')
-      conflicts.push({ blocks: 'BUY', reason: `Stoch oversold 4+ candles — momentum move` });
-
-    if (momentum.higherHighs >= 4 && momentum.higherLows >= 4) {
-      conflicts.push({ blocks: 'SELL', reason: `Bullish structure (${momentum.higherHighs}HH/${momentum.higherLows}HL)` });
-    }
-    if (momentum.lowerHighs >= 4 && momentum.lowerLows >= 4) {
-      conflicts.push({ blocks: 'BUY', reason: `Bearish structure (${momentum.lowerHighs}LH/${momentum.lowerLows}LL)` });
-    }
-
-    if (momentum.bullishCandles >= 3)
-      conflicts.push({ blocks: 'SELL', reason: `${momentum.bullishCandles} consecutive bullish candles` });
-    if (momentum.bearishCandles >= 3)
-      conflicts.push({ blocks: 'BUY', reason: `${momentum.bearishCandles} consecutive bearish candles` });
-
-    if (momentum.isMomentumMove) {
-      const movingUp = ind.price > ind.ema9;
-      const movingDown = ind.price < ind.ema9;
-      if (movingUp) conflicts.push({ blocks: 'SELL', reason: `Large move UP (${momentum.moveSize.toFixed(1)}x ATR)` });
-      if (movingDown) conflicts.push({ blocks: 'BUY', reason: `Large move DOWN (${momentum.moveSize.toFixed(1)}x ATR)` });
-    }
-
     // ═══════════════════════════════════════════════════════════
     // DECISION LOGIC
     // ═══════════════════════════════════════════════════════════
@@ -575,239 +528,131 @@ export class SignalEngine {
     const buyHasValidEvent = buyStrong.length >= 1 || buyWeak.length >= 2;
     const sellHasValidEvent = sellStrong.length >= 1 || sellWeak.length >= 2;
 
-    const buyConflicts = conflicts.filter(c => c.blocks === 'BUY' || c.blocks === 'BOTH');
-    const sellConflicts = conflicts.filter(c => c.blocks === 'SELL' || c.blocks === 'BOTH');
+    const buyConflicts = conflicts.filter(c => c.effect.blocks === 'BUY' || c.effect.blocks === 'BOTH');
+    const sellConflicts = conflicts.filter(c => c.effect.blocks === 'SELL' || c.effect.blocks === 'BOTH');
 
-    let action = 'HOLD', confidence = 0, reasons = [], warnings = [];
+    const cp = params.confidence;
+    let action = 'HOLD', confidence = 0, votes = [], note = null;
     let confluenceCount = 0, eventCount = 0, stateCount = 0;
 
     if (buyHasValidEvent && totalBuy >= this.minConfluence && totalBuy > totalSell && buyConflicts.length === 0) {
       action = 'BUY';
       confluenceCount = totalBuy; eventCount = totalBuyEvents; stateCount = buyState.length;
-      reasons = [...buyStrong, ...buyWeak, ...buyState];
-      confidence = Math.min(25 + (confluenceCount * 8), 85);
-      if (buyStrong.length >= 2) confidence = Math.min(confidence + 10, 90);
-      else if (buyStrong.length >= 1) confidence = Math.min(confidence + 5, 88);
+      votes = [...buyStrong, ...buyWeak, ...buyState];
+      confidence = Math.min(cp.base + (confluenceCount * cp.perConfluence), cp.cap);
+      if (buyStrong.length >= 2) confidence = Math.min(confidence + cp.multiStrongBonus, cp.multiStrongCap);
+      else if (buyStrong.length >= 1) confidence = Math.min(confidence + cp.oneStrongBonus, cp.oneStrongCap);
 
     } else if (sellHasValidEvent && totalSell >= this.minConfluence && totalSell > totalBuy && sellConflicts.length === 0) {
       action = 'SELL';
       confluenceCount = totalSell; eventCount = totalSellEvents; stateCount = sellState.length;
-      reasons = [...sellStrong, ...sellWeak, ...sellState];
-      confidence = Math.min(25 + (confluenceCount * 8), 85);
-      if (sellStrong.length >= 2) confidence = Math.min(confidence + 10, 90);
-      else if (sellStrong.length >= 1) confidence = Math.min(confidence + 5, 88);
+      votes = [...sellStrong, ...sellWeak, ...sellState];
+      confidence = Math.min(cp.base + (confluenceCount * cp.perConfluence), cp.cap);
+      if (sellStrong.length >= 2) confidence = Math.min(confidence + cp.multiStrongBonus, cp.multiStrongCap);
+      else if (sellStrong.length >= 1) confidence = Math.min(confidence + cp.oneStrongBonus, cp.oneStrongCap);
     }
+    votes.forEach(e => { e.effect.counted = true; });
 
     if (action === 'HOLD') {
       if (totalBuyEvents > 0 && buyConflicts.length > 0)
-        warnings = buyConflicts.map(c => `BLOCKED BUY: ${c.reason}`);
+        buyConflicts.forEach(c => { c.effect.blocked = 'BUY'; c.tone = 'warning'; });
       else if (totalSellEvents > 0 && sellConflicts.length > 0)
-        warnings = sellConflicts.map(c => `BLOCKED SELL: ${c.reason}`);
-      else if (totalBuyEvents > 0 && !buyHasValidEvent)
-        warnings.push('Weak event only (need 1 strong or 2+ weak)');
-      else if (totalSellEvents > 0 && !sellHasValidEvent)
-        warnings.push('Weak event only (need 1 strong or 2+ weak)');
-    }
-
-    // ═══════════════════════════════════════════════════════════
-    // 1H MACRO TREND FILTER
-    // ═══════════════════════════════════════════════════════════
-    if (action !== 'HOLD') {
-      const macro = this.getMacroTrend(symbol);
-
-      if (action === 'SELL' && macro.trend === 'BULLISH') {
-        if (macro.strength === 'STRONG') {
-          return this.holdResult(symbol, currentPrice, ind, ctx, momentum,
-            [`BLOCKED: 1h macro strongly bullish — no SELL in bull trend (0% WR proven) — ${macro.reason}`]);
-        }
-        confidence = Math.round(confidence * 0.5);
-        warnings.push(`1h macro bullish counter-trend (-50%): ${macro.reason}`);
-      }
-
-      if (action === 'BUY' && macro.trend === 'BEARISH') {
-        if (macro.strength === 'STRONG') {
-          return this.holdResult(symbol, currentPrice, ind, ctx, momentum,
-            [`BLOCKED: 1h macro strongly bearish — no BUY in bear trend — ${macro.reason}`]);
-        }
-        confidence = Math.round(confidence * 0.5);
-        warnings.push(`1h macro bearish counter-trend (-50%): ${macro.reason}`);
-      }
-
-      if (action === 'BUY' && macro.trend === 'BULLISH') {
-        confidence = Math.min(Math.round(confidence * 1.12), 92);
-        reasons.push(`1h macro aligned bullish: ${macro.reason}`);
-      }
-      if (action === 'SELL' && macro.trend === 'BEARISH') {
-        confidence = Math.min(Math.round(confidence * 1.12), 92);
-        reasons.push(`1h macro aligned bearish: ${macro.reason}`);
-      }
-
-      if (process.env.DEBUG_MODE === 'true') {
-        console.log(`   🏔️  Macro (1h): ${macro.trend} (${macro.strength}) — ${macro.reason}`);
-      }
+        sellConflicts.forEach(c => { c.effect.blocked = 'SELL'; c.tone = 'warning'; });
+      else if ((totalBuyEvents > 0 && !buyHasValidEvent) || (totalSellEvents > 0 && !sellHasValidEvent))
+        note = 'Weak event only (need 1 strong or 2+ weak)';
     }
 
-    // ═══════════════════════════════════════════════════════════
-    // MTF FILTER (15min trend confirmation)
-    // ═══════════════════════════════════════════════════════════
-    if (action !== 'HOLD') {
-      const mtf = this.getMTFTrend(symbol);
-
-      if (action === 'BUY' && mtf.trend === 'BEARISH') {
-        if (mtf.strength === 'STRONG') {
-          return this.holdResult(symbol, currentPrice, ind, ctx, momentum,
-            [`BLOCKED: 15min MTF strongly bearish — ${mtf.reason}`]);
-        }
-        confidence = Math.round(confidence * 0.6);
-        warnings.push(`15min MTF bearish (-40%): ${mtf.reason}`);
-      }
-
-      if (action === 'SELL' && mtf.trend === 'BULLISH') {
-        if (mtf.strength === 'STRONG') {
-          return this.holdResult(symbol, currentPrice, ind, ctx, momentum,
-            [`BLOCKED: 15min MTF strongly bullish — ${mtf.reason}`]);
-        }
-        confidence = Math.round(confidence * 0.6);
-        warnings.push(`15min MTF bullish (-40%): ${mtf.reason}`);
-      }
-
-      if (action === 'BUY' && mtf.trend === 'BULLISH') {
-        confidence = Math.min(Math.round(confidence * 1.1), 92);
-        reasons.push(`15min MTF aligned bullish: ${mtf.reason}`);
-      }
-      if (action === 'SELL' && mtf.trend === 'BEARISH') {
-        confidence = Math.min(Math.round(confidence * 1.1), 92);
-        reasons.push(`15min MTF aligned bearish: ${mtf.reason}`);
-      }
-
-      if (process.env.DEBUG_MODE === 'true') {
-        console.log(`   📈 MTF (15min): ${mtf.trend} (${mtf.strength}) — ${mtf.reason}`);
+    trace.add({
+      rule: 'confluence', category: 'decision', side: action === 'HOLD' ? null : action,
+      inputs: {
+        buyStrong: buyStrong.length, buyWeak: buyWeak.length, buyState: buyState.length,
+        sellStrong: sellStrong.length, sellWeak: sellWeak.length, sellState: sellState.length,
+        minConfluence: this.minConfluence
+      },
+      text: note, tone: note ? 'warning' : null,
+      effect: { action, confidenceBefore: 0, confidenceAfter: confidence }
+    });
+
+    // ─── CONFIDENCE MODIFIERS & GUARDS ───
+    // Modifiers mutate `decision`; whatever they changed is recorded in the trace
+    const decision = { action, confidence, reasons: votes.map(e => e.text), warnings: [] };
+    for (const rule of this.rules.getRules('modifier', symbol, ctx.regime)) {
+      if (decision.action === 'HOLD' && !rule.always) continue;
+      const before = decision.confidence;
+      const nReasons = decision.reasons.length, nWarnings = decision.warnings.length;
+      const res = rule.apply(decision, r);
+      const inputs = inputsOf(rule, res);
+      const side = decision.action === 'HOLD' ? null : decision.action;
+      if (res?.hold) {
+        trace.add({ rule: rule.id, category: 'modifier', side, inputs, text: res.hold.join(' | '), tone: 'warning', effect: { hold: res.hold } });
+        return this.holdResult(symbol, currentPrice, ind, ctx, momentum, trace);
       }
-    }
+      const notes = [
+        ...decision.reasons.slice(nReasons).map(text => ({ text, tone: 'reason' })),
+        ...decision.warnings.slice(nWarnings).map(text => ({ text, tone: 'warning' }))
+      ];
+      if (notes.length === 0 && decision.confidence === before) continue;
+      const effect = { confidenceBefore: before, confidenceAfter: decision.confidence, factor: before > 0 ? parseFloat((decision.confidence / before).toFixed(3)) : null };
+      (notes.length > 0 ? notes : [{ text: null, tone: null }]).forEach((n, i) => {
+        trace.add({ rule: rule.id, category: 'modifier', side, inputs, text: n.text, tone: n.tone, effect: i === 0 ? effect : {} });
+      });
+    }
+    confidence = decision.confidence;
 
-    // ── CONTEXT ADJUSTMENTS ──
+    // ── SL/TP CALCULATION ──
     if (action !== 'HOLD') {
-      if (action === 'BUY' && ctx.trend === 'BEARISH' && ctx.trendStrength > 30)
-        return this.holdResult(symbol, currentPrice, ind, ctx, momentum, ['BLOCKED: Strong bearish trend (ADX:' + ctx.trendStrength.toFixed(0) + ')']);
-      if (action === 'SELL' && ctx.trend === 'BULLISH' && ctx.trendStrength > 30)
-        return this.holdResult(symbol, currentPrice, ind, ctx, momentum, ['BLOCKED: Strong bullish trend (ADX:' + ctx.trendStrength.toFixed(0) + ')']);
-
-      if (action === 'BUY' && ctx.trend === 'BEARISH') { confidence = Math.round(confidence * 0.5); warnings.push('Against bearish trend (-50%)'); }
-      if (action === 'SELL' && ctx.trend === 'BULLISH') { confidence = Math.round(confidence * 0.5); warnings.push('Against bullish trend (-50%)'); }
-
-      if (action === 'BUY' && ctx.trend === 'BULLISH' && ctx.trendStrength >= 20) {
-        confidence = Math.min(Math.round(confidence * 1.15), 90);
-        reasons.push(`With bullish trend (ADX:${ctx.trendStrength.toFixed(0)})`);
-      }
-      if (action === 'SELL' && ctx.trend === 'BEARISH' && ctx.trendStrength >= 20) {
-        confidence = Math.min(Math.round(confidence * 1.15), 90);
-        reasons.push(`With bearish trend (ADX:${ctx.trendStrength.toFixed(0)})`);
-      }
-
-      if (action === 'BUY' && momentum.priceStructure === 'BULLISH_STRUCTURE') {
-        confidence = Math.min(Math.round(confidence * 1.1), 90);
-        reasons.push('Bullish price structure');
-      }
-      if (action === 'SELL' && momentum.priceStructure === 'BEARISH_STRUCTURE') {
-        confidence = Math.min(Math.round(confidence * 1.1), 90);
-        reasons.push('Bearish price structure');
-      }
-
-      if (action === 'BUY' && srPenalty.buy > 0) {
-        confidence = Math.round(confidence * srPenalty.buy);
-        warnings.push(srPenalty.buyReason);
-      }
-      if (action === 'SELL' && srPenalty.sell > 0) {
-        confidence = Math.round(confidence * srPenalty.sell);
-        warnings.push(srPenalty.sellReason);
-      }
-
-      if (action === 'BUY' && sr.nearestSupport && sr.nearestSupport.strength >= 50) {
-        const distToS = currentPrice - sr.nearestSupport.price;
-        if (distToS < atrValue * 3) {
-          confidence = Math.min(Math.round(confidence * 1.08), 90);
-          reasons.push(`Strong support nearby (str:${sr.nearestSupport.strength.toFixed(0)})`);
-        }
-      }
-      if (action === 'SELL' && sr.nearestResistance && sr.nearestResistance.strength >= 50) {
-        const distToR = sr.nearestResistance.price - currentPrice;
-        if (distToR < atrValue * 3) {
-          confidence = Math.min(Math.round(confidence * 1.08), 90);
-          reasons.push(`Strong resistance nearby (str:${sr.nearestResistance.strength.toFixed(0)})`);
-        }
+      const { maxRR, minRR } = params.risk;
+
+      // Stop per stop.mode (StopPlacement): ATR, last swing, S/R zone or volatility-scaled ATR
+      const swings = this.srDetector.detectSwings(candles.map(c => c.high), candles.map(c => c.low), candles.map(c => c.close), null, params.swings);
+      const stopAt = (entry) => placeStop({ action, entry, atr: atrValue, ind, volatility: ctx.volatility, swings, sr, params });
+      const marketStop = stopAt(currentPrice);
+
+      // Limit entry at an S/R / EMA21 pullback (PendingEntry) or market at the close
+      const pending = buildPendingEntry({ action, price: currentPrice, atr: atrValue, sr, ema21: ind.ema21, smc: ctx.smc, stopDistance: marketStop.distance,
+        placedAt: candles.at(-1)?.timestamp ?? null, barMs: timeframeMinutes(this.timeframes.entry) * 60000, params
+      });
+      if (pending?.hold) {
+        const hold = [pending.hold];
+        trace.add({ rule: 'limit_entry', category: 'gate', side: action, inputs: { ema21: ind.ema21, support: sr.support, resistance: sr.resistance }, text: hold[0], tone: 'warning', effect: { hold } });
+        return this.holdResult(symbol, currentPrice, ind, ctx, momentum, trace);
       }
-
-      if (ctx.session === 'OVERLAP') { confidence = Math.min(Math.round(confidence * 1.1), 90); reasons.push('London/NY overlap'); }
-      else if (ctx.session === 'LONDON' || ctx.session === 'NEW_YORK') confidence = Math.min(Math.round(confidence * 1.05), 90);
-      else if (ctx.session === 'ASIAN') { confidence = Math.round(confidence * 0.85); warnings.push('Asian session (-15%)'); }
-      else if (ctx.session === 'OFF_HOURS') {
-        return this.holdResult(symbol, currentPrice, ind, ctx, momentum, ['OFF_HOURS session — market closed/dead, no trading']);
+      if (pending) {
+        trace.add({
+          rule: 'limit_entry', category: 'modifier', side: action, inputs: { ...pending.anchor, validBars: pending.validBars },
+          text: `Limit ${action} at ${pending.anchor.source} pullback (${pending.anchor.distanceAtr} ATR away, valid ${pending.validBars} candles)`, tone: 'reason', effect: {}
+        });
       }
-
-      if (ctx.volatility === 'HIGH') { confidence = Math.round(confidence * 0.9); warnings.push('High volatility'); }
-
-      if (confidence < 40)
-        return this.holdResult(symbol, currentPrice, ind, ctx, momentum, ['Confidence too low after adjustments']);
-    }
-
-    // ── ADX=0 GUARD ──
-    if (action !== 'HOLD') {
-      const adxCheck = ind.adx?.adx || 0;
-      if (adxCheck === 0) {
-        return this.holdResult(symbol, currentPrice, ind, ctx, momentum,
-          ['ADX calculation error (returned 0) — skipping signal']);
-      }
-    }
-
-    // ── ATR MINIMUM GUARD ──
-    if (symbol.includes('XAU') && atrValue < 1.0) {
-      return this.holdResult(symbol, currentPrice, ind, ctx, momentum,
-        [`ATR too low (${atrValue.toFixed(2)}) — ultra-squeeze, not tradeable`]);
-    }
-    if (symbol.includes('BTC') && atrValue < 50) {
-      return this.holdResult(symbol, currentPrice, ind, ctx, momentum,
-        [`ATR too low (${atrValue.toFixed(2)}) — ultra-squeeze, not tradeable`]);
-    }
-
-    // ── SL/TP CALCULATION ──
-    if (action !== 'HOLD') {
-      const slMul = ctx.volatility === 'HIGH' ? 2.5 : 2.0;
-      // ── RR 1.8: backtest-optimal (PF 1.85, 50.6% WR vs RR 2.0's 46.6% WR) ──
-      const maxRR = 1.8;
-      let stopLoss = 0, takeProfit = 0, riskReward = 0;
-
-      if (action === 'BUY') {
-        stopLoss = currentPrice - (atrValue * slMul);
-        const risk = currentPrice - stopLoss;
-        const fullTP = currentPrice + (risk * maxRR);
-        const minTPRequired = currentPrice + (risk * this.minRR);
-        const resistanceTP = (sr.resistance > minTPRequired && sr.resistance < fullTP)
-          ? sr.resistance : fullTP;
-        takeProfit = resistanceTP;
-      } else {
-        stopLoss = currentPrice + (atrValue * slMul);
-        const risk = stopLoss - currentPrice;
-        const fullTP = currentPrice - (risk * maxRR);
-        const minTPRequired = currentPrice - (risk * this.minRR);
-        const supportTP = (sr.support < minTPRequired && sr.support > fullTP)
-          ? sr.support : fullTP;
-        takeProfit = supportTP;
+      const entryPrice = pending ? pending.price : currentPrice;
+
+      const stop = pending ? stopAt(entryPrice) : marketStop;
+      const { stopLoss } = stop;
+      // TP1/TP2/TP3 + breakeven + trailing (TradePlan); TP2 is the S/R-snapped main target
+      // ── maxRR 1.8 default: backtest-optimal (PF 1.85, 50.6% WR vs RR 2.0's 46.6% WR) ──
+      const plan = buildTradePlan({ action, price: entryPrice, stopLoss, atr: atrValue, sr, params });
+      const takeProfit = plan.takeProfit;
+
+      const risk = Math.abs(entryPrice - stopLoss);
+      const reward = Math.abs(takeProfit - entryPrice);
+      const riskReward = risk > 0 ? parseFloat((reward / risk).toFixed(2)) : 0;
+
+      if (riskReward < minRR) {
+        const hold = [`R:R too low (${riskReward} < ${minRR})`];
+        trace.add({ rule: 'risk_reward', category: 'gate', side: action, inputs: { riskReward, minRR, maxRR, stopMode: stop.mode, stopAtr: stop.distanceAtr }, text: hold[0], tone: 'warning', effect: { hold } });
+        return this.holdResult(symbol, currentPrice, ind, ctx, momentum, trace);
       }
+      const { reasons, warnings } = renderTrace(trace.entries);
 
-      const risk = Math.abs(currentPrice - stopLoss);
-      const reward = Math.abs(takeProfit - currentPrice);
-      riskReward = risk > 0 ? parseFloat((reward / risk).toFixed(2)) : 0;
-
-      if (riskReward < this.minRR)
-        return this.holdResult(symbol, currentPrice, ind, ctx, momentum, [`R:R too low (${riskReward} < ${this.minRR})`]);
-
-      const srFormatted = this.srDetector.formatLevels(sr);
+      const srFormatted = this.srDetector.formatLevels(sr, instrument.precision);
 
       return {
-        symbol, action, confidence, price: currentPrice, stopLoss, takeProfit, riskReward,
+        symbol, action, confidence, price: entryPrice, stopLoss, takeProfit, riskReward, plan,
+        stop: { mode: stop.mode, requested: stop.requested, level: stop.level, distanceAtr: stop.distanceAtr, clamped: stop.clamped },
+        calibration: this.calibrator?.calibrate(symbol, action, confidence) || null,
+        entryType: pending ? 'limit' : 'market', marketPrice: currentPrice, pending,
         reasons, warnings,
         context: {
-          trend: ctx.trend, trendStrength: ctx.trendStrength, regime: ctx.regime,
+          trend: ctx.trend, trendStrength: ctx.trendStrength, regime: ctx.regime, playbook: ctx.regimeInfo?.playbook || null,
           session: ctx.session, volatility: ctx.volatility,
           support: ctx.sr.support, resistance: ctx.sr.resistance,
           supportLevels: srFormatted.supports,
@@ -815,44 +660,73 @@ export class SignalEngine {
         },
         momentum: {
           bullishCandles: momentum.bullishCandles, bearishCandles: momentum.bearishCandles,
-          priceStructure: momentum.priceStructure, stochPersistence: momentum.stochPersistence,
+          priceStructure: momentum.priceStructure, swings: momentum.swings.join(' '), stochPersistence: momentum.stochPersistence,
           moveSize: momentum.moveSize.toFixed(1), isMomentumMove: momentum.isMomentumMove
         },
         confluenceCount, eventCount, stateCount,
-        indicators: {
-          rsi: ind.rsi?.toFixed(2), macd: ind.macd?.histogram?.toFixed(5), adx: ind.adx?.adx?.toFixed(2),
-          atr: atrValue?.toFixed(5), stochK: ind.stoch?.k?.toFixed(2), stochD: ind.stoch?.d?.toFixed(2),
-          cci: ind.cci?.toFixed(2), ema9: ind.ema9?.toFixed(5), ema21: ind.ema21?.toFixed(5), ema50: ind.ema50?.toFixed(5)
-        },
-        timestamp: Date.now()
+        trace: trace.entries,
+        indicators: this.indicatorSummary(symbol, ind, atrValue, ctx),
+        strategyVersion: this.strategy.version,
+        timestamp: this.now()
       };
     }
 
-    return this.holdResult(symbol, currentPrice, ind, ctx, momentum, warnings);
+    return this.holdResult(symbol, currentPrice, ind, ctx, momentum, trace);
   }
 
-  holdResult(symbol, currentPrice, ind, ctx, momentum, warnings) {
+  // ── INDICATOR FIELD (signal.indicators, shown by the notifier) ──
+  // Overlay families only appear while one of their rules is active
+  indicatorSummary(symbol, ind, atrValue, ctx) {
+    const out = {
+      rsi: ind.rsi?.toFixed(2), macd: ind.macd?.histogram?.toFixed(5), adx: ind.adx?.adx?.toFixed(2),
+      atr: atrValue?.toFixed(5), stochK: ind.stoch?.k?.toFixed(2), stochD: ind.stoch?.d?.toFixed(2),
+      cci: ind.cci?.toFixed(2), ema9: ind.ema9?.toFixed(5), ema21: ind.ema21?.toFixed(5), ema50: ind.ema50?.toFixed(5)
+    };
+    const families = new Set(['event', 'state', 'conflict'].flatMap(stage => this.rules.getRules(stage, symbol, ctx.regime).map(rule => rule.indicator)));
+    const fmt = (v) => this.instruments.formatPrice(symbol, v);
+    const { ichimoku: k, supertrend: st, squeeze: sq, keltner: kc, donchian: dc, vwap: v } = ind;
+
+    if (families.has('ichimoku') && k) {
+      const side = ind.price > k.cloudTop ? 'above' : ind.price < k.cloudBottom ? 'below' : 'inside';
+      out.ichimoku = `${side} cloud ${fmt(k.cloudBottom)}–${fmt(k.cloudTop)}, TK ${fmt(k.tenkan)}/${fmt(k.kijun)}`;
+    }
+    if (families.has('supertrend') && st) out.supertrend = `${st.direction === 1 ? 'bullish' : 'bearish'} ${fmt(st.value)}`;
+    if (families.has('squeeze') && sq && kc) out.squeeze = sq.on ? `on (${sq.bars + 1} candles)` : sq.bars > 0 ? `released after ${sq.bars} candles` : 'off';
+    if (families.has('donchian') && dc) out.donchian = `${fmt(dc.lower)}–${fmt(dc.upper)}`;
+    if (families.has('vwap') && v) out.vwap = `${fmt(v.vwap)} (σ ${fmt(v.sd)})`;
+    if (families.has('smc') && ctx.smc) {
+      const open = (zones, side) => zones.filter(z => z.side === side).length;
+      const { orderBlocks: ob, fvgs } = ctx.smc;
+      out.smc = `OB ${open(ob, 'BUY')} bull / ${open(ob, 'SELL')} bear, FVG ${open(fvgs, 'BUY')} bull / ${open(fvgs, 'SELL')} bear open`;
+    }
+    if (families.has('levels') && ctx.levels) {
+      const count = (state) => ctx.levels.levels.filter(l => l.state === state).length;
+      out.levels = `${ctx.levels.levels.length} tracked, ${count('broken')} broken / ${count('flipped')} flipped`;
+    }
+    return out;
+  }
+
+  holdResult(symbol, currentPrice, ind, ctx, momentum, trace) {
     const atrValue = ind.atr || currentPrice * 0.01;
+    const { warnings } = renderTrace(trace.entries);
     return {
-      symbol, action: 'HOLD', confidence: 0, price: currentPrice, stopLoss: 0, takeProfit: 0, riskReward: 0,
+      symbol, action: 'HOLD', confidence: 0, price: currentPrice, stopLoss: 0, takeProfit: 0, riskReward: 0, calibration: null,
       reasons: [], warnings,
       context: {
-        trend: ctx.trend, trendStrength: ctx.trendStrength, regime: ctx.regime,
+        trend: ctx.trend, trendStrength: ctx.trendStrength, regime: ctx.regime, playbook: ctx.regimeInfo?.playbook || null,
         session: ctx.session, volatility: ctx.volatility,
         support: ctx.sr?.support || 0, resistance: ctx.sr?.resistance || 0
       },
       momentum: {
         bullishCandles: momentum.bullishCandles, bearishCandles: momentum.bearishCandles,
-        priceStructure: momentum.priceStructure, stochPersistence: momentum.stochPersistence,
+        priceStructure: momentum.priceStructure, swings: momentum.swings.join(' '), stochPersistence: momentum.stochPersistence,
         moveSize: momentum.moveSize.toFixed(1), isMomentumMove: momentum.isMomentumMove
       },
       confluenceCount: 0, eventCount: 0, stateCount: 0,
-      indicators: {
-        rsi: ind.rsi?.toFixed(2), macd: ind.macd?.histogram?.toFixed(5), adx: ind.adx?.adx?.toFixed(2),
-        atr: atrValue?.toFixed(5), stochK: ind.stoch?.k?.toFixed(2), stochD: ind.stoch?.d?.toFixed(2),
-        cci: ind.cci?.toFixed(2), ema9: ind.ema9?.toFixed(5), ema21: ind.ema21?.toFixed(5), ema50: ind.ema50?.toFixed(5)
-      },
-      timestamp: Date.now()
+      trace: trace.entries,
+      indicators: this.indicatorSummary(symbol, ind, atrValue, ctx),
+      strategyVersion: this.strategy.version,
+      timestamp: this.now()
     };
   }
 }
\ No newline at end of file
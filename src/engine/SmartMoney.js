@@ -0,0 +1,174 @@
+// ═══════════════════════════════════════════════════════════════════
+// SMART MONEY — fair value gaps, order blocks and liquidity sweeps
+//
+//   fair value gap   three-candle imbalance: the third candle's low is
+//                    above the first one's high (bullish) or its high
+//                    below the first one's low (bearish). The gap between
+//                    them is the zone; smaller than minGapAtr is noise.
+//   order block      the last opposite-colour candle (within obLookback
+//                    candles) before a displacement candle — body of
+//                    impulseAtr or more — that closes beyond it. The
+//                    order block candle's range is the zone.
+//   liquidity sweep  the candle wicks through an SRDetector level by
+//                    sweepAtr or more and closes back on the side it came
+//                    from (findSweeps, stateless — the rule calls it)
+//
+// SmartMoneyTracker keeps a per-symbol book of the zones still in play.
+// Each closed candle, in order:
+//   1. steps the open zones: a candle trading into a zone touches it —
+//      an order block is then mitigated, a gap shrinks to what is still
+//      unfilled (filled once traded through). A close beyond the far edge
+//      breaks the zone. Zones older than maxAgeBars drop out.
+//   2. adds the gaps / order blocks that candle completed
+// Only closed candles are committed — a candle is closed once a later one
+// is in the store. The last (possibly forming) candle is stepped on a
+// copy, so live re-analysis of one candle never counts twice. Its
+// touches are what the order_block_retest / fvg_retest events read.
+//
+// Sizes are in the mean high–low range of the last RANGE_BARS candles
+// rather than the indicator ATR, so the book is the same in stream and
+// batch indicator mode and doesn't depend on when it was first built.
+// ═══════════════════════════════════════════════════════════════════
+
+export const RANGE_BARS = 14;
+
+const bullish = (c) => c.close > c.open;
+const bearish = (c) => c.close < c.open;
+
+// Mean high–low range of the RANGE_BARS candles ending at index i
+export function meanRange(candles, i) {
+  const bars = candles.slice(Math.max(0, i - RANGE_BARS + 1), i + 1);
+  return bars.length ? bars.reduce((s, c) => s + (c.high - c.low), 0) / bars.length : 0;
+}
+
+// Gap completed by candle i → zone or null
+export function findFairValueGap(candles, i, range, p) {
+  if (i < 2) return null;
+  const first = candles[i - 2], c = candles[i];
+  const minGap = p.minGapAtr * range;
+  if (c.low > first.high && c.low - first.high >= minGap) {
+    return { kind: 'fvg', side: 'BUY', low: first.high, high: c.low, createdAt: c.timestamp };
+  }
+  if (c.high < first.low && first.low - c.high >= minGap) {
+    return { kind: 'fvg', side: 'SELL', low: c.high, high: first.low, createdAt: c.timestamp };
+  }
+  return null;
+}
+
+// Order block confirmed by displacement candle i → zone or null
+export function findOrderBlock(candles, i, range, p) {
+  const c = candles[i];
+  if (!c || Math.abs(c.close - c.open) < p.impulseAtr * range) return null;
+  const side = bullish(c) ? 'BUY' : 'SELL';
+  const opposite = side === 'BUY' ? bearish : bullish;
+  for (let j = i - 1; j >= Math.max(0, i - p.obLookback); j--) {
+    const ob = candles[j];
+    if (!opposite(ob)) continue;
+    const broke = side === 'BUY' ? c.close > ob.high : c.close < ob.low;
+    return broke ? { kind: 'order_block', side, low: ob.low, high: ob.high, origin: ob.timestamp, createdAt: c.timestamp } : null;
+  }
+  return null;
+}
+
+// Levels the last candle swept and closed back above (BUY) / below (SELL)
+// → [{ side, level, depth }] — depth in ATR past the level
+export function findSweeps(candles, sr, atr, p) {
+  if (!candles || candles.length < 2 || !(atr > 0)) return [];
+  const [prev, c] = candles.slice(-2);
+  const minDepth = p.sweepAtr * atr;
+  const sweeps = [];
+  for (const level of sr?.allLevels || []) {
+    if (prev.close > level.price && level.price - c.low >= minDepth && c.close > level.price) {
+      sweeps.push({ side: 'BUY', level, depth: (level.price - c.low) / atr });
+    }
+    if (prev.close < level.price && c.high - level.price >= minDepth && c.close < level.price) {
+      sweeps.push({ side: 'SELL', level, depth: (c.high - level.price) / atr });
+    }
+  }
+  return sweeps;
+}
+
+// ── ONE CANDLE AGAINST THE BOOK ──
+// Mutates book.fvgs / book.orderBlocks; → touches of this candle
+// [{ kind, side, low, high, createdAt, touches, result: 'held' | 'broken' }] —
+// touches = earlier touches of the zone (a gap can be tapped more than once)
+function stepBook(book, candles, i, p) {
+  const c = candles[i];
+  const touches = [];
+
+  for (const key of ['fvgs', 'orderBlocks']) {
+    const kept = [];
+    for (const zone of book[key]) {
+      zone.age++;
+      const dir = zone.side === 'BUY' ? 1 : -1;
+      const proximal = dir === 1 ? zone.high : zone.low;
+      const distal = dir === 1 ? zone.low : zone.high;
+      const reach = dir === 1 ? c.low : c.high;
+      if (dir * (reach - proximal) > 0) {
+        if (zone.age < p.maxAgeBars) kept.push(zone);
+        continue;
+      }
+
+      const broken = dir * (c.close - distal) < 0;
+      touches.push({ kind: zone.kind, side: zone.side, low: zone.low, high: zone.high, createdAt: zone.createdAt, touches: zone.touches, result: broken ? 'broken' : 'held' });
+      // An order block is spent once touched; a gap keeps whatever is still unfilled
+      if (broken || zone.kind === 'order_block' || dir * (reach - distal) <= 0) continue;
+      if (dir === 1) zone.high = reach;
+      else zone.low = reach;
+      zone.touches++;
+      if (zone.age < p.maxAgeBars) kept.push(zone);
+    }
+    book[key] = kept;
+  }
+
+  const range = meanRange(candles, i);
+  const fvg = findFairValueGap(candles, i, range, p);
+  const ob = findOrderBlock(candles, i, range, p);
+  if (fvg) book.fvgs.push({ ...fvg, age: 0, touches: 0 });
+  if (ob && !book.orderBlocks.some(z => z.origin === ob.origin)) book.orderBlocks.push({ ...ob, age: 0, touches: 0 });
+  if (book.fvgs.length > p.maxZones) book.fvgs = book.fvgs.slice(-p.maxZones);
+  if (book.orderBlocks.length > p.maxZones) book.orderBlocks = book.orderBlocks.slice(-p.maxZones);
+  return touches;
+}
+
+const copyBook = (book) => ({ ...book, fvgs: book.fvgs.map(z => ({ ...z })), orderBlocks: book.orderBlocks.map(z => ({ ...z })) });
+
+export class SmartMoneyTracker {
+  constructor() {
+    this.books = new Map(); // symbol → { lastTime, fvgs, orderBlocks }
+  }
+
+  // candles: the symbol's entry candle store, oldest first
+  // → { fvgs, orderBlocks, touches } as of the last candle
+  update(symbol, candles, p) {
+    if (!candles || candles.length < 3) return { fvgs: [], orderBlocks: [], touches: [] };
+    let book = this.books.get(symbol);
+    if (!book) this.books.set(symbol, book = { lastTime: -Infinity, fvgs: [], orderBlocks: [] });
+
+    const last = candles.length - 1;
+    for (let i = 2; i < last; i++) {
+      if (candles[i].timestamp <= book.lastTime) continue;
+      stepBook(book, candles, i, p);
+      book.lastTime = candles[i].timestamp;
+    }
+
+    const view = copyBook(book);
+    const touches = candles[last].timestamp > book.lastTime ? stepBook(view, candles, last, p) : [];
+    return { fvgs: view.fvgs, orderBlocks: view.orderBlocks, touches };
+  }
+
+  reset(symbol = null) {
+    if (symbol) this.books.delete(symbol);
+    else this.books.clear();
+  }
+}
+
+// First touches of `kind` ('fvg' | 'order_block') the last candle held, newest zone per side
+export function zoneRetests(smc, kind) {
+  const best = {};
+  for (const t of smc?.touches || []) {
+    if (t.kind !== kind || t.result !== 'held' || t.touches > 0) continue;
+    if (!best[t.side] || t.createdAt > best[t.side].createdAt) best[t.side] = t;
+  }
+  return Object.values(best);
+}
@@ -0,0 +1,72 @@
+// ═══════════════════════════════════════════════════════════════════
+// STOP PLACEMENT — where the trade idea is invalidated
+//
+// stop.mode (one of STOP_MODES) picks how far the stop sits from the entry:
+//   atr            ATR × risk.slMul (risk.slMulHighVol in HIGH volatility)
+//   swing          beyond the last confirmed swing low (BUY) / high (SELL)
+//                  below / above the entry (SRDetector.detectSwings)
+//   zone           beyond the far edge of the nearest S/R zone on the stop
+//                  side (SRDetector level.zone)
+//   volatility     ATR × risk.slMul scaled by where the ATR sits in its
+//                  recent window: lowVolMul at the 0th percentile, highVolMul
+//                  at the 100th — wider when volatility is expanding
+// Structure stops (swing, zone) add bufferAtr × ATR beyond the level.
+//
+// Every mode is clamped to [minAtr, maxAtr] × ATR, so a far swing can't
+// blow up the risk and a level right under the entry can't leave a stop
+// inside the noise. A structure mode with no level on the stop side, or
+// the volatility mode without ATR history, falls back to atr.
+//
+// The result goes on the signal (signal.stop), so the tracker and the
+// backtest can break results down by stop method.
+// ═══════════════════════════════════════════════════════════════════
+
+import { percentile } from './RegimeClassifier.js';
+import { levelZone } from './SRDetector.js';
+
+export const STOP_MODES = ['atr', 'swing', 'zone', 'volatility'];
+
+// → { stopLoss, distance, mode, requested, level, distanceAtr, clamped }
+//   mode       the mode that placed it ('atr' after a fallback)
+//   requested  the mode stop.mode asked for
+//   level      the swing / zone price it sits beyond (structure modes)
+//   clamped    'min' | 'max' when a distance guard moved it, else null
+export function placeStop({ action, entry, atr, ind, volatility, swings = [], sr, params }) {
+  const p = params.stop;
+  const { slMul, slMulHighVol } = params.risk;
+  const dir = action === 'BUY' ? 1 : -1;
+  const requested = p.mode;
+
+  let placed = null;
+  if (requested === 'swing') {
+    const type = dir === 1 ? 'SUPPORT' : 'RESISTANCE';
+    const swing = swings
+      .filter(s => s.type === type && dir * (entry - s.price) > 0)
+      .sort((a, b) => b.index - a.index)[0];
+    if (swing) placed = { mode: 'swing', level: swing.price, distance: dir * (entry - swing.price) + p.bufferAtr * atr };
+  } else if (requested === 'zone') {
+    const farEdge = (l) => (dir === 1 ? levelZone(l).low : levelZone(l).high);
+    const zone = ((dir === 1 ? sr?.supports : sr?.resistances) || []).find(l => dir * (entry - farEdge(l)) > 0);
+    if (zone) placed = { mode: 'zone', level: farEdge(zone), distance: dir * (entry - farEdge(zone)) + p.bufferAtr * atr };
+  } else if (requested === 'volatility') {
+    const pct = percentile(ind.volatilitySeries?.atr, ind.atr);
+    if (pct !== null) placed = { mode: 'volatility', level: null, distance: atr * slMul * (p.lowVolMul + (p.highVolMul - p.lowVolMul) * pct / 100) };
+  }
+  if (!placed) placed = { mode: 'atr', level: null, distance: atr * (volatility === 'HIGH' ? slMulHighVol : slMul) };
+
+  // ── DISTANCE GUARDS ──
+  let { distance } = placed;
+  let clamped = null;
+  if (distance < p.minAtr * atr) { distance = p.minAtr * atr; clamped = 'min'; }
+  else if (distance > p.maxAtr * atr) { distance = p.maxAtr * atr; clamped = 'max'; }
+
+  return {
+    stopLoss: entry - dir * distance,
+    distance,
+    mode: placed.mode,
+    requested,
+    level: placed.level,
+    distanceAtr: parseFloat((distance / atr).toFixed(2)),
+    clamped
+  };
+}
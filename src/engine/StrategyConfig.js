@@ -0,0 +1,339 @@
+// ═══════════════════════════════════════════════════════════════════
+// STRATEGY CONFIG — versioned thresholds loaded from config/strategy.json
+//
+// File layout:
+//   {
+//     "version": "4.0.0",              ← stamped on every signal + tracker entry
+//     "timeframes": { "entry": "5min", "layers": [...] }       ← see TimeframeStack
+//     "params":  { ...all thresholds },
+//     "symbols": { "XAU/USD": { "risk": { "slMul": 2.2 } } },   ← partial overrides
+//     "rules":   { "disabled": [], "order": [], "regimes": {}, "symbols": {} } ← RuleRegistry config
+//   }
+//
+// Every leaf in `params` is checked against SCHEMA: a number within
+// [min, max], one of a list of names (oneOf — modes such as stop.mode
+// "swing") or a boolean (BOOL).
+// Unknown keys are rejected so a typo can't silently fall back to nothing.
+// The running agent re-reads the file on change (watchStrategy) and keeps
+// the previous strategy if the new one fails validation.
+// ═══════════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+import { TimeframeStack, DEFAULT_TIMEFRAMES } from './TimeframeStack.js';
+import { REGIMES } from './RegimeClassifier.js';
+import { STOP_MODES } from './StopPlacement.js';
+import { SWING_MODES } from './SRDetector.js';
+import { PIVOT_MODES } from './ReferenceLevels.js';
+
+export const DEFAULT_STRATEGY_FILE = './config/strategy.json';
+
+const MULT = [0.01, 5];   // confidence multipliers (penalties < 1, boosts > 1)
+const PCT = [0, 100];     // confidence values / oscillator bands
+const POS = [0, 1000];    // ADX levels, ATR multiples, counts
+const BOOL = { boolean: true };
+const oneOf = (values) => ({ oneOf: values });
+
+// ── PARAM SCHEMA: section → key → [min, max] | oneOf([...names]) | BOOL ──
+const SCHEMA = {
+  confidence: {
+    base: PCT, perConfluence: PCT, cap: PCT,
+    oneStrongBonus: PCT, oneStrongCap: PCT, multiStrongBonus: PCT, multiStrongCap: PCT,
+    minAfterAdjustments: PCT
+  },
+  trend: { blockAdx: PCT, counterPenalty: MULT, withTrendAdx: PCT, withTrendBoost: MULT, structureBoost: MULT, cap: PCT },
+  context: { trendAdx: PCT, highVolRatio: [1, 10], lowVolRatio: [0, 1], squeezeWidth: [0, 1] },
+  // TRENDING / RANGING / BREAKOUT with hysteresis — RegimeClassifier
+  regime: {
+    trendingAdx: PCT, adxBand: PCT, breakoutAdx: PCT, breakoutAtrPct: PCT, trendBbPct: PCT,
+    rangeBars: [2, 100], structureBars: [10, 300], confirmBars: [1, 50]
+  },
+  // range_edge_fade / range_location (RANGING playbook)
+  meanReversion: { edgePct: [0, 50], edgeAtr: [0, 10], minWidthAtr: [0, 50], strongLevel: PCT },
+  adx: { eventMin: PCT, stateMin: PCT, weakTrendBelow: PCT, rangingBelow: PCT, chopMin: PCT, chopMax: PCT, chopEma50Atr: POS },
+  rsi: {
+    oversold: PCT, overbought: PCT, extremeOverbought: PCT, stateOversold: PCT, stateOverbought: PCT,
+    risingBelow: PCT, fallingAbove: PCT, neutralLow: PCT, neutralHigh: PCT,
+    pullbackLow: PCT, pullbackHigh: PCT, persistLow: PCT, persistHigh: PCT
+  },
+  stoch: {
+    oversold: PCT, overbought: PCT, stateOversold: PCT, stateOverbought: PCT,
+    conflictOversold: PCT, conflictOverbought: PCT, extremeOverbought: PCT,
+    neutralLow: PCT, neutralHigh: PCT, persistLow: PCT, persistHigh: PCT
+  },
+  cci: { oversold: [-500, 0], overbought: [0, 500] },
+  bollinger: { stateLower: [0, 1], stateUpper: [0, 1], extremeLower: [-1, 1], extremeUpper: [0, 2] },
+  macd: { histThresholdPct: [0, 0.1] },
+  // Optional overlay rules (off unless rules.enabled lists them) — StreamingIndicators overlays
+  ichimoku: { cloudBufferAtr: [0, 10] },
+  squeeze: { minBars: [1, 49] },
+  donchian: { minAdx: PCT },
+  vwap: { bandSd: [0.5, 5] },
+  // Optional smart-money rules; fvg / orderBlock / sweep weights: 0 off, 1 weak event,
+  // 2 strong event (+1 sweeping a strongLevel level) — SmartMoney
+  smc: {
+    minGapAtr: [0, 10], impulseAtr: [0.1, 20], obLookback: [1, 10], maxAgeBars: [1, 1000], maxZones: [1, 50],
+    sweepAtr: [0, 5], strongLevel: PCT, fvg: [0, 2], orderBlock: [0, 2], sweep: [0, 2]
+  },
+  // Per-symbol level book; flipRetest weight: 0 off, 1 weak event, 2 strong event — LevelBook
+  levels: { leaveAtr: [0, 10], breakAtr: [0, 5], maxFlips: [1, 20], maxAgeBars: [1, 10000], maxLevels: [1, 200], minStrength: PCT, flipRetest: [0, 2] },
+  // structure = HH / HL counts over the last structurePoints swings (sr.swings), else the last 8 candles
+  momentum: { consecutiveCandles: [1, 8], structureSwings: [1, 7], structureBlockSwings: [1, 7], moveAtr: POS, structure: BOOL, structurePoints: [2, 30] },
+  // fractal: order bars each side, adaptive = up to maxOrder in high volatility, filterAtr min swing
+  // (0 off); zigzag_atr: zigzagAtr × range reversals; zigzag_pct: zigzagPct % reversals — SRDetector
+  swings: { mode: oneOf(SWING_MODES), order: [1, 20], adaptive: BOOL, maxOrder: [1, 20], filterAtr: [0, 10], zigzagAtr: [0.1, 20], zigzagPct: [0.01, 20], lookback: [10, 1000] },
+  // zoneMaxAtr: thickest S/R zone in ATR, 0 = single-price levels; layerLevels = merge the
+  // timeframe layers' levels, scored × (1 + tfWeight × steps above entry) — SRDetector
+  sr: {
+    zoneMaxAtr: [0, 5], layerLevels: BOOL, tfWeight: [0, 2], atLevelAtr: POS, atLevelStrength: PCT, nearLevelAtr: POS, nearLevelStrength: PCT, nearLevelPenalty: MULT,
+    backingAtr: POS, backingStrength: PCT, backingBoost: MULT, cap: PCT
+  },
+  // Prior day / week, Asian range, pivots, round numbers merged into S/R; weights in swing touches
+  // (0 off), pivots off / standard / camarilla / fibonacci (weeklyPivots adds the prior week's),
+  // day starts dayStartHour UTC — ReferenceLevels
+  reference: { dayStartHour: [0, 23], prior: [0, 10], asian: [0, 10], pivots: oneOf(PIVOT_MODES), pivotWeight: [0, 10], weeklyPivots: BOOL, round: [0, 10], rangeAtr: [0, 100] },
+  session: { overlapBoost: MULT, mainBoost: MULT, asianPenalty: MULT, cap: PCT },
+  volatility: { highPenalty: MULT },
+  // minImpact 1 low / 2 medium / 3 high; block = HOLD in the window, else ×penalty — EconomicCalendar
+  news: { beforeMins: [0, 1440], afterMins: [0, 1440], minImpact: [1, 3], block: BOOL, penalty: MULT, warnAheadMins: [0, 1440] },
+  // block = HOLD past a limit, else ×penalty — ExposureGuard
+  exposure: { maxCurrencyR: [0, 20], maxCorrelatedR: [1, 20], corrBars: [10, 500], corrMin: [0, 1], block: BOOL, penalty: MULT },
+  risk: { slMul: [0.1, 20], slMulHighVol: [0.1, 20], maxRR: [0.1, 20], minRR: [0, 20] },
+  // distances in ATR — StopPlacement
+  stop: { mode: oneOf(STOP_MODES), bufferAtr: [0, 5], minAtr: [0, 20], maxAtr: [0.1, 50], lowVolMul: [0.1, 5], highVolMul: [0.1, 5] },
+  plan: {
+    tp1R: [0.1, 20], tp1Pct: PCT, tp2Pct: PCT, tp3R: [0.1, 20],
+    breakevenAfter: [0, 3], breakevenOffsetR: [0, 5],
+    trailAfter: [0, 3], trailAtr: [0, 20], trailSwingBars: [0, 50]
+  },
+  // weights: 0 off, 1 weak event, 2 strong event (+1 at an S/R level) — CandlePatterns
+  patterns: {
+    minRangeAtr: [0, 10], dojiBodyPct: PCT, pinWickPct: PCT, pinBodyPct: PCT, starBodyPct: PCT,
+    levelAtr: [0, 10], levelStrength: PCT,
+    engulfing: [0, 2], pinBar: [0, 2], insideBreakout: [0, 2], star: [0, 2], dojiAtLevel: [0, 2]
+  },
+  // regular / hidden weights: 0 off, 1 weak event, 2 strong event; rsi/macdHist/stochK = check that oscillator — Divergence
+  divergence: {
+    minSwingBars: [1, 60], maxSwingBars: [2, 60], recentBars: [0, 20],
+    rsiMinDelta: PCT, stochMinDelta: PCT, macdMinAtr: [0, 5],
+    rsi: BOOL, macdHist: BOOL, stochK: BOOL, regular: [0, 2], hidden: [0, 2]
+  },
+  // limit = pending limit at a pullback, else market entry at the close; fallbackMarket = market
+  // entry when no pullback level is in reach, else HOLD (PendingEntry)
+  entry: {
+    limit: BOOL, srPullbackAtr: [0, 10], emaPullbackAtr: [0, 10], obPullbackAtr: [0, 10], fvgPullbackAtr: [0, 10], minPullbackAtr: [0, 10],
+    zoneAtr: [0, 5], validBars: [1, 500], runawayR: [0, 20], fallbackMarket: BOOL
+  }
+};
+
+// ── CROSS-FIELD CHECKS: [lowerPath, upperPath] must satisfy lower < upper ──
+const ORDERED = [
+  ['rsi.oversold', 'rsi.overbought'],
+  ['rsi.stateOversold', 'rsi.stateOverbought'],
+  ['rsi.neutralLow', 'rsi.neutralHigh'],
+  ['rsi.pullbackLow', 'rsi.pullbackHigh'],
+  ['stoch.oversold', 'stoch.overbought'],
+  ['stoch.stateOversold', 'stoch.stateOverbought'],
+  ['stoch.neutralLow', 'stoch.neutralHigh'],
+  ['bollinger.stateLower', 'bollinger.stateUpper'],
+  ['bollinger.extremeLower', 'bollinger.extremeUpper'],
+  ['adx.chopMin', 'adx.chopMax'],
+  ['risk.minRR', 'risk.maxRR'],
+  ['stop.minAtr', 'stop.maxAtr'],
+  ['divergence.minSwingBars', 'divergence.maxSwingBars'],
+  ['plan.tp1R', 'risk.minRR'],   // TP1 < TP2 < TP3
+  ['risk.maxRR', 'plan.tp3R']
+];
+
+// ── SUM CHECKS: [paths, max] — sum of the values must not exceed max ──
+const SUMS = [
+  [['plan.tp1Pct', 'plan.tp2Pct'], 100]  // TP3 gets the rest
+];
+
+export class StrategyConfig {
+  constructor(raw, source = 'inline') {
+    const errors = StrategyConfig.validate(raw);
+    if (errors.length > 0) {
+      throw new Error(`Invalid strategy (${source}):\n  - ${errors.join('\n  - ')}`);
+    }
+    this.source = source;
+    this.version = raw.version;
+    this.name = raw.name || '';
+    this.timeframes = deepFreeze(clone(raw.timeframes || DEFAULT_TIMEFRAMES));
+    this.params = deepFreeze(clone(raw.params));
+    this.symbols = raw.symbols || {};
+    this.rules = raw.rules || {};
+    this.loadedAt = Date.now();
+    this._cache = new Map();
+  }
+
+  // ── LOAD + VALIDATE FROM DISK ──
+  static load(file = DEFAULT_STRATEGY_FILE) {
+    const fullPath = path.resolve(file);
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Could not read strategy file ${fullPath}: ${err.message}`);
+    }
+    return new StrategyConfig(raw, fullPath);
+  }
+
+  // Returns a list of human-readable errors (empty = valid)
+  static validate(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['strategy must be a JSON object'];
+
+    if (typeof raw.version !== 'string' || !raw.version.trim()) errors.push('version: required non-empty string');
+    for (const key of Object.keys(raw)) {
+      if (!['version', 'name', 'description', 'timeframes', 'params', 'symbols', 'rules'].includes(key)) errors.push(`${key}: unknown top-level key`);
+    }
+    if (raw.timeframes !== undefined) errors.push(...TimeframeStack.validate(raw.timeframes));
+
+    if (!raw.params || typeof raw.params !== 'object') {
+      errors.push('params: required object');
+      return errors;
+    }
+    checkParams(raw.params, errors, 'params', true);
+    if (errors.length === 0) checkOrdering(raw.params, errors, 'params');
+
+    const symbols = raw.symbols || {};
+    if (typeof symbols !== 'object' || Array.isArray(symbols)) errors.push('symbols: must be an object keyed by symbol');
+    else {
+      for (const [symbol, overrides] of Object.entries(symbols)) {
+        const before = errors.length;
+        checkParams(overrides, errors, `symbols.${symbol}`, false);
+        if (errors.length === before) checkOrdering(deepMerge(raw.params, overrides), errors, `symbols.${symbol}`);
+      }
+    }
+
+    const rules = raw.rules || {};
+    for (const key of ['disabled', 'enabled', 'order']) {
+      if (rules[key] !== undefined && !isStringArray(rules[key])) errors.push(`rules.${key}: must be an array of rule ids`);
+    }
+    for (const [regime, rc] of Object.entries(rules.regimes || {})) {
+      if (!REGIMES.includes(regime)) errors.push(`rules.regimes.${regime}: unknown regime (${REGIMES.join(', ')})`);
+      for (const key of Object.keys(rc)) {
+        if (!['disabled', 'enabled'].includes(key)) errors.push(`rules.regimes.${regime}.${key}: unknown key`);
+        else if (!isStringArray(rc[key])) errors.push(`rules.regimes.${regime}.${key}: must be an array of rule ids`);
+      }
+    }
+    for (const [symbol, sc] of Object.entries(rules.symbols || {})) {
+      for (const key of ['disabled', 'enabled', 'order']) {
+        if (sc[key] !== undefined && !isStringArray(sc[key])) errors.push(`rules.symbols.${symbol}.${key}: must be an array of rule ids`);
+      }
+    }
+
+    return errors;
+  }
+
+  // The validated file contents — new StrategyConfig(strategy.toJSON()) is an equal copy
+  toJSON() {
+    return { version: this.version, name: this.name, timeframes: this.timeframes, params: this.params, symbols: this.symbols, rules: this.rules };
+  }
+
+  // ── MERGED PARAMS FOR ONE SYMBOL (defaults + overrides) ──
+  forSymbol(symbol) {
+    if (!symbol || !this.symbols[symbol]) return this.params;
+    if (!this._cache.has(symbol)) this._cache.set(symbol, deepFreeze(deepMerge(this.params, this.symbols[symbol])));
+    return this._cache.get(symbol);
+  }
+
+  summary() {
+    return { version: this.version, name: this.name, source: this.source, loadedAt: new Date(this.loadedAt).toISOString(), symbolOverrides: Object.keys(this.symbols) };
+  }
+}
+
+// ── HOT RELOAD ──
+// Polls the file's mtime (survives editors that replace the file on save).
+// onReload(strategy) on a valid change, onError(err) when the new file is invalid.
+export function watchStrategy(file, { onReload, onError, intervalMs = 2000 } = {}) {
+  const fullPath = path.resolve(file);
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    try {
+      onReload?.(StrategyConfig.load(fullPath));
+    } catch (err) {
+      onError?.(err);
+    }
+  };
+  fs.watchFile(fullPath, { interval: intervalMs, persistent: false }, listener);
+  return () => fs.unwatchFile(fullPath, listener);
+}
+
+// ── HELPERS ──
+
+function checkParams(params, errors, prefix, requireAll) {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    errors.push(`${prefix}: must be an object`);
+    return;
+  }
+  for (const key of Object.keys(params)) {
+    if (!SCHEMA[key]) errors.push(`${prefix}.${key}: unknown section`);
+  }
+  for (const [section, fields] of Object.entries(SCHEMA)) {
+    const values = params[section];
+    if (values === undefined) {
+      if (requireAll) errors.push(`${prefix}.${section}: missing section`);
+      continue;
+    }
+    if (typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`${prefix}.${section}: must be an object`);
+      continue;
+    }
+    for (const key of Object.keys(values)) {
+      if (!fields[key]) errors.push(`${prefix}.${section}.${key}: unknown parameter`);
+    }
+    for (const [key, spec] of Object.entries(fields)) {
+      const v = values[key];
+      const at = `${prefix}.${section}.${key}`;
+      if (v === undefined) {
+        if (requireAll) errors.push(`${at}: missing`);
+        continue;
+      }
+      if (spec.oneOf) {
+        if (!spec.oneOf.includes(v)) errors.push(`${at}: expected one of ${spec.oneOf.map(m => `"${m}"`).join(', ')}, got ${JSON.stringify(v)}`);
+      } else if (spec.boolean) {
+        if (typeof v !== 'boolean') errors.push(`${at}: expected true or false, got ${JSON.stringify(v)}`);
+      } else {
+        const [min, max] = spec;
+        if (typeof v !== 'number' || !Number.isFinite(v)) errors.push(`${at}: expected a number, got ${JSON.stringify(v)}`);
+        else if (v < min || v > max) errors.push(`${at}: ${v} is outside [${min}, ${max}]`);
+      }
+    }
+  }
+}
+
+function checkOrdering(params, errors, prefix) {
+  const get = (p) => p.split('.').reduce((o, k) => o?.[k], params);
+  for (const [lo, hi] of ORDERED) {
+    if (!(get(lo) < get(hi))) errors.push(`${prefix}: ${lo} (${get(lo)}) must be below ${hi} (${get(hi)})`);
+  }
+  for (const [paths, max] of SUMS) {
+    const sum = paths.reduce((s, p) => s + get(p), 0);
+    if (!(sum <= max)) errors.push(`${prefix}: ${paths.join(' + ')} (${sum}) must not exceed ${max}`);
+  }
+}
+
+function isStringArray(v) {
+  return Array.isArray(v) && v.every(x => typeof x === 'string');
+}
+
+function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+function deepMerge(base, overrides) {
+  const out = clone(base);
+  for (const [key, value] of Object.entries(overrides || {})) {
+    out[key] = value && typeof value === 'object' && !Array.isArray(value) && out[key] && typeof out[key] === 'object'
+      ? deepMerge(out[key], value)
+      : value;
+  }
+  return out;
+}
+
+function deepFreeze(obj) {
+  for (const v of Object.values(obj)) if (v && typeof v === 'object') deepFreeze(v);
+  return Object.freeze(obj);
+}
@@ -0,0 +1,700 @@
+// ═══════════════════════════════════════════════════════════════════
+// STREAMING INDICATORS — windowed, O(1) per intrabar update
+//
+// Replaces SignalEngine.calcIndicators' full recompute with per-symbol
+// state that advances one candle at a time. Each primitive mirrors the
+// technicalindicators 3.x generator it replaces operation-for-operation
+// (same seeds, same running sums, same evaluation order), so over the
+// same candle series the values are bit-identical to
+// technicalindicators.<X>.calculate(...) — see diffIndicators().
+//
+// Every primitive has next(input, commit):
+//   commit = true  → advance the state (closed candle)
+//   commit = false → value *if* this input closed the candle, state untouched
+// IndicatorStream keeps all closed candles committed and evaluates the
+// newest (possibly still-forming) candle with commit = false, so intrabar
+// updates of the same timestamp can be re-evaluated any number of times.
+//
+// Windowed like the batch path: calcIndicators runs over the engine's
+// 300-candle store, so its EMA / Wilder / running-sum seeds sit on the
+// window's first candle and move as the window slides. The stream keeps
+// the same window of closed candles and, whenever its oldest candle drops
+// out, reseeds every series from the new first candle — one pass over the
+// window per closed candle (what batch pays on every evaluation), O(1) per
+// intrabar update. The values are then identical to calcIndicators over
+// the store window; backtest --verify-indicators checks exactly that.
+//
+// The overlays (Ichimoku, Supertrend, Keltner, Donchian, session VWAP) have
+// no technicalindicators counterpart here: calcIndicators runs these same
+// streams over its window (overlaySeries), so both paths share one formula.
+// ═══════════════════════════════════════════════════════════════════
+
+// ── FIXED-SIZE WINDOW (oldest → newest) ──
+class RingBuffer {
+  constructor(size) {
+    this.size = size;
+    this.items = new Array(size);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(x) {
+    if (this.length < this.size) {
+      this.items[(this.start + this.length) % this.size] = x;
+      this.length++;
+    } else {
+      this.items[this.start] = x;
+      this.start = (this.start + 1) % this.size;
+    }
+  }
+
+  oldest() {
+    return this.items[this.start];
+  }
+
+  get(i) {
+    return this.items[(this.start + i) % this.size];
+  }
+
+  // Window contents after a hypothetical push(x), oldest first
+  *withNext(x) {
+    const skip = this.length === this.size ? 1 : 0;
+    for (let i = skip; i < this.length; i++) yield this.get(i);
+    yield x;
+  }
+
+  max() {
+    let m = -Infinity;
+    for (let i = 0; i < this.length; i++) if (this.get(i) > m) m = this.get(i);
+    return m;
+  }
+
+  min() {
+    let m = Infinity;
+    for (let i = 0; i < this.length; i++) if (this.get(i) < m) m = this.get(i);
+    return m;
+  }
+
+  toArray() {
+    const out = [];
+    for (let i = 0; i < this.length; i++) out.push(this.get(i));
+    return out;
+  }
+}
+
+// ── SMA: running sum exactly as technicalindicators (list seeded with a 0) ──
+export class SMAStream {
+  constructor(period) {
+    this.period = period;
+    this.window = new RingBuffer(period);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  next(x, commit = true) {
+    let sum, value;
+    if (this.count < this.period - 1) {
+      sum = this.sum + x;
+    } else {
+      const old = this.window.length === this.period ? this.window.oldest() : 0;
+      sum = this.sum - old + x;
+      value = sum / this.period;
+    }
+    if (commit) {
+      this.sum = sum;
+      this.count++;
+      this.window.push(x);
+    }
+    return value;
+  }
+}
+
+// ── EMA: SMA seed, then (x − prev) × k + prev ──
+export class EMAStream {
+  constructor(period, { wilder = false } = {}) {
+    this.k = wilder ? 1 / period : 2 / (period + 1);
+    this.wilder = wilder; // WEMA: seeds on any defined SMA, EMA: only on a truthy one
+    this.sma = new SMAStream(period);
+    this.prev = undefined;
+  }
+
+  next(x, commit = true) {
+    if (this.prev !== undefined) {
+      const value = ((x - this.prev) * this.k) + this.prev;
+      if (commit) this.prev = value;
+      return value;
+    }
+    const seed = this.sma.next(x, commit);
+    const seeded = this.wilder ? seed !== undefined : !!seed;
+    if (commit && seeded) this.prev = seed;
+    return seeded ? seed : undefined;
+  }
+}
+
+// ── WILDER SMOOTHING (running sum form, used by ADX) ──
+class WilderSumStream {
+  constructor(period) {
+    this.period = period;
+    this.counter = 1;
+    this.sum = 0;
+    this.result = undefined;
+  }
+
+  next(x, commit = true) {
+    let { counter, sum, result } = this;
+    if (counter < this.period) {
+      counter++;
+      sum = sum + x;
+      result = undefined;
+    } else if (counter === this.period) {
+      counter++;
+      sum = sum + x;
+      result = sum;
+    } else {
+      result = result - (result / this.period) + x;
+    }
+    if (commit) Object.assign(this, { counter, sum, result });
+    return result;
+  }
+}
+
+// ── RSI (AverageGain / AverageLoss, rounded to 2dp) ──
+export class RSIStream {
+  constructor(period = 14) {
+    this.period = period;
+    this.last = undefined;
+    this.counter = 1;
+    this.gainSum = 0;
+    this.lossSum = 0;
+    this.avgGain = undefined;
+    this.avgLoss = undefined;
+    this.value = undefined;
+  }
+
+  next(x, commit = true) {
+    if (this.last === undefined) {
+      if (commit) this.last = x;
+      return undefined;
+    }
+    const p = this.period;
+    let { counter, gainSum, lossSum, avgGain, avgLoss, value } = this;
+    let gain = x - this.last;
+    gain = gain > 0 ? gain : 0;
+    let loss = this.last - x;
+    loss = loss > 0 ? loss : 0;
+    if (gain > 0) gainSum = gainSum + gain;
+    if (loss > 0) lossSum = lossSum + loss;
+
+    if (counter < p) counter++;
+    else if (avgGain === undefined) { avgGain = gainSum / p; avgLoss = lossSum / p; }
+    else { avgGain = ((avgGain * (p - 1)) + gain) / p; avgLoss = ((avgLoss * (p - 1)) + loss) / p; }
+
+    if (avgGain !== undefined && avgLoss !== undefined) {
+      if (avgLoss === 0) value = 100;
+      else if (avgGain === 0) value = 0;
+      else {
+        let rs = avgGain / avgLoss;
+        rs = isNaN(rs) ? 0 : rs;
+        value = parseFloat((100 - (100 / (1 + rs))).toFixed(2));
+      }
+    }
+    if (commit) Object.assign(this, { last: x, counter, gainSum, lossSum, avgGain, avgLoss, value });
+    return value;
+  }
+}
+
+// ── MACD (EMA oscillator + EMA signal) ──
+export class MACDStream {
+  constructor(fast = 12, slow = 26, signal = 9) {
+    this.slowPeriod = slow;
+    this.fast = new EMAStream(fast);
+    this.slow = new EMAStream(slow);
+    this.signal = new EMAStream(signal);
+    this.count = 0;
+    this.macd = undefined;
+    this.signalValue = undefined;
+  }
+
+  next(x, commit = true) {
+    const fast = this.fast.next(x, commit);
+    const slow = this.slow.next(x, commit);
+    const count = this.count + 1;
+    if (commit) this.count = count;
+    if (count < this.slowPeriod) return undefined;
+
+    let macd = this.macd, signal = this.signalValue;
+    if (fast && slow) {
+      macd = fast - slow;
+      signal = this.signal.next(macd, commit);
+    }
+    if (commit) { this.macd = macd; this.signalValue = signal; }
+    const histogram = macd - signal;
+    return { MACD: macd, signal: signal ? signal : undefined, histogram: isNaN(histogram) ? undefined : histogram };
+  }
+}
+
+// ── BOLLINGER BANDS (SMA ± stdDev × population SD) ──
+export class BollingerStream {
+  constructor(period = 20, stdDev = 2) {
+    this.period = period;
+    this.stdDev = stdDev;
+    this.sma = new SMAStream(period);
+    this.sdMean = new SMAStream(period); // SD keeps its own SMA in technicalindicators
+    this.window = new RingBuffer(period);
+    this.sd = undefined;
+  }
+
+  next(x, commit = true) {
+    const middle = this.sma.next(x, commit);
+    const mean = this.sdMean.next(x, commit);
+    let sd = this.sd;
+    if (mean) {
+      let sum = 0;
+      for (const v of this.window.withNext(x)) sum = sum + (Math.pow((v - mean), 2));
+      sd = Math.sqrt(sum / this.period);
+    }
+    if (commit) { this.sd = sd; this.window.push(x); }
+    if (!middle) return undefined;
+    const upper = middle + (sd * this.stdDev);
+    const lower = middle - (sd * this.stdDev);
+    return { middle, upper, lower, pb: (x - lower) / (upper - lower) };
+  }
+}
+
+// ── TRUE RANGE / ATR (Wilder EMA of TR) ──
+class TrueRangeStream {
+  constructor() {
+    this.prevClose = undefined;
+  }
+
+  next({ high, low, close }, commit = true) {
+    if (this.prevClose === undefined) {
+      if (commit) this.prevClose = close;
+      return undefined;
+    }
+    const pc = this.prevClose;
+    const value = Math.max(high - low, isNaN(Math.abs(high - pc)) ? 0 : Math.abs(high - pc), isNaN(Math.abs(low - pc)) ? 0 : Math.abs(low - pc));
+    if (commit) this.prevClose = close;
+    return value;
+  }
+}
+
+export class ATRStream {
+  constructor(period = 14) {
+    this.tr = new TrueRangeStream();
+    this.wema = new EMAStream(period, { wilder: true });
+  }
+
+  next(candle, commit = true) {
+    const tr = this.tr.next(candle, commit);
+    return tr === undefined ? undefined : this.wema.next(tr, commit);
+  }
+}
+
+// ── STOCHASTIC %K (period) / %D (SMA of %K) ──
+export class StochasticStream {
+  constructor(period = 14, signalPeriod = 3) {
+    this.period = period;
+    this.highs = new RingBuffer(period);
+    this.lows = new RingBuffer(period);
+    this.d = new SMAStream(signalPeriod);
+    this.count = 0;
+  }
+
+  next({ high, low, close }, commit = true) {
+    const count = this.count + 1;
+    let hi = high, lo = low;
+    for (const v of this.highs.withNext(high)) if (v >= hi) hi = v;
+    for (const v of this.lows.withNext(low)) if (v <= lo) lo = v;
+    if (commit) { this.count = count; this.highs.push(high); this.lows.push(low); }
+    if (count < this.period) return undefined;
+
+    let k = (close - lo) / (hi - lo) * 100;
+    k = isNaN(k) ? 0 : k;
+    const d = this.d.next(k, commit);
+    return { k, d };
+  }
+}
+
+// ── ADX / +DI / −DI ──
+export class ADXStream {
+  constructor(period = 14) {
+    this.tr = new TrueRangeStream();
+    this.last = undefined; // previous candle for +DM / −DM
+    this.atr = new WilderSumStream(period);
+    this.pdm = new WilderSumStream(period);
+    this.mdm = new WilderSumStream(period);
+    this.dx = new EMAStream(period, { wilder: true });
+    this.adx = undefined;
+  }
+
+  next(candle, commit = true) {
+    const tr = this.tr.next(candle, commit);
+    const last = this.last;
+    if (commit) this.last = candle;
+    if (tr === undefined || !last) return undefined;
+
+    const upMove = candle.high - last.high;
+    const downMove = last.low - candle.low;
+    const pdm = (upMove > downMove && upMove > 0) ? upMove : 0;
+    const mdm = (downMove > upMove && downMove > 0) ? downMove : 0;
+
+    const atr = this.atr.next(tr, commit);
+    const apdm = this.pdm.next(pdm, commit);
+    const amdm = this.mdm.next(mdm, commit);
+    if (atr == undefined || apdm == undefined || amdm == undefined) return undefined;
+
+    const pdi = (apdm) * 100 / atr;
+    const mdi = (amdm) * 100 / atr;
+    const dx = (Math.abs(pdi - mdi) / (pdi + mdi)) * 100;
+    const adx = this.dx.next(dx, commit);
+    return adx == undefined ? undefined : { adx, pdi, mdi };
+  }
+}
+
+// ── CCI (typical price vs its SMA / mean deviation) ──
+export class CCIStream {
+  constructor(period = 20) {
+    this.period = period;
+    this.window = new RingBuffer(period);
+    this.sma = new SMAStream(period);
+  }
+
+  next({ high, low, close }, commit = true) {
+    const tp = (high + low + close) / 3;
+    const smaTp = this.sma.next(tp, commit);
+    let value;
+    if (smaTp != undefined) {
+      let sum = 0;
+      for (const v of this.window.withNext(tp)) sum = sum + (Math.abs(v - smaTp));
+      const meanDeviation = sum / this.period;
+      value = (tp - smaTp) / (0.015 * meanDeviation);
+    }
+    if (commit) this.window.push(tp);
+    return value;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// OVERLAYS — optional rule families (ichimoku_*, supertrend_*, squeeze_*,
+// donchian_*, vwap_*), computed for every symbol so enabling a rule on a
+// hot reload finds warm state
+// ═══════════════════════════════════════════════════════════════════
+
+// ── ICHIMOKU (9/26/52, cloud displaced 26 candles) ──
+// spanA/spanB = the cloud under the current candle (projected 26 candles
+// ago); leadA/leadB = the cloud this candle projects forward
+export class IchimokuStream {
+  constructor(tenkan = 9, kijun = 26, senkouB = 52, displacement = 26) {
+    this.periods = { tenkan, kijun, senkouB };
+    this.highs = new RingBuffer(senkouB);
+    this.lows = new RingBuffer(senkouB);
+    this.spans = new RingBuffer(displacement); // raw spans of the last closed candles (null while warming up)
+  }
+
+  next({ high, low }, commit = true) {
+    const highs = [...this.highs.withNext(high)];
+    const lows = [...this.lows.withNext(low)];
+    const mid = (n) => (highs.length < n ? undefined : (Math.max(...highs.slice(-n)) + Math.min(...lows.slice(-n))) / 2);
+    const tenkan = mid(this.periods.tenkan);
+    const kijun = mid(this.periods.kijun);
+    const spanB = mid(this.periods.senkouB);
+    const raw = spanB === undefined ? null : { a: (tenkan + kijun) / 2, b: spanB };
+    const cloud = this.spans.length === this.spans.size ? this.spans.oldest() : null;
+    if (commit) { this.highs.push(high); this.lows.push(low); this.spans.push(raw); }
+    if (!cloud) return undefined;
+    return {
+      tenkan, kijun, spanA: cloud.a, spanB: cloud.b,
+      cloudTop: Math.max(cloud.a, cloud.b), cloudBottom: Math.min(cloud.a, cloud.b),
+      leadA: raw.a, leadB: raw.b
+    };
+  }
+}
+
+// ── SUPERTREND (ATR 10 × 3, bands ratchet with the trend) ──
+export class SupertrendStream {
+  constructor(period = 10, multiplier = 3) {
+    this.multiplier = multiplier;
+    this.atr = new ATRStream(period);
+    this.prev = null;          // { upper, lower, direction } of the last closed candle
+    this.prevClose = undefined;
+  }
+
+  next(candle, commit = true) {
+    const atr = this.atr.next(candle, commit);
+    const prevClose = this.prevClose;
+    if (commit) this.prevClose = candle.close;
+    if (atr === undefined) return undefined;
+
+    const hl2 = (candle.high + candle.low) / 2;
+    const p = this.prev;
+    const basicUpper = hl2 + this.multiplier * atr;
+    const basicLower = hl2 - this.multiplier * atr;
+    const upper = p && prevClose < p.upper ? Math.min(basicUpper, p.upper) : basicUpper;
+    const lower = p && prevClose > p.lower ? Math.max(basicLower, p.lower) : basicLower;
+    let direction = p ? p.direction : 1;
+    if (p && direction === -1 && candle.close > p.upper) direction = 1;
+    else if (p && direction === 1 && candle.close < p.lower) direction = -1;
+    if (commit) this.prev = { upper, lower, direction };
+    return { value: direction === 1 ? lower : upper, direction };
+  }
+}
+
+// ── KELTNER CHANNELS (EMA 20 ± 1.5 × ATR 10) ──
+export class KeltnerStream {
+  constructor(period = 20, atrPeriod = 10, multiplier = 1.5) {
+    this.multiplier = multiplier;
+    this.ema = new EMAStream(period);
+    this.atr = new ATRStream(atrPeriod);
+  }
+
+  next(candle, commit = true) {
+    const middle = this.ema.next(candle.close, commit);
+    const atr = this.atr.next(candle, commit);
+    if (middle === undefined || atr === undefined) return undefined;
+    return { middle, upper: middle + this.multiplier * atr, lower: middle - this.multiplier * atr };
+  }
+}
+
+// ── DONCHIAN CHANNEL (highest high / lowest low of 20, current candle included) ──
+export class DonchianStream {
+  constructor(period = 20) {
+    this.period = period;
+    this.highs = new RingBuffer(period);
+    this.lows = new RingBuffer(period);
+    this.count = 0;
+  }
+
+  next({ high, low }, commit = true) {
+    const count = this.count + 1;
+    let upper = high, lower = low;
+    for (const v of this.highs.withNext(high)) if (v > upper) upper = v;
+    for (const v of this.lows.withNext(low)) if (v < lower) lower = v;
+    if (commit) { this.count = count; this.highs.push(high); this.lows.push(low); }
+    if (count < this.period) return undefined;
+    return { upper, lower, middle: (upper + lower) / 2 };
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── SESSION VWAP (anchored at 00:00 UTC, volume-weighted SD for the bands) ──
+// undefined until the session has traded volume — forex feeds report none
+export class SessionVWAPStream {
+  constructor() {
+    this.anchor = null;
+    this.pv = 0;
+    this.pv2 = 0;
+    this.volume = 0;
+  }
+
+  next({ timestamp, high, low, close, volume }, commit = true) {
+    const anchor = Math.floor(timestamp / DAY_MS) * DAY_MS;
+    const fresh = anchor !== this.anchor;
+    const v = volume > 0 ? volume : 0;
+    const tp = (high + low + close) / 3;
+    const pv = (fresh ? 0 : this.pv) + tp * v;
+    const pv2 = (fresh ? 0 : this.pv2) + tp * tp * v;
+    const total = (fresh ? 0 : this.volume) + v;
+    if (commit) Object.assign(this, { anchor, pv, pv2, volume: total });
+    if (!(total > 0)) return undefined;
+    const vwap = pv / total;
+    return { vwap, sd: Math.sqrt(Math.max(0, pv2 / total - vwap * vwap)), anchor };
+  }
+}
+
+// Candles of Keltner values kept for the squeeze count
+const SQUEEZE_WINDOW = 50;
+
+const createOverlays = () => ({
+  ichimoku: new IchimokuStream(),
+  supertrend: new SupertrendStream(),
+  keltner: new KeltnerStream(),
+  donchian: new DonchianStream(),
+  vwap: new SessionVWAPStream()
+});
+
+// Bollinger inside Keltner → { on, bars }: squeezed now, and how many
+// consecutive candles before this one were squeezed (series aligned at the end)
+export function squeezeState(bb, keltner) {
+  const n = Math.min(bb.length, keltner.length);
+  if (n === 0) return null;
+  const squeezed = (back) => {
+    const b = bb[bb.length - 1 - back], k = keltner[keltner.length - 1 - back];
+    return b.upper < k.upper && b.lower > k.lower;
+  };
+  let bars = 0;
+  while (bars + 1 < n && squeezed(bars + 1)) bars++;
+  return { on: squeezed(0), bars };
+}
+
+// Batch path: every overlay run over the candle window → { name: [values] }
+export function overlaySeries(candles) {
+  const calcs = createOverlays();
+  const series = Object.fromEntries(Object.keys(calcs).map(name => [name, []]));
+  for (const c of candles) {
+    for (const [name, calc] of Object.entries(calcs)) {
+      const value = calc.next(c, true);
+      if (value !== undefined) series[name].push(value);
+    }
+  }
+  return series;
+}
+
+// Indicator-bundle fields of the overlays (series end at the current candle)
+export function overlayFields({ ichimoku, supertrend, keltner, donchian, vwap, bb }) {
+  const last = (arr) => (arr.length > 0 ? arr[arr.length - 1] : null);
+  const prev = (arr) => (arr.length > 1 ? arr[arr.length - 2] : null);
+  return {
+    ichimoku: last(ichimoku), ichimokuPrev: prev(ichimoku),
+    supertrend: last(supertrend), supertrendPrev: prev(supertrend),
+    keltner: last(keltner), squeeze: squeezeState(bb.slice(-SQUEEZE_WINDOW), keltner.slice(-SQUEEZE_WINDOW)),
+    donchian: last(donchian), donchianPrev: prev(donchian),
+    vwap: last(vwap), vwapPrev: prev(vwap)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// INDICATOR STREAM — the calcIndicators() bundle for one symbol
+// ═══════════════════════════════════════════════════════════════════
+
+// Candles of RSI / MACD histogram / Stoch %K kept in ind.oscillators (divergences)
+export const OSCILLATOR_WINDOW = 60;
+// Candles of ATR / BB width kept in ind.volatilitySeries (regime percentiles)
+export const VOLATILITY_WINDOW = 100;
+
+// Last n values aligned to the last n candles (null-padded at the front)
+export function alignSeries(values, n = OSCILLATOR_WINDOW) {
+  const tail = values.slice(-n);
+  return [...new Array(n - tail.length).fill(null), ...tail];
+}
+
+// How many past values each series keeps for ind.*Prev / ind.*History / ind.oscillators
+const HISTORY = {
+  rsi: OSCILLATOR_WINDOW, macd: OSCILLATOR_WINDOW, ema9: 2, ema21: 2, ema50: 1, ema100: 1, sma200: 1, bb: VOLATILITY_WINDOW, atr: VOLATILITY_WINDOW, atr7: 1, stoch: OSCILLATOR_WINDOW, adx: 1, cci: 2,
+  ichimoku: 2, supertrend: 2, keltner: SQUEEZE_WINDOW, donchian: 2, vwap: 2
+};
+
+export const bbWidth = (b) => (b.upper - b.lower) / b.middle;
+
+function smaSeries(values, period) {
+  const sma = new SMAStream(period);
+  return values.map(x => sma.next(x)).filter(v => v !== undefined);
+}
+
+function createSeries() {
+  const series = {
+    rsi: { calc: new RSIStream(14), input: 'close' },
+    macd: { calc: new MACDStream(12, 26, 9), input: 'close' },
+    ema9: { calc: new EMAStream(9), input: 'close' },
+    ema21: { calc: new EMAStream(21), input: 'close' },
+    ema50: { calc: new EMAStream(50), input: 'close' },
+    ema100: { calc: new EMAStream(100), input: 'close' },
+    sma200: { calc: new SMAStream(200), input: 'close' },
+    bb: { calc: new BollingerStream(20, 2), input: 'close' },
+    atr: { calc: new ATRStream(14), input: 'candle' },
+    atr7: { calc: new ATRStream(7), input: 'candle' },
+    stoch: { calc: new StochasticStream(14, 3), input: 'candle' },
+    adx: { calc: new ADXStream(14), input: 'candle' },
+    cci: { calc: new CCIStream(20), input: 'candle' },
+    ...Object.fromEntries(Object.entries(createOverlays()).map(([name, calc]) => [name, { calc, input: 'candle' }]))
+  };
+  for (const [name, s] of Object.entries(series)) s.history = new RingBuffer(HISTORY[name]);
+  return series;
+}
+
+function advanceSeries(series, candle) {
+  for (const s of Object.values(series)) {
+    const value = s.calc.next(s.input === 'close' ? candle.close : candle, true);
+    if (value !== undefined) s.history.push(value);
+  }
+}
+
+export class IndicatorStream {
+  // window: candles the batch path sees (closed + the pending one); Infinity = seed once, never slide
+  constructor({ window = Infinity } = {}) {
+    this.window = window;
+    this.closed = Number.isFinite(window) ? new RingBuffer(window - 1) : null;
+    this.series = createSeries();
+    this.pending = null;   // newest candle, not yet committed (may still be forming)
+    this.candleCount = 0;
+  }
+
+  // ── FEED A CANDLE ──
+  // Same timestamp as the pending candle = intrabar update (replace);
+  // a newer timestamp commits the pending candle first.
+  update(candle) {
+    if (this.pending && candle.timestamp < this.pending.timestamp) return;
+    if (this.pending && candle.timestamp > this.pending.timestamp) this._commit(this.pending);
+    if (!this.pending || candle.timestamp !== this.pending.timestamp) this.candleCount++;
+    this.pending = candle;
+  }
+
+  _commit(candle) {
+    const sliding = this.closed && this.closed.length === this.closed.size;
+    this.closed?.push(candle);
+    if (!sliding) return advanceSeries(this.series, candle);
+    // Oldest candle left the window: reseed from the new first candle, as calcIndicators does
+    this.series = createSeries();
+    for (let i = 0; i < this.closed.length; i++) advanceSeries(this.series, this.closed.get(i));
+  }
+
+  // ── CURRENT VALUES (pending candle evaluated without committing) ──
+  // closes/highs/lows: the engine's candle window, used for price and the
+  // raw-series fields calcIndicators also exposes.
+  snapshot(closes, highs, lows) {
+    if (!this.pending) return null;
+    const view = {};
+    for (const [name, s] of Object.entries(this.series)) {
+      const value = s.calc.next(s.input === 'close' ? this.pending.close : this.pending, false);
+      const past = s.history.toArray();
+      view[name] = value !== undefined ? [...past, value].slice(-HISTORY[name]) : past;
+    }
+    // calcIndicators shortens the SMA200 period to the window while it holds fewer than 201 candles
+    if (closes.length <= 200) view.sma200 = smaSeries(closes, closes.length - 1);
+    const { rsi, macd, ema9, ema21, ema50, ema100, sma200, bb, atr, atr7, stoch, adx, cci } = view;
+    const last = (arr) => arr[arr.length - 1];
+
+    return {
+      price: closes[closes.length - 1], prevPrice: closes[closes.length - 2],
+      rsi: last(rsi), rsiPrev: rsi[rsi.length - 2],
+      rsiHistory: rsi.slice(-6),
+      macd: last(macd), macdPrev: macd[macd.length - 2],
+      macdPrev2: macd.length > 2 ? macd[macd.length - 3] : null,
+      ema9: last(ema9), ema21: last(ema21), ema50: last(ema50),
+      ema100: ema100.length > 0 ? last(ema100) : null,
+      sma200: sma200.length > 0 ? last(sma200) : null,
+      ema9Prev: ema9[ema9.length - 2], ema21Prev: ema21[ema21.length - 2],
+      bb: last(bb),
+      atr: last(atr), atr7: atr7.length > 0 ? last(atr7) : last(atr),
+      atrPrev: atr.length > 5 ? atr[atr.length - 5] : last(atr),
+      atrHistory: atr.slice(-10),
+      stoch: last(stoch), stochPrev: stoch.length > 1 ? stoch[stoch.length - 2] : null,
+      stochHistory: stoch.slice(-6),
+      adx: last(adx),
+      cci: last(cci), cciPrev: cci.length > 1 ? cci[cci.length - 2] : null,
+      oscillators: {
+        rsi: alignSeries(rsi), macdHist: alignSeries(macd.map(m => m.histogram)), stochK: alignSeries(stoch.map(s => s.k))
+      },
+      volatilitySeries: { atr: alignSeries(atr, VOLATILITY_WINDOW), bbWidth: alignSeries(bb.map(bbWidth), VOLATILITY_WINDOW) },
+      ...overlayFields(view),
+      recentHighs: highs.slice(-30), recentLows: lows.slice(-30), recentCloses: closes.slice(-30),
+      allHighs: highs, allLows: lows, allCloses: closes
+    };
+  }
+}
+
+// ── VERIFY: field-by-field exact comparison of two indicator bundles ──
+// Returns the paths that differ (empty = identical). Raw price arrays are skipped.
+export function diffIndicators(expected, actual, prefix = '') {
+  const diffs = [];
+  const keys = new Set([...Object.keys(expected || {}), ...Object.keys(actual || {})]);
+  for (const key of keys) {
+    if (/^(all|recent)/.test(key)) continue;
+    const a = expected?.[key], b = actual?.[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (a && b && typeof a === 'object' && typeof b === 'object') diffs.push(...diffIndicators(a, b, path));
+    else if (!(a === b || (Number.isNaN(a) && Number.isNaN(b)))) diffs.push(`${path}: ${a} ≠ ${b}`);
+  }
+  return diffs;
+}
@@ -0,0 +1,279 @@
+// ═══════════════════════════════════════════════════════════════════
+// TIMEFRAME STACK — entry timeframe + higher-timeframe trend layers
+//
+// Declared in config/strategy.json under `timeframes`:
+//   {
+//     "entry": "5min",
+//     "layers": [                       ← highest timeframe first = filter order
+//       { "id": "macro", "timeframe": "1h", "label": "1h macro",
+//         "evaluator": "ema_bias", "emas": [21, 50, 100], "minCandles": 55,
+//         "buffer": 300, "history": 200, "backtestCandles": 500,
+//         "policy": { "gate": "strong", "counterPenalty": 0.5, "alignedBoost": 1.12, "cap": 92 } }
+//     ]
+//   }
+//
+// Each layer gets its own candle buffer, trend evaluator and modifier rule
+// (`<id>_trend`, see rules/modifiers/timeframeTrend.js). policy.gate:
+//   strong → block a STRONG counter-trend, penalise a moderate one
+//   any    → block any counter-trend
+//   none   → never block, only penalise
+// A swing profile is config only, e.g. entry "15min" with a 4h ema_alignment
+// layer (gate "strong") under a 1day ema_bias layer (gate "any").
+// A strategy file without `timeframes` gets DEFAULT_TIMEFRAMES (5min entry,
+// 1h macro + 15min MTF) — the stack the engine had before it was configurable.
+// ═══════════════════════════════════════════════════════════════════
+
+import { EMA } from 'technicalindicators';
+
+// Twelve Data intervals → minutes
+export const TIMEFRAME_MINUTES = {
+  '1min': 1, '5min': 5, '15min': 15, '30min': 30, '45min': 45,
+  '1h': 60, '2h': 120, '4h': 240, '8h': 480, '1day': 1440, '1week': 10080
+};
+
+const ALIASES = { '1m': '1min', '5m': '5min', '15m': '15min', '30m': '30min', '45m': '45min', '1d': '1day', '1w': '1week' };
+
+export function normalizeTimeframe(tf) {
+  return ALIASES[tf] || tf;
+}
+
+export function timeframeMinutes(tf) {
+  return TIMEFRAME_MINUTES[normalizeTimeframe(tf)] || null;
+}
+
+// Short tag for labels: 5min → 5m, 1h → 1h, 1day → daily, 1week → weekly
+const TAGS = { '1day': 'daily', '1week': 'weekly' };
+
+export function timeframeTag(tf) {
+  const n = normalizeTimeframe(tf);
+  return TAGS[n] || n.replace(/min$/, 'm');
+}
+
+export const DEFAULT_TIMEFRAMES = {
+  entry: '5min',
+  layers: [
+    {
+      id: 'macro', timeframe: '1h', label: '1h macro',
+      evaluator: 'ema_bias', emas: [21, 50, 100], minCandles: 55,
+      buffer: 300, history: 200, backtestCandles: 500,
+      policy: { gate: 'strong', counterPenalty: 0.5, alignedBoost: 1.12, cap: 92 }
+    },
+    {
+      id: 'mtf', timeframe: '15min', label: '15min MTF',
+      evaluator: 'ema_alignment', emas: [9, 21, 50], minCandles: 55,
+      buffer: 300, history: 150,
+      policy: { gate: 'strong', counterPenalty: 0.6, alignedBoost: 1.1, cap: 92 }
+    }
+  ]
+};
+
+const LAYER_DEFAULTS = { minCandles: 55, buffer: 300, history: 150, backtestCandles: 5000 };
+const LAYER_KEYS = ['id', 'timeframe', 'label', 'evaluator', 'emas', 'minCandles', 'buffer', 'history', 'backtestCandles', 'policy'];
+const GATES = ['strong', 'any', 'none'];
+
+// ── TREND EVALUATORS: (closes, layer) → { trend, strength, reason } ──
+export const EVALUATORS = {
+  // fast>mid, mid>slow, price>slow, price>mid — 4/4 = STRONG, 3/4 = MODERATE
+  ema_alignment: {
+    emas: 3,
+    evaluate(closes, { label, emas: [f, m, s] }) {
+      const ef = last(EMA.calculate({ values: closes, period: f }));
+      const em = last(EMA.calculate({ values: closes, period: m }));
+      const es = last(EMA.calculate({ values: closes, period: s }));
+      if (ef === null || em === null || es === null) return { trend: 'NEUTRAL', reason: `${label} EMA calculation failed`, strength: 'NONE' };
+      const price = closes[closes.length - 1];
+
+      let bull = 0, bear = 0;
+      if (ef > em) bull++; else bear++;
+      if (em > es) bull++; else bear++;
+      if (price > es) bull++; else bear++;
+      if (price > em) bull++; else bear++;
+
+      const emaValues = { fast: ef, mid: em, slow: es };
+      if (bull === 4) return { trend: 'BULLISH', strength: 'STRONG', reason: `${label}: 4/4 bullish (EMA${f}>${m}>${s}, Price>EMA${m}>${s})`, emas: emaValues };
+      if (bear === 4) return { trend: 'BEARISH', strength: 'STRONG', reason: `${label}: 4/4 bearish (EMA${f}<${m}<${s}, Price<EMA${m}<${s})`, emas: emaValues };
+      if (bull >= 3) return { trend: 'BULLISH', strength: 'MODERATE', reason: `${label}: ${bull}/4 bullish conditions`, emas: emaValues };
+      if (bear >= 3) return { trend: 'BEARISH', strength: 'MODERATE', reason: `${label}: ${bear}/4 bearish conditions`, emas: emaValues };
+      return { trend: 'NEUTRAL', strength: 'WEAK', reason: `${label} mixed (Bull:${bull} Bear:${bear})`, emas: emaValues };
+    }
+  },
+
+  // price>fast, price>mid, fast>mid, price>slow (slow shortened to the data
+  // available) — all = STRONG, all but one = MODERATE
+  ema_bias: {
+    emas: 3,
+    evaluate(closes, { label, emas: [f, m, s] }) {
+      const ef = last(EMA.calculate({ values: closes, period: f }));
+      const em = last(EMA.calculate({ values: closes, period: m }));
+      const es = last(EMA.calculate({ values: closes, period: Math.min(s, closes.length - 1) }));
+      if (ef === null || em === null) return { trend: 'NEUTRAL', reason: `${label} EMA failed`, strength: 'NONE' };
+      const price = closes[closes.length - 1];
+
+      let bull = 0, bear = 0;
+      if (price > ef) bull++; else bear++;
+      if (price > em) bull++; else bear++;
+      if (ef > em) bull++; else bear++;
+      if (es !== null) { if (price > es) bull++; else bear++; }
+      const total = es !== null ? 4 : 3;
+
+      if (bull === total) return { trend: 'BULLISH', strength: 'STRONG', reason: `${label}: ${bull}/${total} bullish` };
+      if (bear === total) return { trend: 'BEARISH', strength: 'STRONG', reason: `${label}: ${bear}/${total} bearish` };
+      if (bull >= total - 1) return { trend: 'BULLISH', strength: 'MODERATE', reason: `${label}: ${bull}/${total} bullish` };
+      if (bear >= total - 1) return { trend: 'BEARISH', strength: 'MODERATE', reason: `${label}: ${bear}/${total} bearish` };
+      return { trend: 'NEUTRAL', strength: 'WEAK', reason: `${label} mixed (Bull:${bull} Bear:${bear})` };
+    }
+  }
+};
+
+export class TimeframeStack {
+  constructor(raw = DEFAULT_TIMEFRAMES) {
+    const errors = TimeframeStack.validate(raw);
+    if (errors.length > 0) throw new Error(`Invalid timeframe stack:\n  - ${errors.join('\n  - ')}`);
+    this.entry = normalizeTimeframe(raw.entry);
+    this.layers = raw.layers.map(l => Object.freeze({
+      ...LAYER_DEFAULTS,
+      ...l,
+      timeframe: normalizeTimeframe(l.timeframe),
+      label: l.label || normalizeTimeframe(l.timeframe),
+      policy: Object.freeze({ ...l.policy })
+    }));
+    this.stores = new Map(this.layers.map(l => [l.id, new Map()])); // layerId → symbol → candles
+    this.trendCache = new Map();                                    // `${layerId}|${symbol}` → { key, result }
+  }
+
+  // Returns a list of human-readable errors (empty = valid)
+  static validate(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['timeframes: must be an object'];
+    for (const key of Object.keys(raw)) {
+      if (!['entry', 'layers'].includes(key)) errors.push(`timeframes.${key}: unknown key`);
+    }
+    const entryMinutes = timeframeMinutes(raw.entry);
+    if (!entryMinutes) errors.push(`timeframes.entry: unknown timeframe ${JSON.stringify(raw.entry)}`);
+    if (!Array.isArray(raw.layers)) return [...errors, 'timeframes.layers: must be an array'];
+
+    const ids = new Set();
+    let prevMinutes = Infinity;
+    for (const [i, l] of raw.layers.entries()) {
+      const p = `timeframes.layers[${i}]${l?.id ? ` (${l.id})` : ''}`;
+      if (!l || typeof l !== 'object') { errors.push(`${p}: must be an object`); continue; }
+      for (const key of Object.keys(l)) {
+        if (!LAYER_KEYS.includes(key)) errors.push(`${p}.${key}: unknown key`);
+      }
+      if (typeof l.id !== 'string' || !/^[a-z][a-z0-9]*$/.test(l.id)) errors.push(`${p}.id: lowercase alphanumeric id required`);
+      else if (ids.has(l.id)) errors.push(`${p}.id: duplicate layer id`);
+      ids.add(l.id);
+
+      const minutes = timeframeMinutes(l.timeframe);
+      if (!minutes) errors.push(`${p}.timeframe: unknown timeframe ${JSON.stringify(l.timeframe)}`);
+      else {
+        if (entryMinutes && minutes <= entryMinutes) errors.push(`${p}.timeframe: ${l.timeframe} must be higher than the entry timeframe ${raw.entry}`);
+        if (minutes >= prevMinutes) errors.push(`${p}.timeframe: layers must be ordered from the highest timeframe down`);
+        prevMinutes = minutes;
+      }
+      if (l.label !== undefined && typeof l.label !== 'string') errors.push(`${p}.label: must be a string`);
+
+      const evaluator = EVALUATORS[l.evaluator];
+      if (!evaluator) errors.push(`${p}.evaluator: unknown evaluator ${JSON.stringify(l.evaluator)} (${Object.keys(EVALUATORS).join(', ')})`);
+      else if (!Array.isArray(l.emas) || l.emas.length !== evaluator.emas || !l.emas.every(n => Number.isInteger(n) && n >= 2)) {
+        errors.push(`${p}.emas: ${l.evaluator} needs ${evaluator.emas} EMA periods (integers ≥ 2)`);
+      } else if (!l.emas.every((n, j) => j === 0 || n > l.emas[j - 1])) errors.push(`${p}.emas: periods must be ascending`);
+
+      for (const key of ['minCandles', 'buffer', 'history', 'backtestCandles']) {
+        if (l[key] !== undefined && !(Number.isInteger(l[key]) && l[key] > 0 && l[key] <= 5000)) errors.push(`${p}.${key}: expected an integer in [1, 5000]`);
+      }
+      const buffer = l.buffer ?? LAYER_DEFAULTS.buffer;
+      if ((l.minCandles ?? LAYER_DEFAULTS.minCandles) > buffer) errors.push(`${p}.minCandles: must not exceed buffer (${buffer})`);
+
+      const pol = l.policy;
+      if (!pol || typeof pol !== 'object') { errors.push(`${p}.policy: required object`); continue; }
+      for (const key of Object.keys(pol)) {
+        if (!['gate', 'counterPenalty', 'alignedBoost', 'cap'].includes(key)) errors.push(`${p}.policy.${key}: unknown key`);
+      }
+      if (!GATES.includes(pol.gate)) errors.push(`${p}.policy.gate: expected one of ${GATES.join(', ')}`);
+      if (!inRange(pol.counterPenalty, 0.01, 1)) errors.push(`${p}.policy.counterPenalty: expected a number in [0.01, 1]`);
+      if (!inRange(pol.alignedBoost, 1, 5)) errors.push(`${p}.policy.alignedBoost: expected a number in [1, 5]`);
+      if (!inRange(pol.cap, 0, 100)) errors.push(`${p}.policy.cap: expected a number in [0, 100]`);
+    }
+    return errors;
+  }
+
+  layer(id) {
+    return this.layers.find(l => l.id === id);
+  }
+
+  ids() {
+    return this.layers.map(l => l.id);
+  }
+
+  // Same entry + layer ids + timeframes → data feeds can stay as they are
+  sameShape(other) {
+    return this.entry === other.entry
+      && this.layers.length === other.layers.length
+      && this.layers.every((l, i) => l.id === other.layers[i].id && l.timeframe === other.layers[i].timeframe);
+  }
+
+  // Takes over the candle buffers of a stack with the same shape (hot reload)
+  adopt(previous) {
+    this.stores = previous.stores;
+    return this;
+  }
+
+  describe() {
+    return [this.entry, ...this.layers.map(l => `${l.timeframe} ${l.id}`)].join(' → ');
+  }
+
+  // ── CANDLE BUFFERS ──
+  load(layerId, symbol, candles) {
+    const layer = this.requireLayer(layerId);
+    this.stores.get(layerId).set(symbol, candles.slice(-layer.buffer));
+  }
+
+  add(layerId, candle) {
+    const layer = this.requireLayer(layerId);
+    const byLayer = this.stores.get(layerId);
+    if (!byLayer.has(candle.symbol)) byLayer.set(candle.symbol, []);
+    const store = byLayer.get(candle.symbol);
+    const lastCandle = store[store.length - 1];
+    if (lastCandle && lastCandle.timestamp === candle.timestamp) store[store.length - 1] = candle;
+    else { store.push(candle); if (store.length > layer.buffer) store.shift(); }
+  }
+
+  candles(layerId, symbol) {
+    return this.stores.get(layerId)?.get(symbol) || [];
+  }
+
+  // ── LAYER TREND (cached until the layer's buffer changes) ──
+  trend(layerId, symbol) {
+    const layer = this.requireLayer(layerId);
+    const candles = this.candles(layerId, symbol);
+    if (candles.length < layer.minCandles) {
+      return { trend: 'NEUTRAL', reason: `Insufficient ${layer.timeframe} data`, strength: 'NONE' };
+    }
+    const first = candles[0], end = candles[candles.length - 1];
+    const key = `${candles.length}|${first.timestamp}|${end.timestamp}|${end.close}`;
+    const cacheKey = `${layerId}|${symbol}`;
+    const cached = this.trendCache.get(cacheKey);
+    if (cached?.key === key) return cached.result;
+
+    const result = EVALUATORS[layer.evaluator].evaluate(candles.map(c => c.close), layer);
+    this.trendCache.set(cacheKey, { key, result });
+    return result;
+  }
+
+  requireLayer(layerId) {
+    const layer = this.layer(layerId);
+    if (!layer) throw new Error(`Unknown timeframe layer: ${layerId} (stack: ${this.describe()})`);
+    return layer;
+  }
+}
+
+// ── HELPERS ──
+
+function last(arr) {
+  return arr.length > 0 ? arr[arr.length - 1] : null;
+}
+
+function inRange(v, min, max) {
+  return typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max;
+}
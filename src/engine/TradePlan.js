@@ -0,0 +1,182 @@
+// ═══════════════════════════════════════════════════════════════════
+// TRADE PLAN — multi-target exits, breakeven and trailing stop
+//
+// buildTradePlan() turns a BUY/SELL + stop into:
+//   TP1   plan.tp1R × risk
+//   TP2   the main target (signal.takeProfit): nearest S/R level between
+//         risk.minRR and risk.maxRR, else risk.maxRR. The levels include
+//         merged reference levels (ReferenceLevels), so a PDH or round
+//         number past a too-close swing can be the target
+//   TP3   runner: furthest known S/R level beyond TP2 up to plan.tp3R,
+//         else plan.tp3R
+//   An S/R target carries level = its tag ('1h', 'PDH', '5m+Round' …)
+//   closePct   plan.tp1Pct / plan.tp2Pct, the rest rides to TP3
+//              (0% targets are left out — tp1Pct 0 + tp2Pct 100 = single TP)
+//   breakeven  after `breakevenAfter` targets the stop moves to
+//              entry ± breakevenOffsetR (0 = never)
+//   trailing   after `trailAfter` targets the stop trails trailAtr × ATR
+//              behind the close and/or beyond the extreme of the last
+//              trailSwingBars bars — the tighter one wins (0 = off)
+//
+// stepTradePlan(plan, state, bar) advances a plain-object state (JSON-safe,
+// so the tracker can persist it) by one bar. Within a bar targets are
+// checked before the stop (as the single-TP scoring did), and stop moves
+// take effect from the next bar. The trail is taken from completed bars
+// only: the tracker re-steps the forming bar on every poll, and those
+// updates just check targets and the stop; the trail follows once a newer
+// bar shows the previous one is final — the bars the backtest steps.
+// pnlR is the size-weighted R of every fill.
+// ═══════════════════════════════════════════════════════════════════
+
+import { levelTag } from './SRDetector.js';
+
+export function buildTradePlan({ action, price, stopLoss, atr, sr, params }) {
+  const p = params.plan;
+  const { minRR, maxRR } = params.risk;
+  const dir = action === 'BUY' ? 1 : -1;
+  const risk = Math.abs(price - stopLoss);
+  const at = (r) => price + dir * risk * r;
+  const rOf = (level) => parseFloat((dir * (level - price) / risk).toFixed(2));
+
+  // Main target — first S/R level (nearest first) between minRR and maxRR,
+  // the primary level when the list has none (backtest-optimal maxRR 1.8)
+  const levels = (dir === 1 ? sr.resistances : sr.supports) || [];
+  const primary = dir === 1 ? sr.resistance : sr.support;
+  const inRange = (lp) => dir * (lp - at(minRR)) > 0 && dir * (at(maxRR) - lp) > 0;
+  const snapped = levels.find(l => inRange(l.price)) || (inRange(primary) ? { price: primary } : null);
+  const takeProfit = snapped ? snapped.price : at(maxRR);
+
+  // Runner — furthest S/R level past the main target within tp3R
+  const beyond = levels.filter(l => dir * (l.price - takeProfit) > 0 && dir * (at(p.tp3R) - l.price) >= 0);
+  const runner = beyond.length > 0 ? beyond[beyond.length - 1] : null;
+
+  const target = (label, price, closePct, level) => ({
+    label, price, closePct, source: level ? 'sr' : 'r', ...(level && levelTag(level) ? { level: levelTag(level) } : {})
+  });
+  const targets = [
+    target('TP1', at(p.tp1R), p.tp1Pct, null),
+    target('TP2', takeProfit, p.tp2Pct, snapped),
+    target('TP3', runner ? runner.price : at(p.tp3R), 100 - p.tp1Pct - p.tp2Pct, runner)
+  ].filter(t => t.closePct > 0).map(t => ({ ...t, r: rOf(t.price) }));
+
+  return {
+    action, entry: price, stopLoss, risk, atr, takeProfit,
+    targets,
+    breakeven: p.breakevenAfter > 0 ? { after: p.breakevenAfter, price: at(p.breakevenOffsetR) } : null,
+    trailing: p.trailAtr > 0 || p.trailSwingBars > 0
+      ? { after: p.trailAfter, atrMul: p.trailAtr, swingBars: p.trailSwingBars }
+      : null
+  };
+}
+
+export function createPlanState(plan) {
+  return {
+    stop: plan.stopLoss, stopReason: 'stop',        // active for the current bar
+    nextStop: plan.stopLoss, nextStopReason: 'stop', // takes effect on the next bar
+    remainingPct: 100, targetsHit: 0, fills: [],
+    barTime: null, lastBar: null, recent: [],
+    closed: false, exitReason: null, exitPrice: null, pnlR: 0
+  };
+}
+
+// ── ADVANCE BY ONE BAR ({ high, low, close, timestamp? }) ──
+// Same timestamp = the forming bar was updated; no timestamp = every call is a new bar.
+// Returns the events of this step: target | stop_moved | closed
+export function stepTradePlan(plan, state, bar) {
+  if (state.closed) return [];
+  const events = [];
+  const dir = plan.action === 'BUY' ? 1 : -1;
+
+  if (bar.timestamp === undefined || bar.timestamp !== state.barTime) {
+    // The previous bar is complete: trail from it, then this bar opens with the scheduled stop
+    if (state.lastBar) {
+      state.recent = [...state.recent, state.lastBar].slice(-Math.max(plan.trailing?.swingBars || 0, 1));
+      if (plan.trailing && state.targetsHit >= plan.trailing.after) scheduleStop(state, dir, trailStops(plan, state.recent, dir), events);
+    }
+    state.stop = state.nextStop;
+    state.stopReason = state.nextStopReason;
+    state.barTime = bar.timestamp ?? null;
+  }
+  state.lastBar = { high: bar.high, low: bar.low, close: bar.close };
+
+  // Targets first
+  const favorable = dir === 1 ? bar.high : bar.low;
+  while (state.targetsHit < plan.targets.length) {
+    const t = plan.targets[state.targetsHit];
+    if (dir * (favorable - t.price) < 0) break;
+    fill(plan, state, t.price, t.closePct, t.label, bar.timestamp);
+    state.targetsHit++;
+    events.push({ type: 'target', label: t.label, price: t.price, closePct: t.closePct, r: t.r });
+  }
+  if (state.remainingPct <= 1e-9) {
+    events.push(close(state, plan.targets[plan.targets.length - 1].price, plan.targets[plan.targets.length - 1].label));
+    return events;
+  }
+
+  // Then the stop that was active when the bar opened
+  const adverse = dir === 1 ? bar.low : bar.high;
+  if (dir * (adverse - state.stop) <= 0) {
+    fill(plan, state, state.stop, state.remainingPct, state.stopReason, bar.timestamp);
+    events.push(close(state, state.stop, state.stopReason));
+    return events;
+  }
+
+  // Breakeven for the next bar once enough targets filled (forming bars too — it follows the fills)
+  if (plan.breakeven && state.targetsHit >= plan.breakeven.after) scheduleStop(state, dir, [[plan.breakeven.price, 'breakeven']], events);
+  return events;
+}
+
+// ── CLOSE WHAT'S LEFT AT A PRICE (expiry, manual exit) ──
+export function closeTradePlan(plan, state, price, reason = 'expired', timestamp) {
+  if (state.closed) return null;
+  fill(plan, state, price, state.remainingPct, reason, timestamp);
+  return close(state, price, reason);
+}
+
+// WIN / LOSS / BREAKEVEN by realised R; EXPIRED when nothing filled before the timeout
+export function planOutcome(state) {
+  if (state.exitReason === 'expired' && state.fills.length === 1) return 'EXPIRED';
+  return state.pnlR > 0 ? 'WIN' : state.pnlR < 0 ? 'LOSS' : 'BREAKEVEN';
+}
+
+// ── HELPERS ──
+
+// Trail candidates from completed bars (recent, newest last): trailAtr × ATR
+// behind the last close and the extreme of the last swingBars bars
+function trailStops(plan, recent, dir) {
+  const { atrMul, swingBars } = plan.trailing;
+  const stops = [];
+  if (atrMul > 0 && plan.atr > 0) stops.push([recent[recent.length - 1].close - dir * atrMul * plan.atr, 'trail']);
+  if (swingBars > 0) {
+    const bars = recent.slice(-swingBars);
+    stops.push([dir === 1 ? Math.min(...bars.map(b => b.low)) : Math.max(...bars.map(b => b.high)), 'trail']);
+  }
+  return stops;
+}
+
+// Schedule the tightest of [price, reason] for the next bar — the stop only ever tightens
+function scheduleStop(state, dir, stops, events) {
+  let next = state.nextStop, reason = state.nextStopReason;
+  for (const [price, why] of stops) if (dir * (price - next) > 0) { next = price; reason = why; }
+  if (next === state.nextStop) return;
+  state.nextStop = next;
+  state.nextStopReason = reason;
+  events.push({ type: 'stop_moved', reason, price: next });
+}
+
+function fill(plan, state, price, pct, label, timestamp) {
+  const dir = plan.action === 'BUY' ? 1 : -1;
+  const r = dir * (price - plan.entry) / plan.risk;
+  state.fills.push({ label, price, pct, r: parseFloat(r.toFixed(2)), timestamp: timestamp ?? null });
+  state.remainingPct -= pct;
+  state.pnlR = parseFloat((state.pnlR + (pct / 100) * r).toFixed(4));
+}
+
+function close(state, price, reason) {
+  state.closed = true;
+  state.exitReason = reason;
+  state.exitPrice = price;
+  state.pnlR = parseFloat(state.pnlR.toFixed(2));
+  state.remainingPct = 0;
+  return { type: 'closed', reason, price, pnlR: state.pnlR };
+}
@@ -0,0 +1,216 @@
+// ═══════════════════════════════════════════════════════════════════
+// RULE REGISTRY — pluggable rules for SignalEngine.generateSignal
+//
+// Every event, state, conflict and confidence modifier is a small
+// module with an id and a stage. The engine asks the registry for the
+// active rules of a stage (per symbol and regime) and runs them in order.
+//
+// Stages (run in this order by the engine):
+//   gate     — check(r)        → { hold: [warnings] } to stop early
+//   event    — evaluate(r)     → { side, strength: 'strong'|'weak', reason, source }
+//   state    — evaluate(r)     → { side, reason }
+//   conflict — evaluate(r)     → { blocks: 'BUY'|'SELL'|'BOTH', reason }
+//   modifier — apply(d, r)     → mutates decision, or { hold: [warnings] }
+//
+// evaluate() may return a single hit, an array of hits, or null.
+// Modifiers only run on BUY/SELL decisions unless flagged `always: true`.
+// Rules may expose inputs(r) → { name: value } (or put `inputs` on a result);
+// the engine records them in the DecisionTrace for every rule that fired.
+// Rules may declare `regimes: ['RANGING']` — they only run in those
+// regimes (RegimeClassifier), unless a config enables them elsewhere.
+// Rules flagged `optional: true` are off until a config enables them
+// (globally, per regime or per symbol) — the overlay indicator families,
+// the smart-money / level-book events and candle patterns.
+//
+// Config (symbol beats regime beats global):
+//   { disabled: ['rsi_pullback'],
+//     order: ['macd_cross', 'ema_cross'],
+//     regimes: { RANGING: { disabled: [...], enabled: [...] } },
+//     symbols: { 'XAU/USD': { disabled: [...], enabled: [...], order: [...] } } }
+// ═══════════════════════════════════════════════════════════════════
+
+export const RULE_STAGES = ['gate', 'event', 'state', 'conflict', 'modifier'];
+
+export class RuleRegistry {
+  constructor() {
+    this.rules = new Map();    // id → rule
+    this.order = [];           // default evaluation order (ids)
+    this.baseOrder = [];       // registration order, restored by reset()
+    this.disabled = new Set(); // globally disabled ids
+    this.enabled = new Set();  // globally enabled optional ids
+    this.symbolConfig = new Map(); // symbol → { disabled:Set, enabled:Set, order:[] }
+    this.regimeConfig = new Map(); // regime → { disabled:Set, enabled:Set }
+  }
+
+  // ── REGISTER A RULE ──
+  register(rule, { before, after } = {}) {
+    if (!rule || typeof rule.id !== 'string') throw new Error('Rule must have a string id');
+    if (!RULE_STAGES.includes(rule.stage)) throw new Error(`Rule ${rule.id}: unknown stage "${rule.stage}"`);
+    if (this.rules.has(rule.id)) throw new Error(`Rule ${rule.id} is already registered`);
+
+    const fn = rule.stage === 'gate' ? 'check' : rule.stage === 'modifier' ? 'apply' : 'evaluate';
+    if (typeof rule[fn] !== 'function') throw new Error(`Rule ${rule.id}: ${rule.stage} rules must implement ${fn}()`);
+    if (rule.regimes !== undefined && !Array.isArray(rule.regimes)) throw new Error(`Rule ${rule.id}: regimes must be an array`);
+
+    const order = insertAt(this.order, rule.id, before, after);
+    this.baseOrder = insertAt(this.baseOrder, rule.id, before, after);
+    this.order = order;
+    this.rules.set(rule.id, rule);
+    return this;
+  }
+
+  unregister(id) {
+    this.rules.delete(id);
+    this.order = this.order.filter(r => r !== id);
+    this.baseOrder = this.baseOrder.filter(r => r !== id);
+    this.disabled.delete(id);
+    this.enabled.delete(id);
+    for (const sc of this.symbolConfig.values()) {
+      sc.disabled.delete(id);
+      sc.enabled.delete(id);
+      sc.order = sc.order.filter(r => r !== id);
+    }
+    for (const rc of this.regimeConfig.values()) {
+      rc.disabled.delete(id);
+      rc.enabled.delete(id);
+    }
+    return this;
+  }
+
+  has(id) {
+    return this.rules.has(id);
+  }
+
+  // ── ENABLE / DISABLE (globally, or for one symbol) ──
+  enable(id, symbol = null) {
+    this._assertKnown(id);
+    if (!symbol) { this.disabled.delete(id); this.enabled.add(id); return this; }
+    const sc = this._symbol(symbol);
+    sc.disabled.delete(id);
+    sc.enabled.add(id);
+    return this;
+  }
+
+  disable(id, symbol = null) {
+    this._assertKnown(id);
+    if (!symbol) { this.enabled.delete(id); this.disabled.add(id); return this; }
+    const sc = this._symbol(symbol);
+    sc.enabled.delete(id);
+    sc.disabled.add(id);
+    return this;
+  }
+
+  // ── PER-REGIME PLAYBOOK ──
+  enableInRegime(id, regime) {
+    this._assertKnown(id);
+    const rc = this._regime(regime);
+    rc.disabled.delete(id);
+    rc.enabled.add(id);
+    return this;
+  }
+
+  disableInRegime(id, regime) {
+    this._assertKnown(id);
+    const rc = this._regime(regime);
+    rc.enabled.delete(id);
+    rc.disabled.add(id);
+    return this;
+  }
+
+  // ── ORDERING ──
+  // Listed ids move to the front (in the given order); the rest keep default order
+  setOrder(ids, symbol = null) {
+    ids.forEach(id => this._assertKnown(id));
+    if (symbol) { this._symbol(symbol).order = [...ids]; return this; }
+    this.order = [...ids, ...this.order.filter(id => !ids.includes(id))];
+    return this;
+  }
+
+  // ── DROP ALL ENABLE/DISABLE/ORDER CONFIG (registrations are kept) ──
+  reset() {
+    this.order = [...this.baseOrder];
+    this.disabled.clear();
+    this.enabled.clear();
+    this.symbolConfig.clear();
+    this.regimeConfig.clear();
+    return this;
+  }
+
+  // ── APPLY A CONFIG BLOCK (after the rules are registered) ──
+  configure(config = {}) {
+    for (const id of config.disabled || []) this.disable(id);
+    for (const id of config.enabled || []) this.enable(id);
+    if (config.order) this.setOrder(config.order);
+    for (const [regime, rc] of Object.entries(config.regimes || {})) {
+      for (const id of rc.disabled || []) this.disableInRegime(id, regime);
+      for (const id of rc.enabled || []) this.enableInRegime(id, regime);
+    }
+    for (const [symbol, sc] of Object.entries(config.symbols || {})) {
+      for (const id of sc.disabled || []) this.disable(id, symbol);
+      for (const id of sc.enabled || []) this.enable(id, symbol);
+      if (sc.order) this.setOrder(sc.order, symbol);
+    }
+    return this;
+  }
+
+  isEnabled(id, symbol = null, regime = null) {
+    const sc = symbol ? this.symbolConfig.get(symbol) : null;
+    if (sc?.disabled.has(id)) return false;
+    if (sc?.enabled.has(id)) return true;
+    const rc = regime ? this.regimeConfig.get(regime) : null;
+    if (rc?.disabled.has(id)) return false;
+    if (rc?.enabled.has(id)) return true;
+    const rule = this.rules.get(id);
+    if (rule?.regimes && !rule.regimes.includes(regime)) return false;
+    if (this.disabled.has(id)) return false;
+    return !rule?.optional || this.enabled.has(id);
+  }
+
+  // ── ACTIVE RULES FOR A STAGE ──
+  getRules(stage, symbol = null, regime = null) {
+    return this._orderFor(symbol)
+      .map(id => this.rules.get(id))
+      .filter(rule => rule && rule.stage === stage && this.isEnabled(rule.id, symbol, regime));
+  }
+
+  // ── SUMMARY (health endpoint / debugging) ──
+  list(symbol = null, regime = null) {
+    return this._orderFor(symbol).map(id => {
+      const rule = this.rules.get(id);
+      return { id, stage: rule.stage, enabled: this.isEnabled(id, symbol, regime), ...(rule.regimes && { regimes: rule.regimes }), ...(rule.optional && { optional: true }) };
+    });
+  }
+
+  _orderFor(symbol) {
+    const custom = symbol ? this.symbolConfig.get(symbol)?.order : null;
+    if (!custom?.length) return this.order;
+    return [...custom.filter(id => this.rules.has(id)), ...this.order.filter(id => !custom.includes(id))];
+  }
+
+  _symbol(symbol) {
+    if (!this.symbolConfig.has(symbol)) {
+      this.symbolConfig.set(symbol, { disabled: new Set(), enabled: new Set(), order: [] });
+    }
+    return this.symbolConfig.get(symbol);
+  }
+
+  _regime(regime) {
+    if (!this.regimeConfig.has(regime)) this.regimeConfig.set(regime, { disabled: new Set(), enabled: new Set() });
+    return this.regimeConfig.get(regime);
+  }
+
+  _assertKnown(id) {
+    if (!this.rules.has(id)) throw new Error(`Unknown rule: ${id}`);
+  }
+}
+
+// Options: { before: id } or { after: id } to position it, default = append
+function insertAt(order, id, before, after) {
+  const anchor = before || after;
+  if (!anchor) return [...order, id];
+  const idx = order.indexOf(anchor);
+  if (idx === -1) throw new Error(`Rule ${id}: anchor rule "${anchor}" not registered`);
+  const out = [...order];
+  out.splice(before ? idx : idx + 1, 0, id);
+  return out;
+}
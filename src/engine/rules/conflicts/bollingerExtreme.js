@@ -0,0 +1,14 @@
+// Price at the outer edge of the bands (5% default) — don't chase the extreme
+export default {
+  id: 'bollinger_extreme',
+  stage: 'conflict',
+  inputs: ({ ind }) => ({ price: ind.price, bbLower: ind.bb?.lower, bbUpper: ind.bb?.upper }),
+  evaluate({ ind, params }) {
+    if (!ind.bb) return null;
+    const pB = (ind.price - ind.bb.lower) / (ind.bb.upper - ind.bb.lower);
+    const hits = [];
+    if (pB < params.bollinger.extremeLower) hits.push({ blocks: 'SELL', reason: 'Price at extreme lower BB' });
+    if (pB > params.bollinger.extremeUpper) hits.push({ blocks: 'BUY', reason: 'Price at extreme upper BB' });
+    return hits;
+  }
+};
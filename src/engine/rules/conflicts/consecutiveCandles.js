@@ -0,0 +1,15 @@
+// 3+ (default) consecutive candles of one colour blocks the counter-trade
+export default {
+  id: 'consecutive_candles',
+  stage: 'conflict',
+  inputs: ({ momentum }) => ({ bullishCandles: momentum.bullishCandles, bearishCandles: momentum.bearishCandles }),
+  evaluate({ momentum, params }) {
+    const n = params.momentum.consecutiveCandles;
+    const hits = [];
+    if (momentum.bullishCandles >= n)
+      hits.push({ blocks: 'SELL', reason: `${momentum.bullishCandles} consecutive bullish candles` });
+    if (momentum.bearishCandles >= n)
+      hits.push({ blocks: 'BUY', reason: `${momentum.bearishCandles} consecutive bearish candles` });
+    return hits;
+  }
+};
@@ -0,0 +1,15 @@
+// Weak trend (ADX 22-25 default) with price hugging EMA50 — chop zone
+export default {
+  id: 'ema50_chop',
+  stage: 'conflict',
+  inputs: ({ ind, atr }) => ({ adx: ind.adx?.adx || 0, price: ind.price, ema50: ind.ema50, atr }),
+  evaluate({ ind, atr, params }) {
+    const { chopMin, chopMax, chopEma50Atr } = params.adx;
+    const adxValue = ind.adx?.adx || 0;
+    if (adxValue < chopMin || adxValue >= chopMax) return null;
+    const atrPct = Math.abs(ind.price - ind.ema50) / atr;
+    if (atrPct < chopEma50Atr)
+      return { blocks: 'BOTH', reason: `Price too close to EMA50 in weak trend (ADX:${adxValue.toFixed(0)})` };
+    return null;
+  }
+};
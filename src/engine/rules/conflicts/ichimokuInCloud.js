@@ -0,0 +1,14 @@
+import { cloudSide } from '../states/ichimokuCloud.js';
+
+// Price inside the Ichimoku cloud — no trend to trade either way
+export default {
+  id: 'ichimoku_in_cloud',
+  stage: 'conflict',
+  optional: true,
+  indicator: 'ichimoku',
+  inputs: ({ ind }) => ({ price: ind.price, cloudTop: ind.ichimoku?.cloudTop, cloudBottom: ind.ichimoku?.cloudBottom }),
+  evaluate({ ind, atr, params }) {
+    if (cloudSide(ind, atr, params.ichimoku) !== 'INSIDE') return null;
+    return { blocks: 'BOTH', reason: 'Price inside the Ichimoku cloud' };
+  }
+};
@@ -0,0 +1,18 @@
+// Histogram clearly on the other side of zero (skipped when a MACD cross just fired).
+// Threshold: the instrument's macdHistThreshold, else price × strategy histThresholdPct
+const threshold = ({ instrument, price, params }) => instrument.macdHistThreshold ?? price * params.macd.histThresholdPct;
+
+export default {
+  id: 'macd_histogram',
+  stage: 'conflict',
+  inputs: (r) => ({ hist: r.ind.macd?.histogram, threshold: threshold(r) }),
+  evaluate(r) {
+    const { ind, sources } = r;
+    if (!ind.macd || sources.has('macd')) return null;
+    const histThreshold = threshold(r);
+    const hits = [];
+    if (ind.macd.histogram > histThreshold) hits.push({ blocks: 'SELL', reason: `MACD histogram positive (+${ind.macd.histogram.toFixed(3)})` });
+    if (ind.macd.histogram < -histThreshold) hits.push({ blocks: 'BUY', reason: `MACD histogram negative (${ind.macd.histogram.toFixed(3)})` });
+    return hits;
+  }
+};
@@ -0,0 +1,12 @@
+// 8-candle move larger than momentum.moveAtr × ATR (3 default) — don't stand in front of it
+export default {
+  id: 'momentum_move',
+  stage: 'conflict',
+  inputs: ({ ind, momentum }) => ({ moveAtr: momentum.moveSize, price: ind.price, ema9: ind.ema9 }),
+  evaluate({ ind, momentum }) {
+    if (!momentum.isMomentumMove) return null;
+    if (ind.price > ind.ema9) return { blocks: 'SELL', reason: `Large move UP (${momentum.moveSize.toFixed(1)}x ATR)` };
+    if (ind.price < ind.ema9) return { blocks: 'BUY', reason: `Large move DOWN (${momentum.moveSize.toFixed(1)}x ATR)` };
+    return null;
+  }
+};
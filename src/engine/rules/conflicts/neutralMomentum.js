@@ -0,0 +1,14 @@
+// RSI and Stochastic both mid-range — nothing to trade
+export default {
+  id: 'neutral_momentum',
+  stage: 'conflict',
+  inputs: ({ ind }) => ({ rsi: ind.rsi, k: ind.stoch?.k }),
+  evaluate({ ind, params }) {
+    const { rsi, stoch } = params;
+    const rsiNeutral = ind.rsi >= rsi.neutralLow && ind.rsi <= rsi.neutralHigh;
+    const stochNeutral = ind.stoch && ind.stoch.k >= stoch.neutralLow && ind.stoch.k <= stoch.neutralHigh;
+    if (rsiNeutral && stochNeutral)
+      return { blocks: 'BOTH', reason: `Neutral momentum (RSI:${ind.rsi.toFixed(0)} Stoch:${ind.stoch.k.toFixed(0)})` };
+    return null;
+  }
+};
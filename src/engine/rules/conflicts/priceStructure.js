@@ -0,0 +1,15 @@
+// 4+ (default) higher highs & higher lows (or the bearish mirror) blocks the counter-trade
+export default {
+  id: 'price_structure',
+  stage: 'conflict',
+  inputs: ({ momentum }) => ({ higherHighs: momentum.higherHighs, higherLows: momentum.higherLows, lowerHighs: momentum.lowerHighs, lowerLows: momentum.lowerLows }),
+  evaluate({ momentum, params }) {
+    const n = params.momentum.structureBlockSwings;
+    const hits = [];
+    if (momentum.higherHighs >= n && momentum.higherLows >= n)
+      hits.push({ blocks: 'SELL', reason: `Bullish structure (${momentum.higherHighs}HH/${momentum.higherLows}HL)` });
+    if (momentum.lowerHighs >= n && momentum.lowerLows >= n)
+      hits.push({ blocks: 'BUY', reason: `Bearish structure (${momentum.lowerHighs}LH/${momentum.lowerLows}LL)` });
+    return hits;
+  }
+};
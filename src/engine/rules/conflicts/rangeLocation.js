@@ -0,0 +1,24 @@
+import { rangePosition } from '../../RegimeClassifier.js';
+
+// Mean-reversion playbook (RANGING only): buy the bottom edgePct of the
+// support → resistance box, sell the top — nothing in the middle, and
+// nothing at all without a box at least minWidthAtr wide
+export default {
+  id: 'range_location',
+  stage: 'conflict',
+  regimes: ['RANGING'],
+  inputs: ({ price, atr, sr, params }) => {
+    const box = rangePosition(sr, price, atr, params.meanReversion);
+    return { support: box?.support.price, resistance: box?.resistance.price, pos: box?.pos };
+  },
+  evaluate({ price, atr, sr, params }) {
+    const p = params.meanReversion;
+    const box = rangePosition(sr, price, atr, p);
+    if (!box) return { blocks: 'BOTH', reason: `Ranging without a tradeable box (edges missing or < ${p.minWidthAtr} ATR apart)` };
+    const edge = p.edgePct / 100;
+    const at = `${(box.pos * 100).toFixed(0)}% of the range`;
+    if (box.pos <= edge) return { blocks: 'SELL', reason: `Range bottom (${at}) — fade longs only` };
+    if (box.pos >= 1 - edge) return { blocks: 'BUY', reason: `Range top (${at}) — fade shorts only` };
+    return { blocks: 'BOTH', reason: `Mid-range (${at}) — waiting for an edge` };
+  }
+};
@@ -0,0 +1,15 @@
+// Weak ADX (< 28 default) without an RSI/Stoch extreme — no edge either way
+export default {
+  id: 'ranging_market',
+  stage: 'conflict',
+  inputs: ({ ind }) => ({ adx: ind.adx?.adx || 0, rsi: ind.rsi, k: ind.stoch?.k }),
+  evaluate({ ind, params }) {
+    const { rsi, stoch } = params;
+    const adxValue = ind.adx?.adx || 0;
+    if (adxValue >= params.adx.rangingBelow) return null;
+    const hasExtremeRSI = ind.rsi < rsi.oversold || ind.rsi > rsi.overbought;
+    const hasExtremeStoch = ind.stoch && (ind.stoch.k < stoch.oversold || ind.stoch.k > stoch.overbought);
+    if (hasExtremeRSI || hasExtremeStoch) return null;
+    return { blocks: 'BOTH', reason: `Ranging market (ADX:${adxValue.toFixed(0)})` };
+  }
+};
@@ -0,0 +1,16 @@
+// RSI extremes — overbought only blocks BUY in a weak trend (bull trends keep RSI elevated),
+// except the extreme band (>80 default), which blocks regardless
+export default {
+  id: 'rsi_extreme',
+  stage: 'conflict',
+  inputs: ({ ind }) => ({ rsi: ind.rsi, adx: ind.adx?.adx || 0 }),
+  evaluate({ ind, params }) {
+    const adxValue = ind.adx?.adx || 0;
+    const p = params.rsi;
+    const hits = [];
+    if (ind.rsi < p.oversold) hits.push({ blocks: 'SELL', reason: `RSI oversold (${ind.rsi.toFixed(0)})` });
+    if (ind.rsi > p.overbought && adxValue < params.adx.weakTrendBelow) hits.push({ blocks: 'BUY', reason: `RSI overbought (${ind.rsi.toFixed(0)}) in weak trend` });
+    if (ind.rsi > p.extremeOverbought) hits.push({ blocks: 'BUY', reason: `RSI extreme overbought (${ind.rsi.toFixed(0)})` });
+    return hits;
+  }
+};
@@ -0,0 +1,12 @@
+// Bollinger Bands inside the Keltner Channels — compression, wait for the release
+export default {
+  id: 'squeeze_active',
+  stage: 'conflict',
+  optional: true,
+  indicator: 'squeeze',
+  inputs: ({ ind }) => ({ bbUpper: ind.bb?.upper, bbLower: ind.bb?.lower, keltnerUpper: ind.keltner?.upper, keltnerLower: ind.keltner?.lower }),
+  evaluate({ ind }) {
+    if (!ind.squeeze?.on) return null;
+    return { blocks: 'BOTH', reason: `Volatility squeeze (${ind.squeeze.bars + 1} candles) — waiting for the release` };
+  }
+};
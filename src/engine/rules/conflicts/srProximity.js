@@ -0,0 +1,35 @@
+import { zoneProximity, levelZone, levelTag } from '../../SRDetector.js';
+
+// Sitting right on a strong S/R zone (default < 0.2 ATR from its near edge, strength ≥ 60)
+// or inside it blocks trading into it — a higher-timeframe zone (level.timeframe) included. The softer "near level" penalty lives in modifiers/srPenalty.js
+export default {
+  id: 'sr_proximity',
+  stage: 'conflict',
+  inputs: ({ price, atr, sr }) => ({
+    price, atr, resistance: sr.nearestResistance?.price, resistanceStrength: sr.nearestResistance?.strength, resistanceZone: sr.nearestResistance?.zone,
+    support: sr.nearestSupport?.price, supportStrength: sr.nearestSupport?.strength, supportZone: sr.nearestSupport?.zone
+  }),
+  evaluate({ price, atr, sr, params, instrument }) {
+    const { atLevelAtr, atLevelStrength } = params.sr;
+    const hits = [];
+    const describe = (name, level, prox) => {
+      const { low, high } = levelZone(level);
+      const tag = levelTag(level);
+      return `${prox.inside ? 'INSIDE' : 'AT'} ${tag ? `${tag} ` : ''}${name} zone ${low.toFixed(instrument.precision)}–${high.toFixed(instrument.precision)} (str:${level.strength.toFixed(0)}${prox.inside ? `, ${Math.round(prox.penetration * 100)}% in` : ''})`;
+    };
+
+    if (sr.nearestResistance) {
+      const prox = zoneProximity(price, sr.nearestResistance, 'RESISTANCE');
+      if (prox.distance < atr * atLevelAtr && sr.nearestResistance.strength >= atLevelStrength)
+        hits.push({ blocks: 'BUY', reason: describe('resistance', sr.nearestResistance, prox) });
+    }
+
+    if (sr.nearestSupport) {
+      const prox = zoneProximity(price, sr.nearestSupport, 'SUPPORT');
+      if (prox.distance < atr * atLevelAtr && sr.nearestSupport.strength >= atLevelStrength)
+        hits.push({ blocks: 'SELL', reason: describe('support', sr.nearestSupport, prox) });
+    }
+
+    return hits;
+  }
+};
@@ -0,0 +1,19 @@
+// Stochastic extremes block fading/chasing.
+// Overbought only blocks BUY in a weak trend — in trending markets overbought = momentum —
+// except the extreme band (>88 default), which blocks regardless
+export default {
+  id: 'stoch_extreme',
+  stage: 'conflict',
+  inputs: ({ ind }) => ({ k: ind.stoch?.k, adx: ind.adx?.adx || 0 }),
+  evaluate({ ind, params }) {
+    if (!ind.stoch) return null;
+    const adxValue = ind.adx?.adx || 0;
+    const k = ind.stoch.k;
+    const p = params.stoch;
+    const hits = [];
+    if (k < p.conflictOversold) hits.push({ blocks: 'SELL', reason: `Stoch oversold (${k.toFixed(0)})` });
+    if (k > p.conflictOverbought && adxValue < params.adx.weakTrendBelow) hits.push({ blocks: 'BUY', reason: `Stoch overbought (${k.toFixed(0)}) in weak trend` });
+    if (k > p.extremeOverbought) hits.push({ blocks: 'BUY', reason: `Stoch extreme overbought (${k.toFixed(0)})` });
+    return hits;
+  }
+};
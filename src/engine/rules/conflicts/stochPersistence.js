@@ -0,0 +1,13 @@
+// Stochastic pinned at an extreme for 4+ candles = momentum move, don't fade it
+export default {
+  id: 'stoch_persistence',
+  stage: 'conflict',
+  inputs: ({ ind }) => ({ k: ind.stoch?.k, kHistory: ind.stochHistory?.slice(-4).map(s => s.k) }),
+  evaluate({ momentum }) {
+    if (momentum.stochPersistence === 'OVERBOUGHT_PERSISTENT')
+      return { blocks: 'SELL', reason: `Stoch overbought 4+ candles — momentum move` };
+    if (momentum.stochPersistence === 'OVERSOLD_PERSISTENT')
+      return { blocks: 'BUY', reason: `Stoch oversold 4+ candles — momentum move` };
+    return null;
+  }
+};
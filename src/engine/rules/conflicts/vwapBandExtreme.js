@@ -0,0 +1,16 @@
+// Price bandSd standard deviations or more from the session VWAP — don't chase the extension
+export default {
+  id: 'vwap_band_extreme',
+  stage: 'conflict',
+  optional: true,
+  indicator: 'vwap',
+  inputs: ({ ind, params }) => ({ price: ind.price, vwap: ind.vwap?.vwap, sd: ind.vwap?.sd, bandSd: params.vwap.bandSd }),
+  evaluate({ ind, params }) {
+    const v = ind.vwap;
+    if (!v || !(v.sd > 0)) return null;
+    const k = params.vwap.bandSd;
+    if (ind.price >= v.vwap + k * v.sd) return { blocks: 'BUY', reason: `Price above the +${k}σ VWAP band` };
+    if (ind.price <= v.vwap - k * v.sd) return { blocks: 'SELL', reason: `Price below the −${k}σ VWAP band` };
+    return null;
+  }
+};
@@ -0,0 +1,32 @@
+import { detectCandlePatterns, levelFor } from '../../CandlePatterns.js';
+
+// Candlestick patterns (CandlePatterns) — params.patterns weight per pattern:
+// 0 off, 1 weak, 2 strong; forming at an S/R level adds 1 (doji needs the level)
+// One hit per side: the heaviest pattern of this candle. Optional — off until
+// rules.enabled (or a regime / symbol) lists candle_pattern
+export default {
+  id: 'candle_pattern',
+  stage: 'event',
+  optional: true,
+  inputs: ({ candles }) => ({ ohlc: (candles || []).slice(-3).map(c => [c.open, c.high, c.low, c.close]) }),
+  evaluate({ candles, atr, sr, params, instrument }) {
+    const p = params.patterns;
+    const best = {};
+    for (const hit of detectCandlePatterns(candles, atr, p)) {
+      const base = p[hit.key];
+      if (!base) continue;
+      const level = levelFor(hit, sr, atr, p);
+      if (hit.key === 'dojiAtLevel' && !level) continue;
+      const weight = Math.min(hit.key === 'dojiAtLevel' ? base : base + (level ? 1 : 0), 2);
+      if (!best[hit.side] || weight > best[hit.side].weight) best[hit.side] = { ...hit, level, weight };
+    }
+
+    return Object.values(best).map(h => ({
+      side: h.side,
+      strength: h.weight >= 2 ? 'strong' : 'weak',
+      reason: h.level ? `${h.name} at ${h.side === 'BUY' ? 'support' : 'resistance'} ${h.level.price.toFixed(instrument.precision)}` : h.name,
+      source: 'candle_pattern',
+      inputs: { pattern: h.key, low: h.low, high: h.high, level: h.level?.price ?? null, levelStrength: h.level?.strength ?? null }
+    }));
+  }
+};
@@ -0,0 +1,15 @@
+// CCI leaving the ±100 extremes — weak event
+export default {
+  id: 'cci_cross',
+  stage: 'event',
+  inputs: ({ ind }) => ({ cci: ind.cci, cciPrev: ind.cciPrev }),
+  evaluate({ ind, params }) {
+    if (ind.cci === undefined || ind.cciPrev === undefined) return null;
+    const { oversold, overbought } = params.cci;
+    if (ind.cci > oversold && ind.cciPrev <= oversold)
+      return { side: 'BUY', strength: 'weak', reason: `CCI crossing above ${oversold}`, source: 'cci' };
+    if (ind.cci < overbought && ind.cciPrev >= overbought)
+      return { side: 'SELL', strength: 'weak', reason: `CCI crossing below ${overbought}`, source: 'cci' };
+    return null;
+  }
+};
@@ -0,0 +1,32 @@
+import { findDivergences } from '../../Divergence.js';
+
+// RSI / MACD histogram / Stochastic divergence against the last two price swings
+// (Divergence) — params.divergence.regular / .hidden weight: 0 off, 1 weak, 2 strong
+// Regular = reversal, hidden = trend continuation
+export default {
+  id: 'divergence',
+  stage: 'event',
+  evaluate({ ind, atr, params, engine }) {
+    const p = params.divergence;
+    const n = ind.oscillators?.rsi.length;
+    if (!n || ind.allHighs.length < n) return null;
+    const swings = engine.srDetector.detectSwings(ind.allHighs.slice(-n), ind.allLows.slice(-n), ind.allCloses.slice(-n), null, params.swings);
+
+    return findDivergences({ swings, series: ind.oscillators, atr, p })
+      .filter(d => p[d.kind] > 0)
+      .map(d => {
+        const bull = d.side === 'BUY';
+        const regular = d.kind === 'regular';
+        const [price, osc] = bull
+          ? (regular ? ['lower low', 'higher low'] : ['higher low', 'lower low'])
+          : (regular ? ['higher high', 'lower high'] : ['lower high', 'higher high']);
+        return {
+          side: d.side,
+          strength: p[d.kind] >= 2 ? 'strong' : 'weak',
+          reason: `${regular ? 'Regular' : 'Hidden'} ${bull ? 'bullish' : 'bearish'} divergence (${regular ? 'reversal' : 'continuation'}): price ${price}, ${d.oscillators.map(o => o.oscillator).join('/')} ${osc}`,
+          source: regular ? 'divergence' : 'hidden_divergence',
+          inputs: { kind: d.kind, swings: d.swings, oscillators: d.oscillators }
+        };
+      });
+  }
+};
@@ -0,0 +1,15 @@
+// Close beyond the previous candle's 20-candle Donchian channel with ADX ≥ minAdx — weak event
+export default {
+  id: 'donchian_breakout',
+  stage: 'event',
+  optional: true,
+  indicator: 'donchian',
+  inputs: ({ ind }) => ({ price: ind.price, upper: ind.donchianPrev?.upper, lower: ind.donchianPrev?.lower, adx: ind.adx?.adx }),
+  evaluate({ ind, params }) {
+    const ch = ind.donchianPrev;
+    if (!ch || !ind.adx || ind.adx.adx < params.donchian.minAdx) return null;
+    if (ind.price > ch.upper) return { side: 'BUY', strength: 'weak', reason: 'Donchian channel breakout', source: 'donchian' };
+    if (ind.price < ch.lower) return { side: 'SELL', strength: 'weak', reason: 'Donchian channel breakdown', source: 'donchian' };
+    return null;
+  }
+};
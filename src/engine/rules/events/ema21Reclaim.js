@@ -0,0 +1,13 @@
+// Trending pullback: price was below EMA21, now back above in a bull stack — weak event
+// Fills the signal gap when the initial crossovers fired long ago
+export default {
+  id: 'ema21_reclaim',
+  stage: 'event',
+  inputs: ({ ind }) => ({ price: ind.price, prevPrice: ind.prevPrice, ema9: ind.ema9, ema21: ind.ema21, ema50: ind.ema50 }),
+  evaluate({ ind, sources }) {
+    if (sources.has('ema_bounce')) return null;
+    if (ind.price > ind.ema21 && ind.prevPrice <= ind.ema21 && ind.ema9 > ind.ema21 && ind.ema21 > ind.ema50)
+      return { side: 'BUY', strength: 'weak', reason: 'Price reclaimed EMA21 (pullback bounce in bull trend)', source: 'ema_bounce' };
+    return null;
+  }
+};
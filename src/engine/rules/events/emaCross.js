@@ -0,0 +1,13 @@
+// EMA 9/21 crossover — strong event
+export default {
+  id: 'ema_cross',
+  stage: 'event',
+  inputs: ({ ind }) => ({ ema9: ind.ema9, ema21: ind.ema21, ema9Prev: ind.ema9Prev, ema21Prev: ind.ema21Prev }),
+  evaluate({ ind }) {
+    if (ind.ema9 > ind.ema21 && ind.ema9Prev <= ind.ema21Prev)
+      return { side: 'BUY', strength: 'strong', reason: 'EMA 9/21 bullish crossover', source: 'ema' };
+    if (ind.ema9 < ind.ema21 && ind.ema9Prev >= ind.ema21Prev)
+      return { side: 'SELL', strength: 'strong', reason: 'EMA 9/21 bearish crossover', source: 'ema' };
+    return null;
+  }
+};
@@ -0,0 +1,25 @@
+import { flipRetests } from '../../LevelBook.js';
+
+// A broken level retested from its new side and held — resistance turned
+// support (BUY) or support turned resistance (SELL), from the per-symbol
+// level book (LevelBook), strength minStrength or more.
+// params.levels.flipRetest weight: 0 off, 1 weak, 2 strong
+export default {
+  id: 'flip_retest',
+  stage: 'event',
+  optional: true,
+  indicator: 'levels',
+  evaluate({ ctx, params, instrument }) {
+    const { flipRetest: weight, minStrength } = params.levels;
+    if (!weight) return null;
+    const fmt = (v) => v.toFixed(instrument.precision);
+
+    return flipRetests(ctx.levels).filter(({ level }) => level.strength >= minStrength).map(({ side, level }) => ({
+      side,
+      strength: weight >= 2 ? 'strong' : 'weak',
+      reason: `Retest of flipped ${side === 'BUY' ? 'resistance → support' : 'support → resistance'} ${fmt(level.zone.low)}–${fmt(level.zone.high)}${level.flips > 1 ? ` (${level.flips} flips)` : ''}`,
+      source: 'flip_retest',
+      inputs: { low: level.zone.low, high: level.zone.high, strength: level.strength, flips: level.flips, firstSeen: level.firstSeen, touches: level.touches.length }
+    }));
+  }
+};
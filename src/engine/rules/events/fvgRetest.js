@@ -0,0 +1,23 @@
+import { zoneRetests } from '../../SmartMoney.js';
+
+// Price traded back into an unfilled fair value gap and closed without
+// running through it (SmartMoney) — params.smc.fvg weight: 0 off, 1 weak, 2 strong
+export default {
+  id: 'fvg_retest',
+  stage: 'event',
+  optional: true,
+  indicator: 'smc',
+  evaluate({ ctx, params, instrument }) {
+    const weight = params.smc.fvg;
+    if (!weight) return null;
+    const fmt = (v) => v.toFixed(instrument.precision);
+
+    return zoneRetests(ctx.smc, 'fvg').map(z => ({
+      side: z.side,
+      strength: weight >= 2 ? 'strong' : 'weak',
+      reason: `${z.side === 'BUY' ? 'Bullish' : 'Bearish'} fair value gap rebalanced ${fmt(z.low)}–${fmt(z.high)}`,
+      source: 'fvg',
+      inputs: { low: z.low, high: z.high, createdAt: z.createdAt }
+    }));
+  }
+};
@@ -0,0 +1,21 @@
+import { cloudSide } from '../states/ichimokuCloud.js';
+
+// Tenkan-sen crossing Kijun-sen — strong on the cloud's side of the
+// trade (above it for a BUY), weak inside or against it
+export default {
+  id: 'ichimoku_tk_cross',
+  stage: 'event',
+  optional: true,
+  indicator: 'ichimoku',
+  inputs: ({ ind }) => ({ tenkan: ind.ichimoku?.tenkan, kijun: ind.ichimoku?.kijun, tenkanPrev: ind.ichimokuPrev?.tenkan, kijunPrev: ind.ichimokuPrev?.kijun }),
+  evaluate({ ind, atr, params }) {
+    const k = ind.ichimoku, prev = ind.ichimokuPrev;
+    if (!k || !prev) return null;
+    const side = cloudSide(ind, atr, params.ichimoku);
+    if (k.tenkan > k.kijun && prev.tenkan <= prev.kijun)
+      return { side: 'BUY', strength: side === 'ABOVE' ? 'strong' : 'weak', reason: `Ichimoku TK bullish cross (${side.toLowerCase()} cloud)`, source: 'ichimoku' };
+    if (k.tenkan < k.kijun && prev.tenkan >= prev.kijun)
+      return { side: 'SELL', strength: side === 'BELOW' ? 'strong' : 'weak', reason: `Ichimoku TK bearish cross (${side.toLowerCase()} cloud)`, source: 'ichimoku' };
+    return null;
+  }
+};
@@ -0,0 +1,33 @@
+import { findSweeps } from '../../SmartMoney.js';
+
+// Wick through an S/R level that closes back on its side — the stops
+// beyond it were run (SmartMoney). params.smc.sweep weight: 0 off, 1 weak,
+// 2 strong; sweeping a level of strongLevel or more adds 1. One hit per
+// side: the strongest level swept.
+export default {
+  id: 'liquidity_sweep',
+  stage: 'event',
+  optional: true,
+  indicator: 'smc',
+  inputs: ({ candles }) => ({ ohlc: (candles || []).slice(-2).map(c => [c.open, c.high, c.low, c.close]) }),
+  evaluate({ candles, atr, sr, params, instrument }) {
+    const p = params.smc;
+    if (!p.sweep) return null;
+    const best = {};
+    for (const s of findSweeps(candles, sr, atr, p)) {
+      if (!best[s.side] || s.level.strength > best[s.side].level.strength) best[s.side] = s;
+    }
+
+    return Object.values(best).map(s => {
+      const weight = Math.min(p.sweep + (s.level.strength >= p.strongLevel ? 1 : 0), 2);
+      const bull = s.side === 'BUY';
+      return {
+        side: s.side,
+        strength: weight >= 2 ? 'strong' : 'weak',
+        reason: `Liquidity sweep ${bull ? 'below support' : 'above resistance'} ${s.level.price.toFixed(instrument.precision)} (str:${s.level.strength.toFixed(0)}), closed back ${bull ? 'above' : 'below'}`,
+        source: 'liquidity_sweep',
+        inputs: { level: s.level.price, levelStrength: s.level.strength, depthAtr: parseFloat(s.depth.toFixed(2)) }
+      };
+    });
+  }
+};
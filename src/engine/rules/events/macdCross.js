@@ -0,0 +1,14 @@
+// MACD line / signal line crossover — strong event
+export default {
+  id: 'macd_cross',
+  stage: 'event',
+  inputs: ({ ind }) => ({ macd: ind.macd?.MACD, signal: ind.macd?.signal, macdPrev: ind.macdPrev?.MACD, signalPrev: ind.macdPrev?.signal }),
+  evaluate({ ind }) {
+    if (!ind.macd || !ind.macdPrev) return null;
+    if (ind.macd.MACD > ind.macd.signal && ind.macdPrev.MACD <= ind.macdPrev.signal)
+      return { side: 'BUY', strength: 'strong', reason: 'MACD bullish crossover', source: 'macd' };
+    if (ind.macd.MACD < ind.macd.signal && ind.macdPrev.MACD >= ind.macdPrev.signal)
+      return { side: 'SELL', strength: 'strong', reason: 'MACD bearish crossover', source: 'macd' };
+    return null;
+  }
+};
@@ -0,0 +1,23 @@
+// MACD histogram turning back in the trend direction after a pullback — weak event
+// Skipped when a MACD crossover already fired on this candle
+export default {
+  id: 'macd_hist_reversal',
+  stage: 'event',
+  inputs: ({ ind }) => ({ hist: ind.macd?.histogram, histPrev: ind.macdPrev?.histogram, histPrev2: ind.macdPrev2?.histogram, price: ind.price, ema21: ind.ema21 }),
+  evaluate({ ind, sources }) {
+    if (sources.has('macd') || !ind.macd || !ind.macdPrev || !ind.macdPrev2) return null;
+    const hits = [];
+
+    const histNowRising = ind.macd.histogram > ind.macdPrev.histogram;
+    const histWasFalling = ind.macdPrev.histogram < ind.macdPrev2.histogram;
+    if (histNowRising && histWasFalling && ind.macd.histogram > 0 && ind.price > ind.ema21)
+      hits.push({ side: 'BUY', strength: 'weak', reason: 'MACD histogram turning up from pullback', source: 'macd_reversal' });
+
+    const histNowFalling = ind.macd.histogram < ind.macdPrev.histogram;
+    const histWasRising = ind.macdPrev.histogram > ind.macdPrev2.histogram;
+    if (histNowFalling && histWasRising && ind.macd.histogram < 0 && ind.price < ind.ema21)
+      hits.push({ side: 'SELL', strength: 'weak', reason: 'MACD histogram turning down from bounce', source: 'macd_reversal' });
+
+    return hits;
+  }
+};
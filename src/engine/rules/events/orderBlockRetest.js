@@ -0,0 +1,23 @@
+import { zoneRetests } from '../../SmartMoney.js';
+
+// Price came back to an unmitigated order block and closed without breaking
+// it (SmartMoney) — params.smc.orderBlock weight: 0 off, 1 weak, 2 strong
+export default {
+  id: 'order_block_retest',
+  stage: 'event',
+  optional: true,
+  indicator: 'smc',
+  evaluate({ ctx, params, instrument }) {
+    const weight = params.smc.orderBlock;
+    if (!weight) return null;
+    const fmt = (v) => v.toFixed(instrument.precision);
+
+    return zoneRetests(ctx.smc, 'order_block').map(z => ({
+      side: z.side,
+      strength: weight >= 2 ? 'strong' : 'weak',
+      reason: `Retest of ${z.side === 'BUY' ? 'bullish' : 'bearish'} order block ${fmt(z.low)}–${fmt(z.high)}`,
+      source: 'order_block',
+      inputs: { low: z.low, high: z.high, createdAt: z.createdAt }
+    }));
+  }
+};
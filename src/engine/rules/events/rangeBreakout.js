@@ -0,0 +1,15 @@
+// Close beyond the last 30-candle range with ADX confirming — weak event
+export default {
+  id: 'range_breakout',
+  stage: 'event',
+  inputs: ({ ind }) => ({ price: ind.price, rangeHigh: Math.max(...ind.recentHighs.slice(0, -1)), rangeLow: Math.min(...ind.recentLows.slice(0, -1)), adx: ind.adx?.adx }),
+  evaluate({ ind, params }) {
+    const rHigh = Math.max(...ind.recentHighs.slice(0, -1));
+    const rLow = Math.min(...ind.recentLows.slice(0, -1));
+    if (ind.price > rHigh && ind.adx && ind.adx.adx > params.adx.eventMin)
+      return { side: 'BUY', strength: 'weak', reason: 'Breakout above recent high', source: 'breakout' };
+    if (ind.price < rLow && ind.adx && ind.adx.adx > params.adx.eventMin)
+      return { side: 'SELL', strength: 'weak', reason: 'Breakdown below recent low', source: 'breakout' };
+    return null;
+  }
+};
@@ -0,0 +1,32 @@
+import { rangePosition } from '../../RegimeClassifier.js';
+
+// Mean-reversion playbook (RANGING only): the candle tags a range edge
+// (low within edgeAtr of support / high of resistance) and closes back
+// inside as a rejection candle — strong at a level of strongLevel or more
+export default {
+  id: 'range_edge_fade',
+  stage: 'event',
+  regimes: ['RANGING'],
+  inputs: ({ candles, price, atr, sr, params }) => {
+    const box = rangePosition(sr, price, atr, params.meanReversion);
+    const c = candles.at(-1);
+    return { support: box?.support.price, resistance: box?.resistance.price, pos: box?.pos, low: c?.low, high: c?.high };
+  },
+  evaluate({ candles, price, atr, sr, params, instrument }) {
+    const p = params.meanReversion;
+    const box = rangePosition(sr, price, atr, p);
+    const c = candles.at(-1);
+    if (!box || !c) return null;
+    const edge = p.edgePct / 100;
+    const fmt = (v) => v.toFixed(instrument.precision);
+
+    const { support: s, resistance: r } = box;
+    if (box.pos <= edge && c.low <= s.price + p.edgeAtr * atr && c.close > s.price && c.close > c.open) {
+      return { side: 'BUY', strength: s.strength >= p.strongLevel ? 'strong' : 'weak', reason: `Range fade: rejected support ${fmt(s.price)} (str:${s.strength.toFixed(0)}), range top ${fmt(r.price)}`, source: 'range_fade' };
+    }
+    if (box.pos >= 1 - edge && c.high >= r.price - p.edgeAtr * atr && c.close < r.price && c.close < c.open) {
+      return { side: 'SELL', strength: r.strength >= p.strongLevel ? 'strong' : 'weak', reason: `Range fade: rejected resistance ${fmt(r.price)} (str:${r.strength.toFixed(0)}), range bottom ${fmt(s.price)}`, source: 'range_fade' };
+    }
+    return null;
+  }
+};
@@ -0,0 +1,15 @@
+// RSI leaving oversold/overbought — weak event
+export default {
+  id: 'rsi_extreme_exit',
+  stage: 'event',
+  inputs: ({ ind }) => ({ rsi: ind.rsi, rsiPrev: ind.rsiPrev }),
+  evaluate({ ind, params }) {
+    if (!ind.rsi || !ind.rsiPrev) return null;
+    const { oversold, overbought } = params.rsi;
+    if (ind.rsi > oversold && ind.rsiPrev <= oversold)
+      return { side: 'BUY', strength: 'weak', reason: 'RSI exiting oversold', source: 'rsi' };
+    if (ind.rsi < overbought && ind.rsiPrev >= overbought)
+      return { side: 'SELL', strength: 'weak', reason: 'RSI exiting overbought', source: 'rsi' };
+    return null;
+  }
+};
@@ -0,0 +1,12 @@
+// RSI dipped into the pullback zone (42-58 default) of a bull trend and is turning up — weak event
+export default {
+  id: 'rsi_pullback',
+  stage: 'event',
+  inputs: ({ ind }) => ({ rsi: ind.rsi, rsiPrev: ind.rsiPrev, price: ind.price, ema9: ind.ema9, ema50: ind.ema50 }),
+  evaluate({ ind, sources, params }) {
+    if (sources.has('rsi_pullback')) return null;
+    if (ind.rsi > ind.rsiPrev && ind.rsi >= params.rsi.pullbackLow && ind.rsi <= params.rsi.pullbackHigh && ind.price > ind.ema50 && ind.ema9 > ind.ema50)
+      return { side: 'BUY', strength: 'weak', reason: 'RSI recovering from pullback zone (trend continuation)', source: 'rsi_pullback' };
+    return null;
+  }
+};
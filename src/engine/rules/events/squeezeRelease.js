@@ -0,0 +1,16 @@
+// Bollinger Bands expanding back out of the Keltner Channels after a
+// squeeze of minBars or more — weak event toward the side of the Keltner midline
+export default {
+  id: 'squeeze_release',
+  stage: 'event',
+  optional: true,
+  indicator: 'squeeze',
+  inputs: ({ ind }) => ({ price: ind.price, keltnerMiddle: ind.keltner?.middle, squeezeOn: ind.squeeze?.on, squeezeBars: ind.squeeze?.bars }),
+  evaluate({ ind, params }) {
+    const sq = ind.squeeze;
+    if (!sq || sq.on || sq.bars < params.squeeze.minBars || !ind.keltner) return null;
+    if (ind.price > ind.keltner.middle) return { side: 'BUY', strength: 'weak', reason: `Squeeze released upward after ${sq.bars} candles`, source: 'squeeze' };
+    if (ind.price < ind.keltner.middle) return { side: 'SELL', strength: 'weak', reason: `Squeeze released downward after ${sq.bars} candles`, source: 'squeeze' };
+    return null;
+  }
+};
@@ -0,0 +1,23 @@
+// Stochastic K/D crossover in the extreme zone — strong event,
+// downgraded to weak when the extreme has persisted 4+ candles (momentum move)
+export default {
+  id: 'stoch_cross',
+  stage: 'event',
+  inputs: ({ ind }) => ({ k: ind.stoch?.k, d: ind.stoch?.d, kPrev: ind.stochPrev?.k, dPrev: ind.stochPrev?.d }),
+  evaluate({ ind, momentum, params }) {
+    const { oversold, overbought } = params.stoch;
+    if (!ind.stoch || !ind.stochPrev) return null;
+
+    if (ind.stoch.k < oversold && ind.stoch.k > ind.stoch.d && ind.stochPrev.k <= ind.stochPrev.d) {
+      return momentum.stochPersistence === 'OVERSOLD_PERSISTENT'
+        ? { side: 'BUY', strength: 'weak', reason: 'Stoch bullish crossover (persistent oversold — downgraded)', source: 'stoch' }
+        : { side: 'BUY', strength: 'strong', reason: 'Stochastic bullish crossover (oversold)', source: 'stoch' };
+    }
+    if (ind.stoch.k > overbought && ind.stoch.k < ind.stoch.d && ind.stochPrev.k >= ind.stochPrev.d) {
+      return momentum.stochPersistence === 'OVERBOUGHT_PERSISTENT'
+        ? { side: 'SELL', strength: 'weak', reason: 'Stoch bearish crossover (persistent overbought — downgraded)', source: 'stoch' }
+        : { side: 'SELL', strength: 'strong', reason: 'Stochastic bearish crossover (overbought)', source: 'stoch' };
+    }
+    return null;
+  }
+};
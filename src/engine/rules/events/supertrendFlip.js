@@ -0,0 +1,14 @@
+// Supertrend changing direction — strong event
+export default {
+  id: 'supertrend_flip',
+  stage: 'event',
+  optional: true,
+  indicator: 'supertrend',
+  inputs: ({ ind }) => ({ price: ind.price, supertrend: ind.supertrend?.value, direction: ind.supertrend?.direction, directionPrev: ind.supertrendPrev?.direction }),
+  evaluate({ ind }) {
+    const st = ind.supertrend, prev = ind.supertrendPrev;
+    if (!st || !prev || st.direction === prev.direction) return null;
+    if (st.direction === 1) return { side: 'BUY', strength: 'strong', reason: 'Supertrend flipped bullish', source: 'supertrend' };
+    return { side: 'SELL', strength: 'strong', reason: 'Supertrend flipped bearish', source: 'supertrend' };
+  }
+};
@@ -0,0 +1,15 @@
+// Close crossing the session VWAP (same session only) — weak event
+export default {
+  id: 'vwap_cross',
+  stage: 'event',
+  optional: true,
+  indicator: 'vwap',
+  inputs: ({ ind }) => ({ price: ind.price, prevPrice: ind.prevPrice, vwap: ind.vwap?.vwap, vwapPrev: ind.vwapPrev?.vwap }),
+  evaluate({ ind }) {
+    const v = ind.vwap, prev = ind.vwapPrev;
+    if (!v || !prev || v.anchor !== prev.anchor) return null;
+    if (ind.price > v.vwap && ind.prevPrice <= prev.vwap) return { side: 'BUY', strength: 'weak', reason: 'Reclaimed session VWAP', source: 'vwap' };
+    if (ind.price < v.vwap && ind.prevPrice >= prev.vwap) return { side: 'SELL', strength: 'weak', reason: 'Lost session VWAP', source: 'vwap' };
+    return null;
+  }
+};
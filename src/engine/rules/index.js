@@ -0,0 +1,115 @@
+// ═══════════════════════════════════════════════════════════════════
+// DEFAULT RULE SET — registration order = evaluation order
+//
+// Adding a setup: drop a module into the matching folder and register
+// it here (or call engine.rules.register(rule, { after: 'id' }) at runtime).
+// Higher-timeframe trend rules are generated per layer of the strategy's
+// timeframe stack and slot in just before context_trend.
+// Rules with `regimes` belong to one regime's playbook (RegimeClassifier).
+// Optional rules (Ichimoku, Supertrend, squeeze, Donchian, VWAP, smart-money
+// sweeps / order blocks / FVGs, flipped-level retests) stay off until the
+// strategy's rules.enabled (or a regime / symbol block) lists them.
+// ═══════════════════════════════════════════════════════════════════
+
+import { RuleRegistry } from './RuleRegistry.js';
+
+import sessionFilter from './gates/sessionFilter.js';
+
+import emaCross from './events/emaCross.js';
+import macdCross from './events/macdCross.js';
+import stochCross from './events/stochCross.js';
+import cciCross from './events/cciCross.js';
+import rangeBreakout from './events/rangeBreakout.js';
+import rsiExtremeExit from './events/rsiExtremeExit.js';
+import ema21Reclaim from './events/ema21Reclaim.js';
+import rsiPullback from './events/rsiPullback.js';
+import macdHistReversal from './events/macdHistReversal.js';
+import candlePattern from './events/candlePattern.js';
+import divergence from './events/divergence.js';
+import rangeEdgeFade from './events/rangeEdgeFade.js';
+import ichimokuTkCross from './events/ichimokuTkCross.js';
+import supertrendFlip from './events/supertrendFlip.js';
+import squeezeRelease from './events/squeezeRelease.js';
+import donchianBreakout from './events/donchianBreakout.js';
+import vwapCross from './events/vwapCross.js';
+import liquiditySweep from './events/liquiditySweep.js';
+import orderBlockRetest from './events/orderBlockRetest.js';
+import fvgRetest from './events/fvgRetest.js';
+import flipRetest from './events/flipRetest.js';
+
+import emaAlignment from './states/emaAlignment.js';
+import priceVsEma from './states/priceVsEma.js';
+import macdBias from './states/macdBias.js';
+import macdMomentum from './states/macdMomentum.js';
+import rsiZone from './states/rsiZone.js';
+import rsiDirection from './states/rsiDirection.js';
+import stochZone from './states/stochZone.js';
+import bollingerPosition from './states/bollingerPosition.js';
+import adxDirection from './states/adxDirection.js';
+import ichimokuCloud from './states/ichimokuCloud.js';
+import supertrendDirection from './states/supertrendDirection.js';
+import vwapSide from './states/vwapSide.js';
+
+import stochExtreme from './conflicts/stochExtreme.js';
+import rsiExtreme from './conflicts/rsiExtreme.js';
+import macdHistogram from './conflicts/macdHistogram.js';
+import neutralMomentum from './conflicts/neutralMomentum.js';
+import bollingerExtreme from './conflicts/bollingerExtreme.js';
+import srProximity from './conflicts/srProximity.js';
+import rangingMarket from './conflicts/rangingMarket.js';
+import ema50Chop from './conflicts/ema50Chop.js';
+import stochPersistence from './conflicts/stochPersistence.js';
+import priceStructure from './conflicts/priceStructure.js';
+import consecutiveCandles from './conflicts/consecutiveCandles.js';
+import momentumMove from './conflicts/momentumMove.js';
+import rangeLocation from './conflicts/rangeLocation.js';
+import ichimokuInCloud from './conflicts/ichimokuInCloud.js';
+import squeezeActive from './conflicts/squeezeActive.js';
+import vwapBandExtreme from './conflicts/vwapBandExtreme.js';
+
+import { timeframeTrendRule } from './modifiers/timeframeTrend.js';
+import contextTrend from './modifiers/contextTrend.js';
+import structureBoost from './modifiers/structureBoost.js';
+import srPenalty from './modifiers/srPenalty.js';
+import srBacking from './modifiers/srBacking.js';
+import sessionQuality from './modifiers/sessionQuality.js';
+import highVolatility from './modifiers/highVolatility.js';
+import exposureGuard from './modifiers/exposureGuard.js';
+import newsBlackout from './modifiers/newsBlackout.js';
+import minConfidence from './modifiers/minConfidence.js';
+import adxGuard from './modifiers/adxGuard.js';
+import atrMinimum from './modifiers/atrMinimum.js';
+
+export const DEFAULT_RULES = [
+  sessionFilter,
+
+  // Strong events first — weak events and states check which sources already fired
+  emaCross, macdCross, stochCross,
+  cciCross, rangeBreakout, rsiExtremeExit,
+  ema21Reclaim, rsiPullback, macdHistReversal, candlePattern, divergence,
+  rangeEdgeFade,
+  ichimokuTkCross, supertrendFlip, squeezeRelease, donchianBreakout, vwapCross,
+  liquiditySweep, orderBlockRetest, fvgRetest, flipRetest,
+
+  emaAlignment, priceVsEma, macdBias, macdMomentum, rsiZone,
+  rsiDirection, stochZone, bollingerPosition, adxDirection,
+  ichimokuCloud, supertrendDirection, vwapSide,
+
+  stochExtreme, rsiExtreme, macdHistogram, neutralMomentum, bollingerExtreme,
+  srProximity, rangingMarket, ema50Chop, stochPersistence, priceStructure,
+  consecutiveCandles, momentumMove, rangeLocation,
+  ichimokuInCloud, squeezeActive, vwapBandExtreme,
+
+  // (timeframe layers, highest first) → entry context → session → news → portfolio, then the hard guards
+  contextTrend, structureBoost, srPenalty, srBacking,
+  sessionQuality, newsBlackout, highVolatility, exposureGuard, minConfidence, adxGuard, atrMinimum
+];
+
+export function createDefaultRegistry(config = {}, layerIds = []) {
+  const registry = new RuleRegistry();
+  for (const rule of DEFAULT_RULES) registry.register(rule);
+  for (const id of layerIds) registry.register(timeframeTrendRule(id), { before: 'context_trend' });
+  return registry.configure(config);
+}
+
+export { RuleRegistry };
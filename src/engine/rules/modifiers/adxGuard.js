@@ -0,0 +1,10 @@
+// ADX returning 0 means the indicator calculation failed — skip the signal
+export default {
+  id: 'adx_guard',
+  stage: 'modifier',
+  inputs: ({ ind }) => ({ adx: ind.adx?.adx || 0 }),
+  apply(d, { ind }) {
+    if ((ind.adx?.adx || 0) === 0) return { hold: ['ADX calculation error (returned 0) — skipping signal'] };
+    return null;
+  }
+};
@@ -0,0 +1,13 @@
+// Ultra-squeeze guard — volatility too low to produce clean moves (instrument minAtr).
+// Runs on HOLD results too so the histogram shows dead-market candles
+export default {
+  id: 'atr_minimum',
+  stage: 'modifier',
+  always: true,
+  inputs: ({ atr, instrument }) => ({ atr, minAtr: instrument.minAtr }),
+  apply(d, { atr, instrument }) {
+    if (atr < instrument.minAtr)
+      return { hold: [`ATR too low (${atr.toFixed(2)}) — ultra-squeeze, not tradeable`] };
+    return null;
+  }
+};
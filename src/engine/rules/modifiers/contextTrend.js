@@ -0,0 +1,29 @@
+// Entry-timeframe trend: strong counter-trend (ADX > trend.blockAdx) blocks,
+// counter-trend is penalised, with-trend is boosted
+export default {
+  id: 'context_trend',
+  stage: 'modifier',
+  inputs: ({ ctx }) => ({ adx: ctx.trendStrength }),
+  apply(d, { ctx, params }) {
+    const p = params.trend;
+    const pct = Math.round((1 - p.counterPenalty) * 100);
+
+    if (d.action === 'BUY' && ctx.trend === 'BEARISH' && ctx.trendStrength > p.blockAdx)
+      return { hold: ['BLOCKED: Strong bearish trend (ADX:' + ctx.trendStrength.toFixed(0) + ')'] };
+    if (d.action === 'SELL' && ctx.trend === 'BULLISH' && ctx.trendStrength > p.blockAdx)
+      return { hold: ['BLOCKED: Strong bullish trend (ADX:' + ctx.trendStrength.toFixed(0) + ')'] };
+
+    if (d.action === 'BUY' && ctx.trend === 'BEARISH') { d.confidence = Math.round(d.confidence * p.counterPenalty); d.warnings.push(`Against bearish trend (-${pct}%)`); }
+    if (d.action === 'SELL' && ctx.trend === 'BULLISH') { d.confidence = Math.round(d.confidence * p.counterPenalty); d.warnings.push(`Against bullish trend (-${pct}%)`); }
+
+    if (d.action === 'BUY' && ctx.trend === 'BULLISH' && ctx.trendStrength >= p.withTrendAdx) {
+      d.confidence = Math.min(Math.round(d.confidence * p.withTrendBoost), p.cap);
+      d.reasons.push(`With bullish trend (ADX:${ctx.trendStrength.toFixed(0)})`);
+    }
+    if (d.action === 'SELL' && ctx.trend === 'BEARISH' && ctx.trendStrength >= p.withTrendAdx) {
+      d.confidence = Math.min(Math.round(d.confidence * p.withTrendBoost), p.cap);
+      d.reasons.push(`With bearish trend (ADX:${ctx.trendStrength.toFixed(0)})`);
+    }
+    return null;
+  }
+};
@@ -0,0 +1,22 @@
+import { assessExposure, exposureReasons } from '../../ExposureGuard.js';
+
+// Portfolio exposure (ExposureGuard) against positions from engine.exposureSource:
+// net currency legs past exposure.maxCurrencyR or correlated risk past
+// maxCorrelatedR — HOLD when exposure.block is set, else ×exposure.penalty
+export default {
+  id: 'exposure_guard',
+  stage: 'modifier',
+  apply(d, { symbol, engine, params }) {
+    const p = params.exposure;
+    const positions = engine.exposureSource?.(symbol) || [];
+    if (positions.length === 0) return null;
+    const assessment = assessExposure({ symbol, action: d.action, positions, candles: engine.candleStore, p });
+    const inputs = { open: positions.map(pos => `${pos.action} ${pos.symbol}`), ...assessment };
+    const reasons = exposureReasons(assessment, p);
+    if (reasons.length === 0) return { inputs };
+    if (p.block) return { hold: reasons.map(r => `Exposure: ${r}`), inputs };
+    d.confidence = Math.round(d.confidence * p.penalty);
+    d.warnings.push(`Exposure (-${Math.round((1 - p.penalty) * 100)}%): ${reasons.join('; ')}`);
+    return { inputs };
+  }
+};
@@ -0,0 +1,10 @@
+// ATR expanding fast — ×volatility.highPenalty
+export default {
+  id: 'high_volatility',
+  stage: 'modifier',
+  inputs: ({ ind }) => ({ atr7: ind.atr7, atrPrev: ind.atrPrev }),
+  apply(d, { ctx, params }) {
+    if (ctx.volatility === 'HIGH') { d.confidence = Math.round(d.confidence * params.volatility.highPenalty); d.warnings.push('High volatility'); }
+    return null;
+  }
+};
@@ -0,0 +1,10 @@
+// Whatever survived the adjustments must still carry confidence.minAfterAdjustments (40 default)
+export default {
+  id: 'min_confidence',
+  stage: 'modifier',
+  inputs: ({ params }) => ({ minimum: params.confidence.minAfterAdjustments }),
+  apply(d, { params }) {
+    if (d.confidence < params.confidence.minAfterAdjustments) return { hold: ['Confidence too low after adjustments'] };
+    return null;
+  }
+};
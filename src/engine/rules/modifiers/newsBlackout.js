@@ -0,0 +1,21 @@
+import { describeEvent } from '../../EconomicCalendar.js';
+
+// Scheduled release (impact ≥ news.minImpact) on one of the symbol's currencies
+// within news.beforeMins ahead / afterMins past (EconomicCalendar) — HOLD when
+// news.block is set, else ×news.penalty
+export default {
+  id: 'news_blackout',
+  stage: 'modifier',
+  apply(d, { symbol, engine, params }) {
+    const p = params.news;
+    const now = engine.now();
+    const events = engine.economicCalendar?.blackout(symbol, now, p) || [];
+    if (events.length === 0) return null;
+    const text = events.map(e => describeEvent(e, now)).join('; ');
+    const inputs = { events: events.map(e => ({ time: new Date(e.time).toISOString(), currency: e.currency, impact: e.impact, title: e.title })) };
+    if (p.block) return { hold: [`News blackout: ${text}`], inputs };
+    d.confidence = Math.round(d.confidence * p.penalty);
+    d.warnings.push(`News risk (-${Math.round((1 - p.penalty) * 100)}%): ${text}`);
+    return { inputs };
+  }
+};
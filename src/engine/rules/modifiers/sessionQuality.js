@@ -0,0 +1,15 @@
+// Session liquidity (SessionCalendar labels): overlap and London/NY boosted, Asian penalised,
+// off-hours blocked, QUIET (24/7 instrument with no major market open) left as is
+export default {
+  id: 'session_quality',
+  stage: 'modifier',
+  inputs: ({ engine, ctx }) => ({ session: ctx.session, hourUtc: new Date(engine.now()).getUTCHours() }),
+  apply(d, { ctx, params }) {
+    const p = params.session;
+    if (ctx.session === 'OVERLAP') { d.confidence = Math.min(Math.round(d.confidence * p.overlapBoost), p.cap); d.reasons.push('London/NY overlap'); }
+    else if (ctx.session === 'LONDON' || ctx.session === 'NEW_YORK') d.confidence = Math.min(Math.round(d.confidence * p.mainBoost), p.cap);
+    else if (ctx.session === 'ASIAN') { d.confidence = Math.round(d.confidence * p.asianPenalty); d.warnings.push(`Asian session (-${Math.round((1 - p.asianPenalty) * 100)}%)`); }
+    else if (ctx.session === 'OFF_HOURS') return { hold: ['OFF_HOURS session — market closed/dead, no trading'] };
+    return null;
+  }
+};
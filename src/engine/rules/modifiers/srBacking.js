@@ -0,0 +1,25 @@
+import { zoneProximity, levelTag } from '../../SRDetector.js';
+
+// Strong zone behind the entry (default near edge within 3 ATR) to lean the stop on — ×sr.backingBoost
+export default {
+  id: 'sr_backing',
+  stage: 'modifier',
+  inputs: ({ price, atr, sr }) => ({ price, atr, resistance: sr.nearestResistance?.price, resistanceStrength: sr.nearestResistance?.strength, support: sr.nearestSupport?.price, supportStrength: sr.nearestSupport?.strength }),
+  apply(d, { price, atr, sr, params }) {
+    const p = params.sr;
+    const tag = (level) => (levelTag(level) ? `${levelTag(level)} ` : '');
+    if (d.action === 'BUY' && sr.nearestSupport && sr.nearestSupport.strength >= p.backingStrength) {
+      if (zoneProximity(price, sr.nearestSupport, 'SUPPORT').distance < atr * p.backingAtr) {
+        d.confidence = Math.min(Math.round(d.confidence * p.backingBoost), p.cap);
+        d.reasons.push(`Strong ${tag(sr.nearestSupport)}support nearby (str:${sr.nearestSupport.strength.toFixed(0)})`);
+      }
+    }
+    if (d.action === 'SELL' && sr.nearestResistance && sr.nearestResistance.strength >= p.backingStrength) {
+      if (zoneProximity(price, sr.nearestResistance, 'RESISTANCE').distance < atr * p.backingAtr) {
+        d.confidence = Math.min(Math.round(d.confidence * p.backingBoost), p.cap);
+        d.reasons.push(`Strong ${tag(sr.nearestResistance)}resistance nearby (str:${sr.nearestResistance.strength.toFixed(0)})`);
+      }
+    }
+    return null;
+  }
+};
@@ -0,0 +1,34 @@
+import { zoneProximity, levelZone, levelTag } from '../../SRDetector.js';
+
+// Trading into a nearby zone (default < 1 ATR to its near edge, or inside it, strength ≥ 50) — ×sr.nearLevelPenalty.
+// Sitting right on a strong zone is already blocked by conflicts/srProximity.js
+export default {
+  id: 'sr_penalty',
+  stage: 'modifier',
+  inputs: ({ price, atr, sr }) => ({
+    price, atr, resistance: sr.nearestResistance?.price, resistanceStrength: sr.nearestResistance?.strength, resistanceZone: sr.nearestResistance?.zone,
+    support: sr.nearestSupport?.price, supportStrength: sr.nearestSupport?.strength, supportZone: sr.nearestSupport?.zone
+  }),
+  apply(d, { price, atr, sr, params, instrument }) {
+    const p = params.sr;
+    const pct = Math.round((1 - p.nearLevelPenalty) * 100);
+    const range = (level) => { const { low, high } = levelZone(level); return `${low.toFixed(instrument.precision)}–${high.toFixed(instrument.precision)}`; };
+    const tag = (level) => (levelTag(level) ? `${levelTag(level)} ` : '');
+
+    if (d.action === 'BUY' && sr.nearestResistance) {
+      const prox = zoneProximity(price, sr.nearestResistance, 'RESISTANCE');
+      if (prox.distance < atr * p.nearLevelAtr && sr.nearestResistance.strength >= p.nearLevelStrength) {
+        d.confidence = Math.round(d.confidence * p.nearLevelPenalty);
+        d.warnings.push(`${prox.inside ? 'Inside' : 'Near'} ${tag(sr.nearestResistance)}resistance zone ${range(sr.nearestResistance)} (-${pct}%)`);
+      }
+    }
+    if (d.action === 'SELL' && sr.nearestSupport) {
+      const prox = zoneProximity(price, sr.nearestSupport, 'SUPPORT');
+      if (prox.distance < atr * p.nearLevelAtr && sr.nearestSupport.strength >= p.nearLevelStrength) {
+        d.confidence = Math.round(d.confidence * p.nearLevelPenalty);
+        d.warnings.push(`${prox.inside ? 'Inside' : 'Near'} ${tag(sr.nearestSupport)}support zone ${range(sr.nearestSupport)} (-${pct}%)`);
+      }
+    }
+    return null;
+  }
+};
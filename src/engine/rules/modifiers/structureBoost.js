@@ -0,0 +1,18 @@
+// HH/HL (or LH/LL) structure in the trade direction — ×trend.structureBoost
+export default {
+  id: 'structure_boost',
+  stage: 'modifier',
+  inputs: ({ momentum }) => ({ higherHighs: momentum.higherHighs, higherLows: momentum.higherLows, lowerHighs: momentum.lowerHighs, lowerLows: momentum.lowerLows }),
+  apply(d, { momentum, params }) {
+    const { structureBoost, cap } = params.trend;
+    if (d.action === 'BUY' && momentum.priceStructure === 'BULLISH_STRUCTURE') {
+      d.confidence = Math.min(Math.round(d.confidence * structureBoost), cap);
+      d.reasons.push('Bullish price structure');
+    }
+    if (d.action === 'SELL' && momentum.priceStructure === 'BEARISH_STRUCTURE') {
+      d.confidence = Math.min(Math.round(d.confidence * structureBoost), cap);
+      d.reasons.push('Bearish price structure');
+    }
+    return null;
+  }
+};
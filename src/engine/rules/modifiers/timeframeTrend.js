@@ -0,0 +1,41 @@
+// ═══════════════════════════════════════════════════════════
+// HIGHER-TIMEFRAME TREND FILTER — one rule per timeframe layer
+// (id `<layer>_trend`, e.g. macro_trend for the 1h layer, mtf_trend for 15min)
+// Counter-trend = block per policy.gate, else ×policy.counterPenalty;
+// aligned = ×policy.alignedBoost capped at policy.cap (see TimeframeStack)
+// ═══════════════════════════════════════════════════════════
+export function timeframeTrendRule(layerId) {
+  return {
+    id: `${layerId}_trend`,
+    stage: 'modifier',
+    apply(d, { engine, symbol }) {
+      // Layer looked up per call so a hot-reloaded policy applies immediately
+      const layer = engine.timeframes.layer(layerId);
+      const tf = engine.timeframes.trend(layerId, symbol);
+      const p = layer.policy;
+      const inputs = { timeframe: layer.timeframe, trend: tf.trend, strength: tf.strength };
+      const trend = tf.trend.toLowerCase();
+      const counter = (d.action === 'BUY' && tf.trend === 'BEARISH') || (d.action === 'SELL' && tf.trend === 'BULLISH');
+      const aligned = (d.action === 'BUY' && tf.trend === 'BULLISH') || (d.action === 'SELL' && tf.trend === 'BEARISH');
+
+      if (counter) {
+        if (p.gate === 'any' || (p.gate === 'strong' && tf.strength === 'STRONG')) {
+          const what = tf.strength === 'STRONG' ? `strongly ${trend}` : `${trend} (counter-trend)`;
+          return { hold: [`BLOCKED: ${layer.label} ${what} — ${tf.reason}`], inputs };
+        }
+        d.confidence = Math.round(d.confidence * p.counterPenalty);
+        d.warnings.push(`${layer.label} ${trend} counter-trend (-${Math.round((1 - p.counterPenalty) * 100)}%): ${tf.reason}`);
+      }
+
+      if (aligned) {
+        d.confidence = Math.min(Math.round(d.confidence * p.alignedBoost), p.cap);
+        d.reasons.push(`${layer.label} aligned ${trend}: ${tf.reason}`);
+      }
+
+      if (process.env.DEBUG_MODE === 'true') {
+        console.log(`   📈 ${layer.label}: ${tf.trend} (${tf.strength}) — ${tf.reason}`);
+      }
+      return { inputs };
+    }
+  };
+}
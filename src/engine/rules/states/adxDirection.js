@@ -0,0 +1,11 @@
+// Trending ADX with DI+/DI- giving the direction
+export default {
+  id: 'adx_direction',
+  stage: 'state',
+  inputs: ({ ind }) => ({ adx: ind.adx?.adx, pdi: ind.adx?.pdi, mdi: ind.adx?.mdi }),
+  evaluate({ ind, params }) {
+    if (!ind.adx || !(ind.adx.adx > params.adx.stateMin)) return null;
+    if (ind.adx.pdi > ind.adx.mdi) return { side: 'BUY', reason: `ADX bullish (${ind.adx.adx.toFixed(0)})` };
+    return { side: 'SELL', reason: `ADX bearish (${ind.adx.adx.toFixed(0)})` };
+  }
+};
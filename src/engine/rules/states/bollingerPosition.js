@@ -0,0 +1,13 @@
+// Price hugging the outer edge (10% default) of the Bollinger Bands
+export default {
+  id: 'bollinger_position',
+  stage: 'state',
+  inputs: ({ ind }) => ({ price: ind.price, bbLower: ind.bb?.lower, bbUpper: ind.bb?.upper }),
+  evaluate({ ind, params }) {
+    if (!ind.bb) return null;
+    const pB = (ind.price - ind.bb.lower) / (ind.bb.upper - ind.bb.lower);
+    if (pB < params.bollinger.stateLower) return { side: 'BUY', reason: 'Price at lower Bollinger Band' };
+    if (pB > params.bollinger.stateUpper) return { side: 'SELL', reason: 'Price at upper Bollinger Band' };
+    return null;
+  }
+};
@@ -0,0 +1,12 @@
+// EMA 9/21/50 stacked in one direction (skipped when an EMA cross just fired)
+export default {
+  id: 'ema_alignment',
+  stage: 'state',
+  inputs: ({ ind }) => ({ ema9: ind.ema9, ema21: ind.ema21, ema50: ind.ema50 }),
+  evaluate({ ind, sources }) {
+    if (sources.has('ema')) return null;
+    if (ind.ema9 > ind.ema21 && ind.ema21 > ind.ema50) return { side: 'BUY', reason: 'EMA bullish alignment (9>21>50)' };
+    if (ind.ema9 < ind.ema21 && ind.ema21 < ind.ema50) return { side: 'SELL', reason: 'EMA bearish alignment (9<21<50)' };
+    return null;
+  }
+};
@@ -0,0 +1,24 @@
+// Price clear of the Ichimoku cloud (by cloudBufferAtr) — above bullish, below bearish
+export function cloudSide(ind, atr, p) {
+  const k = ind.ichimoku;
+  if (!k) return null;
+  const buffer = p.cloudBufferAtr * atr;
+  if (ind.price > k.cloudTop + buffer) return 'ABOVE';
+  if (ind.price < k.cloudBottom - buffer) return 'BELOW';
+  return 'INSIDE';
+}
+
+export default {
+  id: 'ichimoku_cloud',
+  stage: 'state',
+  optional: true,
+  indicator: 'ichimoku',
+  inputs: ({ ind }) => ({ price: ind.price, cloudTop: ind.ichimoku?.cloudTop, cloudBottom: ind.ichimoku?.cloudBottom, leadA: ind.ichimoku?.leadA, leadB: ind.ichimoku?.leadB }),
+  evaluate({ ind, atr, params }) {
+    const side = cloudSide(ind, atr, params.ichimoku);
+    const k = ind.ichimoku;
+    if (side === 'ABOVE') return { side: 'BUY', reason: `Price above the Ichimoku cloud${k.leadA > k.leadB ? ', cloud ahead bullish' : ''}` };
+    if (side === 'BELOW') return { side: 'SELL', reason: `Price below the Ichimoku cloud${k.leadA < k.leadB ? ', cloud ahead bearish' : ''}` };
+    return null;
+  }
+};
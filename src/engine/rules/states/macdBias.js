@@ -0,0 +1,12 @@
+// MACD above/below signal with a matching histogram (skipped when a MACD cross just fired)
+export default {
+  id: 'macd_bias',
+  stage: 'state',
+  inputs: ({ ind }) => ({ macd: ind.macd?.MACD, signal: ind.macd?.signal, hist: ind.macd?.histogram }),
+  evaluate({ ind, sources }) {
+    if (sources.has('macd') || !ind.macd) return null;
+    if (ind.macd.MACD > ind.macd.signal && ind.macd.histogram > 0) return { side: 'BUY', reason: 'MACD bullish' };
+    if (ind.macd.MACD < ind.macd.signal && ind.macd.histogram < 0) return { side: 'SELL', reason: 'MACD bearish' };
+    return null;
+  }
+};
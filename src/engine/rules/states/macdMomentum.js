@@ -0,0 +1,13 @@
+// Histogram expanding for 3 candles on the same side of zero
+export default {
+  id: 'macd_momentum',
+  stage: 'state',
+  inputs: ({ ind }) => ({ hist: ind.macd?.histogram, histPrev: ind.macdPrev?.histogram, histPrev2: ind.macdPrev2?.histogram }),
+  evaluate({ ind, sources }) {
+    if (sources.has('macd') || !ind.macd || !ind.macdPrev || !ind.macdPrev2) return null;
+    const h = ind.macd.histogram, h1 = ind.macdPrev.histogram, h2 = ind.macdPrev2.histogram;
+    if (h > h1 && h1 > h2 && h > 0) return { side: 'BUY', reason: 'MACD momentum building' };
+    if (h < h1 && h1 < h2 && h < 0) return { side: 'SELL', reason: 'MACD sell momentum' };
+    return null;
+  }
+};
@@ -0,0 +1,11 @@
+// Price on one side of both EMA 21 and EMA 50
+export default {
+  id: 'price_vs_ema',
+  stage: 'state',
+  inputs: ({ ind }) => ({ price: ind.price, ema21: ind.ema21, ema50: ind.ema50 }),
+  evaluate({ ind }) {
+    if (ind.price > ind.ema21 && ind.price > ind.ema50) return { side: 'BUY', reason: 'Price above EMA 21 & 50' };
+    if (ind.price < ind.ema21 && ind.price < ind.ema50) return { side: 'SELL', reason: 'Price below EMA 21 & 50' };
+    return null;
+  }
+};
@@ -0,0 +1,12 @@
+// RSI turning from a low/high reading
+export default {
+  id: 'rsi_direction',
+  stage: 'state',
+  inputs: ({ ind }) => ({ rsi: ind.rsi, rsiPrev: ind.rsiPrev }),
+  evaluate({ ind, params }) {
+    if (!ind.rsiPrev) return null;
+    if (ind.rsi > ind.rsiPrev && ind.rsi < params.rsi.risingBelow) return { side: 'BUY', reason: 'RSI rising from low' };
+    if (ind.rsi < ind.rsiPrev && ind.rsi > params.rsi.fallingAbove) return { side: 'SELL', reason: 'RSI falling from high' };
+    return null;
+  }
+};
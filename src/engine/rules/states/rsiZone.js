@@ -0,0 +1,11 @@
+// RSI in the oversold/overbought zone
+export default {
+  id: 'rsi_zone',
+  stage: 'state',
+  inputs: ({ ind }) => ({ rsi: ind.rsi }),
+  evaluate({ ind, params }) {
+    if (ind.rsi < params.rsi.stateOversold) return { side: 'BUY', reason: `RSI oversold (${ind.rsi.toFixed(1)})` };
+    if (ind.rsi > params.rsi.stateOverbought) return { side: 'SELL', reason: `RSI overbought (${ind.rsi.toFixed(1)})` };
+    return null;
+  }
+};
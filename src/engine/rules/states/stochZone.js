@@ -0,0 +1,13 @@
+// Stochastic K and D both in the extreme zone (skipped when a Stoch cross just fired)
+export default {
+  id: 'stoch_zone',
+  stage: 'state',
+  inputs: ({ ind }) => ({ k: ind.stoch?.k, d: ind.stoch?.d }),
+  evaluate({ ind, sources, params }) {
+    if (sources.has('stoch') || !ind.stoch) return null;
+    const { stateOversold, stateOverbought } = params.stoch;
+    if (ind.stoch.k < stateOversold && ind.stoch.d < stateOversold) return { side: 'BUY', reason: 'Stochastic oversold' };
+    if (ind.stoch.k > stateOverbought && ind.stoch.d > stateOverbought) return { side: 'SELL', reason: 'Stochastic overbought' };
+    return null;
+  }
+};
@@ -0,0 +1,14 @@
+// Price on the Supertrend's side (skipped when it just flipped)
+export default {
+  id: 'supertrend_direction',
+  stage: 'state',
+  optional: true,
+  indicator: 'supertrend',
+  inputs: ({ ind }) => ({ price: ind.price, supertrend: ind.supertrend?.value, direction: ind.supertrend?.direction }),
+  evaluate({ ind, sources }) {
+    if (sources.has('supertrend') || !ind.supertrend) return null;
+    return ind.supertrend.direction === 1
+      ? { side: 'BUY', reason: 'Supertrend bullish' }
+      : { side: 'SELL', reason: 'Supertrend bearish' };
+  }
+};
@@ -0,0 +1,14 @@
+// Price above / below the session VWAP (skipped when it just crossed)
+export default {
+  id: 'vwap_side',
+  stage: 'state',
+  optional: true,
+  indicator: 'vwap',
+  inputs: ({ ind }) => ({ price: ind.price, vwap: ind.vwap?.vwap }),
+  evaluate({ ind, sources }) {
+    if (sources.has('vwap') || !ind.vwap) return null;
+    if (ind.price > ind.vwap.vwap) return { side: 'BUY', reason: 'Price above session VWAP' };
+    if (ind.price < ind.vwap.vwap) return { side: 'SELL', reason: 'Price below session VWAP' };
+    return null;
+  }
+};
@@ -0,0 +1,128 @@
+// ═══════════════════════════════════════════════════════════════════
+// REPLAY.JS — re-runs a recorded live feed through the agent
+//
+// Usage:
+//   RECORD_FILE=./data/feed.jsonl npm start           (record a live run)
+//   node src/replay.js --recording ./data/feed.jsonl
+//   node src/replay.js --recording ./data/feed.jsonl --run 2 --tracker ./data/replay_signals.json --levels ./data/replay_levels.json
+//   node src/replay.js --recording ./data/feed.jsonl --compare ./data/signals.json
+//
+// The agent gets a ReplayClock set to the time each event reached the
+// live run, the recorded settings, strategy and open positions, and the
+// same files for instruments, sessions, calendar and calibration. Nothing
+// is sent or executed. Signals go to their own tracker file and the S/R
+// level book starts from the recorded one in its own file; --compare
+// checks them against the live tracker by id (signal ids are clock time).
+// ═══════════════════════════════════════════════════════════════════
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs';
+import path from 'path';
+import { TradingAgent } from './TradingAgent.js';
+import { StrategyConfig } from './engine/StrategyConfig.js';
+import { ReplayClock } from './engine/Clock.js';
+import { readRecording, ReplayFeed } from './services/FeedRecording.js';
+import { TelegramService } from './services/TelegramService.js';
+
+// ── CLI ARGS ──
+const args = process.argv.slice(2);
+const getArg = (name, def) => {
+  const idx = args.indexOf(`--${name}`);
+  return idx !== -1 ? args[idx + 1] : def;
+};
+
+const RECORDING = getArg('recording', process.env.RECORD_FILE);
+const RUN = parseInt(getArg('run', '1'));
+const TRACKER_FILE = getArg('tracker', './data/replay_signals.json');
+const LEVELS_FILE = getArg('levels', './data/replay_levels.json');
+const COMPARE_FILE = getArg('compare', null);
+
+// What has to match between the live and the replayed tracker entry
+const COMPARED = ['action', 'entryPrice', 'stopLoss', 'takeProfit', 'confidence', 'status', 'closePrice', 'closeTime', 'pnlR'];
+const OPEN_STATES = ['OPEN', 'PENDING'];
+
+async function main() {
+  if (!RECORDING) throw new Error('No recording — pass --recording <file> (written by the agent with RECORD_FILE set)');
+  const events = readRecording(RECORDING, RUN);
+  const [start, ...feed] = events;
+  const end = feed.length ? feed[feed.length - 1].at : start.at;
+  console.log(`📼 ${RECORDING} run ${RUN}: ${feed.length} events, ${new Date(start.at).toISOString()} → ${new Date(end).toISOString()}`);
+
+  // A replay never notifies or trades
+  delete process.env.DISCORD_WEBHOOK_URL;
+  delete process.env.TELEGRAM_BOT_TOKEN;
+
+  // The replayed tracker starts from the positions that were open live
+  fs.mkdirSync(path.dirname(path.resolve(TRACKER_FILE)), { recursive: true });
+  fs.writeFileSync(TRACKER_FILE, JSON.stringify(start.positions, null, 2));
+  const known = new Set(start.positions.map(s => s.id));
+  // ...and the level book from the one the live run loaded (older recordings have none)
+  fs.mkdirSync(path.dirname(path.resolve(LEVELS_FILE)), { recursive: true });
+  fs.writeFileSync(LEVELS_FILE, JSON.stringify(start.levels || { symbols: {} }, null, 2));
+
+  const clock = new ReplayClock(start.at);
+  const marketData = new ReplayFeed(start);
+  const agent = new TradingAgent({
+    clock,
+    settings: { ...start.settings, mt5Enabled: false },
+    strategy: new StrategyConfig(start.strategy, `${RECORDING} (recorded)`),
+    marketData,
+    notifier: new TelegramService(),
+    trackerFile: TRACKER_FILE,
+    levelsFile: LEVELS_FILE,
+    watchStrategy: false
+  });
+  await agent.start();
+
+  for (const ev of feed) {
+    clock.set(ev.at);
+    if (ev.type === 'candle' || ev.type === 'candleClose') marketData.emit(ev.type, ev.candle);
+    else if (ev.type === 'layerCandle') marketData.emit('layerCandle', ev.layer, ev.candle);
+    else if (ev.type === 'strategy') agent.signalEngine.setStrategy(new StrategyConfig(ev.strategy, `${RECORDING} (reload)`));
+    await agent.queue;
+  }
+
+  const replayed = agent.tracker.signals.filter(s => !known.has(s.id));
+  console.log('\n' + '═'.repeat(70));
+  console.log(`📼 REPLAY — ${replayed.length} signal(s)`);
+  console.log('═'.repeat(70));
+  for (const s of replayed) {
+    const pnl = s.pnlR !== null ? ` ${s.pnlR > 0 ? '+' : ''}${s.pnlR}R` : '';
+    console.log(`  ${s.timestampStr.slice(0, 16).replace('T', ' ')} ${s.action.padEnd(4)} ${s.symbol} @ ${s.entryPrice} (${s.confidence}%) → ${s.status}${pnl}`);
+  }
+
+  if (!COMPARE_FILE) return;
+
+  // ── COMPARE WITH THE LIVE TRACKER ──
+  const live = JSON.parse(fs.readFileSync(COMPARE_FILE, 'utf8')).filter(s => s.timestamp >= start.at && s.timestamp <= end);
+  const byId = new Map(replayed.map(s => [s.id, s]));
+  const diffs = [];
+  for (const l of live) {
+    const r = byId.get(l.id);
+    if (!r) { diffs.push(`${l.id}: live only (${l.action} ${l.symbol})`); continue; }
+    byId.delete(l.id);
+    // A live close after the recording ended is still open in the replay
+    const expected = l.closeTime !== null && l.closeTime > end
+      ? { ...l, status: OPEN_STATES.includes(r.status) ? r.status : 'OPEN', closePrice: null, closeTime: null, pnlR: null }
+      : l;
+    const fields = COMPARED.filter(f => JSON.stringify(expected[f]) !== JSON.stringify(r[f]));
+    if (fields.length) diffs.push(`${l.id}: ${fields.map(f => `${f} live ${expected[f]} / replay ${r[f]}`).join(', ')}`);
+  }
+  for (const r of byId.values()) diffs.push(`${r.id}: replay only (${r.action} ${r.symbol})`);
+
+  console.log(`\n🔍 Live tracker (${COMPARE_FILE}): ${live.length} signal(s) in the recording window`);
+  if (diffs.length === 0) {
+    console.log('✅ Replay matches the live run');
+    return;
+  }
+  console.log(`❌ ${diffs.length} difference(s):`);
+  for (const d of diffs) console.log(`  ${d}`);
+  process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error('Replay failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+// ═══════════════════════════════════════════════════════════════════
+// FEED RECORDING — the live agent's inputs as JSON lines, for src/replay.js
+//
+// One event per line, `at` = the agent's clock when it arrived:
+//   { at, type: 'start', settings, strategy, positions, levels, history }
+//       settings   agentSettings() of the run
+//       positions  tracker entries still OPEN / PENDING at startup
+//       levels     the S/R level book as loaded at startup (LevelBook)
+//       history    warm-up candles: { entry: { symbol: [...] }, layers: { id: { symbol: [...] } } }
+//   { at, type: 'candle' | 'candleClose', candle }   entry timeframe
+//   { at, type: 'layerCandle', layer, candle }       higher-timeframe layer
+//   { at, type: 'strategy', strategy }               accepted hot reload
+//
+// ReplayFeed stands in for MarketDataService: it serves the recorded
+// warm-up and re-emits the events it is handed.
+// ═══════════════════════════════════════════════════════════════════
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+export class FeedRecorder {
+  constructor(file, clock) {
+    this.file = path.resolve(file);
+    this.clock = clock;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+  }
+
+  write(type, data = {}) {
+    try {
+      fs.appendFileSync(this.file, JSON.stringify({ at: this.clock.now(), type, ...data }) + '\n');
+    } catch (err) {
+      console.error('FeedRecorder write error:', err.message);
+    }
+  }
+
+  // Everything a replay needs before the first live event
+  start(agent) {
+    const { watchlist } = agent;
+    const layers = agent.signalEngine.timeframes.layers;
+    this.write('start', {
+      settings: agent.settings,
+      strategy: agent.signalEngine.strategy,
+      positions: agent.tracker.signals.filter(s => s.status === 'OPEN' || s.status === 'PENDING'),
+      levels: agent.signalEngine.levelBook.toJSON(),
+      history: {
+        entry: Object.fromEntries(watchlist.map(s => [s, agent.marketData.getCandles(s)])),
+        layers: Object.fromEntries(layers.map(l => [l.id, Object.fromEntries(watchlist.map(s => [s, agent.marketData.getLayerCandles(l.id, s)]))]))
+      }
+    });
+    console.log(`⏺ Recording feed to ${this.file}`);
+  }
+}
+
+// → the events of one run, [{ at, type, ... }] in file order. RECORD_FILE is
+// appended to, so a file holds one run per agent start (run 1 = the first)
+export function readRecording(file, run = 1) {
+  const fullPath = path.resolve(file);
+  let events;
+  try {
+    events = fs.readFileSync(fullPath, 'utf8').split('\n').filter(l => l.trim()).map(l => JSON.parse(l));
+  } catch (err) {
+    throw new Error(`Could not read recording ${fullPath}: ${err.message}`);
+  }
+  const starts = events.map((e, i) => (e.type === 'start' ? i : -1)).filter(i => i !== -1);
+  if (starts[0] !== 0) throw new Error(`${fullPath}: a recording starts with a 'start' event`);
+  if (!(run >= 1 && run <= starts.length)) throw new Error(`${fullPath}: run ${run} not found (${starts.length} recorded)`);
+  return events.slice(starts[run - 1], starts[run] ?? events.length);
+}
+
+export class ReplayFeed extends EventEmitter {
+  constructor(start) {
+    super();
+    this.history = start.history;
+  }
+
+  async fetchHistoricalData() {}
+
+  getCandles(symbol) {
+    return this.history.entry[symbol] || [];
+  }
+
+  getLayerCandles(layerId, symbol) {
+    return this.history.layers[layerId]?.[symbol] || [];
+  }
+
+  async startPolling() {}
+
+  stop() {}
+
+  getHealthStatus() {
+    return { replay: true, apiCreditsUsedToday: 0 };
+  }
+}
@@ -1,7 +1,19 @@
 import axios from 'axios';
 
+// ═══════════════════════════════════════════════════════════════════
+// MT5 BRIDGE — POSTs signals to the MT5 trade server
+//
+// A trade carries stopLoss / takeProfit (TP2, the main target) for servers
+// that place one order with a fixed SL/TP, plus the full trade plan
+// (TradePlan): targets with their close %, breakeven and trailing rules.
+// The tracker scores the plan, so a server that doesn't manage it — its
+// response lacks planManaged: true — executes a different trade than the
+// one recorded; that is logged as a warning on every such trade.
+// ═══════════════════════════════════════════════════════════════════
+
 export class MT5Bridge {
-  constructor() {
+  constructor(instruments = null) {
+    this.instruments = instruments; // InstrumentRegistry — broker symbol, precision, contract size
     this.enabled = process.env.MT5_ENABLED === 'true';
     this.serverUrl = process.env.MT5_SERVER_URL || 'http://localhost:5000';
     
@@ -16,14 +28,26 @@ export class MT5Bridge {
       return null;
     }
 
+    const lotSize = 0.01; // Start small - adjust based on your risk
+    const round = (price) => this.roundPrice(signal.symbol, price);
+    if (this.instruments?.has(signal.symbol)) {
+      const { contractSize } = this.instruments.get(signal.symbol);
+      const riskPerTrade = Math.abs(signal.price - signal.stopLoss) * contractSize * lotSize;
+      console.log(`🔗 MT5 risk: ${this.instruments.toPips(signal.symbol, Math.abs(signal.price - signal.stopLoss)).toFixed(1)} pips ≈ ${riskPerTrade.toFixed(2)} (quote ccy) at ${lotSize} lot`);
+    }
+
     try {
       const response = await axios.post(`${this.serverUrl}/trade`, {
         symbol: this.convertSymbol(signal.symbol),
         action: signal.action,
-        price: signal.price,
-        stopLoss: signal.stopLoss,
-        takeProfit: signal.takeProfit,
-        lotSize: 0.01, // Start small - adjust based on your risk
+        price: round(signal.price),
+        stopLoss: round(signal.stopLoss),
+        takeProfit: round(signal.takeProfit),
+        ...(signal.plan && { plan: this.planPayload(signal.plan, round) }),
+        // Limit entries rest at the pullback level until filled or expired
+        orderType: signal.entryType === 'limit' ? 'LIMIT' : 'MARKET',
+        ...(signal.pending?.expiresAt && { expiration: Math.floor(signal.pending.expiresAt / 1000) }),
+        lotSize,
         comment: `Signal-${signal.confidence}%`
       }, {
         timeout: 10000
@@ -31,6 +55,9 @@ export class MT5Bridge {
 
       if (response.data.success) {
         console.log('✅ MT5 Trade executed:', response.data);
+        if (signal.plan && !response.data.planManaged) {
+          console.warn(`⚠️ MT5 placed ${signal.symbol} with a single TP ${round(signal.takeProfit)} and a fixed SL — partial closes, breakeven and trailing are tracked but not executed, so MT5 P&L will differ from the tracker`);
+        }
         return response.data;
       } else {
         console.error('❌ MT5 Trade failed:', response.data.error);
@@ -42,12 +69,22 @@ export class MT5Bridge {
     }
   }
 
+  // Trade plan for the server: prices rounded to the symbol, stop rules as in TradePlan
+  planPayload(plan, round) {
+    return {
+      targets: plan.targets.map(t => ({ label: t.label, price: round(t.price), closePct: t.closePct })),
+      breakeven: plan.breakeven ? { after: plan.breakeven.after, price: round(plan.breakeven.price) } : null,
+      trailing: plan.trailing ? { after: plan.trailing.after, atr: plan.atr, atrMul: plan.trailing.atrMul, swingBars: plan.trailing.swingBars } : null
+    };
+  }
+
   async getPositions() {
     if (!this.enabled) return [];
 
     try {
       const response = await axios.get(`${this.serverUrl}/positions`);
-      return response.data.positions || [];
+      // Tag each position with the watchlist symbol it maps to (null if unmapped)
+      return (response.data.positions || []).map(p => ({ ...p, signalSymbol: this.instruments?.fromBroker(p.symbol) ?? null }));
     } catch (err) {
       console.error('❌ Failed to get MT5 positions:', err.message);
       return [];
@@ -66,8 +103,15 @@ export class MT5Bridge {
     }
   }
 
-  // Convert symbol format (EUR/USD -> EURUSD)
+  // Broker symbol from the instrument registry (EUR/USD -> EURUSD by default)
   convertSymbol(symbol) {
+    if (this.instruments?.has(symbol)) return this.instruments.toBroker(symbol);
     return symbol.replace('/', '');
   }
+
+  // Brokers reject prices with more decimals than the symbol supports
+  roundPrice(symbol, price) {
+    if (!this.instruments?.has(symbol)) return price;
+    return this.instruments.roundPrice(symbol, price);
+  }
 }
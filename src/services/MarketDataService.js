@@ -1,9 +1,16 @@
 import { EventEmitter } from 'events';
 import axios from 'axios';
+import { systemClock } from '../engine/Clock.js';
 
 export class MarketDataService extends EventEmitter {
-  constructor(symbols, timeframe) {
+  // Entry candles → 'candle' (every poll, forming candle included) and
+  //   'candleClose' (once per candle, when a later candle shows up)
+  // layers: higher-timeframe feeds from the strategy's timeframe stack
+  //   [{ id, label, timeframe, history, buffer }] → 'layerCandle' (layerId, candle) events
+  // clock: schedules the daily credit reset (API rate limits stay on wall time)
+  constructor(symbols, timeframe, layers = [], { clock = systemClock } = {}) {
     super();
+    this.clock = clock;
     this.symbols = symbols;
     this.timeframe = this.normalizeTimeframe(timeframe);
     // ── API KEY ROTATION (up to 3 accounts, falls back on daily limit) ──
@@ -18,17 +25,19 @@ export class MarketDataService extends EventEmitter {
     console.log(`🔑 API Key Rotation: ${this.apiKeys.length} key(s) loaded`);
     this.candleBuffers = new Map();
 
-    // 15min secondary timeframe buffer
-    this.candleBuffers15m = new Map();
-    this.lastCandle15mTimestamps = new Map();
-
-    // 1h macro timeframe buffer
-    this.candleBuffers1h = new Map();
-    this.lastCandle1hTimestamps = new Map();
+    // One buffer + poller per higher-timeframe layer
+    this.layers = layers.map(l => ({
+      id: l.id,
+      label: l.label || l.timeframe,
+      timeframe: this.normalizeTimeframe(l.timeframe),
+      history: l.history || 150,
+      buffer: l.buffer || 300,
+      buffers: new Map(),
+      lastTimestamps: new Map(),
+      pollInterval: null
+    }));
 
     this.pollInterval = null;
-    this.poll15mInterval = null;
-    this.poll1hInterval = null;
 
     // ── RATE LIMIT MANAGEMENT ──
     this.apiCreditsUsed = 0;
@@ -39,6 +48,7 @@ export class MarketDataService extends EventEmitter {
     this.lastMinuteReset = Date.now();
 
     this.lastCandleTimestamps = new Map();
+    this.closedCandleTimestamps = new Map();
 
     this.maxRetries = 3;
     this.retryDelay = 5000;
@@ -63,28 +73,28 @@ export class MarketDataService extends EventEmitter {
     return normalized;
   }
 
-  // ── FETCH 1H HISTORICAL FOR MACRO TREND ──
-  async fetchHistorical1h(symbol) {
+  // ── FETCH HISTORY FOR ONE TIMEFRAME LAYER ──
+  async fetchLayerHistory(layer, symbol) {
     try {
-      console.log(`   Fetching ${symbol} (1h macro)...`);
+      console.log(`   Fetching ${symbol} (${layer.timeframe} ${layer.id})...`);
       const data = await this.apiCall({
         symbol,
-        interval: '1h',
-        outputsize: 200
+        interval: layer.timeframe,
+        outputsize: layer.history
       });
 
       if (!data?.values) {
-        console.warn(`   ⚠️ No 1h data for ${symbol}`);
+        console.warn(`   ⚠️ No ${layer.timeframe} data for ${symbol}`);
         return [];
       }
 
-      const candles = this._parseCandles(symbol, data.values);
-      this.candleBuffers1h.set(symbol, candles);
-      this.lastCandle1hTimestamps.set(symbol, candles[candles.length - 1].timestamp);
-      console.log(`   ✅ 1h: ${candles.length} candles for ${symbol} (Macro loaded)`);
+      const candles = this._parseCandles(symbol, data.values).slice(-layer.buffer);
+      layer.buffers.set(symbol, candles);
+      layer.lastTimestamps.set(symbol, candles[candles.length - 1].timestamp);
+      console.log(`   ✅ ${layer.timeframe}: ${candles.length} candles for ${symbol} (${layer.label} loaded)`);
       return candles;
     } catch (err) {
-      console.error(`   ❌ 1h fetch error for ${symbol}:`, err.message);
+      console.error(`   ❌ ${layer.timeframe} fetch error for ${symbol}:`, err.message);
       return [];
     }
   }
@@ -98,30 +108,31 @@ export class MarketDataService extends EventEmitter {
 
   async startPolling() {
     const intervalMs = this.getSmartInterval();
-    console.log(`⏱ Smart polling every ${intervalMs / 1000} seconds (5min)`);
-    console.log(`⏱ 15min polling every 910 seconds`);
-    console.log(`⏱ 1h macro polling every 3600 seconds`);
-    console.log(`   Estimated daily API calls: ~${this.estimateDailyCalls(intervalMs)} (5min) + ~${this.estimateDailyCalls(910000)} (15min) + ~${this.estimateDailyCalls(3600000)} (1h)\n`);
+    console.log(`⏱ Smart polling every ${intervalMs / 1000} seconds (${this.timeframe})`);
+    for (const layer of this.layers) {
+      console.log(`⏱ ${layer.label} polling every ${this.getIntervalMs(layer.timeframe) / 1000} seconds`);
+    }
+    const estimates = [
+      `~${this.estimateDailyCalls(intervalMs)} (${this.timeframe})`,
+      ...this.layers.map(l => `~${this.estimateDailyCalls(this.getIntervalMs(l.timeframe))} (${l.timeframe})`)
+    ];
+    console.log(`   Estimated daily API calls: ${estimates.join(' + ')}\n`);
 
     // First fetch
     console.log('🔍 Fetching first real-time data...\n');
     await this.fetchLatestCandles();
-    await this.fetchLatest15mCandles();
-    await this.fetchLatest1hCandles();
+    for (const layer of this.layers) await this.fetchLatestLayerCandles(layer);
 
     this.pollInterval = setInterval(() => {
       this.fetchLatestCandles();
     }, intervalMs);
 
-    // Poll 15min candles every ~15min (910s)
-    this.poll15mInterval = setInterval(() => {
-      this.fetchLatest15mCandles();
-    }, 910000);
-
-    // Poll 1h candles every hour (3605s)
-    this.poll1hInterval = setInterval(() => {
-      this.fetchLatest1hCandles();
-    }, 3605000);
+    // Each layer polls at its own bar interval
+    for (const layer of this.layers) {
+      layer.pollInterval = setInterval(() => {
+        this.fetchLatestLayerCandles(layer);
+      }, this.getIntervalMs(layer.timeframe));
+    }
   }
 
   getSmartInterval() {
@@ -242,11 +253,11 @@ export class MarketDataService extends EventEmitter {
   }
 
   async fetchHistoricalData() {
-    console.log('\n📥 Fetching historical data (5min + 15min)...');
+    console.log(`\n📥 Fetching historical data (${[this.timeframe, ...this.layers.map(l => l.timeframe)].join(' + ')})...`);
 
     for (const symbol of this.symbols) {
-      // ── 5min historical ──
-      console.log(`   Fetching ${symbol} (5min)...`);
+      // ── Entry timeframe historical ──
+      console.log(`   Fetching ${symbol} (${this.timeframe})...`);
       const data = await this.apiCall({
         symbol,
         interval: this.timeframe,
@@ -257,118 +268,49 @@ export class MarketDataService extends EventEmitter {
         const candles = this._parseCandles(symbol, data.values);
         this.candleBuffers.set(symbol, candles);
         this.lastCandleTimestamps.set(symbol, candles[candles.length - 1].timestamp);
-        console.log(`   ✅ 5min: ${candles.length} candles for ${symbol} (Price: ${candles[candles.length - 1].close})`);
+        console.log(`   ✅ ${this.timeframe}: ${candles.length} candles for ${symbol} (Price: ${candles[candles.length - 1].close})`);
       } else {
-        console.error(`   ❌ No 5min data for ${symbol}`);
+        console.error(`   ❌ No ${this.timeframe} data for ${symbol}`);
       }
 
       await this.sleep(1500);
 
-      // ── 15min historical ──
-      console.log(`   Fetching ${symbol} (15min)...`);
-      const data15m = await this.apiCall({
-        symbol,
-        interval: '15min',
-        outputsize: 150
-      });
-
-      if (data15m?.values) {
-        const candles15m = this._parseCandles(symbol, data15m.values);
-        this.candleBuffers15m.set(symbol, candles15m);
-        this.lastCandle15mTimestamps.set(symbol, candles15m[candles15m.length - 1].timestamp);
-        console.log(`   ✅ 15min: ${candles15m.length} candles for ${symbol}`);
-        this.emit('candles15mLoaded', symbol, candles15m);
-      } else {
-        console.error(`   ❌ No 15min data for ${symbol}`);
+      // ── Layer historicals ──
+      for (const layer of this.layers) {
+        await this.fetchLayerHistory(layer, symbol);
+        await this.sleep(1500);
       }
-
-      await this.sleep(1500);
     }
 
     console.log(`📥 Historical data complete (API credits used: ${this.apiCreditsDaily})\n`);
   }
 
-  // ── FETCH LATEST 1H CANDLES (live polling) ──
-  async fetchLatest1hCandles() {
+  // ── FETCH LATEST CANDLES FOR ONE TIMEFRAME LAYER (live polling) ──
+  async fetchLatestLayerCandles(layer) {
     if (!this.isHealthy) return;
 
     for (const symbol of this.symbols) {
       const data = await this.apiCall({
         symbol,
-        interval: '1h',
+        interval: layer.timeframe,
         outputsize: 3
       });
 
       if (!data?.values) continue;
 
-      for (const v of data.values.reverse()) {
-        const candle = {
-          symbol,
-          timestamp: new Date(v.datetime).getTime(),
-          open: parseFloat(v.open),
-          high: parseFloat(v.high),
-          low: parseFloat(v.low),
-          close: parseFloat(v.close),
-          volume: parseFloat(v.volume || 0)
-        };
-
-        const buffer = this.candleBuffers1h.get(symbol) || [];
+      for (const candle of this._parseCandles(symbol, data.values)) {
+        const buffer = layer.buffers.get(symbol) || [];
         const lastCandle = buffer[buffer.length - 1];
 
         if (!lastCandle || candle.timestamp > lastCandle.timestamp) {
           buffer.push(candle);
-          if (buffer.length > 300) buffer.shift();
-          this.candleBuffers1h.set(symbol, buffer);
-          this.lastCandle1hTimestamps.set(symbol, candle.timestamp);
-          this.emit('candle1h', candle);
+          if (buffer.length > layer.buffer) buffer.shift();
+          layer.buffers.set(symbol, buffer);
+          layer.lastTimestamps.set(symbol, candle.timestamp);
+          this.emit('layerCandle', layer.id, candle);
         } else if (candle.timestamp === lastCandle.timestamp) {
           buffer[buffer.length - 1] = candle;
-          this.candleBuffers1h.set(symbol, buffer);
-          this.emit('candle1h', candle);
-        }
-      }
-
-      await this.sleep(800);
-    }
-  }
-
-  // ── FETCH LATEST 15MIN CANDLES ──
-  async fetchLatest15mCandles() {
-    if (!this.isHealthy) return;
-
-    for (const symbol of this.symbols) {
-      const data = await this.apiCall({
-        symbol,
-        interval: '15min',
-        outputsize: 3
-      });
-
-      if (!data?.values) continue;
-
-      for (const v of data.values.reverse()) {
-        const candle = {
-          symbol,
-          timestamp: new Date(v.datetime).getTime(),
-          open: parseFloat(v.open),
-          high: parseFloat(v.high),
-          low: parseFloat(v.low),
-          close: parseFloat(v.close),
-          volume: parseFloat(v.volume || 0)
-        };
-
-        const buffer = this.candleBuffers15m.get(symbol) || [];
-        const lastCandle = buffer[buffer.length - 1];
-
-        if (!lastCandle || candle.timestamp > lastCandle.timestamp) {
-          buffer.push(candle);
-          if (buffer.length > 300) buffer.shift();
-          this.candleBuffers15m.set(symbol, buffer);
-          this.lastCandle15mTimestamps.set(symbol, candle.timestamp);
-          this.emit('candle15m', candle);
-        } else if (candle.timestamp === lastCandle.timestamp) {
-          buffer[buffer.length - 1] = candle;
-          this.candleBuffers15m.set(symbol, buffer);
-          this.emit('candle15m', candle);
+          this.emit('layerCandle', layer.id, candle);
         }
       }
 
@@ -407,6 +349,8 @@ export class MarketDataService extends EventEmitter {
         const lastCandle = buffer[buffer.length - 1];
 
         if (!lastCandle || candle.timestamp > lastCandle.timestamp) {
+          // A later candle means the previous one is complete
+          if (lastCandle) this._closeCandle(lastCandle);
           buffer.push(candle);
           if (buffer.length > 300) buffer.shift();
           this.candleBuffers.set(symbol, buffer);
@@ -430,6 +374,13 @@ export class MarketDataService extends EventEmitter {
     }
   }
 
+  // 'candleClose' at most once per candle, with its final values
+  _closeCandle(candle) {
+    if (this.closedCandleTimestamps.get(candle.symbol) >= candle.timestamp) return;
+    this.closedCandleTimestamps.set(candle.symbol, candle.timestamp);
+    this.emit('candleClose', candle);
+  }
+
   _parseCandles(symbol, values) {
     return values.reverse().map(v => ({
       symbol,
@@ -446,15 +397,11 @@ export class MarketDataService extends EventEmitter {
     return this.candleBuffers.get(symbol) || [];
   }
 
-  getCandles15m(symbol) {
-    return this.candleBuffers15m.get(symbol) || [];
+  getLayerCandles(layerId, symbol) {
+    return this.layers.find(l => l.id === layerId)?.buffers.get(symbol) || [];
   }
 
-  getCandles1h(symbol) {
-    return this.candleBuffers1h.get(symbol) || [];
-  }
-
-  getIntervalMs() {
+  getIntervalMs(timeframe = this.timeframe) {
     const map = {
       '1min': 65000,
       '5min': 305000,
@@ -465,19 +412,20 @@ export class MarketDataService extends EventEmitter {
       '2h': 7210000,
       '4h': 14410000,
       '1day': 3600000,
+      '1week': 3600000,
     };
-    return map[this.timeframe] || 305000;
+    return map[timeframe] || 305000;
   }
 
   scheduleDailyReset() {
-    const now = new Date();
+    const now = new Date(this.clock.now());
     const tomorrow = new Date(now);
     tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
     tomorrow.setUTCHours(0, 1, 0, 0);
 
     const msUntilReset = tomorrow.getTime() - now.getTime();
 
-    setTimeout(() => {
+    this.clock.setTimeout(() => {
       this.apiCreditsDaily = 0;
       this.keyCredits = new Array(this.apiKeys.length).fill(0);
       this.currentKeyIndex = 0;
@@ -501,12 +449,10 @@ export class MarketDataService extends EventEmitter {
       candleBufferSizes: Object.fromEntries(
         this.symbols.map(s => [s, (this.candleBuffers.get(s) || []).length])
       ),
-      candleBuffer15mSizes: Object.fromEntries(
-        this.symbols.map(s => [s, (this.candleBuffers15m.get(s) || []).length])
-      ),
-      candleBuffer1hSizes: Object.fromEntries(
-        this.symbols.map(s => [s, (this.candleBuffers1h.get(s) || []).length])
-      )
+      layerBufferSizes: Object.fromEntries(this.layers.map(l => [
+        `${l.id} (${l.timeframe})`,
+        Object.fromEntries(this.symbols.map(s => [s, (l.buffers.get(s) || []).length]))
+      ]))
     };
   }
 
@@ -516,7 +462,8 @@ export class MarketDataService extends EventEmitter {
 
   stop() {
     if (this.pollInterval) clearInterval(this.pollInterval);
-    if (this.poll15mInterval) clearInterval(this.poll15mInterval);
-    if (this.poll1hInterval) clearInterval(this.poll1hInterval);
+    for (const layer of this.layers) {
+      if (layer.pollInterval) clearInterval(layer.pollInterval);
+    }
   }
 }
\ No newline at end of file
@@ -1,7 +1,8 @@
 import axios from 'axios';
 
 export class TelegramService {
-  constructor() {
+  constructor(instruments = null) {
+    this.instruments = instruments; // InstrumentRegistry — price precision per symbol
     this.discordWebhook = process.env.DISCORD_WEBHOOK_URL;
     this.telegramToken = process.env.TELEGRAM_BOT_TOKEN;
     this.telegramChatId = process.env.TELEGRAM_CHAT_ID;
@@ -54,12 +55,15 @@ export class TelegramService {
     const warnings = signal.warnings || [];
 
     const fields = [
+      ...(signal.intrabar ? [{ name: '⏳ Intrabar', value: this.formatIntrabar(signal), inline: false }] : []),
       { name: '📊 Symbol', value: `\`${signal.symbol}\``, inline: true },
-      { name: '💰 Entry Price', value: `\`${this.formatPrice(signal.price)}\``, inline: true },
-      { name: '📈 Confidence', value: `**${signal.confidence}%**`, inline: true },
-      { name: '🛑 Stop Loss', value: `\`${this.formatPrice(signal.stopLoss)}\``, inline: true },
-      { name: '🎯 Take Profit', value: `\`${this.formatPrice(signal.takeProfit)}\``, inline: true },
+      { name: signal.pending ? '📥 Limit Entry' : '💰 Entry Price', value: `\`${this.formatPrice(signal.price, signal.symbol)}\``, inline: true },
+      { name: '📈 Confidence', value: `**${signal.confidence}%**${signal.calibration ? `\n${this.formatCalibration(signal)}` : ''}`, inline: true },
+      { name: '🛑 Stop Loss', value: `\`${this.formatPrice(signal.stopLoss, signal.symbol)}\`${signal.stop ? `\n${this.formatStop(signal)}` : ''}`, inline: true },
+      { name: '🎯 Take Profit', value: `\`${this.formatPrice(signal.takeProfit, signal.symbol)}\``, inline: true },
       { name: '📊 Risk/Reward', value: `1:${signal.riskReward}`, inline: true },
+      ...(signal.plan ? [{ name: '🎯 Targets', value: this.formatTargets(signal), inline: false }] : []),
+      ...(signal.pending ? [{ name: '📥 Pending Order', value: this.formatPending(signal), inline: false }] : []),
       { name: '🔗 Confluence', value: `${signal.confluenceCount || 0} signals confirming`, inline: true },
       { name: '📈 Trend', value: `${ctx.trend || 'N/A'} (ADX: ${ctx.trendStrength?.toFixed(0) || 'N/A'})`, inline: true },
       { name: '🌍 Session', value: ctx.session || 'N/A', inline: true },
@@ -74,7 +78,7 @@ export class TelegramService {
         `ADX: ${signal.indicators.adx || 'N/A'}`,
         `Stoch K: ${signal.indicators.stochK || 'N/A'}`,
         `CCI: ${signal.indicators.cci || 'N/A'}`
-      ].join(' | '),
+      ].join(' | ') + this.formatOverlays(signal).map(o => `\n${o}`).join(''),
       inline: false
     });
 
@@ -94,11 +98,12 @@ export class TelegramService {
       });
     }
 
-    // S/R levels
+    // S/R levels — zones tagged with the timeframe they came from
     if (ctx.support && ctx.resistance) {
       fields.push({
         name: '📏 Key Levels',
-        value: `Support: \`${this.formatPrice(ctx.support)}\` | Resistance: \`${this.formatPrice(ctx.resistance)}\``,
+        value: `Support: \`${this.formatPrice(ctx.support, signal.symbol)}\` | Resistance: \`${this.formatPrice(ctx.resistance, signal.symbol)}\``
+          + (ctx.supportLevels ? `\nS: ${ctx.supportLevels}\nR: ${ctx.resistanceLevels}` : ''),
         inline: false
       });
     }
@@ -110,6 +115,7 @@ export class TelegramService {
       if (mom.bullishCandles > 0) parts.push(`${mom.bullishCandles}🟢 candles`);
       if (mom.bearishCandles > 0) parts.push(`${mom.bearishCandles}🔴 candles`);
       if (mom.priceStructure !== 'NONE') parts.push(`Structure: ${mom.priceStructure}`);
+      if (mom.swings) parts.push(`Swings: ${mom.swings}`);
       if (mom.isMomentumMove) parts.push(`🚀 Strong move (${mom.moveSize}x ATR)`);
       if (parts.length > 0) {
         fields.push({
@@ -122,11 +128,11 @@ export class TelegramService {
 
     const embed = {
       embeds: [{
-        title: `${emoji} ${signal.action} SIGNAL — ${signal.symbol}`,
+        title: `${emoji} ${signal.intrabar ? 'INTRABAR ' : ''}${signal.pending ? 'LIMIT ' : ''}${signal.action} SIGNAL — ${signal.symbol}`,
         color,
         fields,
         footer: {
-          text: `⚠️ Not financial advice | Regime: ${ctx.regime || 'N/A'} | Vol: ${ctx.volatility || 'N/A'}`
+          text: `⚠️ Not financial advice | Regime: ${ctx.regime || 'N/A'}${ctx.playbook ? ` (${ctx.playbook})` : ''} | Vol: ${ctx.volatility || 'N/A'}${signal.strategyVersion ? ` | Strategy v${signal.strategyVersion}` : ''}`
         },
         timestamp: new Date().toISOString()
       }]
@@ -144,26 +150,26 @@ export class TelegramService {
     const warnings = signal.warnings || [];
 
     let message = `
-${emoji} *${signal.action} SIGNAL* — \`${signal.symbol}\`
-
-💰 *Entry:* \`${this.formatPrice(signal.price)}\`
-📈 *Confidence:* ${signal.confidence}%
+${emoji} *${signal.intrabar ? 'INTRABAR ' : ''}${signal.pending ? 'LIMIT ' : ''}${signal.action} SIGNAL* — \`${signal.symbol}\`
+${signal.intrabar ? `⏳ _${this.formatIntrabar(signal)}_\n` : ''}
+💰 *${signal.pending ? 'Limit entry' : 'Entry'}:* \`${this.formatPrice(signal.price, signal.symbol)}\`
+${signal.pending ? `${this.formatPending(signal)}\n` : ''}📈 *Confidence:* ${signal.confidence}%${signal.calibration ? ` (${this.formatCalibration(signal)})` : ''}
 🔗 *Confluence:* ${signal.confluenceCount || 0} signals
 
-🛑 *Stop Loss:* \`${this.formatPrice(signal.stopLoss)}\`
-🎯 *Take Profit:* \`${this.formatPrice(signal.takeProfit)}\`
+🛑 *Stop Loss:* \`${this.formatPrice(signal.stopLoss, signal.symbol)}\`${signal.stop ? ` (${this.formatStop(signal)})` : ''}
+🎯 *Take Profit:* \`${this.formatPrice(signal.takeProfit, signal.symbol)}\`
 📊 *R/R:* 1:${signal.riskReward}
-
+${signal.plan ? `\n*Targets:*\n${this.formatTargets(signal)}\n` : ''}
 *Market Context:*
 • Trend: ${ctx.trend || 'N/A'} (Strength: ${ctx.trendStrength?.toFixed(0) || 'N/A'})
-• Regime: ${ctx.regime || 'N/A'}
+• Regime: ${ctx.regime || 'N/A'}${ctx.playbook ? ` (${ctx.playbook})` : ''}
 • Session: ${ctx.session || 'N/A'}
-• Volatility: ${ctx.volatility || 'N/A'}
+• Volatility: ${ctx.volatility || 'N/A'}${ctx.supportLevels ? `\n• Support: ${ctx.supportLevels}\n• Resistance: ${ctx.resistanceLevels}` : ''}
 
 *Indicators:*
 • RSI: ${signal.indicators.rsi} | MACD: ${signal.indicators.macd}
 • ADX: ${signal.indicators.adx} | Stoch: ${signal.indicators.stochK}
-
+${this.formatOverlays(signal).map(o => `• ${o}\n`).join('')}
 *Reasons:*
 ${signal.reasons.map(r => `✅ ${r}`).join('\n')}
 ${warnings.length > 0 ? '\n*Warnings:*\n' + warnings.map(w => `${w}`).join('\n') : ''}
@@ -246,6 +252,30 @@ ${warnings.length > 0 ? '\n*Warnings:*\n' + warnings.map(w => `${w}`).join('\n')
     }
   }
 
+  // Limit entry filled or cancelled (WinRateTracker)
+  async sendPendingUpdate(signal, event) {
+    const price = this.formatPrice(signal.entryPrice, signal.symbol);
+    const text = event.type === 'filled'
+      ? `📥 *LIMIT FILLED* — ${signal.action} \`${signal.symbol}\` @ \`${price}\` after ${signal.pendingState.bars} candle(s)\n🛑 SL: \`${this.formatPrice(signal.stopLoss, signal.symbol)}\``
+      : `🚫 *LIMIT NOT FILLED* — ${signal.action} \`${signal.symbol}\` @ \`${price}\` (${event.reason})`;
+    await this.sendMessage(text);
+  }
+
+  // Intrabar alert settled at its candle's close (IntrabarConfirmation)
+  async sendIntrabarUpdate({ status, signal, final, barTime, reason }) {
+    const bar = new Date(barTime).toISOString().slice(11, 16);
+    const text = status === 'CONFIRMED'
+      ? `✅ *CONFIRMED* — ${signal.action} \`${signal.symbol}\` held to the close of the ${bar} candle (${final.confidence}%)\n💰 Entry: \`${this.formatPrice(final.price, final.symbol)}\` | 🛑 SL: \`${this.formatPrice(final.stopLoss, final.symbol)}\` | 🎯 TP: \`${this.formatPrice(final.takeProfit, final.symbol)}\``
+      : `↩️ *WITHDRAWN* — ${signal.action} \`${signal.symbol}\` did not hold to the close of the ${bar} candle\n${reason}`;
+    await this.sendMessage(text);
+  }
+
+  // Open / pending signal heading into a scheduled release (EconomicCalendar)
+  async sendEventRisk(signal, description) {
+    const state = signal.status === 'PENDING' ? 'pending limit' : 'open';
+    await this.sendMessage(`📰 *EVENT RISK* — ${state} ${signal.action} \`${signal.symbol}\` @ \`${this.formatPrice(signal.entryPrice, signal.symbol)}\`\n${description}`);
+  }
+
   async sendTradeExecuted(trade) {
     if (!this.enabled) return;
 
@@ -259,11 +289,11 @@ ${warnings.length > 0 ? '\n*Warnings:*\n' + warnings.map(w => `${w}`).join('\n')
           fields: [
             { name: 'Type', value: trade.type, inline: true },
             { name: 'Symbol', value: trade.symbol, inline: true },
-            { name: 'Price', value: this.formatPrice(trade.price), inline: true },
+            { name: 'Price', value: this.formatPrice(trade.price, trade.symbol), inline: true },
             { name: 'Lot Size', value: trade.lotSize.toString(), inline: true },
             { name: 'Ticket', value: `#${trade.ticket}`, inline: true },
-            { name: 'SL', value: this.formatPrice(trade.stopLoss), inline: true },
-            { name: 'TP', value: this.formatPrice(trade.takeProfit), inline: true }
+            { name: 'SL', value: this.formatPrice(trade.stopLoss, trade.symbol), inline: true },
+            { name: 'TP', value: this.formatPrice(trade.takeProfit, trade.symbol), inline: true }
           ],
           timestamp: new Date().toISOString()
         }]
@@ -277,12 +307,12 @@ ${warnings.length > 0 ? '\n*Warnings:*\n' + warnings.map(w => `${w}`).join('\n')
 ${emoji} *TRADE EXECUTED ON MT5*
 
 *${trade.type}* ${trade.symbol}
-*Price:* \`${this.formatPrice(trade.price)}\`
+*Price:* \`${this.formatPrice(trade.price, trade.symbol)}\`
 *Lot Size:* ${trade.lotSize}
 *Ticket:* #${trade.ticket}
 
-🛑 SL: \`${this.formatPrice(trade.stopLoss)}\`
-🎯 TP: \`${this.formatPrice(trade.takeProfit)}\`
+🛑 SL: \`${this.formatPrice(trade.stopLoss, trade.symbol)}\`
+🎯 TP: \`${this.formatPrice(trade.takeProfit, trade.symbol)}\`
 
 ⏰ ${new Date().toLocaleString()}
       `;
@@ -322,9 +352,60 @@ ${emoji} *TRADE EXECUTED ON MT5*
     }
   }
 
-  formatPrice(price) {
+  // Instrument precision when the symbol (or its broker symbol) is registered,
+  // magnitude-based guess otherwise
+  formatPrice(price, symbol = null) {
+    const known = symbol && this.instruments && (this.instruments.has(symbol) ? symbol : this.instruments.fromBroker(symbol));
+    if (known) return this.instruments.formatPrice(known, price);
     if (price > 100) return price.toFixed(2);
     if (price > 10) return price.toFixed(3);
     return price.toFixed(5);
   }
+
+  // Entry zone, validity and cancel conditions of a limit entry
+  formatPending(signal) {
+    const { zone, anchor, validBars, cancelAt } = signal.pending;
+    const fmt = (p) => this.formatPrice(p, signal.symbol);
+    return [
+      `Zone \`${fmt(zone.low)}\` – \`${fmt(zone.high)}\` at ${anchor.source} (market \`${fmt(signal.marketPrice)}\`)`,
+      `Valid ${validBars} candle(s)${cancelAt !== null ? ` · cancel if \`${fmt(cancelAt)}\` trades first` : ''}`
+    ].join('\n');
+  }
+
+  // Provisional until the forming candle closes
+  formatIntrabar(signal) {
+    return `Forming ${new Date(signal.intrabar.barTime).toISOString().slice(11, 16)} candle — confirmed or withdrawn at its close`;
+  }
+
+  // Overlay indicators of the optional rules the strategy enabled (signal.indicators)
+  formatOverlays(signal) {
+    const labels = { ichimoku: 'Ichimoku', supertrend: 'Supertrend', squeeze: 'Squeeze', donchian: 'Donchian', vwap: 'VWAP', smc: 'Smart money', levels: 'Level book' };
+    return Object.entries(labels).filter(([key]) => signal.indicators?.[key]).map(([key, label]) => `${label}: ${signal.indicators[key]}`);
+  }
+
+  // How the stop was placed (StopPlacement): 'swing 1.08120, 1.6 ATR'
+  formatStop(signal) {
+    const { mode, requested, level, distanceAtr, clamped } = signal.stop;
+    const at = level !== null ? ` ${this.formatPrice(level, signal.symbol)}` : '';
+    const notes = [`${distanceAtr} ATR`, clamped && `${clamped} guard`, mode !== requested && `${requested} fallback`].filter(Boolean);
+    return `${mode}${at}, ${notes.join(', ')}`;
+  }
+
+  // Realised win rate + expected R of past signals like this one (ConfidenceCalibration)
+  formatCalibration(signal) {
+    const { probability, expectedR } = signal.calibration;
+    return `calibrated ${probability}% win | E[R] ${expectedR > 0 ? '+' : ''}${expectedR}R`;
+  }
+
+  // One line per trade-plan target plus the stop management that follows them
+  formatTargets(signal) {
+    const { targets, breakeven, trailing } = signal.plan;
+    const lines = targets.map(t => `${t.label}: \`${this.formatPrice(t.price, signal.symbol)}\` — close ${t.closePct}% (${t.r}R${t.source === 'sr' ? `, S/R${t.level ? ` ${t.level}` : ''}` : ''})`);
+    if (breakeven) lines.push(`🛡️ Stop → breakeven after TP${breakeven.after}`);
+    if (trailing) {
+      const how = [trailing.atrMul > 0 && `${trailing.atrMul}×ATR`, trailing.swingBars > 0 && `${trailing.swingBars}-bar swing`].filter(Boolean).join(' / ');
+      lines.push(`📐 Trail ${how} ${trailing.after > 0 ? `after TP${trailing.after}` : 'from entry'}`);
+    }
+    return lines.join('\n');
+  }
 }
\ No newline at end of file
@@ -1,38 +1,57 @@
 import fs from 'fs';
 import path from 'path';
+import { countedRules } from '../engine/DecisionTrace.js';
+import { createPlanState, stepTradePlan, closeTradePlan, planOutcome } from '../engine/TradePlan.js';
+import { createPendingState, stepPendingEntry, cancelPendingEntry, fillBar } from '../engine/PendingEntry.js';
+import { describeEvent } from '../engine/EconomicCalendar.js';
+import { systemClock } from '../engine/Clock.js';
+
+// Statuses that count towards win rate — PENDING / UNFILLED limit entries
+// never traded and EXPIRED (legacy) had no outcome
+const SCORED = ['WIN', 'LOSS', 'BREAKEVEN'];
+const isScored = (s) => SCORED.includes(s.status);
 
 // ═══════════════════════════════════════════════════════════════════
 // WIN RATE TRACKER
 //
 // What it does:
 // 1. Logs every signal with entry, SL, TP, timestamp
-// 2. After each candle update, checks open signals for SL/TP hits
-// 3. Marks signals as WIN, LOSS, or OPEN
+// 2. After each candle update, steps open signals through their trade plan
+//    (TP1/TP2/TP3 partial closes, breakeven, trailing stop — see TradePlan)
+// 3. Marks signals as WIN, LOSS, BREAKEVEN (by realised partial-fill R) or OPEN
+//    Limit entries start PENDING and become OPEN on fill or UNFILLED when
+//    cancelled (expired, runaway, superseded) — only filled entries are scored
 // 4. Saves to JSON file (persists across restarts)
 // 5. Provides stats: win rate, avg R:R, best/worst symbols, etc.
-// 6. Sends Discord notification when a signal resolves
+// 6. Keeps each signal's decision trace for per-rule win rates
+// 7. Records risk and P&L in pips from the instrument registry
+// 8. Flags open / pending signals ahead of high-impact releases (event risk)
+// 9. Reads time from a clock (fills, closes, expiry) so a replay resolves alike
+// 10. Sends Discord notification when a signal resolves
 //
 // Usage in index.js:
 //   import { WinRateTracker } from './services/WinRateTracker.js';
-//   this.tracker = new WinRateTracker(this.telegram);
+//   this.tracker = new WinRateTracker(this.telegram, instruments);   // + { clock, dataFile } for a replay
 //   this.tracker.logSignal(signal);  // after sending signal
-//   this.tracker.updatePrice(symbol, currentPrice);  // on each candle
+//   this.tracker.updatePrice(symbol, close, high, low, timestamp);  // on each candle
 // ═══════════════════════════════════════════════════════════════════
 
 export class WinRateTracker {
-  constructor(notifier = null) {
+  constructor(notifier = null, instruments = null, { clock = systemClock, dataFile = './data/signals.json' } = {}) {
     this.notifier = notifier; // TelegramService instance for Discord alerts
-    this.dataFile = path.resolve('./data/signals.json');
+    this.instruments = instruments; // InstrumentRegistry — pip size + precision per symbol
+    this.clock = clock;
+    this.dataFile = path.resolve(dataFile);
     this.signals = [];
     this.ensureDataDir();
     this.load();
   }
 
   ensureDataDir() {
-    const dir = path.resolve('./data');
+    const dir = path.dirname(this.dataFile);
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
-      console.log('📁 Created ./data directory for win rate tracking');
+      console.log(`📁 Created ${dir} for win rate tracking`);
     }
   }
 
@@ -43,8 +62,9 @@ export class WinRateTracker {
         const raw = fs.readFileSync(this.dataFile, 'utf8');
         this.signals = JSON.parse(raw);
         const open = this.signals.filter(s => s.status === 'OPEN').length;
-        const closed = this.signals.filter(s => s.status !== 'OPEN').length;
-        console.log(`📊 WinRateTracker: Loaded ${this.signals.length} signals (${open} open, ${closed} closed)`);
+        const pending = this.signals.filter(s => s.status === 'PENDING').length;
+        const closed = this.signals.filter(isScored).length;
+        console.log(`📊 WinRateTracker: Loaded ${this.signals.length} signals (${open} open, ${pending} pending, ${closed} closed)`);
       }
     } catch (err) {
       console.error('WinRateTracker load error:', err.message);
@@ -63,58 +83,98 @@ export class WinRateTracker {
 
   // ── LOG A NEW SIGNAL ──
   logSignal(signal) {
+    const now = this.clock.now();
     const entry = {
-      id: `${signal.symbol}_${Date.now()}`,
+      id: `${signal.symbol}_${now}`,
       symbol: signal.symbol,
       action: signal.action,
       entryPrice: signal.price,
       stopLoss: signal.stopLoss,
       takeProfit: signal.takeProfit,
       riskReward: signal.riskReward,
+      riskPips: this._pips(signal.symbol, Math.abs(signal.price - signal.stopLoss)),
+      stop: signal.stop || null,   // stop method, anchor level, distance in ATR (StopPlacement)
+      plan: signal.plan || null,   // targets, breakeven, trailing (TradePlan)
+      planState: signal.plan ? createPlanState(signal.plan) : null,
+      entryType: signal.entryType || 'market',
+      pending: signal.pending || null,   // limit entry zone + cancel conditions (PendingEntry)
+      pendingState: signal.pending ? createPendingState(signal.pending) : null,
+      filledAt: signal.pending ? null : now,
       confidence: signal.confidence,
+      calibration: signal.calibration || null,   // win probability + expected R at signal time (ConfidenceCalibration)
       confluenceCount: signal.confluenceCount,
+      strategyVersion: signal.strategyVersion,
       reasons: signal.reasons,
+      trace: signal.trace,   // structured DecisionTrace (rule, category, inputs, effect)
       context: signal.context,
       momentum: signal.momentum,
       indicators: signal.indicators,
-      timestamp: Date.now(),
-      timestampStr: new Date().toISOString(),
-      status: 'OPEN',   // OPEN, WIN, LOSS, EXPIRED
+      timestamp: now,
+      timestampStr: new Date(now).toISOString(),
+      status: signal.pending ? 'PENDING' : 'OPEN',   // PENDING, UNFILLED, OPEN, WIN, LOSS, BREAKEVEN, EXPIRED
       closePrice: null,
       closeTime: null,
-      pnlR: null,       // P&L in R multiples (1.0 = hit TP exactly)
+      pnlR: null,       // P&L in R multiples, size-weighted over partial closes
+      pnlPips: null,
       durationMins: null
     };
 
     this.signals.push(entry);
     this.save();
 
-    const risk = Math.abs(signal.price - signal.stopLoss).toFixed(5);
-    console.log(`📝 Signal logged: ${signal.action} ${signal.symbol} @ ${signal.price} | SL:${signal.stopLoss} TP:${signal.takeProfit} | Risk: ${risk}`);
+    const fmt = (p) => this._fmt(signal.symbol, p);
+    const risk = entry.riskPips !== null ? `${entry.riskPips} pips` : Math.abs(signal.price - signal.stopLoss).toFixed(5);
+    const tps = signal.plan ? signal.plan.targets.map(t => `${t.label}:${fmt(t.price)} (${t.closePct}%)`).join(' ') : `TP:${fmt(signal.takeProfit)}`;
+    console.log(`📝 Signal logged: ${signal.pending ? 'LIMIT ' : ''}${signal.action} ${signal.symbol} @ ${fmt(signal.price)} | SL:${fmt(signal.stopLoss)} ${tps} | Risk: ${risk}`);
 
     return entry.id;
   }
 
   // ── CHECK OPEN SIGNALS AGAINST CURRENT PRICE ──
-  // Call this on every candle update
-  updatePrice(symbol, currentPrice, high, low) {
+  // Call this on every candle update (same timestamp = the forming candle changed)
+  updatePrice(symbol, currentPrice, high, low, timestamp) {
     const openSignals = this.signals.filter(
-      s => s.symbol === symbol && s.status === 'OPEN'
+      s => s.symbol === symbol && (s.status === 'OPEN' || s.status === 'PENDING')
     );
 
     if (openSignals.length === 0) return;
 
     let updated = false;
+    const bar = { close: currentPrice, high: high || currentPrice, low: low || currentPrice, timestamp };
 
     for (const signal of openSignals) {
-      const result = this._checkSignalResult(signal, currentPrice, high, low);
+      if (signal.status === 'PENDING') {
+        const ev = stepPendingEntry(signal.pending, signal.pendingState, bar);
+        if (!ev) continue;
+        updated = true;
+        if (ev.type === 'cancelled') {
+          this._unfilled(signal, ev.reason);
+          continue;
+        }
+        signal.status = 'OPEN';
+        signal.filledAt = this.clock.now();
+        console.log(`📥 Limit ${signal.action} ${signal.symbol} filled @ ${this._fmt(signal.symbol, ev.price)} after ${signal.pendingState.bars} candle(s)`);
+        this._notifyPending(signal, ev);
+        // The rest of the fill candle may have come before the fill — only its stop side counts
+        const result = this._stepPlan(signal, fillBar(signal.pending, bar));
+        if (result) {
+          this._resolve(signal, result);
+          console.log(`🏁 Signal resolved on its fill candle: ${signal.action} ${signal.symbol} — ${result.status} ${result.pnlR}R`);
+          this._notifyResolved(signal);
+        }
+        continue;
+      }
+
+      const fillsBefore = signal.planState?.fills.length;
+      const stopBefore = signal.planState?.nextStop;
+      const result = signal.plan
+        ? this._stepPlan(signal, { close: currentPrice, high: high || currentPrice, low: low || currentPrice, timestamp })
+        : this._checkSignalResult(signal, currentPrice, high, low);
+      // A fill or a moved stop (breakeven / trail, stop_moved) must survive a restart
+      if (signal.plan && (signal.planState.fills.length !== fillsBefore || signal.planState.nextStop !== stopBefore)) updated = true;
 
       if (result) {
-        signal.status = result.status;
-        signal.closePrice = result.closePrice;
-        signal.closeTime = Date.now();
-        signal.durationMins = Math.round((signal.closeTime - signal.timestamp) / 60000);
-        signal.pnlR = result.pnlR;
+        this._resolve(signal, result);
         updated = true;
 
         console.log(`\n🏁 Signal resolved: ${signal.action} ${signal.symbol}`);
@@ -125,22 +185,103 @@ export class WinRateTracker {
       }
 
       // Auto-expire signals older than 4 hours (matches 5min scalping timeframe)
-      const ageHours = (Date.now() - signal.timestamp) / 3600000;
+      const ageHours = (this.clock.now() - (signal.filledAt || signal.timestamp)) / 3600000;
       if (ageHours > 4 && signal.status === 'OPEN') {
-        signal.status = 'EXPIRED';
-        signal.closePrice = currentPrice;
-        signal.closeTime = Date.now();
-        signal.durationMins = Math.round((signal.closeTime - signal.timestamp) / 60000);
-        const risk = Math.abs(signal.entryPrice - signal.stopLoss);
-        signal.pnlR = parseFloat(((currentPrice - signal.entryPrice) / risk * (signal.action === 'BUY' ? 1 : -1)).toFixed(2));
+        if (signal.plan) {
+          // Whatever is still open closes at market; banked partials keep their R
+          closeTradePlan(signal.plan, signal.planState, currentPrice, 'expired', timestamp);
+          this._resolve(signal, { status: planOutcome(signal.planState), closePrice: currentPrice, pnlR: signal.planState.pnlR });
+        } else {
+          const risk = Math.abs(signal.entryPrice - signal.stopLoss);
+          this._resolve(signal, {
+            status: 'EXPIRED',
+            closePrice: currentPrice,
+            pnlR: parseFloat(((currentPrice - signal.entryPrice) / risk * (signal.action === 'BUY' ? 1 : -1)).toFixed(2))
+          });
+        }
         updated = true;
-        console.log(`⏰ Signal expired: ${signal.action} ${signal.symbol} (24h timeout)`);
+        console.log(`⏰ Signal expired: ${signal.action} ${signal.symbol} (4h timeout) — ${signal.status} ${signal.pnlR > 0 ? '+' : ''}${signal.pnlR}R`);
+        if (signal.status !== 'EXPIRED') this._notifyResolved(signal);
       }
     }
 
     if (updated) this.save();
   }
 
+  // ── OPEN EXPOSURE (SignalEngine.exposureSource) ──
+  // Open trades plus pending limits that may still fill — except the pending
+  // ones of `symbol`, which a new signal for it supersedes anyway
+  openPositions(symbol = null) {
+    return this.signals
+      .filter(s => s.status === 'OPEN' || (s.status === 'PENDING' && s.symbol !== symbol))
+      .map(s => ({ symbol: s.symbol, action: s.action, status: s.status }));
+  }
+
+  // ── EVENT RISK: flag open / pending signals once per upcoming release ──
+  // events: EconomicCalendar.upcoming() for the symbol → newly flagged count
+  flagEventRisk(symbol, events, now = this.clock.now()) {
+    let flagged = 0;
+    for (const signal of this.signals.filter(s => s.symbol === symbol && (s.status === 'OPEN' || s.status === 'PENDING'))) {
+      if (!signal.eventRisk) signal.eventRisk = [];
+      for (const event of events) {
+        if (signal.eventRisk.some(e => e.time === event.time && e.currency === event.currency && e.title === event.title)) continue;
+        signal.eventRisk.push({ time: event.time, currency: event.currency, impact: event.impact, title: event.title, flaggedAt: now });
+        console.log(`📰 Event risk: ${signal.action} ${signal.symbol} is ${signal.status.toLowerCase()} into ${describeEvent(event, now)}`);
+        this._notifyEventRisk(signal, event, now);
+        flagged++;
+      }
+    }
+    if (flagged > 0) this.save();
+    return flagged;
+  }
+
+  // ── CANCEL PENDING LIMIT ENTRIES (e.g. a newer signal for the symbol) ──
+  cancelPending(symbol, reason = 'superseded') {
+    const pending = this.signals.filter(s => s.symbol === symbol && s.status === 'PENDING');
+    for (const signal of pending) {
+      cancelPendingEntry(signal.pendingState, reason);
+      this._unfilled(signal, reason);
+    }
+    if (pending.length > 0) this.save();
+    return pending.length;
+  }
+
+  _unfilled(signal, reason) {
+    signal.status = 'UNFILLED';
+    signal.closeTime = this.clock.now();
+    signal.exitReason = reason;
+    console.log(`🚫 Limit ${signal.action} ${signal.symbol} @ ${this._fmt(signal.symbol, signal.entryPrice)} not filled (${reason})`);
+    this._notifyPending(signal, { type: 'cancelled', reason });
+  }
+
+  // Advance a signal's trade plan by one candle → resolution once everything is closed
+  _stepPlan(signal, bar) {
+    for (const ev of stepTradePlan(signal.plan, signal.planState, bar)) {
+      if (ev.type === 'target') {
+        console.log(`🎯 ${signal.symbol} ${signal.action}: ${ev.label} hit @ ${this._fmt(signal.symbol, ev.price)} — closed ${ev.closePct}% (+${ev.r}R)`);
+      } else if (ev.type === 'stop_moved') {
+        console.log(`🛡️ ${signal.symbol} ${signal.action}: stop → ${this._fmt(signal.symbol, ev.price)} (${ev.reason})`);
+      }
+    }
+    signal.targetsHit = signal.planState.targetsHit;
+    if (!signal.planState.closed) return null;
+    return { status: planOutcome(signal.planState), closePrice: signal.planState.exitPrice, pnlR: signal.planState.pnlR };
+  }
+
+  _resolve(signal, result) {
+    signal.status = result.status;
+    signal.closePrice = result.closePrice;
+    signal.closeTime = this.clock.now();
+    signal.durationMins = Math.round((signal.closeTime - (signal.filledAt || signal.timestamp)) / 60000);
+    signal.pnlR = result.pnlR;
+    signal.pnlPips = this._pnlPips(signal);
+    if (signal.planState) {
+      signal.exitReason = signal.planState.exitReason;
+      signal.targetsHit = signal.planState.targetsHit;
+    }
+  }
+
+  // Legacy entries (logged before trade plans): single SL/TP, binary outcome
   // Check if SL or TP was hit using candle high/low
   _checkSignalResult(signal, currentPrice, high, low) {
     const candleHigh = high || currentPrice;
@@ -186,14 +327,48 @@ export class WinRateTracker {
     return null; // Still open
   }
 
+  // ── PIPS / PRICE FORMAT (instrument registry; raw values for unknown symbols) ──
+  _pips(symbol, distance) {
+    if (!this.instruments?.has(symbol)) return null;
+    return parseFloat(this.instruments.toPips(symbol, distance).toFixed(1));
+  }
+
+  _pnlPips(signal) {
+    const pips = this._pips(signal.symbol, signal.closePrice - signal.entryPrice);
+    return pips === null ? null : pips * (signal.action === 'BUY' ? 1 : -1);
+  }
+
+  _fmt(symbol, price) {
+    return this.instruments?.has(symbol) ? this.instruments.formatPrice(symbol, price) : `${price}`;
+  }
+
+  async _notifyEventRisk(signal, event, now) {
+    if (!this.notifier) return;
+    try {
+      await this.notifier.sendEventRisk(signal, describeEvent(event, now));
+    } catch (err) {
+      console.error('WinRateTracker notify error:', err.message);
+    }
+  }
+
+  async _notifyPending(signal, event) {
+    if (!this.notifier) return;
+    try {
+      await this.notifier.sendPendingUpdate(signal, event);
+    } catch (err) {
+      console.error('WinRateTracker notify error:', err.message);
+    }
+  }
+
   // ── SEND DISCORD NOTIFICATION WHEN SIGNAL RESOLVES ──
   async _notifyResolved(signal) {
-    if (!this.notifier) return;
+    if (!this.notifier?.enabled) return;
 
     const isWin = signal.status === 'WIN';
-    const emoji = isWin ? '✅' : signal.status === 'LOSS' ? '❌' : '⏰';
+    const emoji = isWin ? '✅' : signal.status === 'LOSS' ? '❌' : signal.status === 'BREAKEVEN' ? '➖' : '⏰';
     const color = isWin ? 0x00ff00 : signal.status === 'LOSS' ? 0xff0000 : 0x888888;
     const stats = this.getStats(signal.symbol);
+    const fills = signal.planState?.fills.map(f => `${f.label} ${f.pct}% @ ${this._fmt(signal.symbol, f.price)} (${f.r > 0 ? '+' : ''}${f.r}R)`);
 
     try {
       await this.notifier.sendWithRetry(async () => {
@@ -206,10 +381,11 @@ export class WinRateTracker {
               { name: '📊 Symbol', value: signal.symbol, inline: true },
               { name: '📈 Action', value: signal.action, inline: true },
               { name: '⏱ Duration', value: `${signal.durationMins}min`, inline: true },
-              { name: '💰 Entry', value: `${signal.entryPrice}`, inline: true },
-              { name: '🏁 Close', value: `${signal.closePrice}`, inline: true },
-              { name: '📊 P&L', value: `${signal.pnlR > 0 ? '+' : ''}${signal.pnlR}R`, inline: true },
-              { name: '📈 Win Rate', value: `${stats.winRate}% (${stats.wins}W/${stats.losses}L)`, inline: true },
+              { name: '💰 Entry', value: this._fmt(signal.symbol, signal.entryPrice), inline: true },
+              { name: '🏁 Close', value: this._fmt(signal.symbol, signal.closePrice), inline: true },
+              { name: '📊 P&L', value: `${signal.pnlR > 0 ? '+' : ''}${signal.pnlR}R${signal.pnlPips !== null && signal.pnlPips !== undefined ? ` (${signal.pnlPips > 0 ? '+' : ''}${signal.pnlPips} pips)` : ''}`, inline: true },
+              ...(fills ? [{ name: `🎯 Targets ${signal.planState.targetsHit}/${signal.plan.targets.length}`, value: fills.join('\n'), inline: false }] : []),
+              { name: '📈 Win Rate', value: `${stats.winRate}% (${stats.wins}W/${stats.losses}L${stats.breakevens ? `/${stats.breakevens}BE` : ''})`, inline: true },
               { name: '💰 Total P&L', value: `${stats.totalR > 0 ? '+' : ''}${stats.totalR}R`, inline: true },
               { name: '📊 Avg Win', value: `${stats.avgWin}R`, inline: true }
             ],
@@ -225,11 +401,12 @@ export class WinRateTracker {
 
   // ── GET STATS ──
   getStats(symbol = null) {
-    let signals = this.signals.filter(s => s.status !== 'OPEN' && s.status !== 'EXPIRED');
+    let signals = this.signals.filter(isScored);
     if (symbol) signals = signals.filter(s => s.symbol === symbol);
 
     const wins = signals.filter(s => s.status === 'WIN');
     const losses = signals.filter(s => s.status === 'LOSS');
+    const breakevens = signals.filter(s => s.status === 'BREAKEVEN');
     const totalR = signals.reduce((sum, s) => sum + (s.pnlR || 0), 0);
     const winRate = signals.length > 0 ? ((wins.length / signals.length) * 100).toFixed(1) : 0;
     const avgWin = wins.length > 0 ? (wins.reduce((s, w) => s + w.pnlR, 0) / wins.length).toFixed(2) : 0;
@@ -241,13 +418,16 @@ export class WinRateTracker {
       total: signals.length,
       wins: wins.length,
       losses: losses.length,
+      breakevens: breakevens.length,
       winRate: parseFloat(winRate),
       totalR: parseFloat(totalR.toFixed(2)),
       avgWin: parseFloat(avgWin),
       avgLoss: parseFloat(avgLoss),
       profitFactor,
       avgDurationMins: avgDuration,
-      open: this.signals.filter(s => s.status === 'OPEN').length
+      open: this.signals.filter(s => s.status === 'OPEN').length,
+      pending: this.signals.filter(s => s.status === 'PENDING').length,
+      unfilled: this.signals.filter(s => s.status === 'UNFILLED').length
     };
   }
 
@@ -262,7 +442,7 @@ export class WinRateTracker {
     }
 
     // Best/worst confidence bands
-    const closed = this.signals.filter(s => s.status !== 'OPEN' && s.status !== 'EXPIRED');
+    const closed = this.signals.filter(isScored);
     const highConf = closed.filter(s => s.confidence >= 70);
     const midConf = closed.filter(s => s.confidence >= 55 && s.confidence < 70);
     const lowConf = closed.filter(s => s.confidence < 55);
@@ -273,7 +453,36 @@ export class WinRateTracker {
       low: this._bandStats(lowConf)
     };
 
-    return { overall, bySymbol, confBands };
+    return { overall, bySymbol, confBands, byRule: this.getRuleStats(), byStop: this.getStopStats() };
+  }
+
+  // ── STATS PER STOP METHOD (entries from before stop modes used ATR stops) ──
+  getStopStats() {
+    const byStop = {};
+    for (const sig of this.signals.filter(isScored)) {
+      const mode = sig.stop?.mode || 'atr';
+      if (!byStop[mode]) byStop[mode] = [];
+      byStop[mode].push(sig);
+    }
+    const stats = {};
+    for (const [mode, signals] of Object.entries(byStop)) stats[mode] = this._bandStats(signals);
+    return stats;
+  }
+
+  // ── STATS PER RULE (from the decision trace of each closed signal) ──
+  // Counts the rules that voted for the traded side; older entries without a trace are skipped
+  getRuleStats() {
+    const closed = this.signals.filter(s => isScored(s) && Array.isArray(s.trace));
+    const byRule = {};
+    for (const sig of closed) {
+      for (const id of countedRules(sig.trace)) {
+        if (!byRule[id]) byRule[id] = [];
+        byRule[id].push(sig);
+      }
+    }
+    const stats = {};
+    for (const [id, signals] of Object.entries(byRule)) stats[id] = this._bandStats(signals);
+    return stats;
   }
 
   _bandStats(signals) {
@@ -297,7 +506,7 @@ export class WinRateTracker {
     console.log(`Total Closed: ${o.total} | Wins: ${o.wins} | Losses: ${o.losses}`);
     console.log(`Win Rate: ${o.winRate}% | Total P&L: ${o.totalR > 0 ? '+' : ''}${o.totalR}R`);
     console.log(`Avg Win: +${o.avgWin}R | Avg Loss: -${o.avgLoss}R | Profit Factor: ${o.profitFactor}`);
-    console.log(`Avg Duration: ${o.avgDurationMins}min | Open: ${o.open}`);
+    console.log(`Avg Duration: ${o.avgDurationMins}min | Open: ${o.open}${o.pending ? ` | Pending: ${o.pending}` : ''}${o.unfilled ? ` | Unfilled limits: ${o.unfilled}` : ''}`);
 
     console.log('\n📊 By Symbol:');
     for (const [sym, stats] of Object.entries(report.bySymbol)) {
@@ -308,6 +517,22 @@ export class WinRateTracker {
     console.log(`  High (70%+): ${report.confBands.high.winRate}% WR (${report.confBands.high.total} signals) | ${report.confBands.high.totalR}R`);
     console.log(`  Mid (55-69%): ${report.confBands.mid.winRate}% WR (${report.confBands.mid.total} signals) | ${report.confBands.mid.totalR}R`);
     console.log(`  Low (<55%): ${report.confBands.low.winRate}% WR (${report.confBands.low.total} signals) | ${report.confBands.low.totalR}R`);
+
+    const stops = Object.entries(report.byStop);
+    if (stops.length > 0) {
+      console.log('\n📊 By Stop Method:');
+      for (const [mode, stats] of stops) {
+        console.log(`  ${mode}: ${stats.winRate}% WR (${stats.total} signals) | ${stats.totalR}R`);
+      }
+    }
+
+    const rules = Object.entries(report.byRule).sort((a, b) => b[1].total - a[1].total);
+    if (rules.length > 0) {
+      console.log('\n📊 By Rule:');
+      for (const [id, stats] of rules) {
+        console.log(`  ${id}: ${stats.winRate}% WR (${stats.total} signals) | ${stats.totalR}R`);
+      }
+    }
     console.log('═'.repeat(60) + '\n');
   }
 }
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplayClock, EventClock } from '../src/engine/Clock.js';
+
+test('ReplayClock fires due timers in due order, ties by scheduling order', () => {
+  const clock = new ReplayClock(1000);
+  const fired = [];
+  clock.setTimeout(() => fired.push(['c', clock.now()]), 300);
+  clock.setTimeout(() => fired.push(['a', clock.now()]), 100);
+  clock.setTimeout(() => fired.push(['b', clock.now()]), 100);
+  clock.setTimeout(() => fired.push(['late', clock.now()]), 5000);
+  clock.set(1500);
+  assert.deepEqual(fired, [['a', 1100], ['b', 1100], ['c', 1300]]);
+  assert.equal(clock.now(), 1500);
+});
+
+test('a timer scheduled by a firing timer runs in the same pass when due', () => {
+  const clock = new ReplayClock(0);
+  const fired = [];
+  clock.setTimeout(() => {
+    fired.push(['outer', clock.now()]);
+    clock.setTimeout(() => fired.push(['inner', clock.now()]), 50);
+  }, 100);
+  clock.setTimeout(() => fired.push(['other', clock.now()]), 120);
+  clock.advance(200);
+  assert.deepEqual(fired, [['outer', 100], ['other', 120], ['inner', 150]]);
+});
+
+test('cleared timers never fire and time never runs backwards', () => {
+  const clock = new ReplayClock(100);
+  const fired = [];
+  const id = clock.setTimeout(() => fired.push('cleared'), 10);
+  clock.setTimeout(() => fired.push('kept'), 20);
+  clock.clearTimeout(id);
+  clock.set(50);
+  assert.equal(clock.now(), 100);
+  assert.deepEqual(fired, []);
+  clock.set(200);
+  assert.deepEqual(fired, ['kept']);
+});
+
+test('EventClock holds now still while an event is handled', async () => {
+  const base = new ReplayClock(1000);
+  const clock = new EventClock(base);
+  const seen = await clock.run(async (now) => {
+    base.advance(500);
+    await Promise.resolve();
+    return [now, clock.now()];
+  });
+  assert.deepEqual(seen, [1000, 1000]);
+  assert.equal(clock.now(), 1500);
+});
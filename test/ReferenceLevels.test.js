@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pivotPoints, roundNumbers, referenceLevels, PIVOT_MODES } from '../src/engine/ReferenceLevels.js';
+import fs from 'fs';
+import { StrategyConfig, DEFAULT_STRATEGY_FILE } from '../src/engine/StrategyConfig.js';
+
+const hlc = { high: 110, low: 90, close: 105 };
+const byName = (levels) => Object.fromEntries(levels.map(l => [l.name, l.price]));
+const close = (actual, expected) => {
+  assert.deepEqual(Object.keys(actual), Object.keys(expected));
+  for (const k of Object.keys(expected)) assert.ok(Math.abs(actual[k] - expected[k]) < 1e-9, `${k}: ${actual[k]} ≠ ${expected[k]}`);
+};
+
+test('standard pivots', () => {
+  // P = (110 + 90 + 105) / 3 = 101.667, range 20
+  const p = 305 / 3;
+  close(byName(pivotPoints(hlc, 'standard')), {
+    P: p, R1: 2 * p - 90, S1: 2 * p - 110, R2: p + 20, S2: p - 20, R3: 110 + 2 * (p - 90), S3: 90 - 2 * (110 - p)
+  });
+});
+
+test('camarilla pivots', () => {
+  close(byName(pivotPoints(hlc, 'camarilla')), {
+    R1: 105 + 22 / 12, S1: 105 - 22 / 12, R2: 105 + 22 / 6, S2: 105 - 22 / 6,
+    R3: 105 + 22 / 4, S3: 105 - 22 / 4, R4: 105 + 22 / 2, S4: 105 - 22 / 2
+  });
+});
+
+test('fibonacci pivots', () => {
+  const p = 305 / 3;
+  close(byName(pivotPoints(hlc, 'fibonacci')), {
+    P: p, R1: p + 20 * 0.382, S1: p - 20 * 0.382, R2: p + 20 * 0.618, S2: p - 20 * 0.618, R3: p + 20, S3: p - 20
+  });
+});
+
+test('off (and an unknown name) gives no pivots', () => {
+  assert.deepEqual(pivotPoints(hlc, 'off'), []);
+  assert.deepEqual(pivotPoints(hlc, 1), []);
+});
+
+test('strategy config takes pivot names and a boolean weeklyPivots', () => {
+  const raw = JSON.parse(fs.readFileSync(DEFAULT_STRATEGY_FILE, 'utf8'));
+  const params = raw.params;
+  for (const mode of PIVOT_MODES) {
+    params.reference.pivots = mode;
+    assert.deepEqual(StrategyConfig.validate(raw), [], mode);
+  }
+  params.reference.pivots = 1;
+  assert.ok(StrategyConfig.validate(raw).some(e => e.includes('reference.pivots')));
+  params.reference.pivots = 'standard';
+  params.reference.weeklyPivots = 1;
+  assert.ok(StrategyConfig.validate(raw).some(e => e.includes('reference.weeklyPivots')));
+});
+
+test('weekly pivots only with weeklyPivots', () => {
+  const DAY = 86400000;
+  // Thu 2024-01-04 … Wed 2024-01-17 at 12:00 UTC, one candle per day — the week of the 8th is complete
+  const candles = Array.from({ length: 14 }, (_, i) => ({ timestamp: Date.UTC(2024, 0, 4, 12) + i * DAY, high: 101 + i, low: 99 + i, close: 100 + i }));
+  const p = { dayStartHour: 22, prior: 0, asian: 0, pivots: 'standard', pivotWeight: 1, weeklyPivots: false, round: 0, rangeAtr: 1000 };
+  const now = Date.UTC(2024, 0, 17, 12);
+  const labels = (weeklyPivots) => referenceLevels({ candles, now, price: 109, atr: 1, precision: 2, p: { ...p, weeklyPivots } }).map(r => r.label);
+  assert.ok(labels(false).includes('DP') && !labels(false).includes('WP'));
+  assert.ok(labels(true).includes('WP'));
+});
+
+test('round numbers step by roundStep, else 1000 ticks', () => {
+  assert.deepEqual(roundNumbers(97400, 2, 1000).map(r => r.price), [96000, 97000, 98000, 99000]);
+  assert.deepEqual(roundNumbers(1.1834, 5).map(r => r.price), [1.17, 1.18, 1.19, 1.2].map(x => +x.toFixed(5)));
+});
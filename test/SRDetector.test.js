@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SRDetector, TouchIndex } from '../src/engine/SRDetector.js';
+import { SignalEngine } from '../src/engine/SignalEngine.js';
+
+// Deterministic random walk (LCG), prices on a 5-digit grid so levels repeat
+function walk(n, seed = 5) {
+  let x = seed, price = 1.1;
+  const rand = () => ((x = (x * 1103515245 + 12345) % 2147483648) / 2147483648);
+  const candles = [];
+  for (let i = 0; i < n; i++) {
+    const open = price;
+    price = +(price + (rand() - 0.5) * 0.002).toFixed(5);
+    const high = +(Math.max(open, price) + rand() * 0.0005).toFixed(5);
+    const low = +(Math.min(open, price) - rand() * 0.0005).toFixed(5);
+    candles.push({ symbol: 'EUR/USD', timestamp: 1700000000000 + i * 300000, open, high, low, close: price, volume: 0 });
+  }
+  return candles;
+}
+
+const sr = new SRDetector();
+
+test('TouchIndex counts equal the window scans while the window slides', () => {
+  const candles = walk(400);
+  const index = new TouchIndex();
+  const window = [];
+  for (const c of candles) {
+    // window = closed candles + c forming
+    const closes = [...window, c].map(w => w.close), highs = [...window, c].map(w => w.high), lows = [...window, c].map(w => w.low);
+    for (const level of [c.close, c.high, c.low, window[0]?.close ?? c.open]) {
+      for (const atr of [0.0004, 0.0011, 0]) {
+        assert.equal(index.bounces(level, atr), sr._countBounces(level, closes, highs, lows, atr));
+        assert.equal(index.breaches(level, atr, c.close), sr._countBreaches(level, closes, atr));
+      }
+    }
+    window.push(c);
+    index.push(c);
+    if (window.length > 120) { window.shift(); index.shift(); }
+  }
+  assert.equal(index.length, 120);
+});
+
+test('findSR with the engine touch index matches the full scan', () => {
+  const engine = new SignalEngine({ indicatorMode: 'stream', backtestMode: true });
+  const candles = walk(360, 9);
+  for (let i = 0; i < candles.length; i++) {
+    engine.addCandle(candles[i]);
+    if (i < 120 || i % 7) continue;
+    const store = engine.candleStore.get('EUR/USD');
+    const closes = store.map(c => c.close), highs = store.map(c => c.high), lows = store.map(c => c.low);
+    const touches = engine.srTouches.get('EUR/USD');
+    assert.equal(touches.length, store.length - 1);
+    const references = [{ price: closes.at(-1) + 0.001, label: 'PDH', touches: 2 }, { price: 1.1, label: 'Round', touches: 1 }];
+    const zones = { opens: store.map(c => c.open), timeframe: '5m', references };
+    assert.deepEqual(sr.findSR(closes, highs, lows, 0.0009, { ...zones, touches }), sr.findSR(closes, highs, lows, 0.0009, zones));
+  }
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionCalendar } from '../src/engine/SessionCalendar.js';
+
+const calendar = SessionCalendar.load();
+const forex = { session: 'london_ny', assetClass: 'forex' };
+const open = (iso) => calendar.isTradingTime(forex, Date.parse(iso));
+
+test('london_ny in winter (GMT) keeps the 07:00–16:00 UTC window', () => {
+  // Tue 2026-01-13
+  assert.equal(open('2026-01-13T06:59:00Z'), false);
+  assert.equal(open('2026-01-13T07:00:00Z'), true);
+  assert.equal(open('2026-01-13T15:59:00Z'), true);
+  assert.equal(open('2026-01-13T16:00:00Z'), false);
+});
+
+test('london_ny in summer (BST) moves an hour earlier in UTC', () => {
+  // Tue 2026-07-14: 07:00 London = 06:00 UTC
+  assert.equal(open('2026-07-14T05:59:00Z'), false);
+  assert.equal(open('2026-07-14T06:00:00Z'), true);
+  assert.equal(open('2026-07-14T14:59:00Z'), true);
+  assert.equal(open('2026-07-14T15:00:00Z'), false);
+});
+
+test('london_ny follows the spring and autumn clock changes', () => {
+  // Clocks go forward Sun 2026-03-29: Fri 27th is GMT, Mon 30th BST
+  assert.equal(open('2026-03-27T06:30:00Z'), false);
+  assert.equal(open('2026-03-30T10:30:00Z'), true);
+  assert.equal(open('2026-03-31T06:30:00Z'), true);
+  // Clocks go back Sun 2026-10-25: Fri 23rd is BST, Tue 27th GMT
+  assert.equal(open('2026-10-23T06:30:00Z'), true);
+  assert.equal(open('2026-10-27T06:30:00Z'), false);
+  assert.equal(open('2026-10-27T15:30:00Z'), true);
+});
+
+test('Monday opens at 10:00 London, weekends stay closed', () => {
+  assert.equal(open('2026-01-12T09:59:00Z'), false);
+  assert.equal(open('2026-01-12T10:00:00Z'), true);
+  // BST: 10:00 London = 09:00 UTC
+  assert.equal(open('2026-07-13T08:59:00Z'), false);
+  assert.equal(open('2026-07-13T09:00:00Z'), true);
+  assert.equal(open('2026-01-17T12:00:00Z'), false);
+  assert.equal(open('2026-01-18T12:00:00Z'), false);
+});
+
+test('the closed reason names the London window', () => {
+  const { open: isOpen, reason } = calendar.tradingStatus(forex, Date.parse('2026-01-13T16:30:00Z'));
+  assert.equal(isOpen, false);
+  assert.match(reason, /07:00–16:00 Europe\/London/);
+});
+
+test('market sessions shift with their own DST dates', () => {
+  // US clocks go forward Sun 2026-03-08, the UK's three weeks later:
+  // 13:00 UTC on Tue 2026-03-10 is 09:00 New York (open) and 13:00 London
+  const ts = Date.parse('2026-03-10T13:00:00Z');
+  assert.deepEqual(calendar.openMarkets(ts), ['LONDON', 'NEW_YORK']);
+  assert.equal(calendar.sessionLabel(ts, forex), 'OVERLAP');
+  // A week earlier, 12:30 UTC is 07:30 New York (closed)
+  assert.deepEqual(calendar.openMarkets(Date.parse('2026-03-03T12:30:00Z')), ['LONDON']);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignalEngine } from '../src/engine/SignalEngine.js';
+import { IndicatorStream, diffIndicators } from '../src/engine/StreamingIndicators.js';
+
+// Deterministic random walk of 5min candles (LCG, no Math.random)
+function walk(n, seed = 7) {
+  let x = seed, price = 1.1;
+  const rand = () => ((x = (x * 1103515245 + 12345) % 2147483648) / 2147483648);
+  const candles = [];
+  for (let i = 0; i < n; i++) {
+    const open = price;
+    price = +(price + (rand() - 0.5) * 0.002).toFixed(5);
+    const high = +(Math.max(open, price) + rand() * 0.0005).toFixed(5);
+    const low = +(Math.min(open, price) - rand() * 0.0005).toFixed(5);
+    candles.push({ symbol: 'EUR/USD', timestamp: 1700000000000 + i * 300000, open, high, low, close: price, volume: Math.round(rand() * 100) });
+  }
+  return candles;
+}
+
+function check(engine, symbol = 'EUR/USD') {
+  const w = engine.candleStore.get(symbol);
+  const closes = w.map(c => c.close), highs = w.map(c => c.high), lows = w.map(c => c.low);
+  const expected = engine.calcIndicators(closes, highs, lows, w.map(c => c.open), w);
+  return diffIndicators(expected, engine.indicatorStreams.get(symbol).snapshot(closes, highs, lows));
+}
+
+test('stream matches calcIndicators over the store window, before and after it slides', () => {
+  const engine = new SignalEngine({ indicatorMode: 'stream', backtestMode: true });
+  const candles = walk(420);
+  for (let i = 0; i < candles.length; i++) {
+    engine.addCandle(candles[i]);
+    if (i >= 109) assert.deepEqual(check(engine), [], `candle ${i}`);
+  }
+  assert.equal(engine.candleStore.get('EUR/USD').length, 300);
+});
+
+test('intrabar updates of the forming candle match batch without advancing the stream', () => {
+  const engine = new SignalEngine({ indicatorMode: 'stream', backtestMode: true });
+  const candles = walk(340, 11);
+  for (const c of candles) {
+    const mid = +((c.open + c.close) / 2).toFixed(5);
+    engine.addCandle({ ...c, close: mid, high: Math.max(c.open, mid), low: Math.min(c.open, mid) });
+    engine.addCandle(c);
+  }
+  assert.deepEqual(check(engine), []);
+  assert.equal(engine.indicatorStreams.get('EUR/USD').candleCount, candles.length);
+});
+
+test('loadHistoricalCandles keeps the window and seeds the stream from it', () => {
+  const engine = new SignalEngine({ indicatorMode: 'stream', backtestMode: true });
+  const candles = walk(500, 3);
+  engine.loadHistoricalCandles('EUR/USD', candles.slice(0, 450));
+  assert.equal(engine.candleStore.get('EUR/USD').length, 300);
+  assert.deepEqual(check(engine), []);
+  for (const c of candles.slice(450)) engine.addCandle(c);
+  assert.deepEqual(check(engine), []);
+});
+
+test('an unwindowed stream never reseeds', () => {
+  const stream = new IndicatorStream();
+  for (const c of walk(50)) stream.update(c);
+  assert.equal(stream.closed, null);
+  assert.equal(stream.candleCount, 50);
+});
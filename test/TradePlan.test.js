@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTradePlan, createPlanState, stepTradePlan, closeTradePlan, planOutcome } from '../src/engine/TradePlan.js';
+
+const params = (plan = {}) => ({
+  plan: { tp1R: 1, tp1Pct: 50, tp2Pct: 30, tp3R: 3, breakevenAfter: 1, breakevenOffsetR: 0, trailAfter: 2, trailAtr: 1.5, trailSwingBars: 0, ...plan },
+  risk: { minRR: 1.2, maxRR: 1.8 }
+});
+const noLevels = { resistances: [], supports: [], resistance: null, support: null };
+// BUY 100, stop 99 → 1R = 1.00; TP1 101, TP2 101.8 (maxRR), TP3 103
+const buy = (plan) => buildTradePlan({ action: 'BUY', price: 100, stopLoss: 99, atr: 0.5, sr: noLevels, params: params(plan) });
+const bar = (t, low, high, close = (low + high) / 2) => ({ timestamp: t * 300000, low, high, close });
+
+test('targets from R multiples, S/R snapped TP2 and the runner level', () => {
+  const plan = buy();
+  assert.deepEqual(plan.targets.map(t => [t.label, t.price, t.closePct, t.source]), [['TP1', 101, 50, 'r'], ['TP2', 101.8, 30, 'r'], ['TP3', 103, 20, 'r']]);
+  const sr = { resistances: [{ price: 101.5, timeframe: '1h', origins: ['1h'] }, { price: 102.6, timeframe: 'PDH', origins: ['PDH'] }], supports: [], resistance: 101.5, support: null };
+  const snapped = buildTradePlan({ action: 'BUY', price: 100, stopLoss: 99, atr: 0.5, sr, params: params() });
+  assert.deepEqual(snapped.targets.map(t => [t.price, t.level ?? null]), [[101, null], [101.5, '1h'], [102.6, 'PDH']]);
+});
+
+test('partial fills score the size-weighted R', () => {
+  const plan = buy();
+  const state = createPlanState(plan);
+  stepTradePlan(plan, state, bar(1, 100.2, 101.1));   // TP1: 50% at +1R
+  stepTradePlan(plan, state, bar(2, 100.5, 101.9));   // TP2: 30% at +1.8R
+  const events = stepTradePlan(plan, state, bar(3, 101.5, 103.2)); // TP3: 20% at +3R
+  assert.deepEqual(state.fills.map(f => [f.label, f.pct, f.r]), [['TP1', 50, 1], ['TP2', 30, 1.8], ['TP3', 20, 3]]);
+  assert.equal(state.pnlR, 1.64); // 0.5 × 1 + 0.3 × 1.8 + 0.2 × 3
+  assert.equal(events.at(-1).type, 'closed');
+  assert.equal(planOutcome(state), 'WIN');
+});
+
+test('TP1 then the breakeven stop scores half a win', () => {
+  const plan = buy();
+  const state = createPlanState(plan);
+  const events = stepTradePlan(plan, state, bar(1, 99.5, 101.2));
+  assert.deepEqual(events.map(e => e.type), ['target', 'stop_moved']);
+  assert.equal(state.stop, 99);          // moves take effect from the next bar
+  stepTradePlan(plan, state, bar(2, 99.9, 100.6));
+  assert.equal(state.exitReason, 'breakeven');
+  assert.equal(state.pnlR, 0.5);
+});
+
+test('a stop before any target is a full loss; expiry closes at the price', () => {
+  const plan = buy();
+  const lost = createPlanState(plan);
+  stepTradePlan(plan, lost, bar(1, 98.8, 100.4));
+  assert.equal(lost.pnlR, -1);
+  assert.equal(planOutcome(lost), 'LOSS');
+  const open = createPlanState(plan);
+  stepTradePlan(plan, open, bar(1, 99.6, 100.4));
+  closeTradePlan(plan, open, 100.3);
+  assert.equal(open.pnlR, 0.3);
+  assert.equal(planOutcome(open), 'EXPIRED');
+});
+
+test('forming-bar updates check targets and the stop but never trail', () => {
+  const plan = buy({ trailAfter: 1, breakevenAfter: 0 });
+  const state = createPlanState(plan);
+  // Bar 1 forms: TP1 fills on the first poll, the close keeps rising
+  stepTradePlan(plan, state, bar(1, 100.1, 101.0, 101.0));
+  for (const close of [101.3, 101.6]) {
+    const events = stepTradePlan(plan, state, bar(1, 100.1, close, close));
+    assert.ok(!events.some(e => e.type === 'stop_moved'), `poll at ${close}`);
+  }
+  assert.equal(state.nextStop, 99);
+  // Bar 2 opens: bar 1 is final → trail 1.5 × 0.5 behind its close, active for bar 2
+  const events = stepTradePlan(plan, state, bar(2, 101.2, 101.5));
+  assert.deepEqual(events, [{ type: 'stop_moved', reason: 'trail', price: 101.6 - 0.75 }]);
+  assert.equal(state.stop, 101.6 - 0.75);
+});
+
+test('a forming-bar poll that reaches the stop closes the trade', () => {
+  const plan = buy();
+  const state = createPlanState(plan);
+  stepTradePlan(plan, state, bar(1, 99.6, 100.3));
+  const events = stepTradePlan(plan, state, bar(1, 98.9, 100.3));
+  assert.equal(events.at(-1).type, 'closed');
+  assert.equal(state.exitReason, 'stop');
+});